@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * rainchart-gravity - Run a gravity simulation from the command line
+ *
+ * Example:
+ *   rainchart-gravity --scenario plummer --bodies 200 --seed 42 --steps 5000 \
+ *       --integrator yoshida4 --every 50 --format ndjson -o run.ndjson -d drift.ndjson
+ *
+ * Run with --help for all options (see js/cli/gravity-batch.js). Output is written
+ * synchronously as it is produced, so long runs do not buffer in memory.
+ * Exits with status 1 and a message on stderr if the options are invalid. A reader that
+ * closes stdout early (e.g. `| head`) ends the run quietly with status 0.
+ */
+
+import { openSync, writeSync, closeSync } from 'node:fs';
+import { GravityBatch } from '../js/cli/gravity-batch.js';
+
+/**
+ * Open an output destination
+ * @param {string|undefined} path - File path, '-' for stdout, or undefined for none
+ * @returns {number|null} File descriptor, or null for no output
+ */
+function openOutput(path) {
+    if (path === undefined) return null;
+    return path === '-' ? process.stdout.fd : openSync(path, 'w');
+}
+
+// Writes to a closed pipe fail with EPIPE; the reader has all it wanted, so that is not an error
+const isClosedPipe = (err) => err.code === 'EPIPE';
+process.stdout.on('error', (err) => {
+    if (!isClosedPipe(err)) throw err;
+});
+
+try {
+    const options = GravityBatch.parseOptions(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(GravityBatch.USAGE);
+    } else {
+        const trajectoryFd = openOutput(options.output ?? '-');
+        const diagnosticsFd = openOutput(options.diagnostics);
+
+        const { seed, records } = GravityBatch.run(options, {
+            trajectory: (text) => writeSync(trajectoryFd, text),
+            diagnostics: diagnosticsFd === null ? null : (text) => writeSync(diagnosticsFd, text)
+        });
+
+        for (const fd of [trajectoryFd, diagnosticsFd]) {
+            if (fd !== null && fd !== process.stdout.fd) closeSync(fd);
+        }
+        process.stderr.write(`rainchart-gravity: ${records} states recorded, seed ${seed}\n`);
+    }
+} catch (err) {
+    if (!isClosedPipe(err)) {
+        process.stderr.write(`rainchart-gravity: ${err.message}\n`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Gravity Batch - Headless gravity runs for the command line (see bin/rainchart-gravity.js)
+ *
+ * Runs GravityEngine without a DOM for a fixed number of steps and formats the trajectories
+ * and diagnostics as CSV or NDJSON, so parameter sweeps and regression checks can run on CI.
+ * Output goes through write callbacks, so runs can also be scripted and tested from Node directly.
+ *
+ * Node only: reads config files with node:fs and parses arguments with node:util.
+ */
+
+import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+import { GravityEngine } from '../physics-sims/Gravity/gravity-engine.js';
+import { GravitySnapshot } from '../physics-sims/Gravity/gravity-snapshot.js';
+import { GravityScenarios } from '../physics-sims/Gravity/gravity-scenarios.js';
+import { IntegratorRegistry } from '../integrators/integrators.js';
+
+// Command-line flags; the same keys (camelCase) are accepted in a --config JSON file
+const ARGUMENTS = {
+    config: { type: 'string', short: 'c' },
+    scenario: { type: 'string', short: 's' },
+    bodies: { type: 'string', short: 'n' },
+    seed: { type: 'string' },
+    steps: { type: 'string' },
+    dt: { type: 'string' },
+    integrator: { type: 'string', short: 'i' },
+    G: { type: 'string', short: 'G' },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    boundary: { type: 'string' },
+    collisions: { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    every: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    diagnostics: { type: 'string', short: 'd' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Flags holding numbers, converted and checked after parsing
+const NUMERIC = ['bodies', 'steps', 'dt', 'G', 'width', 'height', 'every'];
+
+const DEFAULTS = {
+    scenario: 'random',
+    bodies: 3,
+    steps: 1000,
+    dt: 0.016,
+    integrator: 'rk4',
+    G: 1.0,
+    width: 800,
+    height: 600,
+    format: 'csv',
+    every: 1,
+    output: '-'
+};
+
+const TRAJECTORY_COLUMNS = ['step', 'time', 'id', 'x', 'y', 'vx', 'vy', 'mass'];
+
+const DIAGNOSTICS_COLUMNS = [
+    'step', 'time', 'bodyCount',
+    'kineticEnergy', 'potentialEnergy', 'totalEnergy',
+    'momentumX', 'momentumY', 'angularMomentum',
+    'energyDrift', 'momentumDrift', 'angularMomentumDrift'
+];
+
+export const GravityBatch = {
+    FORMATS: ['csv', 'ndjson'],
+
+    USAGE: `Usage: rainchart-gravity [options]
+
+Run a gravity simulation without a browser and write trajectories (and diagnostics) as CSV or NDJSON.
+
+Options:
+  -c, --config <file>       JSON file with any of the options below (camelCase keys) plus an
+                            "engine" object of GravityConfig.engine overrides; a snapshot
+                            document is loaded as the starting state
+  -s, --scenario <name>     Initial conditions: ${GravityScenarios.names().join(', ')} (default ${DEFAULTS.scenario})
+  -n, --bodies <count>      Number of bodies (default ${DEFAULTS.bodies})
+      --seed <seed>         Random seed (default: a fresh seed, printed to stderr)
+      --steps <count>       Time steps to run (default ${DEFAULTS.steps})
+      --dt <time>           Time step (default ${DEFAULTS.dt})
+  -i, --integrator <name>   ${IntegratorRegistry.names().join(', ')} (default ${DEFAULTS.integrator})
+  -G, --G <value>           Gravitational constant (default ${DEFAULTS.G})
+      --width, --height     World size (default ${DEFAULTS.width} x ${DEFAULTS.height})
+      --boundary <mode>     periodic, reflective, open or absorbing
+      --collisions <mode>   none, merge or bounce
+  -f, --format <format>     csv or ndjson (default ${DEFAULTS.format})
+      --every <steps>       Record every n-th step (default ${DEFAULTS.every}); the initial and final states are always recorded
+  -o, --output <file>       Trajectory output file, - for stdout (default -)
+  -d, --diagnostics <file>  Also write energy, momentum and drift per recorded step to this file
+  -h, --help                Show this help
+`,
+
+    /**
+     * Parse command-line arguments (and the config file they name) into run options
+     * Command-line values take precedence over the config file.
+     * @param {Array<string>} argv - Arguments without the node executable and script path
+     * @param {Function} readJson - Reads and parses a JSON file (defaults to node:fs)
+     * @returns {Object} Run options for run(); values not given anywhere are undefined
+     * @throws {Error} On unknown flags or invalid values
+     */
+    parseOptions(argv, readJson = (path) => JSON.parse(readFileSync(path, 'utf8'))) {
+        const { values } = parseArgs({ args: argv, options: ARGUMENTS, strict: true, allowPositionals: false });
+        if (values.help) {
+            return { help: true };
+        }
+
+        const file = values.config ? readJson(values.config) : {};
+        const isSnapshot = file.format === GravitySnapshot.FORMAT;
+        if (isSnapshot) {
+            GravitySnapshot.validate(file);
+        }
+
+        const options = isSnapshot ? {} : { ...file };
+        for (const [key, value] of Object.entries(values)) {
+            if (key !== 'config' && value !== undefined) {
+                options[key] = NUMERIC.includes(key) ? parseNumber(key, value) : value;
+            }
+        }
+        options.snapshot = isSnapshot ? file : null;
+        options.engine = isSnapshot ? {} : { ...file.engine };
+
+        GravityBatch._validate(options);
+        return options;
+    },
+
+    /**
+     * Check option values before any work is done
+     * @private
+     * @param {Object} options - Parsed options
+     * @throws {Error} If a value is invalid
+     */
+    _validate(options) {
+        const format = options.format ?? DEFAULTS.format;
+        if (!GravityBatch.FORMATS.includes(format)) {
+            throw new Error(`Unknown format: ${format} (expected ${GravityBatch.FORMATS.join(' or ')})`);
+        }
+        if (options.integrator !== undefined) {
+            IntegratorRegistry.get(options.integrator);
+        }
+        if (options.scenario !== undefined) {
+            GravityScenarios.validate(options.scenario);
+        }
+        for (const key of ['steps', 'every', 'bodies']) {
+            if (options[key] !== undefined && !(Number.isInteger(options[key]) && options[key] >= (key === 'steps' ? 0 : 1))) {
+                throw new Error(`--${key} must be a ${key === 'steps' ? 'non-negative' : 'positive'} integer`);
+            }
+        }
+        if (options.dt !== undefined && !(Number.isFinite(options.dt) && options.dt > 0)) {
+            throw new Error('--dt must be a positive number');
+        }
+    },
+
+    /**
+     * Create the engine described by the options
+     * A snapshot is loaded as-is; integrator and dt still override it when given explicitly.
+     * @param {Object} options - Options from parseOptions()
+     * @returns {GravityEngine} Engine ready to step
+     */
+    createEngine(options) {
+        const value = (key) => options[key] ?? DEFAULTS[key];
+        const engineOptions = { ...options.engine };
+        for (const key of ['boundary', 'collisions']) {
+            if (options[key] !== undefined) engineOptions[key] = options[key];
+        }
+
+        let engine;
+        if (options.snapshot) {
+            engine = new GravityEngine(1, 1, 0);
+            engine.loadSnapshot(options.snapshot.engine);
+            if (options.integrator !== undefined) engine.setIntegrator(options.integrator);
+            if (options.dt !== undefined) engine.timeStep = options.dt;
+            if (options.boundary !== undefined) engine.setBoundary(options.boundary);
+            if (options.collisions !== undefined) engine.setCollisions(options.collisions);
+        } else {
+            engine = new GravityEngine(value('width'), value('height'), value('bodies'), value('G'), {
+                ...engineOptions,
+                scenario: value('scenario'),
+                seed: options.seed ?? engineOptions.seed ?? null,
+                integrator: IntegratorRegistry.get(value('integrator')).integrate
+            });
+            engine.timeStep = value('dt');
+        }
+        return engine;
+    },
+
+    /**
+     * Run a simulation and write the recorded states
+     * @param {Object} options - Options from parseOptions()
+     * @param {Object} writers - { trajectory, diagnostics } functions taking one chunk of text (either may be null)
+     * @returns {Object} { engine, seed, records } — the finished engine, its seed and the number of recorded states
+     */
+    run(options, { trajectory = null, diagnostics = null } = {}) {
+        const engine = GravityBatch.createEngine(options);
+        const format = options.format ?? DEFAULTS.format;
+        const steps = options.steps ?? DEFAULTS.steps;
+        const every = options.every ?? DEFAULTS.every;
+
+        if (format === 'csv') {
+            trajectory?.(TRAJECTORY_COLUMNS.join(',') + '\n');
+            diagnostics?.(DIAGNOSTICS_COLUMNS.join(',') + '\n');
+        }
+
+        let records = 0;
+        const record = () => {
+            trajectory?.(formatTrajectory(engine, format));
+            diagnostics?.(formatDiagnostics(engine, format));
+            records++;
+        };
+
+        record();
+        for (let step = 1; step <= steps; step++) {
+            engine.step();
+            if (step % every === 0 || step === steps) {
+                record();
+            }
+        }
+
+        return { engine, seed: engine.seed, records };
+    }
+};
+
+/**
+ * Convert a numeric flag
+ * @param {string} key - Flag name
+ * @param {string} text - Flag value
+ * @returns {number} Parsed number
+ * @throws {Error} If the value is not a finite number
+ */
+function parseNumber(key, text) {
+    const value = Number(text);
+    if (text.trim() === '' || !Number.isFinite(value)) {
+        throw new Error(`--${key} must be a number, got "${text}"`);
+    }
+    return value;
+}
+
+/**
+ * Body states at the current step, one CSV row or NDJSON line per state
+ * @param {GravityEngine} engine - Engine to read
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {string} Text ending in a newline
+ */
+function formatTrajectory(engine, format) {
+    const bodies = engine.store.toObjects();
+    if (format === 'ndjson') {
+        return JSON.stringify({ step: engine.stepCount, time: engine.time, bodies }) + '\n';
+    }
+    return bodies
+        .map(body => [engine.stepCount, engine.time, body.id, body.x, body.y, body.vx, body.vy, body.mass].join(',') + '\n')
+        .join('');
+}
+
+/**
+ * Diagnostics at the current step as one CSV row or NDJSON line
+ * @param {GravityEngine} engine - Engine to read
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {string} Text ending in a newline
+ */
+function formatDiagnostics(engine, format) {
+    const diagnostics = engine.getDiagnostics();
+    const row = {
+        step: engine.stepCount,
+        time: engine.time,
+        bodyCount: engine.store.count,
+        kineticEnergy: diagnostics.kineticEnergy,
+        potentialEnergy: diagnostics.potentialEnergy,
+        totalEnergy: diagnostics.totalEnergy,
+        momentumX: diagnostics.momentum.x,
+        momentumY: diagnostics.momentum.y,
+        angularMomentum: diagnostics.angularMomentum,
+        energyDrift: diagnostics.drift.energy,
+        momentumDrift: diagnostics.drift.momentum,
+        angularMomentumDrift: diagnostics.drift.angularMomentum
+    };
+    if (format === 'ndjson') {
+        return JSON.stringify(row) + '\n';
+    }
+    return DIAGNOSTICS_COLUMNS.map(column => row[column]).join(',') + '\n';
+}
@@ -0,0 +1,234 @@
+/**
+ * Dormand-Prince Integrator - Embedded 5(4) Runge-Kutta method with adaptive step control
+ * Implements IIntegrator interface
+ *
+ * Each step produces a 5th-order solution and an embedded 4th-order solution; their
+ * difference estimates the local error, which drives the choice of the next step size.
+ * integrate() takes a single fixed 5th-order step; integrateAdaptive() covers a time
+ * interval with as many steps as the tolerance requires. interpolate() evaluates the
+ * method's 4th-order dense output anywhere inside a step, so callers can take steps longer
+ * than the interval they report at.
+ */
+
+import { IIntegrator } from './integrator-interface.js';
+
+// Butcher tableau (Dormand & Prince, 1980)
+const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+
+// 5th-order weights (identical to the last row of A)
+const B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+
+// Difference between the 5th- and embedded 4th-order weights
+const E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+// Dense output weights (Hairer, Nørsett & Wanner, dopri5)
+const D = [
+    -12715105075 / 11282082432, 0, 87487479700 / 32700410799, -10690763975 / 1880347072,
+    701980252875 / 199316789632, -1453857185 / 822651844, 69997945 / 29380423
+];
+
+// Step size controller: safety factor and limits on how fast the step may change
+const SAFETY = 0.9;
+const MIN_FACTOR = 0.2;
+const MAX_FACTOR = 5;
+
+/**
+ * Factor to scale a step by for the next attempt, from its error estimate
+ * @param {number} error - Scaled error from step() (≤ 1 meets the tolerance)
+ * @returns {number} Step size factor
+ */
+function stepFactor(error) {
+    return error === 0
+        ? MAX_FACTOR
+        : Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, SAFETY * Math.pow(error, -1 / 5)));
+}
+
+export const DormandPrinceIntegrator = {
+    /**
+     * Single fixed 5th-order Dormand-Prince step
+     *
+     * @param {Array|number} state - Current state (can be scalar or array)
+     * @param {Function} derivative - Function that computes dy/dt given (state, t)
+     * @param {number} dt - Time step
+     * @param {number} t - Current time (optional, default 0)
+     * @returns {Array|number} New state after time step dt
+     */
+    integrate(state, derivative, dt, t = 0) {
+        const isScalar = typeof state === 'number';
+        const stateArray = isScalar ? [state] : state;
+        const derivativeArray = isScalar
+            ? (s, time) => [derivative(s[0], time)]
+            : derivative;
+
+        const newState = DormandPrinceIntegrator.step(stateArray, derivativeArray, dt, t, 1).state;
+        return isScalar ? newState[0] : newState;
+    },
+
+    /**
+     * One Dormand-Prince step with an error estimate
+     * The error is the RMS of the local error scaled by tolerance * (1 + |y|) per component,
+     * so a value ≤ 1 means the step meets the tolerance.
+     *
+     * @param {Array} state - Current state
+     * @param {Function} derivative - Function that computes dy/dt given (state, t)
+     * @param {number} dt - Time step
+     * @param {number} t - Current time
+     * @param {number} tolerance - Relative and absolute tolerance
+     * @returns {Object} { state, error, stages } — stages are the derivative evaluations, for interpolate()
+     */
+    step(state, derivative, dt, t, tolerance) {
+        const k = [];
+        for (let stage = 0; stage < C.length; stage++) {
+            const stageState = state.map((value, i) => {
+                let sum = value;
+                for (let j = 0; j < stage; j++) {
+                    sum += dt * A[stage][j] * k[j][i];
+                }
+                return sum;
+            });
+            k.push(derivative(stageState, t + C[stage] * dt));
+        }
+
+        const newState = state.map((value, i) => {
+            let sum = value;
+            for (let j = 0; j < B.length; j++) {
+                sum += dt * B[j] * k[j][i];
+            }
+            return sum;
+        });
+
+        let errorSquared = 0;
+        for (let i = 0; i < state.length; i++) {
+            let localError = 0;
+            for (let j = 0; j < E.length; j++) {
+                localError += dt * E[j] * k[j][i];
+            }
+            const scale = tolerance * (1 + Math.max(Math.abs(state[i]), Math.abs(newState[i])));
+            errorSquared += (localError / scale) ** 2;
+        }
+
+        return {
+            state: newState,
+            error: state.length > 0 ? Math.sqrt(errorSquared / state.length) : 0,
+            stages: k
+        };
+    },
+
+    /**
+     * Try one step and judge it against the tolerance
+     * A step no larger than minStep is accepted even if it misses the tolerance.
+     *
+     * @param {Array} state - Current state
+     * @param {Function} derivative - Function that computes dy/dt given (state, t)
+     * @param {number} dt - Step size to try
+     * @param {number} t - Current time
+     * @param {Object} options - { tolerance, minStep }
+     * @returns {Object} { accepted, state, error, stages, nextStep } — nextStep is the size to try
+     *                   next, i.e. the retry size when the step was rejected
+     */
+    attempt(state, derivative, dt, t, { tolerance, minStep }) {
+        const result = DormandPrinceIntegrator.step(state, derivative, dt, t, tolerance);
+        return {
+            ...result,
+            accepted: result.error <= 1 || dt <= minStep,
+            nextStep: Math.max(dt * stepFactor(result.error), minStep)
+        };
+    },
+
+    /**
+     * State at a fraction of the way through a step, from the step's dense output
+     *
+     * @param {Array} start - State at the start of the step
+     * @param {Array} end - State at the end of the step
+     * @param {Array<Array>} stages - Stages returned by step()
+     * @param {number} dt - Size of the step
+     * @param {number} theta - Fraction of the step, from 0 to 1
+     * @param {Array} out - Array to write the result into (defaults to a new Float64Array)
+     * @returns {Array} Interpolated state
+     */
+    interpolate(start, end, stages, dt, theta, out = new Float64Array(start.length)) {
+        const first = stages[0];
+        const last = stages[stages.length - 1];
+        for (let i = 0; i < start.length; i++) {
+            const difference = end[i] - start[i];
+            const slope = dt * first[i] - difference;
+            const curvature = difference - dt * last[i] - slope;
+            let correction = 0;
+            for (let j = 0; j < D.length; j++) {
+                correction += D[j] * stages[j][i];
+            }
+            correction *= dt;
+            out[i] = start[i] + theta * (difference + (1 - theta) * (slope + theta * (curvature + (1 - theta) * correction)));
+        }
+        return out;
+    },
+
+    /**
+     * Integrate over a time interval, choosing each step size from the error estimate
+     * Rejected steps are retried with a smaller step. The step is never made smaller than
+     * minStep, so a step at that size is accepted even if it misses the tolerance.
+     *
+     * @param {Array} state - Current state
+     * @param {Function} derivative - Function that computes dy/dt given (state, t)
+     * @param {number} duration - Length of the interval to cover (positive)
+     * @param {number} t - Start time (optional, default 0)
+     * @param {Object} options - { tolerance = 1e-6, initialStep = duration, minStep = duration * 1e-6, maxSteps = 10000 }
+     * @returns {Object} { state, steps, rejected, lastStep, nextStep } — accepted and rejected step counts,
+     *                   the size of the last accepted step and the suggested size of the next one
+     * @throws {Error} If more than maxSteps attempts are needed
+     */
+    integrateAdaptive(state, derivative, duration, t = 0, options = {}) {
+        const {
+            tolerance = 1e-6,
+            initialStep = duration,
+            minStep = duration * 1e-6,
+            maxSteps = 10000
+        } = options;
+
+        const end = t + duration;
+        let time = t;
+        let current = state;
+        let h = Math.max(Math.min(initialStep, duration), minStep);
+        let steps = 0;
+        let rejected = 0;
+        let lastStep = 0;
+
+        while (end - time > duration * 1e-12) {
+            if (steps + rejected >= maxSteps) {
+                throw new Error(`Adaptive integration needed more than ${maxSteps} steps`);
+            }
+
+            const remaining = end - time;
+            const trial = Math.min(h, remaining);
+            const { state: next, error } = DormandPrinceIntegrator.step(current, derivative, trial, time, tolerance);
+            const factor = stepFactor(error);
+
+            if (error <= 1 || trial <= minStep) {
+                time = trial === remaining ? end : time + trial;
+                current = next;
+                steps++;
+                lastStep = trial;
+                // A step shortened to land on the end of the interval says little about the next one
+                h = trial < h ? Math.max(h, trial * factor) : trial * factor;
+            } else {
+                rejected++;
+                h = trial * factor;
+            }
+            h = Math.max(h, minStep);
+        }
+
+        return { state: current, steps, rejected, lastStep, nextStep: h };
+    }
+};
+
+// Validate that this integrator implements the interface
+IIntegrator.validate(DormandPrinceIntegrator);
@@ -0,0 +1,40 @@
+/**
+ * Forest-Ruth Integrator - Symplectic 4th order method (Forest & Ruth, 1990)
+ * Implements IIntegrator interface
+ * 
+ * Drift-kick-drift splitting with θ = 1 / (2 - 2^(1/3)); three force evaluations per step.
+ * Note the middle substep runs backwards in time (1 - 2θ < 0).
+ */
+
+import { IIntegrator } from './integrator-interface.js';
+import { SymplecticSplitting } from './symplectic-splitting.js';
+
+const THETA = 1 / (2 - Math.cbrt(2));
+
+const SEQUENCE = [
+    ['drift', THETA / 2],
+    ['kick', THETA],
+    ['drift', (1 - THETA) / 2],
+    ['kick', 1 - 2 * THETA],
+    ['drift', (1 - THETA) / 2],
+    ['kick', THETA],
+    ['drift', THETA / 2]
+];
+
+export const ForestRuthIntegrator = {
+    /**
+     * Forest-Ruth step
+     * 
+     * @param {Array} state - Current state [position, velocity] as flat array
+     * @param {Function} derivative - Function that computes [velocity, acceleration] given (state, t)
+     * @param {number} dt - Time step
+     * @param {number} t - Current time (optional, default 0)
+     * @returns {Array} New state [newPosition, newVelocity] as flat array
+     */
+    integrate(state, derivative, dt, t = 0) {
+        return SymplecticSplitting.step(state, derivative, dt, t, SEQUENCE);
+    }
+};
+
+// Validate that this integrator implements the interface
+IIntegrator.validate(ForestRuthIntegrator);
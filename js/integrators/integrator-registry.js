@@ -0,0 +1,159 @@
+/**
+ * Integrator Registry - Named integrators with metadata describing how to drive them
+ *
+ * Each entry records what an engine needs to use an integrator without knowing it in advance:
+ *   - name: Key used in configs, snapshots and controls (e.g. 'rk4')
+ *   - label: Human-readable name for the UI
+ *   - order: Global order of accuracy
+ *   - symplectic: Whether the method preserves phase-space volume (bounded energy error)
+ *   - stateLayout: How the state vector is packed (see STATE_LAYOUTS)
+ *   - derivativeEvaluations: Derivative calls per step, for comparing cost between methods
+ *
+ * Built-in integrators are registered by integrators.js. Third-party integrators can call
+ * register() with any object that passes IIntegrator.validate; they then appear in the
+ * Integrators object and in every engine that resolves integrators by name.
+ */
+
+import { IIntegrator } from './integrator-interface.js';
+
+// Registered entries by name, in registration order
+const ENTRIES = new Map();
+
+// Integrate functions by name; exposed as the Integrators object
+const FUNCTIONS = {};
+
+export const IntegratorRegistry = {
+    /**
+     * Supported state layouts
+     *   - phaseSpace: [positions, velocities]; derivative returns [velocities, accelerations]
+     *   - positionHistory: [positions, previousPositions]; derivative returns accelerations
+     * @constant {Array<string>}
+     */
+    STATE_LAYOUTS: ['phaseSpace', 'positionHistory'],
+
+    /**
+     * Live map from name to integrate function (state, derivative, dt, t = 0)
+     * Functions keep their identity, so they can be compared and stored in configs.
+     * @constant {Object}
+     */
+    functions: FUNCTIONS,
+
+    /**
+     * Register an integrator under a unique name
+     * @param {string} name - Name to register under
+     * @param {Object} integrator - Object implementing IIntegrator
+     * @param {Object} metadata - { label, order, symplectic, stateLayout, derivativeEvaluations }
+     * @returns {Function} The registered integrate function
+     * @throws {Error} If the name is taken, the integrator is invalid or the metadata is incomplete
+     */
+    register(name, integrator, metadata) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Integrator name must be a non-empty string');
+        }
+        if (ENTRIES.has(name) || Object.hasOwn(FUNCTIONS, name)) {
+            throw new Error(`Integrator already registered: ${name}`);
+        }
+        IIntegrator.validate(integrator);
+        validateMetadata(name, metadata);
+
+        const integrate = (state, derivative, dt, t = 0) => integrator.integrate(state, derivative, dt, t);
+        ENTRIES.set(name, {
+            name,
+            label: metadata.label ?? name,
+            order: metadata.order,
+            symplectic: metadata.symplectic,
+            stateLayout: metadata.stateLayout,
+            derivativeEvaluations: metadata.derivativeEvaluations,
+            integrate
+        });
+        FUNCTIONS[name] = integrate;
+        return integrate;
+    },
+
+    /**
+     * Remove a registered integrator
+     * @param {string} name - Registered name
+     * @returns {boolean} True if an integrator was removed
+     */
+    unregister(name) {
+        if (!ENTRIES.has(name)) return false;
+        ENTRIES.delete(name);
+        delete FUNCTIONS[name];
+        return true;
+    },
+
+    /**
+     * Check whether a name is registered
+     * @param {string} name - Integrator name
+     * @returns {boolean} True if registered
+     */
+    has(name) {
+        return ENTRIES.has(name);
+    },
+
+    /**
+     * Look up a registered integrator
+     * @param {string} name - Integrator name
+     * @returns {Object} Registry entry { name, label, order, symplectic, stateLayout, derivativeEvaluations, integrate }
+     * @throws {Error} If no integrator is registered under that name
+     */
+    get(name) {
+        const entry = ENTRIES.get(name);
+        if (!entry) {
+            throw new Error(`Unknown integrator: ${name}`);
+        }
+        return entry;
+    },
+
+    /**
+     * Find the entry whose integrate function is the given function
+     * @param {Function} integrate - Integrate function, e.g. from a config
+     * @returns {Object|null} Registry entry, or null if the function is not registered
+     */
+    find(integrate) {
+        for (const entry of ENTRIES.values()) {
+            if (entry.integrate === integrate) return entry;
+        }
+        return null;
+    },
+
+    /**
+     * Registered names in registration order
+     * @returns {Array<string>} Names
+     */
+    names() {
+        return [...ENTRIES.keys()];
+    },
+
+    /**
+     * All registry entries in registration order
+     * @returns {Array<Object>} Entries
+     */
+    list() {
+        return [...ENTRIES.values()];
+    }
+};
+
+/**
+ * Check that registration metadata is complete and consistent
+ * @param {string} name - Integrator name (for error messages)
+ * @param {Object} metadata - Metadata to check
+ * @throws {Error} If a property is missing or invalid
+ */
+function validateMetadata(name, metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+        throw new Error(`Integrator ${name} must be registered with metadata`);
+    }
+    if (!(Number.isFinite(metadata.order) && metadata.order > 0)) {
+        throw new Error(`Integrator ${name} must have a positive order`);
+    }
+    if (typeof metadata.symplectic !== 'boolean') {
+        throw new Error(`Integrator ${name} must state whether it is symplectic`);
+    }
+    if (!IntegratorRegistry.STATE_LAYOUTS.includes(metadata.stateLayout)) {
+        throw new Error(`Integrator ${name} has unknown state layout: ${metadata.stateLayout} (expected ${IntegratorRegistry.STATE_LAYOUTS.join(', ')})`);
+    }
+    if (!(Number.isInteger(metadata.derivativeEvaluations) && metadata.derivativeEvaluations > 0)) {
+        throw new Error(`Integrator ${name} must have a positive integer derivativeEvaluations`);
+    }
+}
@@ -1,78 +1,120 @@
 /**
- * Numerical Integrators - Backward Compatibility Wrapper
+ * Numerical Integrators - Built-in integrator registrations
  * Generic numerical integration methods for ordinary differential equations (ODEs)
  * These integrators are physics-agnostic and work with any system of ODEs
  * 
- * This file provides the original Integrators object interface for backward compatibility
- * while delegating to individual integrator implementations.
+ * Registers every built-in integrator with IntegratorRegistry and exposes the original
+ * Integrators object (name → integrate(state, derivative, dt, t)) for backward compatibility.
+ * Integrators registered later by third parties appear in the same object.
  */
 
+import { IntegratorRegistry } from './integrator-registry.js';
 import { EulerIntegrator } from './euler-integrator.js';
 import { RK4Integrator } from './rk4-integrator.js';
 import { VerletIntegrator } from './verlet-integrator.js';
 import { VelocityVerletIntegrator } from './velocity-verlet-integrator.js';
+import { DormandPrinceIntegrator } from './dormand-prince-integrator.js';
+import { LeapfrogIntegrator } from './leapfrog-integrator.js';
+import { ForestRuthIntegrator } from './forest-ruth-integrator.js';
+import { Yoshida4Integrator } from './yoshida4-integrator.js';
+import { Yoshida6Integrator } from './yoshida6-integrator.js';
 
-export const Integrators = {
-    /**
-     * Euler method (1st order explicit integration)
-     * Simplest integration method: y(t+dt) = y(t) + dt * dy/dt
-     * 
-     * @param {Array|number} state - Current state (can be scalar or array)
-     * @param {Function} derivative - Function that computes dy/dt given (state, t)
-     * @param {number} dt - Time step
-     * @param {number} t - Current time (optional, default 0)
-     * @returns {Array|number} New state after time step dt
-     */
-    euler(state, derivative, dt, t = 0) {
-        return EulerIntegrator.integrate(state, derivative, dt, t);
-    },
+// Euler method (1st order explicit): y(t+dt) = y(t) + dt * dy/dt
+IntegratorRegistry.register('euler', EulerIntegrator, {
+    label: 'Euler',
+    order: 1,
+    symplectic: false,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 1
+});
 
-    /**
-     * Verlet integration (symplectic 2nd order method)
-     * Position Verlet: x(t+dt) = 2*x(t) - x(t-dt) + a(t)*dt²
-     * 
-     * @param {Array} state - Current state [position, previousPosition] as flat array
-     * @param {Function} derivative - Function that computes acceleration given (state, t)
-     * @param {number} dt - Time step
-     * @param {number} t - Current time (optional, default 0)
-     * @returns {Array} New state [newPosition, currentPosition] as flat array
-     */
-    verlet(state, derivative, dt, t = 0) {
-        return VerletIntegrator.integrate(state, derivative, dt, t);
-    },
+// Position Verlet: x(t+dt) = 2*x(t) - x(t-dt) + a(t)*dt²
+IntegratorRegistry.register('verlet', VerletIntegrator, {
+    label: 'Position Verlet',
+    order: 2,
+    symplectic: true,
+    stateLayout: 'positionHistory',
+    derivativeEvaluations: 1
+});
 
-    /**
-     * 4th-order Runge-Kutta method (RK4)
-     * Higher accuracy integration: O(h⁴) local error
-     * 
-     * @param {Array|number} state - Current state (can be scalar or array)
-     * @param {Function} derivative - Function that computes dy/dt given (state, t)
-     * @param {number} dt - Time step
-     * @param {number} t - Current time (optional, default 0)
-     * @returns {Array|number} New state after time step dt
-     */
-    rk4(state, derivative, dt, t = 0) {
-        return RK4Integrator.integrate(state, derivative, dt, t);
-    },
+// 4th-order Runge-Kutta
+IntegratorRegistry.register('rk4', RK4Integrator, {
+    label: 'Runge-Kutta 4',
+    order: 4,
+    symplectic: false,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 4
+});
 
-    /**
-     * Velocity Verlet integration (symplectic 2nd order method)
-     * More commonly used than position Verlet as it directly tracks velocity
-     * 
-     * @param {Array} state - Current state [position, velocity] as flat array
-     * @param {Function} derivative - Function that computes [velocity, acceleration] given (state, t)
-     * @param {number} dt - Time step
-     * @param {number} t - Current time (optional, default 0)
-     * @returns {Array} New state [newPosition, newVelocity] as flat array
-     */
-    velocityVerlet(state, derivative, dt, t = 0) {
-        return VelocityVerletIntegrator.integrate(state, derivative, dt, t);
-    }
-};
+// Velocity Verlet: evaluates accelerations at both ends of the step
+IntegratorRegistry.register('velocityVerlet', VelocityVerletIntegrator, {
+    label: 'Velocity Verlet',
+    order: 2,
+    symplectic: true,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 2
+});
+
+// Dormand-Prince 5(4), fixed step (see DormandPrinceIntegrator.integrateAdaptive for step control)
+IntegratorRegistry.register('dormandPrince', DormandPrinceIntegrator, {
+    label: 'Dormand-Prince 5',
+    order: 5,
+    symplectic: false,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 7
+});
+
+// Kick-drift-kick leapfrog
+IntegratorRegistry.register('leapfrog', LeapfrogIntegrator, {
+    label: 'Leapfrog (KDK)',
+    order: 2,
+    symplectic: true,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 2
+});
+
+// Forest-Ruth 4th-order splitting
+IntegratorRegistry.register('forestRuth', ForestRuthIntegrator, {
+    label: 'Forest-Ruth 4',
+    order: 4,
+    symplectic: true,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 3
+});
+
+// Yoshida triple-jump composition of leapfrog
+IntegratorRegistry.register('yoshida4', Yoshida4Integrator, {
+    label: 'Yoshida 4',
+    order: 4,
+    symplectic: true,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 4
+});
+
+// Yoshida 6th-order composition of leapfrog
+IntegratorRegistry.register('yoshida6', Yoshida6Integrator, {
+    label: 'Yoshida 6',
+    order: 6,
+    symplectic: true,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 8
+});
+
+/**
+ * Integrate functions by name, e.g. Integrators.rk4(state, derivative, dt, t)
+ * Each function has the signature integrate(state, derivative, dt, t = 0) → newState
+ */
+export const Integrators = IntegratorRegistry.functions;
 
 // Export individual integrators for direct use
 export { EulerIntegrator } from './euler-integrator.js';
 export { RK4Integrator } from './rk4-integrator.js';
 export { VerletIntegrator } from './verlet-integrator.js';
 export { VelocityVerletIntegrator } from './velocity-verlet-integrator.js';
+export { DormandPrinceIntegrator } from './dormand-prince-integrator.js';
+export { LeapfrogIntegrator } from './leapfrog-integrator.js';
+export { ForestRuthIntegrator } from './forest-ruth-integrator.js';
+export { Yoshida4Integrator } from './yoshida4-integrator.js';
+export { Yoshida6Integrator } from './yoshida6-integrator.js';
 export { IIntegrator } from './integrator-interface.js';
+export { IntegratorRegistry } from './integrator-registry.js';
@@ -0,0 +1,31 @@
+/**
+ * Leapfrog Integrator - Kick-drift-kick leapfrog (symplectic 2nd order)
+ * Implements IIntegrator interface
+ * 
+ * v(t+dt/2) = v(t) + a(x(t))*dt/2
+ * x(t+dt)   = x(t) + v(t+dt/2)*dt
+ * v(t+dt)   = v(t+dt/2) + a(x(t+dt))*dt/2
+ */
+
+import { IIntegrator } from './integrator-interface.js';
+import { SymplecticSplitting } from './symplectic-splitting.js';
+
+const SEQUENCE = SymplecticSplitting.composeLeapfrog([1]);
+
+export const LeapfrogIntegrator = {
+    /**
+     * Kick-drift-kick leapfrog step
+     * 
+     * @param {Array} state - Current state [position, velocity] as flat array
+     * @param {Function} derivative - Function that computes [velocity, acceleration] given (state, t)
+     * @param {number} dt - Time step
+     * @param {number} t - Current time (optional, default 0)
+     * @returns {Array} New state [newPosition, newVelocity] as flat array
+     */
+    integrate(state, derivative, dt, t = 0) {
+        return SymplecticSplitting.step(state, derivative, dt, t, SEQUENCE);
+    }
+};
+
+// Validate that this integrator implements the interface
+IIntegrator.validate(LeapfrogIntegrator);
@@ -0,0 +1,65 @@
+/**
+ * Symplectic Splitting - Shared machinery for drift/kick splitting integrators
+ *
+ * Hamiltonian systems with H = T(v) + V(x) can be integrated by alternating
+ * drifts (x += c * dt * v) and kicks (v += d * dt * a(x)). Each drift and kick is an exact
+ * flow of part of the Hamiltonian, so any sequence of them is symplectic; the coefficients
+ * determine the order. Used by leapfrog, Forest-Ruth and the Yoshida integrators.
+ *
+ * State layout is [position, velocity] as a flat array, and the derivative returns
+ * [velocity, acceleration] like Velocity Verlet. Accelerations must depend on positions only.
+ * A step works on one copy of the state, which every kick passes to the derivative as is,
+ * so the drifts and kicks themselves allocate nothing.
+ */
+
+export const SymplecticSplitting = {
+    /**
+     * Apply a sequence of drifts and kicks for one time step
+     *
+     * @param {Array} state - Current state [position, velocity] as flat array
+     * @param {Function} derivative - Function that computes [velocity, acceleration] given (state, t)
+     * @param {number} dt - Time step
+     * @param {number} t - Current time
+     * @param {Array<Array>} sequence - Operations ['drift' | 'kick', coefficient] applied in order
+     * @returns {Array} New state [newPosition, newVelocity] as flat array (same array type as state)
+     */
+    step(state, derivative, dt, t, sequence) {
+        const n = state.length / 2;
+        const current = state.slice();
+        let time = t;
+
+        for (const [operation, coefficient] of sequence) {
+            if (operation === 'drift') {
+                for (let i = 0; i < n; i++) {
+                    current[i] += coefficient * dt * current[n + i];
+                }
+                time += coefficient * dt;
+            } else {
+                // Only the acceleration half [n, 2n) of the derivative is read
+                const rates = derivative(current, time);
+                for (let i = 0; i < n; i++) {
+                    current[n + i] += coefficient * dt * rates[n + i];
+                }
+            }
+        }
+
+        return current;
+    },
+
+    /**
+     * Compose kick-drift-kick leapfrog substeps of the given relative lengths into one
+     * sequence, merging the adjacent kicks between substeps
+     *
+     * @param {Array<number>} weights - Substep lengths as fractions of dt (summing to 1)
+     * @returns {Array<Array>} Drift/kick sequence for step()
+     */
+    composeLeapfrog(weights) {
+        const sequence = [['kick', weights[0] / 2]];
+        weights.forEach((weight, i) => {
+            sequence.push(['drift', weight]);
+            const nextWeight = i + 1 < weights.length ? weights[i + 1] : 0;
+            sequence.push(['kick', (weight + nextWeight) / 2]);
+        });
+        return sequence;
+    }
+};
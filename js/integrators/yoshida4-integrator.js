@@ -0,0 +1,33 @@
+/**
+ * Yoshida 4 Integrator - Symplectic 4th order method (Yoshida, 1990)
+ * Implements IIntegrator interface
+ * 
+ * Triple-jump composition of kick-drift-kick leapfrog substeps with weights
+ * w1, w0, w1 where w1 = 1 / (2 - 2^(1/3)) and w0 = 1 - 2*w1; four force evaluations per step.
+ */
+
+import { IIntegrator } from './integrator-interface.js';
+import { SymplecticSplitting } from './symplectic-splitting.js';
+
+const W1 = 1 / (2 - Math.cbrt(2));
+const W0 = 1 - 2 * W1;
+
+const SEQUENCE = SymplecticSplitting.composeLeapfrog([W1, W0, W1]);
+
+export const Yoshida4Integrator = {
+    /**
+     * Yoshida 4th-order step
+     * 
+     * @param {Array} state - Current state [position, velocity] as flat array
+     * @param {Function} derivative - Function that computes [velocity, acceleration] given (state, t)
+     * @param {number} dt - Time step
+     * @param {number} t - Current time (optional, default 0)
+     * @returns {Array} New state [newPosition, newVelocity] as flat array
+     */
+    integrate(state, derivative, dt, t = 0) {
+        return SymplecticSplitting.step(state, derivative, dt, t, SEQUENCE);
+    }
+};
+
+// Validate that this integrator implements the interface
+IIntegrator.validate(Yoshida4Integrator);
@@ -0,0 +1,35 @@
+/**
+ * Yoshida 6 Integrator - Symplectic 6th order method (Yoshida, 1990, solution A)
+ * Implements IIntegrator interface
+ * 
+ * Symmetric composition of seven kick-drift-kick leapfrog substeps with weights
+ * w3, w2, w1, w0, w1, w2, w3; eight force evaluations per step.
+ */
+
+import { IIntegrator } from './integrator-interface.js';
+import { SymplecticSplitting } from './symplectic-splitting.js';
+
+const W1 = -1.17767998417887;
+const W2 = 0.235573213359357;
+const W3 = 0.784513610477560;
+const W0 = 1 - 2 * (W1 + W2 + W3);
+
+const SEQUENCE = SymplecticSplitting.composeLeapfrog([W3, W2, W1, W0, W1, W2, W3]);
+
+export const Yoshida6Integrator = {
+    /**
+     * Yoshida 6th-order step
+     * 
+     * @param {Array} state - Current state [position, velocity] as flat array
+     * @param {Function} derivative - Function that computes [velocity, acceleration] given (state, t)
+     * @param {number} dt - Time step
+     * @param {number} t - Current time (optional, default 0)
+     * @returns {Array} New state [newPosition, newVelocity] as flat array
+     */
+    integrate(state, derivative, dt, t = 0) {
+        return SymplecticSplitting.step(state, derivative, dt, t, SEQUENCE);
+    }
+};
+
+// Validate that this integrator implements the interface
+IIntegrator.validate(Yoshida6Integrator);
@@ -13,6 +13,9 @@
  */
 
 import { BaseRenderer } from './renderer/base-renderer.js';
+import { FrameCapture } from './renderer/frame-capture.js';
+import { FileTransfer } from './utils/file-transfer.js';
+import { RecordingSession } from './recording-session.js';
 import { ISimulationConfig } from './physics-sims/config-interface.js';
 import { ISimulationControls } from './physics-sims/controls-interface.js';
 
@@ -26,6 +29,13 @@ let simulation;
 let simulationConfig;
 let simulationControls;
 let baseRenderer;
+let recordingSession;
+
+// Zoom factor per pixel of wheel movement (exponential, so zooming in and out are symmetric)
+const WHEEL_ZOOM_RATE = 0.0015;
+
+// Screen pixels left around the content by "Fit view"
+const FIT_VIEW_PADDING = 40;
 
 /**
  * Helper function to convert HSL color to HSLA with transparency
@@ -107,22 +117,41 @@ async function initSimulation() {
     updateControlsBackground();
     
     // Create simulation instance using configured parameters
-    const params = moduleConfig.initialParams;
+    const { bodyCount, G, ...options } = moduleConfig.initialParams;
     simulation = new SimulationClass(
         window.innerWidth,
         window.innerHeight,
-        params.bodyCount,
-        params.G
+        bodyCount,
+        G,
+        options
     );
     
     // Connect simulation to renderer (using interface methods)
     simulation.onUpdate((state) => {
+        // Tracking modes keep a point of the simulation's choosing centred, keeping the user's zoom
+        const focus = simulation.getFocus();
+        if (focus) {
+            baseRenderer.camera.centerOn(focus.x, focus.y, {
+                width: window.innerWidth,
+                height: window.innerHeight
+            });
+        }
         simulation.render(baseRenderer);
+        ISimulationControls.syncControlElements(simulationControls, state);
+    });
+    
+    // Registered after the render listener, so each recorded frame has been drawn
+    const name = moduleConfig.name.toLowerCase();
+    recordingSession = new RecordingSession(simulation, () => baseRenderer, {
+        save: (video) => FileTransfer.download(video, `${name}.webm`, 'video/webm')
     });
     
     // Initial render
     simulation.notifyListeners();
     
+    // Mouse-wheel zoom and drag-to-pan
+    setupCameraControls(moduleConfig.containerId);
+    
     // Handle window resize
     window.addEventListener('resize', () => {
         baseRenderer.resize(window.innerWidth, window.innerHeight);
@@ -133,6 +162,44 @@ async function initSimulation() {
     setupUIControls();
 }
 
+/**
+ * Zoom the camera with the mouse wheel (about the pointer) and pan it by dragging
+ * @param {string} containerId - Element the renderers draw into
+ */
+function setupCameraControls(containerId) {
+    const container = document.getElementById(containerId);
+    const pointerPosition = (event) => {
+        const rect = container.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+    
+    container.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        const { x, y } = pointerPosition(event);
+        baseRenderer.camera.zoomAt(Math.exp(-event.deltaY * WHEEL_ZOOM_RATE), x, y);
+        simulation.render(baseRenderer);
+    }, { passive: false });
+    
+    let dragStart = null;
+    container.addEventListener('pointerdown', (event) => {
+        if (event.button !== 0) return;
+        dragStart = pointerPosition(event);
+        container.setPointerCapture(event.pointerId);
+    });
+    container.addEventListener('pointermove', (event) => {
+        if (!dragStart) return;
+        const position = pointerPosition(event);
+        baseRenderer.camera.pan(position.x - dragStart.x, position.y - dragStart.y);
+        dragStart = position;
+        simulation.render(baseRenderer);
+    });
+    const endDrag = () => {
+        dragStart = null;
+    };
+    container.addEventListener('pointerup', endDrag);
+    container.addEventListener('pointercancel', endDrag);
+}
+
 /**
  * Update controls background to match color scheme
  */
@@ -183,6 +250,18 @@ async function handleControlAction(action, event) {
             simulation.stop();
             break;
         
+        case 'stepOnce':
+            simulation.stepOnce();
+            break;
+        
+        case 'setSpeed':
+            simulation.setSpeed(parseControlValue(event.target.value, 'number'));
+            break;
+        
+        case 'setReversed':
+            simulation.setReversed(event.target.checked);
+            break;
+        
         case 'reset': {
             // For reset, get the appropriate parameters from controls
             // This is generic - reads from any control that might affect reset
@@ -207,7 +286,8 @@ async function handleControlAction(action, event) {
                 width: window.innerWidth,
                 height: window.innerHeight,
                 renderMode: renderMode,
-                background: backgroundColor
+                background: backgroundColor,
+                camera: baseRenderer.camera
             });
             
             // Wait for renderer to be ready before rendering
@@ -226,13 +306,97 @@ async function handleControlAction(action, event) {
             break;
         }
         
+        // Snapshots need the browser's file APIs, so the download and file picker live here
+        case 'saveSnapshot': {
+            try {
+                const snapshot = simulation.saveSnapshot();
+                const name = simulationConfig.module.name.toLowerCase();
+                FileTransfer.download(JSON.stringify(snapshot, null, 2), `${name}-snapshot.json`, 'application/json');
+            } catch (err) {
+                console.error('Failed to save snapshot:', err);
+                alert(`Could not save snapshot: ${err.message}`);
+            }
+            break;
+        }
+        
+        case 'loadSnapshot': {
+            const text = await FileTransfer.choose('.json,application/json');
+            if (text === null) break;
+            try {
+                simulation.loadSnapshot(JSON.parse(text));
+            } catch (err) {
+                console.error('Failed to load snapshot:', err);
+                alert(`Could not load snapshot: ${err.message}`);
+            }
+            break;
+        }
+        
+        // Vector export records the current frame's draw calls, so it works in every render mode
+        case 'exportSvg': {
+            const { background, foreground } = baseRenderer.getColorScheme();
+            const recorder = new BaseRenderer(simulationConfig.module.containerId, {
+                width: window.innerWidth,
+                height: window.innerHeight,
+                renderMode: 'recording',
+                background,
+                foreground,
+                camera: baseRenderer.camera
+            });
+            simulation.render(recorder);
+            simulation.render(baseRenderer);
+            const name = simulationConfig.module.name.toLowerCase();
+            FileTransfer.download(recorder.toSvg(), `${name}.svg`, 'image/svg+xml');
+            break;
+        }
+        
+        // The camera belongs to the renderer, so view actions are application-level
+        case 'fitView':
+            baseRenderer.camera.fitBounds(simulation.getBounds(), {
+                width: window.innerWidth,
+                height: window.innerHeight
+            }, FIT_VIEW_PADDING);
+            simulation.render(baseRenderer);
+            break;
+        
+        case 'resetView':
+            baseRenderer.camera.reset();
+            simulation.render(baseRenderer);
+            break;
+        
+        // Screenshots and recordings capture the renderer's canvas (or rasterized SVG)
+        case 'screenshot': {
+            // Render first: a WebGPU canvas only holds its frame until the browser presents it
+            simulation.render(baseRenderer);
+            try {
+                const image = await FrameCapture.screenshot(baseRenderer);
+                const name = simulationConfig.module.name.toLowerCase();
+                FileTransfer.download(image, `${name}.png`, 'image/png');
+            } catch (err) {
+                console.error('Screenshot failed:', err);
+                alert(`Could not take a screenshot: ${err.message}`);
+            }
+            break;
+        }
+        
+        case 'toggleRecording':
+            await recordingSession.toggle(event.target);
+            break;
+        
+        case 'setRecordingFrameRate':
+            recordingSession.setFrameRate(parseControlValue(event.target.value, 'number'));
+            break;
+        
+        case 'setRecordingDuration':
+            recordingSession.setDuration(parseControlValue(event.target.value, 'number'));
+            break;
+        
         // For any other action, try to call it as a method on the simulation
         // This allows simulations to define custom actions (like setG, setTemperature, etc.)
         default: {
             // Check if the simulation has this method
             if (typeof simulation[action] === 'function') {
-                // Extract the value from the event
-                const value = event.target.value;
+                // Extract the value from the event (checkboxes report their checked state)
+                const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
                 // Find the corresponding control to get its type
                 const control = simulationControls.controls.find(c => c.action === action);
                 const controlType = control ? control.type : 'text';
@@ -279,6 +443,9 @@ function getResetParameters() {
  * @returns {*} Parsed value
  */
 function parseControlValue(value, type) {
+    if (type === 'checkbox') {
+        return value === true || value === 'true';
+    }
     if (type === 'number') {
         const parsed = parseFloat(value);
         return isNaN(parsed) ? 0 : parsed;
@@ -0,0 +1,170 @@
+/**
+ * Gravity Body Store - Struct-of-arrays storage for the bodies of a gravity simulation
+ *
+ * Positions and velocities live in a single Float64Array laid out as the engine's phase-space
+ * state vector [x0, y0, x1, y1, …, vx0, vy0, vx1, vy1, …], so integrators receive the state
+ * without packing and their result is copied straight back. Masses and ids are stored in
+ * parallel arrays. The arrays are sized to the body count and replaced, not resized, when
+ * bodies are added or removed (resets, mergers, absorbing boundaries).
+ *
+ * For code written against plain body objects, `bodies` returns live views that read and
+ * write the arrays. Views belong to the arrays they were created for; after load() they are stale.
+ */
+
+export class GravityBodyStore {
+    /**
+     * @param {Array<Object>} bodies - Initial bodies { id, x, y, vx, vy, mass }
+     */
+    constructor(bodies = []) {
+        this.load(bodies);
+    }
+
+    /**
+     * Replace the stored bodies
+     * The new arrays are filled before the old ones are released, so the bodies may be
+     * views onto this store (e.g. the survivors after a merger).
+     * @param {Array<Object>} bodies - Bodies { id, x, y, vx, vy, mass }
+     */
+    load(bodies) {
+        const count = bodies.length;
+        const phase = new Float64Array(4 * count);
+        const masses = new Float64Array(count);
+        const ids = new Float64Array(count);
+
+        bodies.forEach((body, i) => {
+            phase[2 * i] = body.x;
+            phase[2 * i + 1] = body.y;
+            phase[2 * count + 2 * i] = body.vx;
+            phase[2 * count + 2 * i + 1] = body.vy;
+            masses[i] = body.mass;
+            ids[i] = body.id;
+        });
+
+        this.setArrays({ phase, masses, ids });
+    }
+
+    /**
+     * Adopt existing arrays without copying them (e.g. arrays transferred from a worker)
+     * @param {Object} arrays - { phase, masses, ids } Float64Arrays; phase has 4 entries per body
+     */
+    setArrays({ phase, masses, ids }) {
+        const count = masses.length;
+        this.count = count;
+        this.phase = phase;
+        this.positions = phase.subarray(0, 2 * count);
+        this.velocities = phase.subarray(2 * count);
+        this.masses = masses;
+        this.ids = ids;
+        this._views = null;
+    }
+
+    /**
+     * Live object views of the bodies, created once per load
+     * @returns {Array<Object>} Views with id, x, y, vx, vy and mass accessors
+     */
+    get bodies() {
+        if (!this._views) {
+            this._views = Array.from({ length: this.count }, (_, i) => new BodyView(this, i));
+        }
+        return this._views;
+    }
+
+    /**
+     * Zero-copy view of the arrays, e.g. for renderers
+     * The arrays are the store's own; read them before the next step and do not modify them.
+     * @returns {Object} { count, ids, positions, velocities, masses }
+     */
+    getView() {
+        return {
+            count: this.count,
+            ids: this.ids,
+            positions: this.positions,
+            velocities: this.velocities,
+            masses: this.masses
+        };
+    }
+
+    /**
+     * Copy the bodies into new plain objects
+     * @returns {Array<Object>} Bodies { id, x, y, vx, vy, mass }
+     */
+    toObjects() {
+        const objects = new Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            objects[i] = {
+                id: this.ids[i],
+                x: this.positions[2 * i],
+                y: this.positions[2 * i + 1],
+                vx: this.velocities[2 * i],
+                vy: this.velocities[2 * i + 1],
+                mass: this.masses[i]
+            };
+        }
+        return objects;
+    }
+}
+
+/**
+ * Object-shaped accessor for one body in a GravityBodyStore
+ */
+class BodyView {
+    /**
+     * @param {GravityBodyStore} store - Store holding the body
+     * @param {number} index - Index of the body in the store
+     */
+    constructor(store, index) {
+        this._positions = store.positions;
+        this._velocities = store.velocities;
+        this._masses = store.masses;
+        this._ids = store.ids;
+        this._index = index;
+    }
+
+    get id() {
+        return this._ids[this._index];
+    }
+
+    set id(value) {
+        this._ids[this._index] = value;
+    }
+
+    get x() {
+        return this._positions[2 * this._index];
+    }
+
+    set x(value) {
+        this._positions[2 * this._index] = value;
+    }
+
+    get y() {
+        return this._positions[2 * this._index + 1];
+    }
+
+    set y(value) {
+        this._positions[2 * this._index + 1] = value;
+    }
+
+    get vx() {
+        return this._velocities[2 * this._index];
+    }
+
+    set vx(value) {
+        this._velocities[2 * this._index] = value;
+    }
+
+    get vy() {
+        return this._velocities[2 * this._index + 1];
+    }
+
+    set vy(value) {
+        this._velocities[2 * this._index + 1] = value;
+    }
+
+    get mass() {
+        return this._masses[this._index];
+    }
+
+    set mass(value) {
+        this._masses[this._index] = value;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Gravity Boundaries - Boundary conditions for the gravity engine
+ *
+ * Modes:
+ * - periodic:   bodies wrap around the edges and feel each other across the seam
+ *               (forces use the minimum-image separation)
+ * - reflective: bodies bounce off the walls, keeping `restitution` of their normal speed
+ * - open:       unbounded space, bodies may leave the visible area
+ * - absorbing:  bodies that cross an edge are removed
+ */
+
+// Display labels of the boundary modes, in display order
+const LABELS = {
+    periodic: 'Periodic (wrap)',
+    reflective: 'Reflective walls',
+    open: 'Open space',
+    absorbing: 'Absorbing edges'
+};
+
+export const GravityBoundaries = {
+    /**
+     * Supported boundary modes
+     * @constant {string[]}
+     */
+    MODES: Object.keys(LABELS),
+
+    /**
+     * Human-readable boundary mode name
+     * @param {string} mode - Boundary mode
+     * @returns {string} Label
+     */
+    getLabel(mode) {
+        GravityBoundaries.validate(mode);
+        return LABELS[mode];
+    },
+
+    /**
+     * Check that a boundary mode is supported
+     * @param {string} mode - Boundary mode
+     * @throws {Error} If the mode is unknown
+     */
+    validate(mode) {
+        if (!GravityBoundaries.MODES.includes(mode)) {
+            throw new Error(`Unknown boundary mode: ${mode}`);
+        }
+    },
+
+    /**
+     * Shortest displacement along one axis of a periodic domain
+     * @param {number} delta - Raw displacement
+     * @param {number} size - Domain size along the axis
+     * @returns {number} Displacement in [-size/2, size/2]
+     */
+    minimumImage(delta, size) {
+        return delta - size * Math.round(delta / size);
+    },
+
+    /**
+     * Wrap a coordinate into [0, size)
+     * @param {number} value - Coordinate
+     * @param {number} size - Domain size
+     * @returns {number} Wrapped coordinate
+     */
+    wrap(value, size) {
+        return ((value % size) + size) % size;
+    },
+
+    /**
+     * Apply the boundary condition to every body after a step
+     * Positions and velocities are modified in place.
+     *
+     * @param {string} mode - Boundary mode
+     * @param {Array<Object>} bodies - Bodies with x, y, vx, vy
+     * @param {number} width - World width
+     * @param {number} height - World height
+     * @param {number} restitution - Fraction of normal speed kept by reflective walls
+     * @returns {Array<Object>} Bodies remaining in the simulation (the same array unless some were absorbed)
+     */
+    apply(mode, bodies, width, height, restitution = 1) {
+        switch (mode) {
+            case 'periodic':
+                for (const body of bodies) {
+                    body.x = GravityBoundaries.wrap(body.x, width);
+                    body.y = GravityBoundaries.wrap(body.y, height);
+                }
+                return bodies;
+
+            case 'reflective':
+                for (const body of bodies) {
+                    [body.x, body.vx] = reflect(body.x, body.vx, width, restitution);
+                    [body.y, body.vy] = reflect(body.y, body.vy, height, restitution);
+                }
+                return bodies;
+
+            case 'absorbing': {
+                const inside = bodies.filter(body =>
+                    body.x >= 0 && body.x <= width && body.y >= 0 && body.y <= height
+                );
+                return inside.length === bodies.length ? bodies : inside;
+            }
+
+            case 'open':
+                return bodies;
+
+            default:
+                throw new Error(`Unknown boundary mode: ${mode}`);
+        }
+    }
+};
+
+/**
+ * Reflect a coordinate off the walls at 0 and size
+ * @param {number} position - Coordinate
+ * @param {number} velocity - Velocity along the same axis
+ * @param {number} size - Domain size
+ * @param {number} restitution - Fraction of speed kept after the bounce
+ * @returns {Array<number>} [position, velocity] after reflection
+ */
+function reflect(position, velocity, size, restitution) {
+    if (position < 0) {
+        return [Math.min(-position, size), -velocity * restitution];
+    }
+    if (position > size) {
+        return [Math.max(2 * size - position, 0), -velocity * restitution];
+    }
+    return [position, velocity];
+}
@@ -0,0 +1,139 @@
+/**
+ * Gravity Camera Tracker - Chooses the world point the view should keep centred
+ * Works on the engine's body arrays (see GravityBodyStore.getView()) and returns a point for
+ * the application to centre the camera on, so the physics layer never touches the renderer.
+ *
+ * The returned focus moves a fraction (`smoothing`) of the way to the target each frame so the
+ * view glides instead of jittering. A target that jumps more than half the world size (a
+ * wrap-around through a periodic boundary) moves the focus by the same jump at once, so the
+ * view follows the body across the edge instead of sweeping over the whole world.
+ */
+
+// Camera modes and their display labels; 'free' leaves the camera to the user
+const CAMERA_LABELS = {
+    free: 'Free',
+    body: 'Follow body',
+    heaviest: 'Heaviest body',
+    centerOfMass: 'Centre of mass'
+};
+const CAMERA_MODES = Object.keys(CAMERA_LABELS);
+
+export class GravityCameraTracker {
+    constructor() {
+        this.focus = null;      // Smoothed point last returned, or null when not tracking
+        this.lastTarget = null; // Unsmoothed target of the last update, for detecting wrap-arounds
+    }
+
+    /**
+     * Available camera modes
+     * @returns {Array<string>} Mode names
+     */
+    static modes() {
+        return [...CAMERA_MODES];
+    }
+
+    /**
+     * Human-readable camera mode name
+     * @param {string} mode - Mode name
+     * @returns {string} Label
+     */
+    static getLabel(mode) {
+        GravityCameraTracker.validateMode(mode);
+        return CAMERA_LABELS[mode];
+    }
+
+    /**
+     * Check that a camera mode exists
+     * @param {string} mode - Mode name
+     * @throws {Error} If the mode is unknown
+     */
+    static validateMode(mode) {
+        if (!CAMERA_MODES.includes(mode)) {
+            throw new Error(`Unknown camera mode: ${mode} (expected one of ${CAMERA_MODES.join(', ')})`);
+        }
+    }
+
+    /**
+     * The point a mode tracks, without smoothing
+     * @param {Object} view - Body arrays { count, ids, positions, masses }
+     * @param {string} mode - Camera mode
+     * @param {number} bodyId - Id of the body followed in 'body' mode
+     * @returns {Object|null} World point { x, y }, or null if there is nothing to track
+     */
+    static target({ count, ids, positions, masses }, mode, bodyId) {
+        switch (mode) {
+            case 'body': {
+                for (let i = 0; i < count; i++) {
+                    if (ids[i] === bodyId) {
+                        return { x: positions[2 * i], y: positions[2 * i + 1] };
+                    }
+                }
+                return null;
+            }
+            case 'heaviest': {
+                let heaviest = -1;
+                for (let i = 0; i < count; i++) {
+                    if (heaviest === -1 || masses[i] > masses[heaviest]) {
+                        heaviest = i;
+                    }
+                }
+                return heaviest === -1 ? null : { x: positions[2 * heaviest], y: positions[2 * heaviest + 1] };
+            }
+            case 'centerOfMass': {
+                let totalMass = 0;
+                let x = 0;
+                let y = 0;
+                for (let i = 0; i < count; i++) {
+                    totalMass += masses[i];
+                    x += masses[i] * positions[2 * i];
+                    y += masses[i] * positions[2 * i + 1];
+                }
+                return totalMass > 0 ? { x: x / totalMass, y: y / totalMass } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Advance the smoothed focus towards the current target; call once per rendered frame
+     * @param {Object} view - Body arrays { count, ids, positions, masses }
+     * @param {Object} options - Tracking options
+     * @param {string} options.mode - Camera mode
+     * @param {number} options.bodyId - Id of the body followed in 'body' mode
+     * @param {number} options.smoothing - Fraction of the remaining distance moved per frame (1 = no smoothing)
+     * @param {number} options.width - World width
+     * @param {number} options.height - World height
+     * @returns {Object|null} World point { x, y } to centre the view on, or null to leave the camera alone
+     * @throws {Error} If the mode is unknown
+     */
+    update(view, { mode, bodyId, smoothing, width, height }) {
+        GravityCameraTracker.validateMode(mode);
+        const target = GravityCameraTracker.target(view, mode, bodyId);
+        if (!target) {
+            this.reset();
+            return null;
+        }
+
+        const last = this.lastTarget;
+        if (!this.focus) {
+            this.focus = { ...target };
+        } else if (Math.abs(target.x - last.x) > width / 2 || Math.abs(target.y - last.y) > height / 2) {
+            this.focus.x += target.x - last.x;
+            this.focus.y += target.y - last.y;
+        } else {
+            this.focus.x += (target.x - this.focus.x) * smoothing;
+            this.focus.y += (target.y - this.focus.y) * smoothing;
+        }
+        this.lastTarget = target;
+        return { ...this.focus };
+    }
+
+    /**
+     * Forget the smoothed focus, so the next update starts exactly on its target
+     */
+    reset() {
+        this.focus = null;
+        this.lastTarget = null;
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Gravity Collisions - Overlap detection and resolution between bodies
+ *
+ * Bodies are discs of radius √mass × sizeMultiplier, the same radius the renderer draws.
+ *
+ * Modes:
+ * - none:   bodies pass through each other (only softening limits close encounters)
+ * - merge:  perfectly inelastic merger conserving mass and momentum; the heavier body
+ *           keeps its id so trails and other per-id state follow the survivor
+ * - bounce: elastic collision along the line of centres
+ */
+
+import { GravityBoundaries } from './gravity-boundaries.js';
+
+// Display labels of the collision modes, in display order
+const LABELS = {
+    none: 'None (pass through)',
+    merge: 'Merge',
+    bounce: 'Elastic bounce'
+};
+
+export const GravityCollisions = {
+    /**
+     * Supported collision modes
+     * @constant {string[]}
+     */
+    MODES: Object.keys(LABELS),
+
+    /**
+     * Human-readable collision mode name
+     * @param {string} mode - Collision mode
+     * @returns {string} Label
+     */
+    getLabel(mode) {
+        GravityCollisions.validate(mode);
+        return LABELS[mode];
+    },
+
+    /**
+     * Check that a collision mode is supported
+     * @param {string} mode - Collision mode
+     * @throws {Error} If the mode is unknown
+     */
+    validate(mode) {
+        if (!GravityCollisions.MODES.includes(mode)) {
+            throw new Error(`Unknown collision mode: ${mode}`);
+        }
+    },
+
+    /**
+     * Collision radius of a body
+     * @param {number} mass - Body mass
+     * @param {number} sizeMultiplier - Radius per √mass
+     * @returns {number} Radius
+     */
+    radius(mass, sizeMultiplier) {
+        return Math.sqrt(mass) * sizeMultiplier;
+    },
+
+    /**
+     * Find all pairs of overlapping bodies with a sweep along the x axis
+     * Bodies are sorted by x, and each body is only compared with neighbours whose
+     * x is within its radius plus the largest radius. In a periodic domain the sweep
+     * also continues across the right edge and separations use the minimum image.
+     *
+     * @param {Array<Object>} bodies - Bodies with x, y and mass
+     * @param {number} sizeMultiplier - Radius per √mass
+     * @param {Object|null} period - { width, height } of a periodic domain, or null
+     * @returns {Array<Array<number>>} Index pairs [i, j] with i < j, sorted by i then j
+     */
+    findOverlaps(bodies, sizeMultiplier, period = null) {
+        const radii = bodies.map(body => GravityCollisions.radius(body.mass, sizeMultiplier));
+        const maxRadius = radii.reduce((max, r) => Math.max(max, r), 0);
+        const order = bodies.map((_, i) => i).sort((a, b) => bodies[a].x - bodies[b].x);
+        const pairs = new Map();
+
+        const test = (i, j) => {
+            if (i === j) return;
+            const key = i < j ? `${i},${j}` : `${j},${i}`;
+            if (pairs.has(key)) return;
+            const { dx, dy } = separation(bodies[i], bodies[j], period);
+            const reach = radii[i] + radii[j];
+            if (dx * dx + dy * dy < reach * reach) {
+                pairs.set(key, i < j ? [i, j] : [j, i]);
+            }
+        };
+
+        for (let a = 0; a < order.length; a++) {
+            const i = order[a];
+            const window = radii[i] + maxRadius;
+            for (let b = a + 1; b < order.length && bodies[order[b]].x - bodies[i].x <= window; b++) {
+                test(i, order[b]);
+            }
+            if (period && bodies[i].x + window > period.width) {
+                for (let b = 0; b < a && bodies[order[b]].x + period.width - bodies[i].x <= window; b++) {
+                    test(i, order[b]);
+                }
+            }
+        }
+
+        return [...pairs.values()].sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+    },
+
+    /**
+     * Detect and resolve collisions
+     * Bounces modify velocities in place. Mergers leave the input bodies untouched and
+     * return a new array holding a new object for each merged body, so callers can still
+     * measure the system as it was before. Each body takes part in at most one merger per
+     * call, so a cluster of touching bodies coalesces over successive steps.
+     *
+     * @param {string} mode - Collision mode
+     * @param {Array<Object>} bodies - Bodies with id, x, y, vx, vy and mass
+     * @param {number} sizeMultiplier - Radius per √mass
+     * @param {Object|null} period - { width, height } of a periodic domain, or null
+     * @returns {Array<Object>} Bodies remaining in the simulation (the same array unless some merged)
+     */
+    resolve(mode, bodies, sizeMultiplier, period = null) {
+        if (mode === 'none') {
+            return bodies;
+        }
+        GravityCollisions.validate(mode);
+
+        const pairs = GravityCollisions.findOverlaps(bodies, sizeMultiplier, period);
+        if (pairs.length === 0) {
+            return bodies;
+        }
+
+        if (mode === 'bounce') {
+            for (const [i, j] of pairs) {
+                bounce(bodies[i], bodies[j], period);
+            }
+            return bodies;
+        }
+
+        const result = bodies.slice();
+        const merged = new Set();
+        const absorbed = new Set();
+        for (const [i, j] of pairs) {
+            if (merged.has(i) || merged.has(j)) continue;
+            const [survivor, victim] = outranks(bodies[j], bodies[i]) ? [j, i] : [i, j];
+            result[survivor] = merge(bodies[survivor], bodies[victim], period);
+            merged.add(i).add(j);
+            absorbed.add(victim);
+        }
+        return result.filter((_, i) => !absorbed.has(i));
+    }
+};
+
+/**
+ * Separation from one body to another, using the minimum image in a periodic domain
+ * @param {Object} from - First body
+ * @param {Object} to - Second body
+ * @param {Object|null} period - { width, height } or null
+ * @returns {Object} { dx, dy }
+ */
+function separation(from, to, period) {
+    let dx = to.x - from.x;
+    let dy = to.y - from.y;
+    if (period) {
+        dx = GravityBoundaries.minimumImage(dx, period.width);
+        dy = GravityBoundaries.minimumImage(dy, period.height);
+    }
+    return { dx, dy };
+}
+
+/**
+ * Whether body a survives a merger with body b: the heavier wins, ties go to the lower id
+ * @param {Object} a - Body
+ * @param {Object} b - Body
+ * @returns {boolean} True if a survives
+ */
+function outranks(a, b) {
+    return a.mass > b.mass || (a.mass === b.mass && a.id < b.id);
+}
+
+/**
+ * Merge two bodies, conserving mass, momentum and centre of mass
+ * @param {Object} survivor - Body whose id the merged body keeps
+ * @param {Object} victim - Body being absorbed
+ * @param {Object|null} period - { width, height } or null
+ * @returns {Object} New merged body
+ */
+function merge(survivor, victim, period) {
+    const mass = survivor.mass + victim.mass;
+    const { dx, dy } = separation(survivor, victim, period);
+    let x = survivor.x + dx * victim.mass / mass;
+    let y = survivor.y + dy * victim.mass / mass;
+    if (period) {
+        x = GravityBoundaries.wrap(x, period.width);
+        y = GravityBoundaries.wrap(y, period.height);
+    }
+    return {
+        id: survivor.id,
+        x,
+        y,
+        vx: (survivor.mass * survivor.vx + victim.mass * victim.vx) / mass,
+        vy: (survivor.mass * survivor.vy + victim.mass * victim.vy) / mass,
+        mass
+    };
+}
+
+/**
+ * Elastic collision along the line of centres, applied only while the bodies approach
+ * so an overlapping pair does not bounce back and forth
+ * @param {Object} a - Body (modified in place)
+ * @param {Object} b - Body (modified in place)
+ * @param {Object|null} period - { width, height } or null
+ */
+function bounce(a, b, period) {
+    const { dx, dy } = separation(a, b, period);
+    const distance = Math.hypot(dx, dy);
+    if (distance === 0) return;
+
+    const nx = dx / distance;
+    const ny = dy / distance;
+    const approachSpeed = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+    if (approachSpeed <= 0) return;
+
+    const impulse = 2 * approachSpeed / (a.mass + b.mass);
+    a.vx -= impulse * b.mass * nx;
+    a.vy -= impulse * b.mass * ny;
+    b.vx += impulse * a.mass * nx;
+    b.vy += impulse * a.mass * ny;
+}
@@ -33,7 +33,9 @@ export const GravityConfig = {
         // Initial parameters for the simulation constructor
         initialParams: {
             bodyCount: 3,
-            G: 1.0
+            G: 1.0,
+            // Initial-condition scenario (see gravity-scenarios.js)
+            scenario: 'random'
         },
         
         // Container element ID for the renderer
@@ -63,6 +65,24 @@ export const GravityConfig = {
         trailOpacity: 0.3,
         trailFadeRate: 0.95,
         
+        // Camera tracking: 'free', 'body' (cameraBodyId), 'heaviest' or 'centerOfMass'
+        // (see gravity-camera-tracker.js); smoothing is the fraction of the remaining
+        // distance the view moves per frame (1 = no smoothing)
+        cameraMode: 'free',
+        cameraBodyId: 0,
+        cameraSmoothing: 0.15,
+        
+        // Diagnostics panel settings
+        showDiagnostics: false,
+        diagnosticsSeries: ['totalEnergy', 'bodyCount', 'stepTime', 'droppedTime'],
+        diagnosticsHistoryLength: 300,
+        diagnosticsPanelCorner: 'bottom-right',
+        diagnosticsPanelWidth: 320,
+        diagnosticsPanelHeight: 320,
+        diagnosticsBackground: '#000000',
+        diagnosticsForeground: '#ffffff',
+        diagnosticsOpacity: 0.7,
+        
         // Grid settings
         showGrid: true,
         gridColor: '#e0e0e0',
@@ -74,12 +94,63 @@ export const GravityConfig = {
     },
 
     engine: {
-        // Integrator
+        // Integrator (any function in Integrators / IntegratorRegistry, e.g. rk4, verlet, leapfrog, yoshida4)
         integrator: Integrators.rk4,
         
+        // Adaptive time stepping: integrate with error-controlled Dormand-Prince steps instead of
+        // the integrator above; quiet systems take steps longer than the time step and are read
+        // from the dense output in between
+        adaptiveTimeStep: false,
+        
+        // Error tolerance per adaptive step (relative and absolute)
+        tolerance: 1e-6,
+        
+        // Smallest adaptive step as a fraction of the time step
+        minStepFraction: 1e-4,
+        
+        // Most adaptive step attempts per time step; time left uncovered is dropped (droppedTime)
+        maxAdaptiveSteps: 10000,
+        
         // Constants
         softeningFactor: 5,
         
+        // Random seed for generating bodies - null picks a new seed for every engine
+        seed: null,
+        
+        // Initial conditions: 'random', 'disk', 'plummer', 'collidingClusters', 'binaryPlanets',
+        // 'solarSystem' or 'figureEight' (see gravity-scenarios.js)
+        scenario: 'random',
+        
+        // Force solver: 'direct' (exact pairwise sum, O(N²)) or 'barnesHut' (quadtree, O(N log N))
+        forceSolver: 'direct',
+        
+        // Barnes-Hut opening angle θ - smaller is more accurate, 0 reproduces the direct sum
+        openingAngle: 0.5,
+        
+        // Boundary condition: 'periodic' (wrap, minimum-image forces), 'reflective', 'open' or 'absorbing'
+        boundary: 'periodic',
+        
+        // Fraction of normal speed kept when bouncing off reflective walls
+        restitution: 1.0,
+        
+        // Collisions between overlapping bodies: 'none', 'merge' (inelastic, conserves momentum) or 'bounce' (elastic)
+        collisions: 'none',
+        
+        // Collision radius per √mass - null uses the renderer's bodySizeMultiplier so bodies touch where they are drawn
+        collisionRadiusMultiplier: null,
+        
+        // Most physics steps run per animation frame at speed 1 before the loop drops the backlog;
+        // faster speeds raise the limit in proportion (see SimulationLoop.substepLimit)
+        maxSubsteps: 8,
+        
+        // Run the engine in a Web Worker so large N does not block the UI (GravitySimulation only;
+        // ignored where Workers are unavailable)
+        useWorker: false,
+        
+        // Steps between energy/momentum diagnostics (O(N²) potential sum; O(N log N) with the
+        // barnesHut solver, which estimates the potential with its tree) - 0 disables updates
+        diagnosticsInterval: 1,
+        
         // Mass power law generator
         minMass: 2,
         maxMass: 10000,
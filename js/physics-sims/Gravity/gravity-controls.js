@@ -6,6 +6,21 @@
  */
 
 import { ISimulationControls } from '../controls-interface.js';
+import { IntegratorRegistry } from '../../integrators/integrators.js';
+import { GravityScenarios } from './gravity-scenarios.js';
+import { GravityBoundaries } from './gravity-boundaries.js';
+import { GravityCollisions } from './gravity-collisions.js';
+import { GravityCameraTracker } from './gravity-camera-tracker.js';
+
+/**
+ * Select options for a list of names labelled by the module that defines them
+ * @param {Array<string>} names - Option values
+ * @param {Function} getLabel - Returns the label of a name
+ * @returns {Array<Object>} Options { value, label }
+ */
+function labelledOptions(names, getLabel) {
+    return names.map(name => ({ value: name, label: getLabel(name) }));
+}
 
 export const GravityControls = {
     // Control definitions for the gravity simulation
@@ -28,6 +43,93 @@ export const GravityControls = {
             label: 'Reset',
             action: 'reset'
         },
+        {
+            id: 'gravity-step',
+            type: 'button',
+            label: 'Step once',
+            action: 'stepOnce'
+        },
+        {
+            id: 'gravity-save',
+            type: 'button',
+            label: 'Save',
+            action: 'saveSnapshot'
+        },
+        {
+            id: 'gravity-load',
+            type: 'button',
+            label: 'Load',
+            action: 'loadSnapshot'
+        },
+        {
+            id: 'gravity-export-svg',
+            type: 'button',
+            label: 'Export SVG',
+            action: 'exportSvg'
+        },
+        {
+            id: 'gravity-screenshot',
+            type: 'button',
+            label: 'Screenshot',
+            action: 'screenshot'
+        },
+        {
+            id: 'gravity-record',
+            type: 'button',
+            label: 'Record',
+            action: 'toggleRecording'
+        },
+        {
+            id: 'gravity-record-fps',
+            type: 'number',
+            label: 'Video FPS',
+            min: 1,
+            max: 60,
+            value: 30,
+            action: 'setRecordingFrameRate'
+        },
+        {
+            id: 'gravity-record-duration',
+            type: 'number',
+            label: 'Video seconds',
+            min: 1,
+            max: 120,
+            value: 10,
+            action: 'setRecordingDuration'
+        },
+        {
+            id: 'gravity-fit-view',
+            type: 'button',
+            label: 'Fit view',
+            action: 'fitView'
+        },
+        {
+            id: 'gravity-reset-view',
+            type: 'button',
+            label: 'Reset view',
+            action: 'resetView'
+        },
+        {
+            id: 'gravity-camera-mode',
+            type: 'select',
+            label: 'Camera',
+            get options() {
+                return labelledOptions(GravityCameraTracker.modes(), GravityCameraTracker.getLabel);
+            },
+            value: 'free',
+            action: 'setCameraMode',
+            stateKey: 'cameraMode'
+        },
+        {
+            id: 'gravity-camera-body',
+            type: 'number',
+            label: 'Followed body id',
+            min: 0,
+            step: 1,
+            value: 0,
+            action: 'setTrackedBody',
+            stateKey: 'cameraBodyId'
+        },
         {
             id: 'gravity-bodies',
             type: 'number',
@@ -45,6 +147,106 @@ export const GravityControls = {
             value: 1.0,
             action: 'setG'
         },
+        {
+            id: 'gravity-speed',
+            type: 'number',
+            label: 'Speed',
+            min: 0.1,
+            max: 10,
+            step: 0.1,
+            value: 1,
+            action: 'setSpeed',
+            stateKey: 'speed'
+        },
+        {
+            id: 'gravity-reverse',
+            type: 'checkbox',
+            label: 'Reverse time',
+            value: false,
+            action: 'setReversed',
+            stateKey: 'reversed'
+        },
+        {
+            id: 'gravity-scenario',
+            type: 'select',
+            label: 'Scenario',
+            get options() {
+                return labelledOptions(GravityScenarios.names(), GravityScenarios.getLabel);
+            },
+            value: 'random',
+            action: 'setScenario',
+            stateKey: 'scenario'
+        },
+        {
+            id: 'gravity-integrator',
+            type: 'select',
+            label: 'Integrator',
+            // Read when the controls are built, so integrators registered before then are listed
+            get options() {
+                return IntegratorRegistry.list().map(({ name, label, order }) => ({
+                    value: name,
+                    label: `${label} (order ${order})`
+                }));
+            },
+            value: 'rk4',
+            action: 'setIntegrator',
+            stateKey: 'integrator'
+        },
+        {
+            id: 'gravity-adaptive',
+            type: 'checkbox',
+            label: 'Adaptive time step',
+            value: false,
+            action: 'setAdaptiveTimeStep',
+            stateKey: 'adaptiveTimeStep'
+        },
+        {
+            id: 'gravity-seed',
+            type: 'text',
+            label: 'Seed',
+            placeholder: 'random',
+            value: '',
+            action: 'setSeed',
+            stateKey: 'seed'
+        },
+        {
+            id: 'gravity-boundary',
+            type: 'select',
+            label: 'Boundary',
+            get options() {
+                return labelledOptions(GravityBoundaries.MODES, GravityBoundaries.getLabel);
+            },
+            value: 'periodic',
+            action: 'setBoundary',
+            stateKey: 'boundary'
+        },
+        {
+            id: 'gravity-collisions',
+            type: 'select',
+            label: 'Collisions',
+            get options() {
+                return labelledOptions(GravityCollisions.MODES, GravityCollisions.getLabel);
+            },
+            value: 'none',
+            action: 'setCollisions',
+            stateKey: 'collisions'
+        },
+        {
+            id: 'gravity-trails',
+            type: 'checkbox',
+            label: 'Trails',
+            value: false,
+            action: 'setShowTrails',
+            stateKey: 'showTrails'
+        },
+        {
+            id: 'gravity-diagnostics',
+            type: 'checkbox',
+            label: 'Diagnostics',
+            value: false,
+            action: 'setShowDiagnostics',
+            stateKey: 'showDiagnostics'
+        },
         {
             id: 'renderer-mode',
             type: 'select',
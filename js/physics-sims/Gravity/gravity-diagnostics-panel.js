@@ -0,0 +1,169 @@
+/**
+ * Gravity Diagnostics Panel - Rolling time-series charts drawn in a corner of the scene
+ * Plots recorded diagnostics (energy, body count, step time, ...) using only the
+ * addRectangle / addCurve / addAxis primitives, so it works on any renderer backend
+ * that implements them. The panel is an overlay in screen pixels: it is placed in a corner
+ * of the viewport, whatever part of the world the camera shows.
+ */
+
+import { GravityConfig } from './gravity-config.js';
+
+// Display metadata for the quantities the simulation records
+const SERIES = {
+    totalEnergy: { label: 'Total energy', color: '#f39c12' },
+    kineticEnergy: { label: 'Kinetic energy', color: '#e74c3c' },
+    potentialEnergy: { label: 'Potential energy', color: '#3498db' },
+    energyDrift: { label: 'Energy drift', color: '#e67e22' },
+    angularMomentumDrift: { label: 'Angular momentum drift', color: '#9b59b6' },
+    bodyCount: { label: 'Bodies', color: '#2ecc71' },
+    dt: { label: 'Step size (dt)', color: '#f1c40f' },
+    substeps: { label: 'Substeps', color: '#95a5a6' },
+    stepTime: { label: 'Step time (ms)', color: '#1abc9c' },
+    droppedTime: { label: 'Dropped time', color: '#c0392b' }
+};
+
+// Fallbacks for settings missing from the panel's config
+const DEFAULTS = GravityConfig.renderer;
+
+// Space reserved around each chart for tick labels and titles (pixels)
+const MARGIN = { left: 64, right: 12, top: 18, bottom: 22 };
+
+export class GravityDiagnosticsPanel {
+    /**
+     * @param {Object} config - Renderer configuration (GravityConfig.renderer plus overrides)
+     */
+    constructor(config) {
+        this.config = config;
+    }
+
+    /**
+     * Draw the panel
+     * @param {BaseRenderer} renderer - Renderer to draw with
+     * @param {TimeSeries} history - Recorded diagnostics samples
+     * @param {number} width - Viewport width in screen pixels
+     * @param {number} height - Viewport height in screen pixels
+     */
+    render(renderer, history, width, height) {
+        const names = (this.config.diagnosticsSeries || []).filter(name => SERIES[name]);
+        if (names.length === 0) return;
+
+        const panel = this._getPanelBounds(width, height);
+        const foreground = this.config.diagnosticsForeground || DEFAULTS.diagnosticsForeground;
+
+        renderer.addRectangle(panel.x, panel.y, panel.width, panel.height, {
+            fill: this.config.diagnosticsBackground || DEFAULTS.diagnosticsBackground,
+            stroke: foreground,
+            strokeWidth: 1,
+            opacity: this.config.diagnosticsOpacity ?? DEFAULTS.diagnosticsOpacity
+        });
+
+        const rowHeight = panel.height / names.length;
+        names.forEach((name, row) => {
+            this._drawChart(renderer, history, name, {
+                x: panel.x,
+                y: panel.y + row * rowHeight,
+                width: panel.width,
+                height: rowHeight
+            }, foreground, row === names.length - 1);
+        });
+    }
+
+    /**
+     * Position the panel in the configured corner of the viewport
+     * @private
+     * @param {number} width - Viewport width in screen pixels
+     * @param {number} height - Viewport height in screen pixels
+     * @returns {Object} Panel bounds { x, y, width, height }
+     */
+    _getPanelBounds(width, height) {
+        const panelWidth = this.config.diagnosticsPanelWidth || DEFAULTS.diagnosticsPanelWidth;
+        const panelHeight = this.config.diagnosticsPanelHeight || DEFAULTS.diagnosticsPanelHeight;
+        const inset = 20;
+        const corner = this.config.diagnosticsPanelCorner || DEFAULTS.diagnosticsPanelCorner;
+
+        return {
+            x: corner.endsWith('left') ? inset : width - panelWidth - inset,
+            y: corner.startsWith('top') ? inset : height - panelHeight - inset,
+            width: panelWidth,
+            height: panelHeight
+        };
+    }
+
+    /**
+     * Draw one quantity's chart inside a row of the panel
+     * @private
+     * @param {BaseRenderer} renderer - Renderer to draw with
+     * @param {TimeSeries} history - Recorded samples
+     * @param {string} name - Quantity name
+     * @param {Object} bounds - Row bounds { x, y, width, height }
+     * @param {string} foreground - Axis colour
+     * @param {boolean} isLastRow - Whether to label the shared time axis
+     */
+    _drawChart(renderer, history, name, bounds, foreground, isLastRow) {
+        const points = history.getSeries(name);
+        const plot = {
+            x: bounds.x + MARGIN.left,
+            y: bounds.y + MARGIN.top,
+            width: bounds.width - MARGIN.left - MARGIN.right,
+            height: bounds.height - MARGIN.top - MARGIN.bottom
+        };
+        const range = GravityDiagnosticsPanel._valueRange(points);
+        const t0 = points.length > 0 ? points[0].t : 0;
+        const t1 = points.length > 1 ? points[points.length - 1].t : t0 + 1;
+        const axisStyle = { stroke: foreground, strokeWidth: 1, fontSize: 10, labelOffset: 6, tickLength: 3 };
+
+        renderer.addAxis('y', plot.x, range.min, range.max, {
+            ...axisStyle,
+            start: plot.y,
+            length: plot.height,
+            ticks: 2,
+            tickFormat: 'auto',
+            label: SERIES[name].label
+        });
+        renderer.addAxis('x', plot.y + plot.height, t0, t1, {
+            ...axisStyle,
+            start: plot.x,
+            length: plot.width,
+            ticks: 4,
+            tickFormat: 'auto',
+            showLabels: isLastRow
+        });
+
+        if (points.length < 2) return;
+
+        const scaleX = plot.width / (t1 - t0);
+        const scaleY = plot.height / (range.max - range.min);
+        renderer.addCurve(points.map(point => ({
+            x: plot.x + (point.t - t0) * scaleX,
+            y: plot.y + plot.height - (point.value - range.min) * scaleY
+        })), {
+            stroke: SERIES[name].color,
+            strokeWidth: 1.5,
+            fill: 'none',
+            opacity: 1
+        });
+    }
+
+    /**
+     * Value range of a series, widened when flat so the chart has non-zero height
+     * @private
+     * @param {Array<Object>} points - Points { t, value }
+     * @returns {Object} { min, max }
+     */
+    static _valueRange(points) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const point of points) {
+            if (point.value < min) min = point.value;
+            if (point.value > max) max = point.value;
+        }
+        if (points.length === 0) {
+            return { min: 0, max: 1 };
+        }
+        if (max - min < 1e-12) {
+            const pad = Math.abs(max) * 0.1 || 1;
+            return { min: min - pad, max: max + pad };
+        }
+        return { min, max };
+    }
+}
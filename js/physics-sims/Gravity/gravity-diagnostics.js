@@ -0,0 +1,174 @@
+/**
+ * Gravity Diagnostics - Conserved quantities of an N-body system
+ * Used to measure numerical drift so integrators and time steps can be compared objectively
+ *
+ * All quantities are pure functions of the body list; no DOM or engine state is touched.
+ */
+
+import { GravityBoundaries } from './gravity-boundaries.js';
+import { GravityQuadtree } from './gravity-quadtree.js';
+
+export const GravityDiagnostics = {
+    /**
+     * Compute energy, momentum, angular momentum and centre of mass
+     * The potential uses the same Plummer softening as the engine's force law,
+     * so total energy is exactly conserved by the continuous equations of motion.
+     * Angular momentum is measured about the centre of mass. A positive opening angle
+     * estimates the potential with a Barnes-Hut tree instead of the O(N²) pairwise sum.
+     *
+     * @param {Array<Object>} bodies - Bodies with x, y, vx, vy and mass
+     * @param {number} G - Gravitational constant
+     * @param {number} softening - Softening length used by the force calculation
+     * @param {Object|null} period - { width, height } of a periodic domain (minimum-image separations), or null
+     * @param {number} openingAngle - Barnes-Hut opening angle θ for the potential; 0 for the exact sum
+     * @returns {Object} { kineticEnergy, potentialEnergy, totalEnergy, momentum: {x, y},
+     *                     angularMomentum, centerOfMass: {x, y}, totalMass, momentumScale }
+     */
+    compute(bodies, G, softening, period = null, openingAngle = 0) {
+        let totalMass = 0;
+        let comX = 0, comY = 0;
+        let px = 0, py = 0;
+        let kineticEnergy = 0;
+        let momentumScale = 0;
+
+        for (const body of bodies) {
+            totalMass += body.mass;
+            comX += body.mass * body.x;
+            comY += body.mass * body.y;
+            px += body.mass * body.vx;
+            py += body.mass * body.vy;
+            const speedSquared = body.vx * body.vx + body.vy * body.vy;
+            kineticEnergy += 0.5 * body.mass * speedSquared;
+            momentumScale += body.mass * Math.sqrt(speedSquared);
+        }
+        if (totalMass > 0) {
+            comX /= totalMass;
+            comY /= totalMass;
+        }
+
+        let angularMomentum = 0;
+        for (const body of bodies) {
+            angularMomentum += body.mass * ((body.x - comX) * body.vy - (body.y - comY) * body.vx);
+        }
+
+        const potentialEnergy = openingAngle > 0
+            ? GravityDiagnostics.treePotentialEnergy(bodies, G, softening, period, openingAngle)
+            : GravityDiagnostics.potentialEnergy(bodies, G, softening, period);
+
+        return {
+            kineticEnergy,
+            potentialEnergy,
+            totalEnergy: kineticEnergy + potentialEnergy,
+            momentum: { x: px, y: py },
+            angularMomentum,
+            centerOfMass: { x: comX, y: comY },
+            totalMass,
+            momentumScale
+        };
+    },
+
+    /**
+     * Softened gravitational potential energy: U = -Σ G mᵢ mⱼ / √(r² + ε²)
+     * @param {Array<Object>} bodies - Bodies with x, y and mass
+     * @param {number} G - Gravitational constant
+     * @param {number} softening - Softening length
+     * @param {Object|null} period - { width, height } of a periodic domain, or null
+     * @returns {number} Potential energy
+     */
+    potentialEnergy(bodies, G, softening, period = null) {
+        const softeningSquared = softening * softening;
+        let energy = 0;
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                let dx = bodies[j].x - bodies[i].x;
+                let dy = bodies[j].y - bodies[i].y;
+                if (period) {
+                    dx = GravityBoundaries.minimumImage(dx, period.width);
+                    dy = GravityBoundaries.minimumImage(dy, period.height);
+                }
+                energy -= G * bodies[i].mass * bodies[j].mass / Math.sqrt(dx * dx + dy * dy + softeningSquared);
+            }
+        }
+        return energy;
+    },
+
+    /**
+     * Barnes-Hut estimate of the softened potential energy in O(N log N)
+     * Each body sums its interactions with the tree, so every pair is counted twice.
+     * @param {Array<Object>} bodies - Bodies with x, y and mass
+     * @param {number} G - Gravitational constant
+     * @param {number} softening - Softening length
+     * @param {Object|null} period - { width, height } of a periodic domain, or null
+     * @param {number} openingAngle - Barnes-Hut opening angle θ
+     * @returns {number} Potential energy
+     */
+    treePotentialEnergy(bodies, G, softening, period, openingAngle) {
+        const softeningSquared = softening * softening;
+        const tree = new GravityQuadtree(bodies);
+        let energy = 0;
+        for (const body of bodies) {
+            tree.forEachInteraction(body, openingAngle, other => {
+                let dx = other.x - body.x;
+                let dy = other.y - body.y;
+                if (period) {
+                    dx = GravityBoundaries.minimumImage(dx, period.width);
+                    dy = GravityBoundaries.minimumImage(dy, period.height);
+                }
+                energy -= G * body.mass * other.mass / Math.sqrt(dx * dx + dy * dy + softeningSquared);
+            }, period);
+        }
+        return energy / 2;
+    },
+
+    /**
+     * Relative drift of the conserved quantities since a reference measurement
+     * Energy and angular momentum are relative to their reference magnitude. Total momentum
+     * is usually close to zero, so its drift is relative to the reference Σ m|v| instead.
+     *
+     * @param {Object} current - Result of compute() now
+     * @param {Object} reference - Result of compute() at reset
+     * @returns {Object} { energy, momentum, angularMomentum }
+     */
+    drift(current, reference) {
+        const momentumChange = Math.hypot(
+            current.momentum.x - reference.momentum.x,
+            current.momentum.y - reference.momentum.y
+        );
+        return {
+            energy: relativeChange(current.totalEnergy, reference.totalEnergy),
+            momentum: reference.momentumScale > 0 ? momentumChange / reference.momentumScale : momentumChange,
+            angularMomentum: relativeChange(current.angularMomentum, reference.angularMomentum)
+        };
+    },
+
+    /**
+     * Shift a drift reference by a deliberate change to the system (bodies absorbed or merged),
+     * so drift keeps measuring only the numerical error accumulated since reset
+     * @param {Object} reference - Current drift reference
+     * @param {Object} before - Diagnostics just before the change
+     * @param {Object} after - Diagnostics just after the change
+     * @returns {Object} New drift reference
+     */
+    rebase(reference, before, after) {
+        return {
+            ...reference,
+            totalEnergy: reference.totalEnergy + after.totalEnergy - before.totalEnergy,
+            momentum: {
+                x: reference.momentum.x + after.momentum.x - before.momentum.x,
+                y: reference.momentum.y + after.momentum.y - before.momentum.y
+            },
+            angularMomentum: reference.angularMomentum + after.angularMomentum - before.angularMomentum
+        };
+    }
+};
+
+/**
+ * (value - reference) / |reference|, falling back to the absolute change for a zero reference
+ * @param {number} value - Current value
+ * @param {number} reference - Reference value
+ * @returns {number} Relative change
+ */
+function relativeChange(value, reference) {
+    const scale = Math.abs(reference);
+    return scale > 0 ? (value - reference) / scale : value - reference;
+}
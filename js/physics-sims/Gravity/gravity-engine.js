@@ -7,71 +7,127 @@
 
 import { GravityConfig } from './gravity-config.js';
 import { ISimulationEngine } from '../engine-interface.js';
+import { IntegratorRegistry, DormandPrinceIntegrator } from '../../integrators/integrators.js';
+import { GravityQuadtree } from './gravity-quadtree.js';
+import { GravityDiagnostics } from './gravity-diagnostics.js';
+import { GravityBoundaries } from './gravity-boundaries.js';
+import { GravityCollisions } from './gravity-collisions.js';
+import { GravityScenarios } from './gravity-scenarios.js';
+import { GravityBodyStore } from './gravity-body-store.js';
+import { GravitySnapshot } from './gravity-snapshot.js';
+import { SeededRandom } from '../../utils/seeded-random.js';
 
 export class GravityEngine extends ISimulationEngine {
-    constructor(width, height, bodyCount = 3, G = 1.0) {
+    /**
+     * @param {number} width - World width
+     * @param {number} height - World height
+     * @param {number} bodyCount - Number of bodies to generate
+     * @param {number} G - Gravitational constant
+     * @param {Object} options - Overrides for GravityConfig.engine (e.g. forceSolver, boundary)
+     */
+    constructor(width, height, bodyCount = 3, G = 1.0, options = {}) {
         super();
         this.width = width;
         this.height = height;
         this.G = G;
-        this.bodies = [];
+        this.store = new GravityBodyStore();
         this.timeStep = 0.016; // ~60 FPS
-        this.config = GravityConfig.engine || {};
+        this.time = 0;
+        this.timeDirection = 1; // -1 while running backwards (see reverseTime)
+        this.stepCount = 0;
+        this.lastDt = this.timeStep;
+        this.substeps = 0;
+        this.droppedTime = 0; // Time the adaptive integrator gave up on (see _stepAdaptive)
+        this._adaptiveStep = null;
+        this._adaptiveSpan = null;
+        this.diagnostics = null;
+        this.initialDiagnostics = null;
+        this.config = { ...GravityConfig.engine, ...options };
+        this.seed = GravityEngine._normalizeSeed(this.config.seed);
+        this.random = null;
+
+        // Derivatives handed to the integrators, created once rather than every step
+        this._phaseSpaceDerivative = (state) => this._computePhaseSpaceDerivative(state);
+        this._accelerationDerivative = (state) => this.computeAccelerations(state);
+
         this.initialize(bodyCount);
     }
 
+    /**
+     * Bodies as live objects { id, x, y, vx, vy, mass } backed by the engine's typed arrays
+     * Writing a property writes through to the arrays. Hot paths use `store` directly.
+     * @returns {Array<Object>} Body views
+     */
+    get bodies() {
+        return this.store.bodies;
+    }
+
+    /**
+     * Replace every body; the objects are copied into the engine's typed arrays
+     * @param {Array<Object>} bodies - Bodies { id, x, y, vx, vy, mass }
+     */
+    set bodies(bodies) {
+        this.store.load(bodies);
+    }
+
     /**
      * Generate mass using power law distribution
+     * @param {Function} random - Uniform random number generator on [0, 1)
+     * @returns {number} Mass
      */
-    static generatePowerLawMass() {
-        const config = GravityConfig.engine;
-        const minMass = config.minMass;
-        const maxMass = config.maxMass;
-        const alpha = config.massPowerLawScaling;
-        const u = Math.random();
-        const exp = 1 - alpha;
-        
-        // The formula derived from Inverse Transform Sampling
-        const mass = Math.pow(
-            (Math.pow(maxMass, exp) - Math.pow(minMass, exp)) * u + Math.pow(minMass, exp),
-            1 / exp
-        );
-        
-        return mass;
+    static generatePowerLawMass(random = Math.random) {
+        return GravityScenarios.powerLawMass(random);
     }
 
     /**
      * Generate random bodies for gravity simulation
+     * @param {number} count - Number of bodies
+     * @param {number} width - World width
+     * @param {number} height - World height
+     * @param {Function} random - Uniform random number generator on [0, 1)
+     * @returns {Array<Object>} Bodies
      */
-    static generateRandomBodies(count, width, height) {
-        const bodies = [];
-        for (let i = 0; i < count; i++) {
-            bodies.push({
-                id: i,
-                x: Math.random() * width,
-                y: Math.random() * height,
-                vx: (Math.random() - 0.5) * 20,
-                vy: (Math.random() - 0.5) * 20,
-                mass: GravityEngine.generatePowerLawMass()
-            });
-        }
-        return bodies;
+    static generateRandomBodies(count, width, height, random = Math.random) {
+        return GravityScenarios.generate('random', count, width, height, 1, random);
     }
 
     /**
      * Calculate gravitational force between two bodies
+     * @param {Object} body1 - Body the force acts on
+     * @param {Object} body2 - Body exerting the force
+     * @param {number} G - Gravitational constant
+     * @param {number} softening - Softening length (defaults to GravityConfig.engine.softeningFactor)
+     * @returns {Object} Force on body1 { fx, fy }
+     */
+    static calculateGravitationalForce(body1, body2, G = 1, softening = GravityConfig.engine.softeningFactor) {
+        return GravityEngine.forceFromSeparation(
+            body2.x - body1.x,
+            body2.y - body1.y,
+            body1.mass,
+            body2.mass,
+            G,
+            softening
+        );
+    }
+
+    /**
+     * Calculate the softened gravitational force for a given separation
+     * @param {number} dx - X separation (second body minus first)
+     * @param {number} dy - Y separation (second body minus first)
+     * @param {number} mass1 - Mass of the body the force acts on
+     * @param {number} mass2 - Mass of the body exerting the force
+     * @param {number} G - Gravitational constant
+     * @param {number} softening - Softening length
+     * @returns {Object} Force on the first body { fx, fy }
      */
-    static calculateGravitationalForce(body1, body2, G = 1) {
-        const dx = body2.x - body1.x;
-        const dy = body2.y - body1.y;
+    static forceFromSeparation(dx, dy, mass1, mass2, G, softening) {
         const distanceSquared = dx * dx + dy * dy;
 
-        const config = GravityConfig.engine;
         // The softened distance ensures we don't encounter errors when distance = 0
-        const softenedDistanceSquared = distanceSquared + config.softeningFactor * config.softeningFactor;
+        const softenedDistanceSquared = distanceSquared + softening * softening;
         const softenedDistance = Math.sqrt(softenedDistanceSquared);
         
-        const forceMagnitude = G * body1.mass * body2.mass / softenedDistanceSquared;
+        const forceMagnitude = G * mass1 * mass2 / softenedDistanceSquared;
         const fx = forceMagnitude * dx / softenedDistance;
         const fy = forceMagnitude * dy / softenedDistance;
         
@@ -79,53 +135,84 @@ export class GravityEngine extends ISimulationEngine {
     }
 
     /**
-     * Update body position using numerical integration
+     * Initialize bodies for simulation
+     * Bodies are generated from the engine's seed, so the same seed reproduces the same run.
      */
-    static updatePosition(body, fx, fy, dt) {
-        // Define the state as [x, y, vx, vy]
-        const state = [body.x, body.y, body.vx, body.vy];
-        
-        // Define the derivative function (equations of motion)
-        const derivative = (s) => {
-            const [x, y, vx, vy] = s;
-            const ax = fx / body.mass;
-            const ay = fy / body.mass;
-            return [vx, vy, ax, ay]; // [dx/dt, dy/dt, dvx/dt, dvy/dt]
-        };
-        
-        // Integrate using configured method
-        const config = GravityConfig.engine;
-        const newState = config.integrator(state, derivative, dt);
-        
-        // Update body state
-        [body.x, body.y, body.vx, body.vy] = newState;
+    initialize(bodyCount) {
+        this.random = new SeededRandom(this.seed);
+        this.bodies = GravityScenarios.generate(
+            this.config.scenario,
+            bodyCount,
+            this.width,
+            this.height,
+            this.G,
+            () => this.random.next()
+        );
+        this._verletStarted = false;
+        this.time = 0;
+        this.timeDirection = 1;
+        this.stepCount = 0;
+        this.droppedTime = 0;
+        this._adaptiveStep = null;
+        this._adaptiveSpan = null;
+        this.resetDiagnostics();
     }
 
     /**
-     * Initialize bodies for simulation
+     * Measure the conserved quantities now and use them as the drift reference
+     * Call after replacing the bodies directly so drift is measured from the new system.
      */
-    initialize(bodyCount) {
-        this.bodies = GravityEngine.generateRandomBodies(
-            bodyCount, 
-            this.width, 
-            this.height
-        );
+    resetDiagnostics() {
+        this.diagnostics = this._computeDiagnostics();
+        this.initialDiagnostics = this.diagnostics;
     }
 
     /**
-     * Update simulation by one time step
+     * Compute diagnostics for the current bodies
+     * The Barnes-Hut solver also estimates the potential with its tree, so diagnostics stay
+     * O(N log N); every measurement (and so the drift reference) uses the same method.
+     * @private
+     * @returns {Object} Diagnostics from GravityDiagnostics.compute()
      */
-    step() {
-        // Calculate forces between all pairs of bodies
-        const forces = this.bodies.map(() => ({ fx: 0, fy: 0 }));
+    _computeDiagnostics() {
+        const openingAngle = this.config.forceSolver === 'barnesHut' ? this.config.openingAngle : 0;
+        return GravityDiagnostics.compute(this.bodies, this.G, this.config.softeningFactor, this._getPeriod(), openingAngle);
+    }
+
+    /**
+     * Size of the periodic domain, used for minimum-image separations
+     * @private
+     * @returns {Object|null} { width, height } with periodic boundaries, otherwise null
+     */
+    _getPeriod() {
+        return this.config.boundary === 'periodic' ? { width: this.width, height: this.height } : null;
+    }
+
+    /**
+     * Calculate the net gravitational force on every body
+     * Uses the solver selected by config.forceSolver ('direct' or 'barnesHut')
+     * @param {Array<Object>} bodies - Bodies to evaluate (defaults to the engine's bodies)
+     * @returns {Array<Object>} Forces { fx, fy }, in the same order as bodies
+     */
+    computeForces(bodies = this.bodies) {
+        if (this.config.forceSolver === 'barnesHut') {
+            return this._computeForcesBarnesHut(bodies);
+        }
+        return this._computeForcesDirect(bodies);
+    }
+
+    /**
+     * Exact O(N²) pairwise force sum
+     * @private
+     * @param {Array<Object>} bodies - Bodies to evaluate
+     * @returns {Array<Object>} Forces { fx, fy }
+     */
+    _computeForcesDirect(bodies) {
+        const forces = bodies.map(() => ({ fx: 0, fy: 0 }));
         
-        for (let i = 0; i < this.bodies.length; i++) {
-            for (let j = i + 1; j < this.bodies.length; j++) {
-                const force = GravityEngine.calculateGravitationalForce(
-                    this.bodies[i],
-                    this.bodies[j],
-                    this.G
-                );
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const force = this._pairForce(bodies[i], bodies[j]);
                 
                 forces[i].fx += force.fx;
                 forces[i].fy += force.fy;
@@ -134,53 +221,592 @@ export class GravityEngine extends ISimulationEngine {
             }
         }
         
-        // Update positions
-        for (let i = 0; i < this.bodies.length; i++) {
-            GravityEngine.updatePosition(
-                this.bodies[i],
-                forces[i].fx,
-                forces[i].fy,
-                this.timeStep
-            );
-            
-            // Boundary conditions - wrap around edges
-            if (this.bodies[i].x < 0) this.bodies[i].x += this.width;
-            if (this.bodies[i].x > this.width) this.bodies[i].x -= this.width;
-            if (this.bodies[i].y < 0) this.bodies[i].y += this.height;
-            if (this.bodies[i].y > this.height) this.bodies[i].y -= this.height;
+        return forces;
+    }
+
+    /**
+     * Approximate O(N log N) force sum using a Barnes-Hut quadtree
+     * With periodic boundaries the tree opens cells by minimum-image distance and never
+     * accepts a cell whose bodies' nearest images lie on both sides of the body.
+     * @private
+     * @param {Array<Object>} bodies - Bodies to evaluate
+     * @returns {Array<Object>} Forces { fx, fy }
+     */
+    _computeForcesBarnesHut(bodies) {
+        const tree = new GravityQuadtree(bodies);
+        const pairForce = (body, other) => this._pairForce(body, other);
+        
+        const period = this._getPeriod();
+        
+        return bodies.map(body => tree.computeForce(body, this.config.openingAngle, pairForce, period));
+    }
+
+    /**
+     * Force of one body on another, honouring the boundary mode
+     * Periodic boundaries use the minimum-image separation so bodies attract across the seam.
+     * @private
+     * @param {Object} body - Body the force acts on
+     * @param {Object} other - Body exerting the force
+     * @returns {Object} Force { fx, fy }
+     */
+    _pairForce(body, other) {
+        let dx = other.x - body.x;
+        let dy = other.y - body.y;
+        if (this.config.boundary === 'periodic') {
+            dx = GravityBoundaries.minimumImage(dx, this.width);
+            dy = GravityBoundaries.minimumImage(dy, this.height);
+        }
+        return GravityEngine.forceFromSeparation(dx, dy, body.mass, other.mass, this.G, this.config.softeningFactor);
+    }
+
+    /**
+     * Calculate the acceleration of every body at trial positions
+     * Masses are taken from the current bodies; only positions vary between evaluations.
+     * @param {Array<number>} positions - Flat positions [x0, y0, x1, y1, ...] (extra trailing entries are ignored)
+     * @returns {Array<number>} Flat accelerations [ax0, ay0, ax1, ay1, ...]
+     */
+    computeAccelerations(positions) {
+        if (this.config.forceSolver === 'barnesHut') {
+            return this._computeAccelerationsBarnesHut(positions);
+        }
+        return this._computeAccelerationsDirect(positions);
+    }
+
+    /**
+     * Exact O(N²) accelerations computed straight from the flat arrays
+     * Same arithmetic as _computeForcesDirect, without allocating per-body objects.
+     * @private
+     * @param {Array<number>|Float64Array} positions - Flat positions
+     * @returns {Float64Array} Flat accelerations
+     */
+    _computeAccelerationsDirect(positions) {
+        const { count, masses } = this.store;
+        const periodic = this.config.boundary === 'periodic';
+        const softening = this.config.softeningFactor;
+        const accelerations = new Float64Array(2 * count);
+
+        for (let i = 0; i < count; i++) {
+            const x = positions[2 * i];
+            const y = positions[2 * i + 1];
+            const mass = masses[i];
+            for (let j = i + 1; j < count; j++) {
+                let dx = positions[2 * j] - x;
+                let dy = positions[2 * j + 1] - y;
+                if (periodic) {
+                    dx = GravityBoundaries.minimumImage(dx, this.width);
+                    dy = GravityBoundaries.minimumImage(dy, this.height);
+                }
+
+                const softenedDistanceSquared = dx * dx + dy * dy + softening * softening;
+                const softenedDistance = Math.sqrt(softenedDistanceSquared);
+                const forceMagnitude = this.G * mass * masses[j] / softenedDistanceSquared;
+                const fx = forceMagnitude * dx / softenedDistance;
+                const fy = forceMagnitude * dy / softenedDistance;
+
+                accelerations[2 * i] += fx;
+                accelerations[2 * i + 1] += fy;
+                accelerations[2 * j] -= fx;
+                accelerations[2 * j + 1] -= fy;
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            accelerations[2 * i] /= masses[i];
+            accelerations[2 * i + 1] /= masses[i];
+        }
+        return accelerations;
+    }
+
+    /**
+     * Barnes-Hut accelerations at trial positions
+     * @private
+     * @param {Array<number>|Float64Array} positions - Flat positions
+     * @returns {Float64Array} Flat accelerations
+     */
+    _computeAccelerationsBarnesHut(positions) {
+        const { count, masses } = this.store;
+        const trialBodies = new Array(count);
+        for (let i = 0; i < count; i++) {
+            trialBodies[i] = { x: positions[2 * i], y: positions[2 * i + 1], mass: masses[i] };
+        }
+        const forces = this._computeForcesBarnesHut(trialBodies);
+
+        const accelerations = new Float64Array(2 * count);
+        for (let i = 0; i < count; i++) {
+            accelerations[2 * i] = forces[i].fx / masses[i];
+            accelerations[2 * i + 1] = forces[i].fy / masses[i];
+        }
+        return accelerations;
+    }
+
+    /**
+     * Phase-space derivative [velocities, accelerations] of a state [positions, velocities]
+     * @private
+     * @param {Array<number>|Float64Array} state - Phase-space state
+     * @returns {Float64Array} Derivative
+     */
+    _computePhaseSpaceDerivative(state) {
+        const size = state.length / 2;
+        const derivative = new Float64Array(state.length);
+        for (let i = 0; i < size; i++) {
+            derivative[i] = state[size + i];
+        }
+        derivative.set(this.computeAccelerations(state), size);
+        return derivative;
+    }
+
+    /**
+     * Update simulation by one time step
+     * The whole system is integrated as a single state vector (the store's phase-space array)
+     * so the integrator re-evaluates the pairwise accelerations at every intermediate stage.
+     */
+    step() {
+        let covered = this.timeStep;
+        if (this.config.adaptiveTimeStep) {
+            covered = this._stepAdaptive(this.timeStep);
+        } else if (this._getStateLayout() === 'positionHistory') {
+            this._stepPositionVerlet(this.timeStep);
+            this._recordStepSize(this.timeStep, 1);
+        } else {
+            this._stepPhaseSpace(this.timeStep);
+            this._recordStepSize(this.timeStep, 1);
+        }
+        
+        this._applyBoundaries();
+        this._applyCollisions();
+        
+        this.time += this.timeDirection * covered;
+        this.stepCount++;
+        
+        const interval = this.config.diagnosticsInterval;
+        if (interval > 0 && this.stepCount % interval === 0) {
+            this.diagnostics = this._computeDiagnostics();
         }
     }
 
+    /**
+     * State layout of the configured integrator, from its registry metadata
+     * Unregistered integrator functions are assumed to use the phase-space layout.
+     * @private
+     * @returns {string} 'phaseSpace' or 'positionHistory'
+     */
+    _getStateLayout() {
+        return IntegratorRegistry.find(this.config.integrator)?.stateLayout ?? 'phaseSpace';
+    }
+
+    /**
+     * Advance integrators that use the phaseSpace layout [positions, velocities]
+     * (e.g. Euler, RK4, velocity Verlet), whose derivative returns [velocities, accelerations]
+     * The store's phase-space array is the state vector, so nothing is packed or unpacked.
+     * @private
+     * @param {number} dt - Time step
+     */
+    _stepPhaseSpace(dt) {
+        const { phase } = this.store;
+        phase.set(this.config.integrator(phase, this._phaseSpaceDerivative, dt));
+    }
+
+    /**
+     * Advance one time step along error-controlled Dormand-Prince steps
+     * The configured integrator is bypassed. Step sizes are left to the controller and carry
+     * over between time steps: a quiet system takes steps longer than the time step, and the
+     * time steps inside one are read from its dense output; a close encounter takes many steps
+     * per time step. A state changed outside the integrator (boundaries, collisions, commands)
+     * starts a fresh step from it. Once config.maxAdaptiveSteps attempts are spent the time
+     * step ends early and the rest of it is added to droppedTime.
+     * @private
+     * @param {number} dt - Time step to cover
+     * @returns {number} Time actually covered
+     */
+    _stepAdaptive(dt) {
+        const { phase } = this.store;
+        const options = { tolerance: this.config.tolerance, minStep: dt * this.config.minStepFraction };
+        let span = this._adaptiveSpan;
+        if (!span || !GravityEngine._sameState(span.reported, phase)) {
+            span = { start: phase.slice(), end: phase.slice(), stages: null, size: 0, elapsed: 0 };
+        }
+
+        // Position within the current step to report; steps are taken until it is covered
+        let target = span.elapsed + dt;
+        let h = this._adaptiveStep || dt;
+        let attempts = 0;
+        let steps = 0;
+        let largest = 0;
+        while (target > span.size && attempts < this.config.maxAdaptiveSteps) {
+            attempts++;
+            const result = DormandPrinceIntegrator.attempt(span.end, this._phaseSpaceDerivative, h, 0, options);
+            if (result.accepted) {
+                target -= span.size;
+                span = { start: span.end, end: result.state, stages: result.stages, size: h, elapsed: 0 };
+                steps++;
+                largest = Math.max(largest, h);
+            }
+            h = result.nextStep;
+        }
+        const dropped = Math.max(target - span.size, 0);
+        target -= dropped;
+        this.droppedTime += dropped;
+        this._adaptiveStep = h;
+        this._recordStepSize(largest || span.size, steps);
+
+        if (target === span.size) {
+            phase.set(span.end);
+        } else {
+            DormandPrinceIntegrator.interpolate(span.start, span.end, span.stages, span.size, target / span.size, phase);
+        }
+        span.elapsed = target;
+        span.reported = phase.slice();
+        this._adaptiveSpan = span;
+
+        // Position Verlet must reseed its history if it is selected again
+        this._verletStarted = false;
+        return dt - dropped;
+    }
+
+    /**
+     * Whether two states are identical, i.e. nothing changed the bodies in between
+     * @private
+     * @param {Float64Array} a - First state
+     * @param {Float64Array} b - Second state
+     * @returns {boolean} True if both have the same length and values
+     */
+    static _sameState(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Remember the integration step actually used, for getState()
+     * @private
+     * @param {number} dt - Size of the (largest) integration step used
+     * @param {number} substeps - Number of integration steps taken during the time step
+     */
+    _recordStepSize(dt, substeps) {
+        this.lastDt = dt;
+        this.substeps = substeps;
+    }
+
+    /**
+     * Advance integrators that use the positionHistory layout [positions, previousPositions]
+     * (position Verlet), whose derivative returns accelerations only.
+     * Body velocities hold the backward difference (x(t) - x(t-dt)) / dt between steps,
+     * so the previous positions can be rebuilt without extra stored state. On the first
+     * step they are seeded with a second-order Taylor step from the true velocity.
+     * @private
+     * @param {number} dt - Time step
+     */
+    _stepPositionVerlet(dt) {
+        const { positions, velocities } = this.store;
+        const size = positions.length;
+        const state = new Float64Array(2 * size);
+        state.set(positions);
+        for (let i = 0; i < size; i++) {
+            state[size + i] = positions[i] - velocities[i] * dt;
+        }
+        
+        if (!this._verletStarted) {
+            const accelerations = this.computeAccelerations(positions);
+            for (let i = 0; i < size; i++) {
+                state[size + i] += 0.5 * accelerations[i] * dt * dt;
+            }
+            this._verletStarted = true;
+        }
+        
+        const newState = this.config.integrator(state, this._accelerationDerivative, dt);
+        for (let i = 0; i < size; i++) {
+            velocities[i] = (newState[i] - positions[i]) / dt;
+            positions[i] = newState[i];
+        }
+    }
+
+    /**
+     * Apply the configured boundary condition (see GravityBoundaries)
+     * @private
+     */
+    _applyBoundaries() {
+        const remaining = GravityBoundaries.apply(
+            this.config.boundary,
+            this.bodies,
+            this.width,
+            this.height,
+            this.config.restitution
+        );
+        if (remaining !== this.bodies) {
+            this._replaceBodies(remaining);
+        }
+    }
+
+    /**
+     * Resolve overlapping bodies according to the configured collision mode (see GravityCollisions)
+     * Bodies collide at the radius the renderer draws them with.
+     * @private
+     */
+    _applyCollisions() {
+        const sizeMultiplier = this.config.collisionRadiusMultiplier ?? GravityConfig.renderer.bodySizeMultiplier;
+        const remaining = GravityCollisions.resolve(
+            this.config.collisions,
+            this.bodies,
+            sizeMultiplier,
+            this._getPeriod()
+        );
+        if (remaining !== this.bodies) {
+            this._replaceBodies(remaining);
+        }
+    }
+
+    /**
+     * Replace the body list after bodies were physically removed or merged
+     * The drift reference is shifted by the change the removal caused, so drift keeps
+     * measuring numerical error rather than the (intended) loss of bodies.
+     * @private
+     * @param {Array<Object>} bodies - New body list
+     */
+    _replaceBodies(bodies) {
+        const before = this._computeDiagnostics();
+        this.bodies = bodies;
+        const after = this._computeDiagnostics();
+        this.initialDiagnostics = GravityDiagnostics.rebase(this.initialDiagnostics, before, after);
+        this.diagnostics = after;
+    }
+
     /**
      * Get current state
+     * @returns {Object} Bodies (plain copies) plus everything in getSummary()
      */
     getState() {
         return {
-            bodies: this.bodies.map(b => ({
-                id: b.id,
-                x: b.x,
-                y: b.y,
-                vx: b.vx,
-                vy: b.vy,
-                mass: b.mass
-            })),
+            bodies: this.store.toObjects(),
+            ...this.getSummary()
+        };
+    }
+
+    /**
+     * Current state without the bodies, cheap enough to read every frame
+     * @returns {Object} Dimensions, simulation time, step count, seed, time direction, the
+     *                   integrator name and boundary, collision, scenario and adaptive settings,
+     *                   the integration step actually used (dt) and substeps per step, time dropped by
+     *                   adaptive stepping since reset, and diagnostics (energies, momentum, angular
+     *                   momentum, centre of mass and their drift since reset)
+     */
+    getSummary() {
+        return {
             width: this.width,
-            height: this.height
+            height: this.height,
+            simulationTime: this.time,
+            stepCount: this.stepCount,
+            seed: this.seed,
+            reversed: this.timeDirection < 0,
+            integrator: IntegratorRegistry.find(this.config.integrator)?.name,
+            boundary: this.config.boundary,
+            collisions: this.config.collisions,
+            scenario: this.config.scenario,
+            adaptiveTimeStep: this.config.adaptiveTimeStep,
+            dt: this.lastDt,
+            substeps: this.substeps,
+            droppedTime: this.droppedTime,
+            diagnostics: this.getDiagnostics()
+        };
+    }
+
+    /**
+     * Zero-copy view of the body arrays for renderers and other per-frame readers
+     * Unlike getState() nothing is copied, so the arrays change with the next step.
+     * @returns {Object} { count, ids, positions, velocities, masses } — positions and velocities
+     *                   are flat [x0, y0, x1, y1, ...] Float64Arrays
+     */
+    getBodyView() {
+        return this.store.getView();
+    }
+
+    /**
+     * Serialisable copy of the full engine state, for GravitySnapshot
+     * @returns {Object} Engine section of a snapshot document
+     */
+    toSnapshot() {
+        return {
+            ...this.getSettings(),
+            bodies: this.store.toObjects()
+        };
+    }
+
+    /**
+     * Serialisable engine settings and counters: everything in a snapshot except the bodies
+     * @returns {Object} Engine section of a snapshot document without `bodies` (see GravitySnapshot)
+     */
+    getSettings() {
+        return GravitySnapshot.engineSettings(this, Boolean(this._verletStarted));
+    }
+
+    /**
+     * Restore the engine from a snapshot's engine section (read by GravitySnapshot.readEngine())
+     * Drift keeps being measured against the saved reference when one is present.
+     * @param {Object} data - Engine section of a validated snapshot document
+     * @throws {Error} If the integrator or a config value is unknown
+     */
+    loadSnapshot(data) {
+        const { bodies, verletStarted, driftReference, ...settings } = GravitySnapshot.readEngine(data);
+        Object.assign(this, settings);
+        this.random = new SeededRandom(this.seed);
+        this.bodies = bodies;
+        this._verletStarted = verletStarted;
+        this.droppedTime = 0;
+        this._adaptiveStep = null;
+        this._adaptiveSpan = null;
+        this.resetDiagnostics();
+        if (driftReference) {
+            this.initialDiagnostics = driftReference;
+        }
+    }
+
+    /**
+     * Get the latest diagnostics without copying the bodies
+     * @returns {Object} Diagnostics plus drift { energy, momentum, angularMomentum } since reset
+     */
+    getDiagnostics() {
+        return {
+            ...this.diagnostics,
+            drift: GravityDiagnostics.drift(this.diagnostics, this.initialDiagnostics)
         };
     }
 
     /**
      * Reset the engine
+     * A seed that was asked for (config.seed) is kept; without one every reset draws a new seed.
      */
     reset(bodyCount) {
+        this.seed = GravityEngine._normalizeSeed(this.config.seed);
         this.initialize(bodyCount || this.bodies.length);
     }
 
     /**
      * Update gravitational constant
+     * The potential energy depends on G, so the drift reference is re-measured.
      */
     setG(newG) {
         this.G = newG;
+        this._adaptiveSpan = null;
+        this.resetDiagnostics();
+    }
+
+    /**
+     * Change the boundary condition
+     * @param {string} mode - 'periodic', 'reflective', 'open' or 'absorbing'
+     */
+    setBoundary(mode) {
+        GravityBoundaries.validate(mode);
+        this.config.boundary = mode;
+        this._adaptiveSpan = null;
+        this.resetDiagnostics();
+    }
+
+    /**
+     * Switch to another initial-condition scenario and regenerate the bodies
+     * @param {string} name - Scenario name (see GravityScenarios.names())
+     * @param {number} bodyCount - Requested number of bodies (defaults to the current count)
+     */
+    setScenario(name, bodyCount = this.bodies.length) {
+        GravityScenarios.validate(name);
+        this.config.scenario = name;
+        this.initialize(bodyCount);
+    }
+
+    /**
+     * Reverse the direction of time by negating every velocity
+     * With a time-symmetric integrator (Verlet variants, leapfrog, Forest-Ruth, Yoshida) the system then retraces its
+     * trajectory up to round-off; other integrators retrace it only approximately.
+     * Position Verlet (positionHistory layout) stores the backward difference as velocity, so its velocity is
+     * replaced by minus the forward difference the next step would have taken.
+     */
+    reverseTime() {
+        const before = this._computeDiagnostics();
+        if (this._getStateLayout() === 'positionHistory' && this._verletStarted) {
+            const positions = this.bodies.flatMap(body => [body.x, body.y]);
+            const accelerations = this.computeAccelerations(positions);
+            this.bodies.forEach((body, i) => {
+                body.vx = -(body.vx + accelerations[2 * i] * this.timeStep);
+                body.vy = -(body.vy + accelerations[2 * i + 1] * this.timeStep);
+            });
+        } else {
+            for (const body of this.bodies) {
+                body.vx = -body.vx;
+                body.vy = -body.vy;
+            }
+        }
+        this.timeDirection = -this.timeDirection;
+
+        // Momentum and angular momentum flip sign; keep drift measuring only numerical error
+        this.diagnostics = this._computeDiagnostics();
+        this.initialDiagnostics = GravityDiagnostics.rebase(this.initialDiagnostics, before, this.diagnostics);
+    }
+
+    /**
+     * Swap the integration method on the running system, keeping bodies, time and drift reference
+     * Position-history integrators (position Verlet) keep the backward difference (x(t) - x(t-dt)) / dt
+     * as velocity, so leaving one adds a·dt/2 to recover a second-order estimate of the true velocity,
+     * and entering one reseeds its history from the current velocities on the next step.
+     * @param {string} name - Name in IntegratorRegistry, e.g. 'rk4', 'verlet' or 'yoshida4'
+     * @throws {Error} If no integrator is registered under that name
+     */
+    setIntegrator(name) {
+        const integrator = IntegratorRegistry.get(name).integrate;
+        if (integrator === this.config.integrator) return;
+
+        if (this._getStateLayout() === 'positionHistory' && this._verletStarted) {
+            const positions = this.bodies.flatMap(body => [body.x, body.y]);
+            const accelerations = this.computeAccelerations(positions);
+            const halfStep = 0.5 * this.timeStep;
+            this.bodies.forEach((body, i) => {
+                body.vx += accelerations[2 * i] * halfStep;
+                body.vy += accelerations[2 * i + 1] * halfStep;
+            });
+            this.diagnostics = this._computeDiagnostics();
+        }
+
+        this.config.integrator = integrator;
+        this._verletStarted = false;
+    }
+
+    /**
+     * Switch adaptive time stepping on or off
+     * @param {boolean} enabled - Whether steps are covered by error-controlled substeps
+     */
+    setAdaptiveTimeStep(enabled) {
+        this.config.adaptiveTimeStep = enabled;
+        this._adaptiveStep = null;
+        this._adaptiveSpan = null;
+    }
+
+    /**
+     * Change the random seed and regenerate the bodies from it
+     * @param {string|number|null} seed - New seed; empty or null picks a fresh random seed, and
+     *                                     a fresh one on every later reset
+     */
+    setSeed(seed) {
+        this.config.seed = seed === '' || seed === undefined ? null : seed;
+        this.seed = GravityEngine._normalizeSeed(seed);
+        this.initialize(this.bodies.length);
+    }
+
+    /**
+     * Seeds are kept as strings so a number and its text form reproduce the same run
+     * @private
+     * @param {string|number|null} seed - Requested seed
+     * @returns {string} Seed to use
+     */
+    static _normalizeSeed(seed) {
+        return seed === null || seed === undefined || seed === '' ? SeededRandom.randomSeed() : String(seed);
+    }
+
+    /**
+     * Change how overlapping bodies interact
+     * @param {string} mode - 'none', 'merge' or 'bounce'
+     */
+    setCollisions(mode) {
+        GravityCollisions.validate(mode);
+        this.config.collisions = mode;
     }
 
     /**
@@ -189,5 +815,6 @@ export class GravityEngine extends ISimulationEngine {
     setDimensions(width, height) {
         this.width = width;
         this.height = height;
+        this._adaptiveSpan = null;
     }
 }
@@ -0,0 +1,204 @@
+/**
+ * Gravity Quadtree - Barnes-Hut spatial tree for approximate N-body forces
+ * Groups distant bodies into cells and treats each cell as a single pseudo-body
+ * located at its centre of mass, reducing the force sum from O(N²) to O(N log N)
+ *
+ * The tree is force-law agnostic: the caller supplies the pairwise force function,
+ * so softening and any other engine settings are applied identically to the direct sum.
+ *
+ * In a periodic domain the tree is still built from the raw coordinates. The opening test
+ * then measures the minimum-image distance to each cell, and a cell that reaches across the
+ * point half a period away from the body (where the nearest images of its bodies switch
+ * sides) is always opened, so every accepted cell lies within one image of the body.
+ */
+
+import { GravityBoundaries } from './gravity-boundaries.js';
+
+// Bodies sharing (almost) the same position would otherwise subdivide forever
+const MAX_DEPTH = 32;
+
+export class GravityQuadtree {
+    /**
+     * Build a quadtree containing the given bodies
+     * @param {Array<Object>} bodies - Bodies with x, y and mass properties
+     */
+    constructor(bodies) {
+        this.root = GravityQuadtree._createRootNode(bodies);
+        for (const body of bodies) {
+            this._insert(this.root, body, 0);
+        }
+    }
+
+    /**
+     * Create a square root node that encloses every body
+     * @private
+     * @param {Array<Object>} bodies - Bodies to enclose
+     * @returns {Object} Empty root node
+     */
+    static _createRootNode(bodies) {
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        for (const body of bodies) {
+            if (body.x < minX) minX = body.x;
+            if (body.y < minY) minY = body.y;
+            if (body.x > maxX) maxX = body.x;
+            if (body.y > maxY) maxY = body.y;
+        }
+        if (bodies.length === 0) {
+            minX = minY = maxX = maxY = 0;
+        }
+
+        // Pad slightly so bodies on the max edge still fall inside a child cell
+        const size = Math.max(maxX - minX, maxY - minY, 1) * 1.0001;
+        return GravityQuadtree._createNode(minX, minY, size);
+    }
+
+    /**
+     * Create an empty tree node
+     * @private
+     * @param {number} x - Left edge of the cell
+     * @param {number} y - Top edge of the cell
+     * @param {number} size - Side length of the (square) cell
+     * @returns {Object} Tree node
+     */
+    static _createNode(x, y, size) {
+        return { x, y, size, mass: 0, comX: 0, comY: 0, bodies: [], children: null };
+    }
+
+    /**
+     * Insert a body into a node, updating the node's aggregate mass and centre of mass
+     * @private
+     * @param {Object} node - Node to insert into
+     * @param {Object} body - Body to insert
+     * @param {number} depth - Depth of the node in the tree
+     */
+    _insert(node, body, depth) {
+        const totalMass = node.mass + body.mass;
+        if (totalMass > 0) {
+            node.comX = (node.comX * node.mass + body.x * body.mass) / totalMass;
+            node.comY = (node.comY * node.mass + body.y * body.mass) / totalMass;
+        }
+        node.mass = totalMass;
+
+        if (node.children) {
+            this._insert(this._childFor(node, body), body, depth + 1);
+            return;
+        }
+
+        if (node.bodies.length === 0 || depth >= MAX_DEPTH) {
+            node.bodies.push(body);
+            return;
+        }
+
+        // Occupied leaf - split it and push both bodies down a level
+        const half = node.size / 2;
+        node.children = [
+            GravityQuadtree._createNode(node.x, node.y, half),
+            GravityQuadtree._createNode(node.x + half, node.y, half),
+            GravityQuadtree._createNode(node.x, node.y + half, half),
+            GravityQuadtree._createNode(node.x + half, node.y + half, half)
+        ];
+        const existing = node.bodies;
+        node.bodies = [];
+        for (const other of existing) {
+            this._insert(this._childFor(node, other), other, depth + 1);
+        }
+        this._insert(this._childFor(node, body), body, depth + 1);
+    }
+
+    /**
+     * Pick the child quadrant of a node that contains a body
+     * @private
+     * @param {Object} node - Subdivided node
+     * @param {Object} body - Body to locate
+     * @returns {Object} Child node
+     */
+    _childFor(node, body) {
+        const half = node.size / 2;
+        const right = body.x >= node.x + half ? 1 : 0;
+        const bottom = body.y >= node.y + half ? 2 : 0;
+        return node.children[right + bottom];
+    }
+
+    /**
+     * Compute the approximate total force acting on a body
+     * An opening angle of 0 opens every cell and reproduces the direct sum.
+     *
+     * @param {Object} body - Body to compute the force on (x, y, mass)
+     * @param {number} openingAngle - Barnes-Hut opening angle θ
+     * @param {Function} pairForce - Function (body, other) => { fx, fy } giving the force of other on body
+     * @param {Object|null} period - Periodic domain size { width, height }, or null for open space;
+     *                               pairForce must then use minimum-image separations too
+     * @returns {Object} Total force { fx, fy }
+     */
+    computeForce(body, openingAngle, pairForce, period = null) {
+        let fx = 0;
+        let fy = 0;
+        this.forEachInteraction(body, openingAngle, other => {
+            const force = pairForce(body, other);
+            fx += force.fx;
+            fy += force.fy;
+        }, period);
+        return { fx, fy };
+    }
+
+    /**
+     * Visit everything a body interacts with: every other body in an opened cell, and a
+     * pseudo-body { x, y, mass } at the centre of mass of each cell treated as a whole.
+     * A cell is treated as a whole when size / distance < openingAngle.
+     *
+     * @param {Object} body - Body the interactions act on (x, y, mass)
+     * @param {number} openingAngle - Barnes-Hut opening angle θ
+     * @param {Function} visit - Called with each other body or pseudo-body
+     * @param {Object|null} period - Periodic domain size { width, height }, or null for open space
+     */
+    forEachInteraction(body, openingAngle, visit, period = null) {
+        const stack = [this.root];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.mass === 0) continue;
+
+            if (!node.children) {
+                for (const other of node.bodies) {
+                    if (other !== body) {
+                        visit(other);
+                    }
+                }
+                continue;
+            }
+
+            let dx = node.comX - body.x;
+            let dy = node.comY - body.y;
+            let acceptable = true;
+            if (period) {
+                dx = GravityBoundaries.minimumImage(dx, period.width);
+                dy = GravityBoundaries.minimumImage(dy, period.height);
+                acceptable = !crossesHalfPeriod(node.x - body.x, node.size, period.width)
+                    && !crossesHalfPeriod(node.y - body.y, node.size, period.height);
+            }
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (acceptable && node.size < openingAngle * distance) {
+                visit({ x: node.comX, y: node.comY, mass: node.mass });
+                continue;
+            }
+
+            for (const child of node.children) {
+                stack.push(child);
+            }
+        }
+    }
+}
+
+/**
+ * Whether a cell's extent along one axis contains a point half a period (plus any whole
+ * number of periods) away from the body, so its bodies' nearest images lie on both sides
+ * @param {number} start - Start of the cell relative to the body
+ * @param {number} size - Cell side length
+ * @param {number} period - Domain size along the axis
+ * @returns {boolean} True if the cell must be opened
+ */
+function crossesHalfPeriod(start, size, period) {
+    return Math.floor((start + size) / period - 0.5) !== Math.floor(start / period - 0.5);
+}
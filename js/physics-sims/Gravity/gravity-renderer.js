@@ -4,18 +4,33 @@
  */
 
 import { GravityConfig } from './gravity-config.js';
+import { GravityDiagnosticsPanel } from './gravity-diagnostics-panel.js';
+import { GravityBodyStore } from './gravity-body-store.js';
+
+// Number of trail points drawn per curve; each chunk gets its own faded opacity
+const TRAIL_CHUNK_SIZE = 5;
 
 export class GravityRenderer {
-    constructor(renderer) {
+    /**
+     * @param {BaseRenderer} renderer - Primitive renderer to draw with
+     * @param {Object} config - Overrides for GravityConfig.renderer
+     */
+    constructor(renderer, config = {}) {
         this.renderer = renderer;
-        this.config = GravityConfig.renderer || {};
+        this.config = { ...GravityConfig.renderer, ...config };
+        this.diagnosticsPanel = new GravityDiagnosticsPanel(this.config);
     }
 
     /**
      * Render the complete gravity simulation scene
-     * @param {Object} state - Simulation state containing bodies and dimensions
+     * Everything but the diagnostics panel is drawn in world coordinates, under the renderer's camera.
+     * @param {Object} state - Simulation state containing dimensions and either bodyView (zero-copy
+     *                         arrays from GravityEngine.getBodyView()) or bodies, plus optional
+     *                         trails (GravityTrails) and diagnosticsHistory (TimeSeries) overlays
      */
     render(state) {
+        const view = state.bodyView ?? new GravityBodyStore(state.bodies).getView();
+        
         // Clear the renderer
         this.renderer.clear();
         
@@ -26,23 +41,34 @@ export class GravityRenderer {
             this._drawGrid(state.width, state.height);
         }
         
+        // Draw trails beneath the bodies
+        if (this.config.showTrails && state.trails) {
+            this._drawTrails(view, state.trails);
+        }
+        
         // Draw bodies
-        this._drawBodies(state.bodies);
+        this._drawBodies(view);
+        
+        // Draw diagnostics panel on top of the scene, in a corner of the viewport whatever the camera shows
+        if (this.config.showDiagnostics && state.diagnosticsHistory) {
+            const viewport = this.renderer.getSize();
+            this.renderer.setTransform(null);
+            this.diagnosticsPanel.render(this.renderer, state.diagnosticsHistory, viewport.width, viewport.height);
+        }
     }
 
     /**
      * Draw all bodies
-     * @param {Array} bodies - Array of body objects
+     * @param {Object} view - Body arrays { count, positions, masses, ... }
      */
-    _drawBodies(bodies) {
-        const bodyCount = Math.min(bodies.length, this.config.maxBodies || 10000);
+    _drawBodies(view) {
+        const bodyCount = Math.min(view.count, this.config.maxBodies || 10000);
         for (let i = 0; i < bodyCount; i++) {
-            const body = bodies[i];
-            const color = (this.config.bodyColors || ['#e74c3c', '#3498db', '#2ecc71'])[i % 3];
-            const radius = Math.sqrt(body.mass) * (this.config.bodySizeMultiplier || 3);
+            const color = this._getBodyColor(i);
+            const radius = Math.sqrt(view.masses[i]) * (this.config.bodySizeMultiplier || 3);
             
             // Use primitive renderer interface
-            this.renderer.addCircle(body.x, body.y, radius, {
+            this.renderer.addCircle(view.positions[2 * i], view.positions[2 * i + 1], radius, {
                 fill: color,
                 stroke: this.config.bodyStrokeColor || '#34495e',
                 strokeWidth: this.config.bodyStrokeWidth || 1,
@@ -51,6 +77,45 @@ export class GravityRenderer {
         }
     }
 
+    /**
+     * Colour used for the body at a given index
+     * @param {number} index - Body index
+     * @returns {string} CSS colour
+     */
+    _getBodyColor(index) {
+        return (this.config.bodyColors || ['#e74c3c', '#3498db', '#2ecc71'])[index % 3];
+    }
+
+    /**
+     * Draw fading trails behind every body
+     * Each continuous segment is drawn as short curves whose opacity decays by
+     * trailFadeRate per recorded step, so older parts of the trail fade out.
+     * @param {Object} view - Body arrays { count, ids, ... }
+     * @param {GravityTrails} trails - Recorded position history
+     */
+    _drawTrails(view, trails) {
+        const baseOpacity = this.config.trailOpacity ?? 0.3;
+        const fadeRate = this.config.trailFadeRate ?? 0.95;
+        const bodyCount = Math.min(view.count, this.config.maxBodies || 10000);
+        
+        for (let i = 0; i < bodyCount; i++) {
+            const color = this._getBodyColor(i);
+            for (const segment of trails.getSegments(view.ids[i])) {
+                // Chunks share their end point with the next chunk so the line stays continuous
+                for (let start = 0; start < segment.length - 1; start += TRAIL_CHUNK_SIZE - 1) {
+                    const chunk = segment.slice(start, start + TRAIL_CHUNK_SIZE);
+                    const newestAge = chunk[chunk.length - 1].age;
+                    this.renderer.addCurve(chunk.map(point => ({ x: point.x, y: point.y })), {
+                        stroke: color,
+                        strokeWidth: 1.5,
+                        fill: 'none',
+                        opacity: baseOpacity * Math.pow(fadeRate, newestAge)
+                    });
+                }
+            }
+        }
+    }
+
     /**
      * Draw grid helper
      * @param {number} width - Canvas width
@@ -93,5 +158,6 @@ export class GravityRenderer {
      */
     updateConfig(config) {
         this.config = { ...this.config, ...config };
+        this.diagnosticsPanel.config = this.config;
     }
 }
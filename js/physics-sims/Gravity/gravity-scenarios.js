@@ -0,0 +1,378 @@
+/**
+ * Gravity Scenarios - Named initial conditions for the gravity engine
+ *
+ * Each scenario turns (count, width, height, G) into a list of bodies { id, x, y, vx, vy, mass }.
+ * Structured scenarios place their centre of mass in the middle of the world at rest,
+ * so they stay on screen. Some have a fixed shape and ignore part of the requested count
+ * (the figure-eight always has three bodies, a binary always has two stars). Stars are
+ * made light enough that their collision radius leaves their planets and partner clear.
+ *
+ * Pure maths only: no DOM or engine state is touched.
+ */
+
+import { GravityConfig } from './gravity-config.js';
+
+// Figure-eight choreography initial conditions for G = m = 1 (Chenciner & Montgomery, 2000)
+const FIGURE_EIGHT = {
+    position: { x: 0.97000436, y: -0.24308753 },
+    velocity: { x: -0.93240737, y: -0.86473146 },
+    period: 6.32591398
+};
+
+// Plummer bodies further out than this many scale radii are resampled
+const PLUMMER_CUTOFF = 10;
+
+const SCENARIOS = {
+    random: {
+        label: 'Random',
+        generate: generateRandom
+    },
+    disk: {
+        label: 'Rotating disk',
+        generate: generateDisk
+    },
+    plummer: {
+        label: 'Plummer sphere',
+        generate: generatePlummerSphere
+    },
+    collidingClusters: {
+        label: 'Colliding clusters',
+        generate: generateCollidingClusters
+    },
+    binaryPlanets: {
+        label: 'Binary star with planets',
+        generate: generateBinaryPlanets
+    },
+    solarSystem: {
+        label: 'Solar system',
+        generate: generateSolarSystem
+    },
+    figureEight: {
+        label: 'Figure-eight (3 bodies)',
+        generate: generateFigureEight
+    }
+};
+
+export const GravityScenarios = {
+    /**
+     * Period of the figure-eight choreography in units of √(L³ / (G m)),
+     * where L is the scenario's length scale and m the mass of each body
+     * @constant {number}
+     */
+    FIGURE_EIGHT_PERIOD: FIGURE_EIGHT.period,
+
+    /**
+     * Names of all scenarios, in display order
+     * @returns {string[]} Scenario names
+     */
+    names() {
+        return Object.keys(SCENARIOS);
+    },
+
+    /**
+     * Human-readable scenario name
+     * @param {string} name - Scenario name
+     * @returns {string} Label
+     */
+    getLabel(name) {
+        GravityScenarios.validate(name);
+        return SCENARIOS[name].label;
+    },
+
+    /**
+     * Check that a scenario exists
+     * @param {string} name - Scenario name
+     * @throws {Error} If the scenario is unknown
+     */
+    validate(name) {
+        if (!Object.hasOwn(SCENARIOS, name)) {
+            throw new Error(`Unknown scenario: ${name}`);
+        }
+    },
+
+    /**
+     * Generate the bodies of a scenario
+     * @param {string} name - Scenario name
+     * @param {number} count - Requested number of bodies
+     * @param {number} width - World width
+     * @param {number} height - World height
+     * @param {number} G - Gravitational constant (used to put bodies on bound orbits)
+     * @param {Function} random - Uniform random number generator on [0, 1)
+     * @returns {Array<Object>} Bodies { id, x, y, vx, vy, mass }
+     */
+    generate(name, count, width, height, G = 1, random = Math.random) {
+        GravityScenarios.validate(name);
+        const bodies = SCENARIOS[name].generate(count, width, height, G, random);
+        bodies.forEach((body, i) => {
+            body.id = i;
+        });
+        return bodies;
+    },
+
+    /**
+     * Sample a mass from the configured power law (GravityConfig.engine minMass, maxMass, massPowerLawScaling)
+     * @param {Function} random - Uniform random number generator on [0, 1)
+     * @returns {number} Mass
+     */
+    powerLawMass(random = Math.random) {
+        const config = GravityConfig.engine;
+        const minMass = config.minMass;
+        const maxMass = config.maxMass;
+        const alpha = config.massPowerLawScaling;
+        const u = random();
+        const exp = 1 - alpha;
+
+        // The formula derived from Inverse Transform Sampling
+        return Math.pow(
+            (Math.pow(maxMass, exp) - Math.pow(minMass, exp)) * u + Math.pow(minMass, exp),
+            1 / exp
+        );
+    }
+};
+
+/**
+ * Bodies scattered uniformly with random velocities and power-law masses
+ */
+function generateRandom(count, width, height, G, random) {
+    const bodies = [];
+    for (let i = 0; i < count; i++) {
+        bodies.push({
+            x: random() * width,
+            y: random() * height,
+            vx: (random() - 0.5) * 20,
+            vy: (random() - 0.5) * 20,
+            mass: GravityScenarios.powerLawMass(random)
+        });
+    }
+    return bodies;
+}
+
+/**
+ * Light bodies on circular orbits in a disk around a heavy central mass
+ * Each orbit's speed accounts for the mass enclosed within it.
+ */
+function generateDisk(count, width, height, G, random) {
+    const size = Math.min(width, height);
+    const centralMass = GravityConfig.engine.maxMass;
+    const bodies = [{ x: 0, y: 0, vx: 0, vy: 0, mass: centralMass }];
+
+    const orbiters = [];
+    for (let i = 1; i < count; i++) {
+        // Uniform surface density between the inner and outer radius
+        const inner = size * 0.08;
+        const outer = size * 0.45;
+        const radius = Math.sqrt(inner * inner + random() * (outer * outer - inner * inner));
+        orbiters.push({ radius, angle: random() * 2 * Math.PI, mass: GravityConfig.engine.minMass * (1 + random()) });
+    }
+    orbiters.sort((a, b) => a.radius - b.radius);
+
+    let enclosedMass = centralMass;
+    for (const { radius, angle, mass } of orbiters) {
+        bodies.push(circularOrbit(radius, angle, mass, enclosedMass, G));
+        enclosedMass += mass;
+    }
+    return centre(bodies, width, height);
+}
+
+/**
+ * Plummer sphere of power-law masses around the origin, projected onto the plane
+ * Radii and speeds are sampled from the 3D Plummer distribution function
+ * (Aarseth, Hénon & Wielen 1974) and only the x and y components are kept.
+ * @param {number} count - Number of bodies
+ * @param {number} scaleRadius - Plummer scale radius a
+ * @param {number} G - Gravitational constant
+ * @param {Function} random - Uniform random number generator
+ * @returns {Array<Object>} Bodies centred on their centre of mass at rest
+ */
+function generatePlummer(count, scaleRadius, G, random) {
+    const masses = Array.from({ length: count }, () => GravityScenarios.powerLawMass(random));
+    const totalMass = masses.reduce((sum, mass) => sum + mass, 0);
+
+    const bodies = masses.map(mass => {
+        let radius;
+        do {
+            radius = scaleRadius / Math.sqrt(Math.pow(random(), -2 / 3) - 1);
+        } while (!(radius < PLUMMER_CUTOFF * scaleRadius));
+
+        // Speed as a fraction q of the local escape speed, with density ∝ q²(1 - q²)^(7/2)
+        let q;
+        do {
+            q = random();
+        } while (0.1 * random() > q * q * Math.pow(1 - q * q, 3.5));
+        const escapeSpeed = Math.sqrt(2 * G * totalMass) * Math.pow(radius * radius + scaleRadius * scaleRadius, -0.25);
+
+        const position = isotropic(radius, random);
+        const velocity = isotropic(q * escapeSpeed, random);
+        return { x: position.x, y: position.y, vx: velocity.x, vy: velocity.y, mass };
+    });
+    return centre(bodies, 0, 0);
+}
+
+/**
+ * A single Plummer sphere in the middle of the world
+ */
+function generatePlummerSphere(count, width, height, G, random) {
+    return centre(generatePlummer(count, Math.min(width, height) * 0.08, G, random), width, height);
+}
+
+/**
+ * Two Plummer clusters approaching each other slightly off-axis
+ */
+function generateCollidingClusters(count, width, height, G, random) {
+    const size = Math.min(width, height);
+    const scaleRadius = size * 0.05;
+    const firstCount = Math.ceil(count / 2);
+    const first = generatePlummer(firstCount, scaleRadius, G, random);
+    const second = generatePlummer(count - firstCount, scaleRadius, G, random);
+
+    const separation = width / 3;
+    const offset = size * 0.05;
+    const clusterMass = bodies => bodies.reduce((sum, body) => sum + body.mass, 0);
+    const approachSpeed = 0.5 * Math.sqrt(G * (clusterMass(first) + clusterMass(second)) / separation);
+
+    const shift = (bodies, dx, dy, dvx) => bodies.forEach(body => {
+        body.x += dx;
+        body.y += dy;
+        body.vx += dvx;
+    });
+    const secondWeight = clusterMass(second) / (clusterMass(first) + clusterMass(second));
+    shift(first, -separation / 2, -offset / 2, approachSpeed * secondWeight);
+    shift(second, separation / 2, offset / 2, -approachSpeed * (1 - secondWeight));
+
+    return centre([...first, ...second], width, height);
+}
+
+/**
+ * Two equal stars on a circular binary orbit with light planets on circumbinary orbits
+ */
+function generateBinaryPlanets(count, width, height, G, random) {
+    const size = Math.min(width, height);
+    const separation = size * 0.08;
+    // Each star's radius is at most a quarter of the separation, so the pair starts well apart
+    const starMass = Math.min(GravityConfig.engine.maxMass / 2, massForRadius(separation / 4));
+    const starSpeed = 0.5 * Math.sqrt(G * 2 * starMass / separation);
+    const bodies = [
+        { x: -separation / 2, y: 0, vx: 0, vy: -starSpeed, mass: starMass },
+        { x: separation / 2, y: 0, vx: 0, vy: starSpeed, mass: starMass }
+    ];
+
+    // Circumbinary orbits are only stable well outside the binary
+    const inner = separation * 3;
+    const outer = size * 0.45;
+    const planetCount = Math.max(count - 2, 0);
+    for (let i = 0; i < planetCount; i++) {
+        const radius = inner + (outer - inner) * (i + random()) / planetCount;
+        bodies.push(circularOrbit(radius, random() * 2 * Math.PI, GravityConfig.engine.minMass, 2 * starMass, G));
+    }
+    return centre(bodies, width, height);
+}
+
+/**
+ * A heavy star with planets on circular orbits at geometrically growing radii
+ */
+function generateSolarSystem(count, width, height, G, random) {
+    const size = Math.min(width, height);
+    const inner = size * 0.06;
+    // The star's radius is at most half the innermost orbit; planets, at most a hundredth of
+    // its mass, then have a tenth of its radius and clear the star and (with up to 22 planets)
+    // the neighbouring orbits
+    const starMass = Math.min(GravityConfig.engine.maxMass, massForRadius(inner / 2));
+    const bodies = [{ x: 0, y: 0, vx: 0, vy: 0, mass: starMass }];
+
+    const planetCount = Math.max(count - 1, 0);
+    const outer = size * 0.45;
+    const ratio = planetCount > 1 ? Math.pow(outer / inner, 1 / (planetCount - 1)) : 1;
+    for (let i = 0; i < planetCount; i++) {
+        const mass = Math.min(GravityScenarios.powerLawMass(random), starMass / 100);
+        bodies.push(circularOrbit(inner * Math.pow(ratio, i), random() * 2 * Math.PI, mass, starMass, G));
+    }
+    return centre(bodies, width, height);
+}
+
+/**
+ * Three equal masses on the figure-eight choreography
+ * The length scale is a fifth of the smaller world dimension; the requested count is ignored.
+ */
+function generateFigureEight(count, width, height, G) {
+    const length = Math.min(width, height) * 0.2;
+    // Radii of at most a quarter of the length scale keep the bodies apart along the whole orbit
+    const mass = Math.min(GravityConfig.engine.maxMass / 10, massForRadius(length / 4));
+    const speed = Math.sqrt(G * mass / length);
+    const { position, velocity } = FIGURE_EIGHT;
+
+    return centre([
+        { x: position.x * length, y: position.y * length, vx: -velocity.x / 2 * speed, vy: -velocity.y / 2 * speed, mass },
+        { x: -position.x * length, y: -position.y * length, vx: -velocity.x / 2 * speed, vy: -velocity.y / 2 * speed, mass },
+        { x: 0, y: 0, vx: velocity.x * speed, vy: velocity.y * speed, mass }
+    ], width, height);
+}
+
+/**
+ * Largest mass whose collision radius (the radius the renderer draws) fits within a radius
+ * @param {number} radius - Radius
+ * @returns {number} Mass
+ */
+function massForRadius(radius) {
+    const sizeMultiplier = GravityConfig.engine.collisionRadiusMultiplier ?? GravityConfig.renderer.bodySizeMultiplier;
+    return (radius / sizeMultiplier) ** 2;
+}
+
+/**
+ * Body on a counter-clockwise circular orbit around the origin
+ * @param {number} radius - Orbit radius
+ * @param {number} angle - Position angle
+ * @param {number} mass - Body mass
+ * @param {number} enclosedMass - Mass the body orbits
+ * @param {number} G - Gravitational constant
+ * @returns {Object} Body { x, y, vx, vy, mass }
+ */
+function circularOrbit(radius, angle, mass, enclosedMass, G) {
+    const speed = Math.sqrt(G * enclosedMass / radius);
+    return {
+        x: radius * Math.cos(angle),
+        y: radius * Math.sin(angle),
+        vx: -speed * Math.sin(angle),
+        vy: speed * Math.cos(angle),
+        mass
+    };
+}
+
+/**
+ * Vector of the given length in a random 3D direction, projected onto the plane
+ * @param {number} length - Vector length
+ * @param {Function} random - Uniform random number generator
+ * @returns {Object} { x, y }
+ */
+function isotropic(length, random) {
+    const z = 2 * random() - 1;
+    const phi = 2 * Math.PI * random();
+    const planar = length * Math.sqrt(1 - z * z);
+    return { x: planar * Math.cos(phi), y: planar * Math.sin(phi) };
+}
+
+/**
+ * Move bodies so their centre of mass sits at the middle of the world, at rest
+ * @param {Array<Object>} bodies - Bodies (modified in place)
+ * @param {number} width - World width
+ * @param {number} height - World height
+ * @returns {Array<Object>} The same bodies
+ */
+function centre(bodies, width, height) {
+    let mass = 0, x = 0, y = 0, px = 0, py = 0;
+    for (const body of bodies) {
+        mass += body.mass;
+        x += body.mass * body.x;
+        y += body.mass * body.y;
+        px += body.mass * body.vx;
+        py += body.mass * body.vy;
+    }
+    if (mass === 0) return bodies;
+
+    for (const body of bodies) {
+        body.x += width / 2 - x / mass;
+        body.y += height / 2 - y / mass;
+        body.vx -= px / mass;
+        body.vy -= py / mass;
+    }
+    return bodies;
+}
@@ -4,21 +4,56 @@
  */
 
 import { ISimulation } from '../simulation-interface.js';
+import { SimulationLoop } from '../simulation-loop.js';
 import { GravityEngine } from './gravity-engine.js';
+import { GravityWorkerEngine } from './gravity-worker-engine.js';
 import { GravityRenderer } from './gravity-renderer.js';
+import { GravityConfig } from './gravity-config.js';
+import { GravityTrails } from './gravity-trails.js';
+import { GravityCameraTracker } from './gravity-camera-tracker.js';
+import { GravitySnapshot } from './gravity-snapshot.js';
+import { TimeSeries } from '../../utils/time-series.js';
 
 export class GravitySimulation extends ISimulation {
-    constructor(width, height, bodyCount = 3, G = 1.0) {
+    /**
+     * @param {number} width - World width
+     * @param {number} height - World height
+     * @param {number} bodyCount - Number of bodies to generate
+     * @param {number} G - Gravitational constant
+     * @param {Object} options - Overrides for GravityConfig.engine (e.g. scenario, useWorker)
+     * @param {Object} workerHooks - Passed to GravityWorkerEngine when useWorker is set (e.g. createWorker)
+     */
+    constructor(width, height, bodyCount = 3, G = 1.0, options = {}, workerHooks = {}) {
         super();
         this.width = width;
         this.height = height;
         this.isRunning = false;
         this.listeners = [];
-        this.animationFrame = null;
+        this.loop = null;
+        this.speed = 1;
+        this.frameScheduler = null; // Custom loop scheduler (e.g. for recording); null uses animation frames
+        this._pendingFrame = null; // { promise, resolve } while a scheduled frame waits for worker results
 
-        // Create engine and renderer components
-        this.engine = new GravityEngine(width, height, bodyCount, G);
+        // Create engine and renderer components; a worker engine reports results asynchronously
+        const { useWorker } = { ...GravityConfig.engine, ...options };
+        this.usesWorker = Boolean(useWorker) && (GravityWorkerEngine.isSupported() || Boolean(workerHooks.createWorker));
+        this.engine = this.usesWorker
+            ? new GravityWorkerEngine(width, height, bodyCount, G, options, {
+                ...workerHooks,
+                onUpdate: (steps, stepTime) => this._onWorkerUpdate(steps, stepTime)
+            })
+            : new GravityEngine(width, height, bodyCount, G, options);
         this.renderer = null; // Will be set when renderer is provided
+        this.rendererConfig = {}; // Runtime overrides for GravityConfig.renderer
+
+        // Rolling history of diagnostics for the diagnostics panel
+        this.diagnosticsHistory = new TimeSeries(GravityConfig.renderer.diagnosticsHistoryLength);
+
+        // Per-body position history for trails
+        this.trails = new GravityTrails(GravityConfig.renderer.trailLength);
+
+        // Smoothed point the camera keeps centred in the tracking modes
+        this.cameraTracker = new GravityCameraTracker();
 
         this.initialize(bodyCount);
     }
@@ -28,7 +63,61 @@ export class GravitySimulation extends ISimulation {
      * @private
      */
     _setRenderer(renderer) {
-        this.renderer = new GravityRenderer(renderer);
+        this.renderer = new GravityRenderer(renderer, this.rendererConfig);
+    }
+
+    /**
+     * Merge renderer config overrides and apply them to the live renderer
+     * @private
+     * @param {Object} config - Renderer config overrides
+     */
+    _updateRendererConfig(config) {
+        this.rendererConfig = { ...this.rendererConfig, ...config };
+        if (this.renderer) {
+            this.renderer.updateConfig(config);
+        }
+    }
+
+    /**
+     * Record the engine's latest diagnostics in the rolling history
+     * @private
+     * @param {number} stepTime - Wall-clock duration of the physics step in milliseconds
+     */
+    _recordDiagnostics(stepTime) {
+        const diagnostics = this.engine.getDiagnostics();
+        this.diagnosticsHistory.push(this.engine.time, {
+            totalEnergy: diagnostics.totalEnergy,
+            kineticEnergy: diagnostics.kineticEnergy,
+            potentialEnergy: diagnostics.potentialEnergy,
+            energyDrift: diagnostics.drift.energy,
+            angularMomentumDrift: diagnostics.drift.angularMomentum,
+            bodyCount: this.engine.getBodyView().count,
+            dt: this.engine.lastDt,
+            substeps: this.engine.substeps,
+            stepTime,
+            droppedTime: this._getDroppedTime()
+        });
+    }
+
+    /**
+     * Simulated time dropped by the running loop (frames over its substep limit) and by the
+     * engine (adaptive time steps over their attempt budget)
+     * @private
+     * @returns {number} Time dropped by the loop since it started plus by the engine since reset
+     */
+    _getDroppedTime() {
+        return (this.loop ? this.loop.droppedTime : 0) + this.engine.droppedTime;
+    }
+
+    /**
+     * Record body positions for trails (only while trails are shown)
+     * @private
+     */
+    _recordTrails() {
+        const { showTrails } = { ...GravityConfig.renderer, ...this.rendererConfig };
+        if (showTrails) {
+            this.trails.record(this.engine.getBodyView(), this.engine.width, this.engine.height);
+        }
     }
 
     /**
@@ -36,10 +125,17 @@ export class GravitySimulation extends ISimulation {
      */
     initialize(bodyCount) {
         this.engine.initialize(bodyCount);
+        this.diagnosticsHistory.clear();
+        this.trails.clear();
+        this.cameraTracker.reset();
     }
 
     /**
      * Register a callback to be notified of state updates
+     * Listeners run every frame, so they get getState() without the copied bodies: the
+     * bodies are in `bodyView`, the engine's zero-copy arrays (see GravityEngine.getBodyView()).
+     * `frame` is true only for the running loop's scheduled frames; other updates (commands,
+     * start, stop) set it to false.
      */
     onUpdate(callback) {
         this.listeners.push(callback);
@@ -47,44 +143,134 @@ export class GravitySimulation extends ISimulation {
 
     /**
      * Notify all listeners of state update
+     * @param {boolean} frame - Whether this update draws one of the loop's scheduled frames
      */
-    notifyListeners() {
-        const state = this.getState();
+    notifyListeners(frame = false) {
+        const state = {
+            ...this._getSummary(),
+            bodyView: this.engine.getBodyView(),
+            frame
+        };
         this.listeners.forEach(listener => listener(state));
     }
 
     /**
-     * Get current simulation state
+     * Resolve once the last scheduled frame has reached the listeners
+     * With a worker, a frame is drawn when the worker has returned all of its steps.
+     * @returns {Promise<void>} Resolves when no scheduled frame is waiting
+     */
+    whenFrameDrawn() {
+        return this._pendingFrame ? this._pendingFrame.promise : Promise.resolve();
+    }
+
+    /**
+     * Draw the loop's scheduled frame, or with a busy worker wait for its results
+     * @private
+     */
+    _renderFrame() {
+        if (!this.usesWorker || this.engine.isIdle) {
+            this.notifyListeners(true);
+        } else if (!this._pendingFrame) {
+            let resolve;
+            const promise = new Promise(done => (resolve = done));
+            this._pendingFrame = { promise, resolve };
+        }
+    }
+
+    /**
+     * Get current simulation state, including plain copies of every body
      */
     getState() {
-        const engineState = this.engine.getState();
         return {
-            ...engineState,
+            ...this.engine.getState(),
+            ...this._getSummary()
+        };
+    }
+
+    /**
+     * Engine summary plus the controller's own state, without copying any bodies
+     * @private
+     * @returns {Object} Summary state
+     */
+    _getSummary() {
+        const { showTrails, showDiagnostics, cameraMode, cameraBodyId } = { ...GravityConfig.renderer, ...this.rendererConfig };
+        return {
+            ...this.engine.getSummary(),
             time: Date.now(),
-            isRunning: this.isRunning
+            isRunning: this.isRunning,
+            speed: this.speed,
+            droppedTime: this._getDroppedTime(),
+            showTrails,
+            showDiagnostics,
+            cameraMode,
+            cameraBodyId
         };
     }
 
+    /**
+     * Advance the physics by one time step and record history, without notifying listeners
+     * @private
+     */
+    _advance() {
+        if (this.usesWorker) {
+            // The worker steps asynchronously; results are recorded in _onWorkerUpdate
+            this.engine.step();
+            return;
+        }
+        const started = performance.now();
+        this.engine.step();
+        this._recordDiagnostics(performance.now() - started);
+        this._recordTrails();
+    }
+
+    /**
+     * Record and draw a state computed by the worker engine
+     * Diagnostics and trails are recorded once per batch of steps rather than per step.
+     * @private
+     * @param {number} steps - Steps the worker took for this state
+     * @param {number} stepTime - Mean wall-clock time per step in milliseconds
+     */
+    _onWorkerUpdate(steps, stepTime) {
+        if (steps > 0) {
+            this._recordDiagnostics(stepTime);
+            this._recordTrails();
+        }
+        const frame = this._pendingFrame;
+        if (frame && this.engine.isIdle) {
+            this._pendingFrame = null;
+            this.notifyListeners(true);
+            frame.resolve();
+        } else {
+            this.notifyListeners();
+        }
+    }
+
     /**
      * Update simulation by one time step
      */
     step() {
-        this.engine.step();
+        this._advance();
         this.notifyListeners();
     }
 
     /**
      * Start the simulation
+     * A fixed-timestep loop runs as many physics steps per animation frame as real time
+     * requires and notifies listeners (which render) once per frame.
      */
     start() {
         if (this.isRunning) return;
         
         this.isRunning = true;
-        this.animationFrame = setInterval(() => {
-            if (this.isRunning) {
-                this.step();
-            }
-        }, this.engine.timeStep * 1000);
+        this.loop = new SimulationLoop({
+            step: () => this._advance(),
+            render: () => this._renderFrame(),
+            timeStep: this.engine.timeStep,
+            maxSubsteps: this.engine.config.maxSubsteps,
+            speed: this.speed,
+            ...(this.frameScheduler && { scheduler: this.frameScheduler })
+        });
+        this.loop.start();
         
         this.notifyListeners();
     }
@@ -94,9 +280,54 @@ export class GravitySimulation extends ISimulation {
      */
     stop() {
         this.isRunning = false;
-        if (this.animationFrame) {
-            clearInterval(this.animationFrame);
-            this.animationFrame = null;
+        if (this.loop) {
+            this.loop.stop();
+            this.loop = null;
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Set how fast simulated time runs relative to real time
+     * @param {number} multiplier - Speed multiplier (1 = real time); non-positive values are ignored
+     */
+    setSpeed(multiplier) {
+        if (!(multiplier > 0)) return;
+        this.speed = multiplier;
+        if (this.loop) {
+            this.loop.speed = multiplier;
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Drive the loop from a custom frame scheduler, e.g. SimulationLoop.fixedRateScheduler() while recording
+     * @param {Object|null} scheduler - Frame scheduler { request(callback), cancel(handle) }; null restores animation frames
+     */
+    setFrameScheduler(scheduler) {
+        this.frameScheduler = scheduler;
+        if (this.loop) {
+            this.loop.setScheduler(scheduler ?? SimulationLoop.defaultScheduler());
+        }
+    }
+
+    /**
+     * Advance exactly one time step (only while paused)
+     */
+    stepOnce() {
+        if (this.isRunning) return;
+        this.step();
+    }
+
+    /**
+     * Run time forwards or backwards
+     * Reversal negates every velocity; time-symmetric integrators (Verlet variants) then
+     * retrace the trajectory, so close encounters can be replayed.
+     * @param {boolean} reversed - Whether time runs backwards
+     */
+    setReversed(reversed) {
+        if (reversed !== (this.engine.timeDirection < 0)) {
+            this.engine.reverseTime();
         }
         this.notifyListeners();
     }
@@ -106,7 +337,10 @@ export class GravitySimulation extends ISimulation {
      */
     reset(bodyCount) {
         this.stop();
-        this.engine.reset(bodyCount || this.engine.bodies.length);
+        this.engine.reset(bodyCount || this.engine.getBodyView().count);
+        this.diagnosticsHistory.clear();
+        this.trails.clear();
+        this.cameraTracker.reset();
         this.notifyListeners();
     }
 
@@ -117,6 +351,177 @@ export class GravitySimulation extends ISimulation {
         this.engine.setG(newG);
     }
 
+    /**
+     * Switch to another initial-condition scenario and regenerate the bodies
+     * @param {string} name - Scenario name (see GravityScenarios.names())
+     */
+    setScenario(name) {
+        this.engine.setScenario(name);
+        this.diagnosticsHistory.clear();
+        this.trails.clear();
+        this.cameraTracker.reset();
+        this.notifyListeners();
+    }
+
+    /**
+     * Change the random seed and regenerate the bodies from it
+     * @param {string} seed - New seed; empty picks a fresh random seed
+     */
+    setSeed(seed) {
+        this.engine.setSeed(seed);
+        this.diagnosticsHistory.clear();
+        this.trails.clear();
+        this.cameraTracker.reset();
+        this.notifyListeners();
+    }
+
+    /**
+     * Swap the integration method without resetting, so energy drift can be compared within one run
+     * @param {string} name - Name in IntegratorRegistry, e.g. 'rk4', 'verlet' or 'yoshida4'
+     */
+    setIntegrator(name) {
+        this.engine.setIntegrator(name);
+        this.notifyListeners();
+    }
+
+    /**
+     * Switch adaptive time stepping on or off
+     * @param {boolean} enabled - Whether steps are covered by error-controlled substeps
+     */
+    setAdaptiveTimeStep(enabled) {
+        this.engine.setAdaptiveTimeStep(enabled);
+        this.notifyListeners();
+    }
+
+    /**
+     * Change the boundary condition
+     * @param {string} mode - 'periodic', 'reflective', 'open' or 'absorbing'
+     */
+    setBoundary(mode) {
+        this.engine.setBoundary(mode);
+        this.notifyListeners();
+    }
+
+    /**
+     * Change how overlapping bodies interact
+     * @param {string} mode - 'none', 'merge' or 'bounce'
+     */
+    setCollisions(mode) {
+        this.engine.setCollisions(mode);
+        this.notifyListeners();
+    }
+
+    /**
+     * Show or hide the diagnostics panel
+     * @param {boolean} enabled - Whether the panel is drawn
+     */
+    setShowDiagnostics(enabled) {
+        this._updateRendererConfig({ showDiagnostics: enabled });
+        this.notifyListeners();
+    }
+
+    /**
+     * Show or hide body trails
+     * Hiding the trails discards the recorded history.
+     * @param {boolean} enabled - Whether trails are recorded and drawn
+     */
+    setShowTrails(enabled) {
+        this._updateRendererConfig({ showTrails: enabled });
+        if (!enabled) {
+            this.trails.clear();
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Choose what the camera keeps centred
+     * @param {string} mode - 'free', 'body', 'heaviest' or 'centerOfMass'
+     * @throws {Error} If the mode is unknown
+     */
+    setCameraMode(mode) {
+        GravityCameraTracker.validateMode(mode);
+        this._updateRendererConfig({ cameraMode: mode });
+        this.cameraTracker.reset();
+        this.notifyListeners();
+    }
+
+    /**
+     * Choose the body followed in 'body' camera mode
+     * @param {number} id - Body id
+     */
+    setTrackedBody(id) {
+        this._updateRendererConfig({ cameraBodyId: id });
+        this.cameraTracker.reset();
+        this.notifyListeners();
+    }
+
+    /**
+     * Capture the full simulation as a snapshot document
+     * @returns {Object} Snapshot document (see GravitySnapshot)
+     * @throws {Error} If a worker engine has not reported its state yet
+     */
+    saveSnapshot() {
+        return GravitySnapshot.create(this.engine.toSnapshot(), { ...this.rendererConfig }, { speed: this.speed });
+    }
+
+    /**
+     * Restore the simulation from a snapshot document
+     * The simulation is stopped; recorded diagnostics and trails are discarded.
+     * @param {Object} snapshot - Parsed snapshot document
+     * @throws {Error} If the snapshot is invalid
+     */
+    loadSnapshot(snapshot) {
+        GravitySnapshot.validate(snapshot);
+        this.stop();
+        this.engine.loadSnapshot(snapshot.engine);
+        this.width = this.engine.width;
+        this.height = this.engine.height;
+        this._updateRendererConfig(snapshot.renderer || {});
+        if (snapshot.simulation?.speed > 0) {
+            this.speed = snapshot.simulation.speed;
+        }
+        this.diagnosticsHistory.clear();
+        this.trails.clear();
+        this.cameraTracker.reset();
+        this.notifyListeners();
+    }
+
+    /**
+     * Box around every body, for fitting the camera to them
+     * @returns {Object} Bounds { minX, minY, maxX, maxY }; the world rectangle when there are no bodies
+     */
+    getBounds() {
+        const { count, positions } = this.engine.getBodyView();
+        if (count === 0) {
+            return { minX: 0, minY: 0, maxX: this.engine.width, maxY: this.engine.height };
+        }
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (let i = 0; i < count; i++) {
+            const x = positions[2 * i];
+            const y = positions[2 * i + 1];
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        }
+        return bounds;
+    }
+
+    /**
+     * World point the camera should keep centred, smoothed between frames; call once per rendered frame
+     * @returns {Object|null} Point { x, y }, or null in 'free' mode or when the tracked body is gone
+     */
+    getFocus() {
+        const { cameraMode, cameraBodyId, cameraSmoothing } = { ...GravityConfig.renderer, ...this.rendererConfig };
+        return this.cameraTracker.update(this.engine.getBodyView(), {
+            mode: cameraMode,
+            bodyId: cameraBodyId,
+            smoothing: cameraSmoothing,
+            width: this.engine.width,
+            height: this.engine.height
+        });
+    }
+
     /**
      * Update dimensions
      */
@@ -138,8 +543,14 @@ export class GravitySimulation extends ISimulation {
             this.renderer.setRenderer(baseRenderer);
         }
         
-        const state = this.getState();
-        this.renderer.render(state);
+        // Draw from the engine's arrays directly instead of copying every body each frame
+        this.renderer.render({
+            width: this.engine.width,
+            height: this.engine.height,
+            bodyView: this.engine.getBodyView(),
+            trails: this.trails,
+            diagnosticsHistory: this.diagnosticsHistory
+        });
     }
 
     /**
@@ -148,5 +559,11 @@ export class GravitySimulation extends ISimulation {
     destroy() {
         this.stop();
         this.listeners = [];
+        // Nothing will draw a frame that is still waiting, so release anyone waiting for it
+        this._pendingFrame?.resolve();
+        this._pendingFrame = null;
+        if (this.usesWorker) {
+            this.engine.terminate();
+        }
     }
 }
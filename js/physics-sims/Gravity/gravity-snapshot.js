@@ -0,0 +1,196 @@
+/**
+ * Gravity Snapshot - Versioned JSON document describing a whole gravity simulation
+ *
+ * A snapshot holds the engine state (bodies, G, time step, integrator name, engine config),
+ * the renderer config overrides and the controller's speed, so a run can be archived and
+ * restored later. Documents are plain JSON-compatible objects; use JSON.stringify /
+ * JSON.parse to move them to and from files.
+ *
+ * Also converts between a GravityEngine and its engine section (engineSettings() and
+ * readEngine()), so the engine only assigns the values it gets back.
+ */
+
+import { GravityConfig } from './gravity-config.js';
+import { GravityBoundaries } from './gravity-boundaries.js';
+import { GravityCollisions } from './gravity-collisions.js';
+import { GravityScenarios } from './gravity-scenarios.js';
+import { IntegratorRegistry } from '../../integrators/integrators.js';
+
+export const GravitySnapshot = {
+    /**
+     * Identifies gravity snapshot documents
+     * @constant {string}
+     */
+    FORMAT: 'rainchart-gravity-snapshot',
+
+    /**
+     * Current document version; bump when the structure changes incompatibly
+     * @constant {number}
+     */
+    VERSION: 1,
+
+    /**
+     * Wrap engine, renderer and controller data in a snapshot document
+     * @param {Object} engine - Engine data from GravityEngine.toSnapshot()
+     * @param {Object} renderer - Renderer config overrides
+     * @param {Object} simulation - Controller state { speed }
+     * @returns {Object} Snapshot document
+     */
+    create(engine, renderer = {}, simulation = {}) {
+        return {
+            format: GravitySnapshot.FORMAT,
+            version: GravitySnapshot.VERSION,
+            savedAt: new Date().toISOString(),
+            engine,
+            renderer,
+            simulation
+        };
+    },
+
+    /**
+     * Engine section of a snapshot, without the bodies
+     * @param {GravityEngine} engine - Engine to describe
+     * @param {boolean} verletStarted - Whether position Verlet has seeded its history
+     * @returns {Object} Settings and counters (see the document structure below)
+     * @throws {Error} If the engine's integrator is not registered
+     */
+    engineSettings(engine, verletStarted) {
+        const { integrator, ...config } = engine.config;
+        const entry = IntegratorRegistry.find(integrator);
+        if (!entry) {
+            throw new Error('Engine integrator is not registered in IntegratorRegistry');
+        }
+        return {
+            width: engine.width,
+            height: engine.height,
+            G: engine.G,
+            timeStep: engine.timeStep,
+            time: engine.time,
+            timeDirection: engine.timeDirection,
+            stepCount: engine.stepCount,
+            seed: engine.seed,
+            integrator: entry.name,
+            config,
+            verletStarted,
+            driftReference: engine.initialDiagnostics
+        };
+    },
+
+    /**
+     * Values a GravityEngine restores from the engine section of a validated snapshot
+     * @param {Object} data - Engine section
+     * @returns {Object} { config, width, height, G, timeStep, time, timeDirection, stepCount, seed,
+     *                   bodies, verletStarted, driftReference } — config includes the integrator function
+     * @throws {Error} If the integrator or a config value is unknown
+     */
+    readEngine(data) {
+        const integrator = IntegratorRegistry.get(data.integrator).integrate;
+        const config = { ...GravityConfig.engine, ...data.config, integrator };
+        GravityBoundaries.validate(config.boundary);
+        GravityCollisions.validate(config.collisions);
+        GravityScenarios.validate(config.scenario);
+
+        return {
+            config,
+            width: data.width,
+            height: data.height,
+            G: data.G,
+            timeStep: data.timeStep,
+            time: data.time,
+            timeDirection: data.timeDirection === -1 ? -1 : 1,
+            stepCount: data.stepCount,
+            seed: data.seed,
+            bodies: data.bodies.map(({ id, x, y, vx, vy, mass }) => ({ id, x, y, vx, vy, mass })),
+            verletStarted: Boolean(data.verletStarted),
+            driftReference: data.driftReference ?? null
+        };
+    },
+
+    /**
+     * Validate that a document is a snapshot this version can load
+     * @param {Object} snapshot - Parsed snapshot document
+     * @throws {Error} If the document is malformed or from an unsupported version
+     */
+    validate(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            throw new Error('Snapshot must be an object');
+        }
+
+        if (snapshot.format !== GravitySnapshot.FORMAT) {
+            throw new Error(`Snapshot must have format "${GravitySnapshot.FORMAT}"`);
+        }
+
+        if (snapshot.version !== GravitySnapshot.VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot.version} (expected ${GravitySnapshot.VERSION})`);
+        }
+
+        if (!snapshot.engine || typeof snapshot.engine !== 'object') {
+            throw new Error('Snapshot must have an "engine" property');
+        }
+
+        const requiredEngineProps = {
+            width: 'number',
+            height: 'number',
+            G: 'number',
+            timeStep: 'number',
+            time: 'number',
+            stepCount: 'number',
+            seed: 'string',
+            integrator: 'string',
+            config: 'object',
+            bodies: 'object'
+        };
+
+        for (const [prop, type] of Object.entries(requiredEngineProps)) {
+            if (typeof snapshot.engine[prop] !== type || snapshot.engine[prop] === null) {
+                throw new Error(`Snapshot.engine must have ${type} property: ${prop}`);
+            }
+        }
+
+        if (!Array.isArray(snapshot.engine.bodies)) {
+            throw new Error('Snapshot.engine.bodies must be an array');
+        }
+
+        snapshot.engine.bodies.forEach((body, index) => {
+            for (const prop of ['id', 'x', 'y', 'vx', 'vy', 'mass']) {
+                if (!Number.isFinite(body?.[prop])) {
+                    throw new Error(`Body at index ${index} must have numeric property: ${prop}`);
+                }
+            }
+        });
+
+        for (const section of ['renderer', 'simulation']) {
+            if (snapshot[section] !== undefined && (typeof snapshot[section] !== 'object' || snapshot[section] === null)) {
+                throw new Error(`Snapshot.${section} must be an object`);
+            }
+        }
+
+        return true;
+    }
+};
+
+/**
+ * Snapshot document structure (version 1):
+ *
+ * {
+ *     format: 'rainchart-gravity-snapshot',
+ *     version: 1,
+ *     savedAt: string,                 // ISO timestamp
+ *     engine: {
+ *         width: number, height: number,
+ *         G: number,
+ *         timeStep: number,
+ *         time: number,                // Simulation time
+ *         timeDirection: number,       // 1 forwards, -1 when time runs backwards (optional)
+ *         stepCount: number,
+ *         seed: string,
+ *         integrator: string,          // Name in IntegratorRegistry, e.g. 'rk4'
+ *         config: Object,              // GravityConfig.engine overrides (without the integrator)
+ *         bodies: [{ id, x, y, vx, vy, mass }],
+ *         verletStarted: boolean,      // Whether position Verlet has seeded its history
+ *         driftReference: Object|null  // Diagnostics that drift is measured against
+ *     },
+ *     renderer: Object,                // GravityConfig.renderer overrides
+ *     simulation: { speed: number }    // Controller state (optional)
+ * }
+ */
@@ -0,0 +1,89 @@
+/**
+ * Gravity Trails - Per-body position history for drawing trails
+ * Recorded by the simulation controller after each step and handed to the renderer,
+ * so the visualisation layer never keeps physics state across frames.
+ *
+ * A point that jumps more than half the world size from its predecessor (a wrap-around
+ * through a periodic boundary) starts a new segment, so trails never streak across the screen.
+ */
+
+import { GravityBodyStore } from './gravity-body-store.js';
+
+export class GravityTrails {
+    /**
+     * @param {number} maxLength - Maximum number of points kept per body
+     */
+    constructor(maxLength = 50) {
+        this.maxLength = maxLength;
+        this.histories = new Map(); // body id -> Array<{ x, y, breakBefore }>
+    }
+
+    /**
+     * Append the current position of every body
+     * Histories of bodies that no longer exist are dropped.
+     * @param {Object|Array<Object>} bodies - Zero-copy body view { count, ids, positions } (see
+     *                                        GravityEngine.getBodyView()), or bodies with id, x and y
+     * @param {number} width - World width
+     * @param {number} height - World height
+     */
+    record(bodies, width, height) {
+        const { count, ids, positions } = Array.isArray(bodies) ? new GravityBodyStore(bodies).getView() : bodies;
+        const seen = new Set();
+        for (let i = 0; i < count; i++) {
+            const id = ids[i];
+            const x = positions[2 * i];
+            const y = positions[2 * i + 1];
+            seen.add(id);
+            let history = this.histories.get(id);
+            if (!history) {
+                history = [];
+                this.histories.set(id, history);
+            }
+
+            const last = history[history.length - 1];
+            const breakBefore = last !== undefined &&
+                (Math.abs(x - last.x) > width / 2 || Math.abs(y - last.y) > height / 2);
+            history.push({ x, y, breakBefore });
+
+            if (history.length > this.maxLength) {
+                history.shift();
+            }
+        }
+
+        for (const id of this.histories.keys()) {
+            if (!seen.has(id)) {
+                this.histories.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Get a body's trail split into continuous segments
+     * @param {number} id - Body id
+     * @returns {Array<Array<Object>>} Segments of points { x, y, age }, oldest first;
+     *                                 age counts recorded steps back from the newest point
+     */
+    getSegments(id) {
+        const history = this.histories.get(id) || [];
+        const segments = [];
+        let segment = [];
+        history.forEach((point, i) => {
+            if (point.breakBefore && segment.length > 0) {
+                segments.push(segment);
+                segment = [];
+            }
+            segment.push({ x: point.x, y: point.y, age: history.length - 1 - i });
+        });
+        if (segment.length > 0) {
+            segments.push(segment);
+        }
+        return segments;
+    }
+
+    /**
+     * Remove all recorded history
+     */
+    clear() {
+        this.histories.clear();
+    }
+}
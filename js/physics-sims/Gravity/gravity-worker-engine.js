@@ -0,0 +1,388 @@
+/**
+ * Gravity Worker Engine - Main-thread stand-in for a GravityEngine running in a Web Worker
+ *
+ * Offers the engine surface GravitySimulation uses. Commands are forwarded to the worker as
+ * messages; state getters read a mirror of the last state the worker sent back, whose body
+ * arrays arrive as transferables (no copy on receipt). step() only queues work: the steps
+ * queued during one task are sent as a single batch, and steps queued while a batch is in
+ * flight go out together as the next one. Every queued step is run; how many steps a frame
+ * may queue is capped by the caller (SimulationLoop.substepLimit), which also counts the time
+ * it drops.
+ *
+ * The worker resolves integrators by name in its own registry, so only integrators registered
+ * inside the worker (the built-ins) can be used.
+ */
+
+import { GravityBodyStore } from './gravity-body-store.js';
+import { IntegratorRegistry } from '../../integrators/integrators.js';
+
+export class GravityWorkerEngine {
+    /**
+     * @param {number} width - World width
+     * @param {number} height - World height
+     * @param {number} bodyCount - Number of bodies to generate
+     * @param {number} G - Gravitational constant
+     * @param {Object} options - Overrides for GravityConfig.engine
+     * @param {Object} hooks - Callbacks and worker factory
+     * @param {Function} hooks.onUpdate - Called with (steps, stepTime) after each state message
+     * @param {Function} hooks.onError - Called with an Error when a worker command fails
+     * @param {Function} hooks.createWorker - Returns a Worker-like object { postMessage, onmessage, terminate }
+     */
+    constructor(width, height, bodyCount = 3, G = 1.0, options = {}, {
+        onUpdate = () => {},
+        onError = (err) => console.error('Gravity worker error:', err),
+        createWorker = GravityWorkerEngine.defaultWorkerFactory
+    } = {}) {
+        this.onUpdate = onUpdate;
+        this.onError = onError;
+
+        // Mirror of the worker's engine, refreshed by every state message
+        this.width = width;
+        this.height = height;
+        this.G = G;
+        this.timeStep = 0.016;
+        this.time = 0;
+        this.timeDirection = 1;
+        this.stepCount = 0;
+        this.seed = null;
+        this.lastDt = this.timeStep;
+        this.substeps = 0;
+        this.droppedTime = 0;
+        this.diagnostics = null;
+        this.settings = null;
+        this.config = { ...options };
+        this.store = new GravityBodyStore();
+
+        this.pendingSteps = 0;
+        this.inFlight = 0;
+        this._flushScheduled = false;
+        this._idleCallbacks = [];
+
+        const workerOptions = { ...options };
+        if (typeof workerOptions.integrator === 'function') {
+            workerOptions.integrator = IntegratorRegistry.find(workerOptions.integrator)?.name;
+        }
+
+        this.worker = createWorker();
+        this.worker.onmessage = (event) => this._receive(event.data);
+        this._send({ type: 'init', width, height, bodyCount, G, options: workerOptions });
+    }
+
+    /**
+     * Whether Web Workers are available in this environment
+     * @returns {boolean} True if a Worker can be created
+     */
+    static isSupported() {
+        return typeof Worker === 'function';
+    }
+
+    /**
+     * Create the module worker that hosts the engine (gravity-worker.js)
+     * @returns {Worker} Worker
+     */
+    static defaultWorkerFactory() {
+        return new Worker(new URL('./gravity-worker.js', import.meta.url), { type: 'module' });
+    }
+
+    /**
+     * Bodies of the last state received, as live views of the mirrored arrays
+     * @returns {Array<Object>} Body views
+     */
+    get bodies() {
+        return this.store.bodies;
+    }
+
+    /**
+     * Queue one time step; queued steps are sent to the worker as one batch
+     */
+    step() {
+        this.pendingSteps++;
+        if (!this._flushScheduled) {
+            this._flushScheduled = true;
+            queueMicrotask(() => {
+                this._flushScheduled = false;
+                this._flushSteps();
+            });
+        }
+    }
+
+    /**
+     * Send the queued steps unless a batch is still being computed
+     * @private
+     */
+    _flushSteps() {
+        if (this.pendingSteps === 0 || this.inFlight > 0) return;
+        const count = this.pendingSteps;
+        this.pendingSteps = 0;
+        this._send({ type: 'step', count });
+    }
+
+    /**
+     * Post a message to the worker
+     * @private
+     * @param {Object} message - Message (see gravity-worker.js)
+     */
+    _send(message) {
+        this.inFlight++;
+        this.worker.postMessage(message);
+    }
+
+    /**
+     * Forward an engine command to the worker
+     * @private
+     * @param {string} method - Engine method name
+     * @param {Array} args - Arguments (must be structured-cloneable)
+     */
+    _call(method, ...args) {
+        this._send({ type: 'call', method, args });
+    }
+
+    /**
+     * Handle a reply from the worker
+     * @private
+     * @param {Object} message - { type: 'state', ... } or { type: 'error', message }
+     */
+    _receive(message) {
+        this.inFlight--;
+        if (message.type === 'error') {
+            this.onError(new Error(message.message));
+        } else {
+            this._applyState(message);
+            this.onUpdate(message.steps, message.stepTime);
+        }
+
+        this._flushSteps();
+        if (this.inFlight === 0) {
+            const callbacks = this._idleCallbacks;
+            this._idleCallbacks = [];
+            callbacks.forEach(callback => callback());
+        }
+    }
+
+    /**
+     * Update the mirror from a state message
+     * @private
+     * @param {Object} message - State message from GravityWorkerHost
+     */
+    _applyState({ settings, lastDt, substeps, droppedTime, diagnostics, phase, masses, ids }) {
+        this.settings = settings;
+        this.width = settings.width;
+        this.height = settings.height;
+        this.G = settings.G;
+        this.timeStep = settings.timeStep;
+        this.time = settings.time;
+        this.timeDirection = settings.timeDirection;
+        this.stepCount = settings.stepCount;
+        this.seed = settings.seed;
+        this.config = {
+            ...settings.config,
+            integrator: IntegratorRegistry.has(settings.integrator)
+                ? IntegratorRegistry.get(settings.integrator).integrate
+                : null
+        };
+        this.lastDt = lastDt;
+        this.substeps = substeps;
+        this.droppedTime = droppedTime;
+        this.diagnostics = diagnostics;
+        this.store.setArrays({ phase, masses, ids });
+    }
+
+    /**
+     * Whether the worker has answered every message and no steps are queued
+     * @returns {boolean} True when idle
+     */
+    get isIdle() {
+        return this.inFlight === 0 && this.pendingSteps === 0;
+    }
+
+    /**
+     * Resolve once the worker has answered every message sent so far
+     * @returns {Promise<void>} Resolves when no messages are in flight
+     */
+    whenIdle() {
+        if (this.isIdle) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this._idleCallbacks.push(resolve));
+    }
+
+    /**
+     * Stop the worker; the engine cannot be used afterwards
+     */
+    terminate() {
+        this.worker.terminate();
+    }
+
+    /**
+     * Latest state, in the same shape as GravityEngine.getState()
+     * @returns {Object} State of the last message from the worker
+     */
+    getState() {
+        return {
+            bodies: this.store.toObjects(),
+            ...this.getSummary()
+        };
+    }
+
+    /**
+     * Latest state without the bodies, in the same shape as GravityEngine.getSummary()
+     * @returns {Object} Summary of the last message from the worker
+     */
+    getSummary() {
+        return {
+            width: this.width,
+            height: this.height,
+            simulationTime: this.time,
+            stepCount: this.stepCount,
+            seed: this.seed,
+            reversed: this.timeDirection < 0,
+            integrator: this.settings?.integrator,
+            boundary: this.settings?.config.boundary,
+            collisions: this.settings?.config.collisions,
+            scenario: this.settings?.config.scenario,
+            adaptiveTimeStep: this.settings?.config.adaptiveTimeStep,
+            dt: this.lastDt,
+            substeps: this.substeps,
+            droppedTime: this.droppedTime,
+            diagnostics: this.getDiagnostics()
+        };
+    }
+
+    /**
+     * Latest diagnostics, including drift
+     * @returns {Object} Diagnostics from the worker
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
+    /**
+     * Zero-copy view of the mirrored body arrays
+     * @returns {Object} { count, ids, positions, velocities, masses }
+     */
+    getBodyView() {
+        return this.store.getView();
+    }
+
+    /**
+     * Engine section of a snapshot document, from the latest mirrored state
+     * @returns {Object} Same shape as GravityEngine.toSnapshot()
+     * @throws {Error} If the worker has not reported its state yet
+     */
+    toSnapshot() {
+        if (!this.settings) {
+            throw new Error('The gravity worker has not reported its state yet');
+        }
+        return {
+            ...this.settings,
+            bodies: this.store.toObjects()
+        };
+    }
+
+    /**
+     * Regenerate the bodies
+     * @param {number} bodyCount - Number of bodies
+     */
+    initialize(bodyCount) {
+        this._call('initialize', bodyCount);
+    }
+
+    /**
+     * Reset the engine
+     * @param {number} bodyCount - Number of bodies (the worker keeps its count when falsy)
+     */
+    reset(bodyCount) {
+        this.pendingSteps = 0;
+        this._call('reset', bodyCount);
+    }
+
+    /**
+     * Update gravitational constant
+     * @param {number} newG - Gravitational constant
+     */
+    setG(newG) {
+        this._call('setG', newG);
+    }
+
+    /**
+     * Change the boundary condition
+     * @param {string} mode - 'periodic', 'reflective', 'open' or 'absorbing'
+     */
+    setBoundary(mode) {
+        this._call('setBoundary', mode);
+    }
+
+    /**
+     * Change how overlapping bodies interact
+     * @param {string} mode - 'none', 'merge' or 'bounce'
+     */
+    setCollisions(mode) {
+        this._call('setCollisions', mode);
+    }
+
+    /**
+     * Switch to another initial-condition scenario
+     * @param {string} name - Scenario name
+     * @param {number} bodyCount - Requested number of bodies (defaults to the worker's count)
+     */
+    setScenario(name, bodyCount) {
+        this._call('setScenario', name, ...(bodyCount === undefined ? [] : [bodyCount]));
+    }
+
+    /**
+     * Change the random seed and regenerate the bodies
+     * @param {string|number|null} seed - New seed
+     */
+    setSeed(seed) {
+        this._call('setSeed', seed);
+    }
+
+    /**
+     * Swap the integration method on the running engine
+     * @param {string} name - Name in IntegratorRegistry
+     */
+    setIntegrator(name) {
+        this._call('setIntegrator', name);
+    }
+
+    /**
+     * Switch adaptive time stepping on or off
+     * @param {boolean} enabled - Whether steps are covered by error-controlled substeps
+     */
+    setAdaptiveTimeStep(enabled) {
+        this._call('setAdaptiveTimeStep', enabled);
+    }
+
+    /**
+     * Reverse the direction of time
+     * The mirrored direction flips at once so repeated toggles stay consistent.
+     */
+    reverseTime() {
+        this.timeDirection = -this.timeDirection;
+        this._call('reverseTime');
+    }
+
+    /**
+     * Update dimensions
+     * @param {number} width - World width
+     * @param {number} height - World height
+     */
+    setDimensions(width, height) {
+        this.width = width;
+        this.height = height;
+        this._call('setDimensions', width, height);
+    }
+
+    /**
+     * Restore the engine from a snapshot's engine section
+     * @param {Object} data - Engine section of a validated snapshot document
+     * @throws {Error} If the integrator is unknown
+     */
+    loadSnapshot(data) {
+        IntegratorRegistry.get(data.integrator);
+        this.pendingSteps = 0;
+        this.width = data.width;
+        this.height = data.height;
+        this._call('loadSnapshot', data);
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Gravity Worker - Hosts a GravityEngine off the main thread
+ *
+ * Loaded as a module Web Worker by GravityWorkerEngine. The main thread sends messages:
+ *   - { type: 'init', width, height, bodyCount, G, options }  Create the engine
+ *   - { type: 'step', count }                                Advance `count` time steps
+ *   - { type: 'call', method, args }                         Run one of COMMANDS on the engine
+ * After each message the worker replies with { type: 'state', ... } carrying copies of the body
+ * arrays as transferables (see GravityWorkerHost._postState), or { type: 'error', message }.
+ *
+ * GravityWorkerHost holds the message handling so it can also be driven in-process (e.g. in tests).
+ */
+
+import { GravityEngine } from './gravity-engine.js';
+import { IntegratorRegistry } from '../../integrators/integrators.js';
+
+// Engine methods the main thread may call; anything else is rejected
+const COMMANDS = new Set([
+    'initialize',
+    'reset',
+    'setG',
+    'setBoundary',
+    'setCollisions',
+    'setScenario',
+    'setSeed',
+    'setIntegrator',
+    'setAdaptiveTimeStep',
+    'reverseTime',
+    'setDimensions',
+    'loadSnapshot'
+]);
+
+export class GravityWorkerHost {
+    /**
+     * @param {Function} post - Sends a message to the main thread: post(message, transferList)
+     */
+    constructor(post) {
+        this.post = post;
+        this.engine = null;
+    }
+
+    /**
+     * Handle one message from the main thread
+     * Errors are reported back as messages rather than thrown inside the worker.
+     * @param {Object} message - Message (see the module comment)
+     */
+    handle(message) {
+        try {
+            switch (message.type) {
+                case 'init':
+                    this._init(message);
+                    break;
+                case 'step':
+                    this._step(message.count);
+                    break;
+                case 'call':
+                    this._call(message.method, message.args);
+                    break;
+                default:
+                    throw new Error(`Unknown worker message type: ${message.type}`);
+            }
+        } catch (err) {
+            this.post({ type: 'error', message: err.message });
+        }
+    }
+
+    /**
+     * Create the engine; integrators arrive by name because functions cannot be cloned
+     * @private
+     * @param {Object} message - { width, height, bodyCount, G, options }
+     */
+    _init({ width, height, bodyCount, G, options }) {
+        const engineOptions = { ...options };
+        if (typeof engineOptions.integrator === 'string') {
+            engineOptions.integrator = IntegratorRegistry.get(engineOptions.integrator).integrate;
+        }
+        this.engine = new GravityEngine(width, height, bodyCount, G, engineOptions);
+        this._postState(0, 0);
+    }
+
+    /**
+     * Advance the engine and report the time each step took
+     * @private
+     * @param {number} count - Number of time steps
+     */
+    _step(count) {
+        const started = performance.now();
+        for (let i = 0; i < count; i++) {
+            this.engine.step();
+        }
+        this._postState(count, count > 0 ? (performance.now() - started) / count : 0);
+    }
+
+    /**
+     * Run an engine command
+     * @private
+     * @param {string} method - Name in COMMANDS
+     * @param {Array} args - Arguments
+     * @throws {Error} If the method is not an allowed command
+     */
+    _call(method, args = []) {
+        if (!COMMANDS.has(method)) {
+            throw new Error(`Unknown engine command: ${method}`);
+        }
+        this.engine[method](...args);
+        this._postState(0, 0);
+    }
+
+    /**
+     * Send the engine state to the main thread
+     * The body arrays are copied into fresh buffers and transferred, so the engine keeps its own.
+     * @private
+     * @param {number} steps - Steps taken since the last state message
+     * @param {number} stepTime - Mean wall-clock time per step in milliseconds
+     */
+    _postState(steps, stepTime) {
+        const { store } = this.engine;
+        const phase = store.phase.slice();
+        const masses = store.masses.slice();
+        const ids = store.ids.slice();
+        this.post({
+            type: 'state',
+            steps,
+            stepTime,
+            settings: this.engine.getSettings(),
+            lastDt: this.engine.lastDt,
+            substeps: this.engine.substeps,
+            droppedTime: this.engine.droppedTime,
+            diagnostics: this.engine.getDiagnostics(),
+            phase,
+            masses,
+            ids
+        }, [phase.buffer, masses.buffer, ids.buffer]);
+    }
+}
+
+// When loaded as a worker script, serve messages from the main thread
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const host = new GravityWorkerHost((message, transfer = []) => self.postMessage(message, transfer));
+    self.onmessage = (event) => host.handle(event.data);
+}
@@ -131,6 +131,28 @@ export class ISimulationControls {
         }
     }
     
+    /**
+     * Show the simulation's current values in the controls that declare a `stateKey`
+     * Call with every state update. The control being edited (focused) is left alone.
+     * @param {Object} controls - The controls object
+     * @param {Object} state - State passed to the simulation's listeners
+     * @returns {void}
+     */
+    static syncControlElements(controls, state) {
+        controls.controls.forEach(control => {
+            if (!control.stateKey || state[control.stateKey] === undefined) return;
+            const element = document.getElementById(control.id);
+            if (!element || element === document.activeElement) return;
+            
+            const value = state[control.stateKey];
+            if (control.type === 'checkbox') {
+                element.checked = Boolean(value);
+            } else if (element.value !== String(value)) {
+                element.value = value;
+            }
+        });
+    }
+    
     /**
      * Create a single control element based on its definition
      * @private
@@ -273,7 +295,8 @@ export class ISimulationControls {
  *             value: any,              // Default value
  *             options: Array,          // For select controls: [{value, label}]
  *             placeholder: string,     // For text inputs
- *             className: string        // CSS class name
+ *             className: string,       // CSS class name
+ *             stateKey: string         // Key of the listener state the control shows (see syncControlElements)
  *         }
  *     ],
  *     getControl(id): Object|undefined,
@@ -18,6 +18,8 @@ export class ISimulation {
 
     /**
      * Register a callback to be notified of state updates
+     * The state's `frame` flag is true only for the running loop's scheduled frames, so
+     * per-frame work such as video capture can skip updates caused by commands.
      * @abstract
      * @param {Function} callback - Function to call with updated state
      */
@@ -58,6 +60,68 @@ export class ISimulation {
         throw new Error('stop() must be implemented by subclass');
     }
 
+    /**
+     * Set how fast simulated time runs relative to real time
+     * @abstract
+     * @param {number} multiplier - Speed multiplier (1 = real time)
+     */
+    setSpeed(multiplier) {
+        throw new Error('setSpeed() must be implemented by subclass');
+    }
+
+    /**
+     * Advance exactly one time step while paused
+     * @abstract
+     */
+    stepOnce() {
+        throw new Error('stepOnce() must be implemented by subclass');
+    }
+
+    /**
+     * Run time forwards or backwards
+     * @abstract
+     * @param {boolean} reversed - Whether time runs backwards
+     */
+    setReversed(reversed) {
+        throw new Error('setReversed() must be implemented by subclass');
+    }
+
+    /**
+     * Drive the simulation loop from a custom frame scheduler (e.g. while recording)
+     * @abstract
+     * @param {Object|null} scheduler - Frame scheduler { request(callback), cancel(handle) }; null restores animation frames
+     */
+    setFrameScheduler(scheduler) {
+        throw new Error('setFrameScheduler() must be implemented by subclass');
+    }
+
+    /**
+     * Resolve once the last scheduled frame has reached the listeners (e.g. to pace a recording)
+     * @abstract
+     * @returns {Promise<void>} Resolves when no scheduled frame is waiting to be drawn
+     */
+    whenFrameDrawn() {
+        throw new Error('whenFrameDrawn() must be implemented by subclass');
+    }
+
+    /**
+     * World-space box around the simulation's content, for fitting the camera to it
+     * @abstract
+     * @returns {Object} Bounds { minX, minY, maxX, maxY }
+     */
+    getBounds() {
+        throw new Error('getBounds() must be implemented by subclass');
+    }
+
+    /**
+     * World point the camera should keep centred (e.g. a followed body), checked before each render
+     * @abstract
+     * @returns {Object|null} Point { x, y }, or null to leave the camera alone
+     */
+    getFocus() {
+        throw new Error('getFocus() must be implemented by subclass');
+    }
+
     /**
      * Reset the simulation to initial state
      * @abstract
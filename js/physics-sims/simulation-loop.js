@@ -0,0 +1,185 @@
+/**
+ * Simulation Loop - Fixed-timestep animation loop shared by all simulations
+ *
+ * Each animation frame adds the elapsed wall-clock time, scaled by `speed`, to an accumulator
+ * and runs as many fixed-size physics steps as fit into it, then renders once. Physics therefore advances at
+ * the same rate regardless of render cost or timer jitter. If a frame would need more than
+ * `substepLimit` steps (`maxSubsteps`, scaled up by speeds above 1) - e.g. after the tab was in
+ * the background, or when steps are slower than real time - the backlog is dropped instead of
+ * growing without bound, and counted in `droppedTime`. Schedulers that set `keepBacklog`
+ * (fixedRateScheduler()) are never limited, since each of their frames covers a fixed time.
+ *
+ * Uses requestAnimationFrame in the browser and falls back to setTimeout elsewhere (Node).
+ * For recording, fixedRateScheduler() replaces the wall clock with one that advances by
+ * exactly one video frame per frame, however long the frame took to compute.
+ */
+
+export class SimulationLoop {
+    /**
+     * @param {Object} options - Loop options
+     * @param {Function} options.step - Advances the simulation by one fixed time step
+     * @param {Function} options.render - Draws the current state; called once per frame after stepping
+     * @param {number} options.timeStep - Simulation time per step (seconds of wall-clock time at speed 1)
+     * @param {number} options.maxSubsteps - Most steps run in a single frame at speed 1 (see substepLimit)
+     * @param {number} options.speed - Simulation seconds per wall-clock second
+     * @param {Object} options.scheduler - Frame scheduler { request(callback), cancel(handle), keepBacklog };
+     *                                     callbacks receive a timestamp in milliseconds
+     */
+    constructor({ step, render, timeStep, maxSubsteps = 8, speed = 1, scheduler = SimulationLoop.defaultScheduler() }) {
+        this.step = step;
+        this.render = render;
+        this.timeStep = timeStep;
+        this.maxSubsteps = maxSubsteps;
+        this.speed = speed;
+        this.scheduler = scheduler;
+
+        this.handle = null;
+        this.lastTimestamp = null;
+        this.accumulator = 0;
+        this.droppedTime = 0;
+        this._onFrame = (timestamp) => this._frame(timestamp);
+    }
+
+    /**
+     * Scheduler backed by requestAnimationFrame, or by setTimeout at ~60 Hz where it is unavailable
+     * @returns {Object} Scheduler { request(callback), cancel(handle) }
+     */
+    static defaultScheduler() {
+        if (typeof requestAnimationFrame === 'function') {
+            return {
+                request: (callback) => requestAnimationFrame(callback),
+                cancel: (handle) => cancelAnimationFrame(handle)
+            };
+        }
+        return {
+            request: (callback) => setTimeout(() => callback(performance.now()), 1000 / 60),
+            cancel: (handle) => clearTimeout(handle)
+        };
+    }
+
+    /**
+     * Scheduler that advances by a fixed interval per frame, for recording at a steady frame rate
+     * Each frame reports a timestamp exactly 1/frameRate seconds after the last one, so every
+     * frame covers the same simulated time even when the physics is slower than real time; frames
+     * are delayed, never skipped. Before each frame it waits for `ready()` (e.g. the capture of
+     * the previous frame) and, when `realTime` is set, for the frame's wall-clock deadline so the
+     * frames reach a video encoder at their playback rate. It sets `keepBacklog`, so the loop runs
+     * every step a frame needs whatever its substep limit.
+     * @param {number} frameRate - Frames per second
+     * @param {Object} options - Scheduler options
+     * @param {Function} options.ready - Returns a promise (or nothing) to wait for before each frame
+     * @param {boolean} options.realTime - Pace frames to the wall clock (default true)
+     * @returns {Object} Scheduler { request(callback), cancel(handle), keepBacklog }
+     */
+    static fixedRateScheduler(frameRate, { ready = () => undefined, realTime = true } = {}) {
+        const interval = 1000 / frameRate;
+        let timestamp = 0;
+        let deadline = null;
+        return {
+            keepBacklog: true,
+            request: (callback) => {
+                const now = performance.now();
+                // Falling behind moves the schedule back rather than bunching up later frames
+                deadline = deadline === null ? now : Math.max(deadline + interval, now);
+                const handle = { timer: null, cancelled: false };
+                handle.timer = setTimeout(async () => {
+                    await ready();
+                    if (!handle.cancelled) {
+                        timestamp += interval;
+                        callback(timestamp);
+                    }
+                }, realTime ? deadline - now : 0);
+                return handle;
+            },
+            cancel: (handle) => {
+                handle.cancelled = true;
+                clearTimeout(handle.timer);
+            }
+        };
+    }
+
+    /**
+     * Switch to another frame scheduler, continuing from the current state
+     * @param {Object} scheduler - Frame scheduler { request(callback), cancel(handle) }
+     */
+    setScheduler(scheduler) {
+        const wasRunning = this.isRunning;
+        this.stop();
+        this.scheduler = scheduler;
+        if (wasRunning) {
+            this.start();
+        }
+    }
+
+    /**
+     * Most steps a frame may run: maxSubsteps, multiplied by the speed when it is above 1 so
+     * that a faster speed is delivered rather than dropped; unlimited for a keepBacklog scheduler
+     * @returns {number} Step limit per frame
+     */
+    get substepLimit() {
+        if (this.scheduler.keepBacklog) {
+            return Infinity;
+        }
+        return Math.ceil(this.maxSubsteps * Math.max(1, this.speed));
+    }
+
+    /**
+     * Whether the loop is scheduled to run
+     * @returns {boolean} True while running
+     */
+    get isRunning() {
+        return this.handle !== null;
+    }
+
+    /**
+     * Start requesting frames
+     */
+    start() {
+        if (this.isRunning) return;
+        this.lastTimestamp = null;
+        this.accumulator = 0;
+        this.handle = this.scheduler.request(this._onFrame);
+    }
+
+    /**
+     * Stop requesting frames
+     */
+    stop() {
+        if (!this.isRunning) return;
+        this.scheduler.cancel(this.handle);
+        this.handle = null;
+    }
+
+    /**
+     * Run the fixed steps that fit into the time since the last frame, then render
+     * @private
+     * @param {number} timestamp - Frame time in milliseconds
+     */
+    _frame(timestamp) {
+        // Schedule first so a step or render that stops the loop cancels this request
+        this.handle = this.scheduler.request(this._onFrame);
+
+        if (this.lastTimestamp !== null) {
+            this.accumulator += (timestamp - this.lastTimestamp) / 1000 * this.speed;
+        }
+        this.lastTimestamp = timestamp;
+
+        const substepLimit = this.substepLimit;
+        let substeps = 0;
+        while (this.accumulator >= this.timeStep && substeps < substepLimit) {
+            this.step();
+            this.accumulator -= this.timeStep;
+            substeps++;
+        }
+
+        // Drop the backlog rather than spiral into ever longer frames
+        if (this.accumulator >= this.timeStep) {
+            this.droppedTime += this.accumulator;
+            this.accumulator = 0;
+        }
+
+        if (this.isRunning) {
+            this.render();
+        }
+    }
+}
@@ -8,11 +8,19 @@ export { ISimulation } from './physics-sims/simulation-interface.js';
 export { ISimulationEngine } from './physics-sims/engine-interface.js';
 export { ISimulationConfig } from './physics-sims/config-interface.js';
 export { ISimulationControls } from './physics-sims/controls-interface.js';
+export { SimulationLoop } from './physics-sims/simulation-loop.js';
 
 // Renderer modules
 export { BaseRenderer } from './renderer/base-renderer.js';
+export { Camera } from './renderer/camera.js';
 export { CanvasRenderer } from './renderer/canvas-renderer.js';
 export { D3Renderer } from './renderer/d3-renderer.js';
+export { RasterRenderer } from './renderer/raster-renderer.js';
+export { RecordingRenderer } from './renderer/recording-renderer.js';
+export { DisplayList } from './renderer/display-list.js';
+export { SvgSerializer } from './renderer/svg-serializer.js';
+export { FrameCapture } from './renderer/frame-capture.js';
+export { VideoRecorder } from './renderer/video-recorder.js';
 
 // Physics simulation modules
 export { GravitySimulation } from './physics-sims/Gravity/gravity-simulation.js';
@@ -22,7 +30,11 @@ export { GravityConfig } from './physics-sims/Gravity/gravity-config.js';
 export { GravityControls } from './physics-sims/Gravity/gravity-controls.js';
 
 // Integrator utilities
-export { Integrators } from './integrators/integrators.js';
+export { Integrators, IntegratorRegistry } from './integrators/integrators.js';
 
 // Color utilities
 export { DEFAULT_COLOR_PALETTE, BASE_COLOR_PALETTE } from './utils/color-palette.js';
+export { parseColor } from './utils/color-parse.js';
+
+// Image export
+export { PngEncoder } from './utils/png-encoder.js';
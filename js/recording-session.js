@@ -0,0 +1,113 @@
+/**
+ * Recording Session - Records a running simulation to video (application layer)
+ *
+ * While recording, the simulation loop runs on SimulationLoop.fixedRateScheduler(), so every
+ * video frame covers 1/frameRate seconds of simulated time, and the session captures exactly
+ * one frame per scheduled loop frame: listener updates caused by commands (setSpeed, start,
+ * …) are not frames and are skipped. Before each loop frame the scheduler waits for the
+ * previous frame to be drawn (ISimulation.whenFrameDrawn(), which matters with a worker) and
+ * captured, so slow physics delays frames instead of dropping them.
+ */
+
+import { VideoRecorder } from './renderer/video-recorder.js';
+import { SimulationLoop } from './physics-sims/simulation-loop.js';
+
+export class RecordingSession {
+    /**
+     * Create the session after the listener that renders, so frames are captured once drawn
+     * @param {ISimulation} simulation - Simulation to record
+     * @param {Function} getRenderer - Returns the BaseRenderer to capture (it is replaced when the render mode changes)
+     * @param {Object} hooks - Session hooks
+     * @param {Function} hooks.save - Receives the finished video Blob
+     * @param {Function} hooks.createRecorder - (getRenderer, options) => recorder with VideoRecorder's surface
+     *                                          (default: a VideoRecorder, when the browser supports one)
+     * @param {boolean} hooks.realTime - Pace frames to the wall clock (default true)
+     */
+    constructor(simulation, getRenderer, { save, createRecorder = null, realTime = true } = {}) {
+        this.simulation = simulation;
+        this.getRenderer = getRenderer;
+        this.save = save;
+        this.createRecorder = createRecorder;
+        this.realTime = realTime;
+        this.options = { frameRate: 30, duration: 10 };
+        this.recorder = null;
+
+        simulation.onUpdate((state) => {
+            if (state.frame && this.recorder) {
+                this.recorder.captureFrame();
+            }
+        });
+    }
+
+    /**
+     * Whether a recording is in progress
+     * @returns {boolean} True between start and the end of the recording
+     */
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    /**
+     * Set the frame rate of the next recording
+     * @param {number} frameRate - Video frames per second (at least 1)
+     */
+    setFrameRate(frameRate) {
+        this.options.frameRate = Math.max(1, frameRate);
+    }
+
+    /**
+     * Set the length of the next recording
+     * @param {number} duration - Video length in seconds (at least 1)
+     */
+    setDuration(duration) {
+        this.options.duration = Math.max(1, duration);
+    }
+
+    /**
+     * Start recording the running simulation, or stop the current recording
+     * Resolves once a started recording has finished and been handed to `save`.
+     * @param {HTMLElement} button - The Record button, relabelled while recording
+     * @returns {Promise<void>} Resolves when the toggled action is complete
+     */
+    async toggle(button) {
+        if (this.recorder) {
+            this.recorder.stop();
+            return;
+        }
+        if (!this.createRecorder && !VideoRecorder.isSupported()) {
+            alert('Recording needs MediaRecorder and canvas capture, which this browser does not support');
+            return;
+        }
+
+        const recorder = this.createRecorder
+            ? this.createRecorder(this.getRenderer, { ...this.options })
+            : new VideoRecorder(this.getRenderer, { ...this.options });
+        let finished;
+        try {
+            finished = recorder.start();
+        } catch (err) {
+            console.error('Recording failed:', err);
+            alert(`Could not start recording: ${err.message}`);
+            return;
+        }
+        this.recorder = recorder;
+        const label = button.textContent;
+        button.textContent = 'Stop recording';
+        const wasRunning = this.simulation.isRunning;
+        this.simulation.setFrameScheduler(SimulationLoop.fixedRateScheduler(this.options.frameRate, {
+            ready: () => this.simulation.whenFrameDrawn().then(() => recorder.ready()),
+            realTime: this.realTime
+        }));
+        this.simulation.start();
+
+        const video = await finished;
+        this.simulation.setFrameScheduler(null);
+        // A simulation that was paused before recording is paused again
+        if (!wasRunning) {
+            this.simulation.stop();
+        }
+        this.recorder = null;
+        button.textContent = label;
+        this.save(video);
+    }
+}
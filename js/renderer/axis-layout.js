@@ -0,0 +1,90 @@
+/**
+ * Axis Layout - Geometry of an addAxis() call, shared by the renderer backends
+ *
+ * Works out the axis line, tick marks, tick labels and title once, so Canvas, D3, Raster and
+ * the SVG export draw the same axis. Labels carry an SVG-style anchor ('start', 'middle' or
+ * 'end') for the x position; each backend aligns its text accordingly.
+ */
+
+import { formatAxisValue } from '../utils/number-format.js';
+
+export const AxisLayout = {
+    /**
+     * addAxis() options with the defaults filled in
+     * @param {Object} options - Options given to addAxis()
+     * @param {string} foreground - Surface foreground colour, the default stroke
+     * @returns {Object} Complete options
+     */
+    withDefaults(options, foreground) {
+        return {
+            ticks: 10,
+            showLabels: true,
+            labelOffset: 10,
+            tickLength: 5,
+            stroke: foreground,
+            strokeWidth: 1,
+            fontSize: 12,
+            start: 0,
+            length: null,
+            label: null,
+            tickFormat: 'fixed',
+            ...options
+        };
+    },
+
+    /**
+     * Lines and labels of an axis
+     * An axis without a `length` spans the surface along its direction.
+     * @param {string} type - 'x' or 'y'
+     * @param {number} position - Y of an x axis, or x of a y axis
+     * @param {number} min - Value at the start (x) or bottom (y) of the axis
+     * @param {number} max - Value at the end (x) or top (y) of the axis
+     * @param {Object} options - Complete options (see withDefaults)
+     * @param {Object} surface - Surface size { width, height }
+     * @returns {Object} { lines: Array<[x1, y1, x2, y2]>, labels: Array<{ text, x, y, anchor }> };
+     *                   label y is the text baseline
+     */
+    layout(type, position, min, max, options, surface) {
+        const isXAxis = type.toLowerCase() === 'x';
+        const start = options.start;
+        const length = options.length || (isXAxis ? surface.width : surface.height);
+        const tickSpacing = (max - min) / options.ticks;
+        const lines = [];
+        const labels = [];
+
+        if (isXAxis) {
+            lines.push([start, position, start + length, position]);
+            for (let i = 0; i <= options.ticks; i++) {
+                const x = start + (i / options.ticks) * length;
+                lines.push([x, position, x, position + options.tickLength]);
+                if (options.showLabels) {
+                    const text = formatAxisValue(min + i * tickSpacing, options.tickFormat);
+                    labels.push({ text, x, y: position + options.labelOffset + options.tickLength, anchor: 'middle' });
+                }
+            }
+
+            // Axis title, centred below the tick labels
+            if (options.label) {
+                const y = position + options.labelOffset + options.tickLength + options.fontSize + 2;
+                labels.push({ text: options.label, x: start + length / 2, y, anchor: 'middle' });
+            }
+        } else {
+            lines.push([position, start, position, start + length]);
+            for (let i = 0; i <= options.ticks; i++) {
+                const y = start + (i / options.ticks) * length;
+                lines.push([position - options.tickLength, y, position, y]);
+                if (options.showLabels) {
+                    const text = formatAxisValue(max - i * tickSpacing, options.tickFormat);
+                    labels.push({ text, x: position - options.labelOffset, y: y + 5, anchor: 'end' });
+                }
+            }
+
+            // Axis title, just inside the top of the axis
+            if (options.label) {
+                labels.push({ text: options.label, x: position + 4, y: start + options.fontSize, anchor: 'start' });
+            }
+        }
+
+        return { lines, labels };
+    }
+};
@@ -1,22 +1,32 @@
 /**
  * Base Renderer - Delegates to concrete renderer implementations
- * Acts as a factory and adapter that routes calls to Canvas, D3, or WGSL renderers
+ * Acts as a factory and adapter that routes calls to Canvas, D3, WGSL, Raster or Recording renderers
+ * Owns the Camera: after every clear() the camera's transform is applied, so scenes draw in
+ * world coordinates and the backend maps them to the current pan and zoom.
  */
 
 import { CanvasRenderer } from './canvas-renderer.js';
 import { D3Renderer } from './d3-renderer.js';
 import { WGSLRenderer } from './wgsl-renderer.js';
+import { RasterRenderer } from './raster-renderer.js';
+import { RecordingRenderer } from './recording-renderer.js';
+import { Camera } from './camera.js';
 
 export class BaseRenderer {
     constructor(containerId, options = {}) {
         this.containerId = containerId;
-        this.renderMode = options.renderMode || 'svg'; // 'svg', 'canvas', or 'webgpu'
+        this.renderMode = options.renderMode || 'svg'; // 'svg', 'canvas', 'webgpu', 'raster' or 'recording' (no DOM)
+        this.camera = options.camera || new Camera(); // Pass a camera to keep the view when switching modes
         
         // Create the concrete renderer based on mode
         if (this.renderMode === 'canvas') {
             this.renderer = new CanvasRenderer(containerId, options);
         } else if (this.renderMode === 'webgpu') {
             this.renderer = new WGSLRenderer(containerId, options);
+        } else if (this.renderMode === 'raster') {
+            this.renderer = new RasterRenderer(containerId, options);
+        } else if (this.renderMode === 'recording') {
+            this.renderer = new RecordingRenderer(containerId, options);
         } else {
             this.renderer = new D3Renderer(containerId, options);
         }
@@ -24,13 +34,13 @@ export class BaseRenderer {
     
     /**
      * Check if the renderer is ready to render
-     * Canvas and D3 renderers are immediately ready (synchronous initialization)
+     * Canvas, D3, Raster and Recording renderers are immediately ready (synchronous initialization)
      * WebGPU renderer may need time to initialize (asynchronous)
      * @returns {boolean} True if ready to render, false otherwise
      */
     isReady() {
-        // Canvas and D3 are immediately ready
-        if (this.renderMode === 'canvas' || this.renderMode === 'svg') {
+        // Only WebGPU initializes asynchronously
+        if (this.renderMode !== 'webgpu') {
             return true;
         }
         // WebGPU might still be initializing
@@ -113,7 +123,7 @@ export class BaseRenderer {
      * @param {number} position - Position along the perpendicular axis
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
-     * @param {Object} options - Additional options (ticks, labels, etc.)
+     * @param {Object} options - Additional options (ticks, labels, start/length extent, label title, tickFormat)
      * @returns {string} Element ID
      */
     addAxis(type, position, min, max, options = {}) {
@@ -138,10 +148,11 @@ export class BaseRenderer {
     }
     
     /**
-     * Clear all elements from the scene
+     * Clear all elements from the scene and apply the camera to the elements drawn next
      */
     clear() {
-        return this.renderer.clear();
+        this.renderer.clear();
+        this.renderer.setTransform(this.camera.isIdentity() ? null : this.camera.getTransform());
     }
     
     /**
@@ -153,6 +164,23 @@ export class BaseRenderer {
         return this.renderer.resize(width, height);
     }
     
+    /**
+     * Size of the drawing surface in screen pixels, e.g. for overlays drawn after setTransform(null)
+     * @returns {Object} { width, height }
+     */
+    getSize() {
+        return this.renderer.getSize();
+    }
+    
+    /**
+     * Transform the elements drawn from now on until the next clear()
+     * Scenes pass null to draw overlays (e.g. a diagnostics panel) in screen pixels.
+     * @param {Object|null} transform - { scale, offsetX, offsetY }, or null for identity
+     */
+    setTransform(transform) {
+        return this.renderer.setTransform(transform);
+    }
+    
     /**
      * Get the current color scheme
      * @returns {Object} Color scheme object with background, foreground, etc.
@@ -160,4 +188,32 @@ export class BaseRenderer {
     getColorScheme() {
         return this.renderer.getColorScheme();
     }
+    
+    /**
+     * The canvas the active renderer draws on (Canvas and WebGPU modes)
+     * @returns {HTMLCanvasElement|null} Canvas element, or null for modes without one
+     */
+    getCanvas() {
+        return this.renderer.getCanvas ? this.renderer.getCanvas() : null;
+    }
+    
+    /**
+     * The SVG element the active renderer builds (SVG mode)
+     * @returns {SVGSVGElement|null} SVG element, or null for other modes
+     */
+    getSvgElement() {
+        return this.renderer.getSvgElement ? this.renderer.getSvgElement() : null;
+    }
+    
+    /**
+     * The scene drawn since the last clear(), as a standalone SVG document (recording mode)
+     * @returns {string} SVG file contents
+     * @throws {Error} When the active renderer cannot export SVG
+     */
+    toSvg() {
+        if (!this.renderer.toSvg) {
+            throw new Error(`Render mode "${this.renderMode}" cannot export SVG; use "recording"`);
+        }
+        return this.renderer.toSvg();
+    }
 }
@@ -0,0 +1,133 @@
+/**
+ * Camera - Pan and zoom between world and screen coordinates
+ *
+ * A uniform scale followed by a translation: screen = world × scale + offset. BaseRenderer
+ * owns one and hands its transform to the active backend after every clear(), so scenes keep
+ * drawing in world coordinates while the view moves. Zoom is clamped to [minScale, maxScale].
+ */
+
+export class Camera {
+    /**
+     * @param {Object} options - Initial view and zoom limits
+     * @param {number} options.scale - Screen pixels per world unit
+     * @param {number} options.offsetX - Screen x of the world origin
+     * @param {number} options.offsetY - Screen y of the world origin
+     * @param {number} options.minScale - Smallest allowed scale
+     * @param {number} options.maxScale - Largest allowed scale
+     */
+    constructor({ scale = 1, offsetX = 0, offsetY = 0, minScale = 0.01, maxScale = 100 } = {}) {
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+        this.scale = this._clampScale(scale);
+        this.offsetX = offsetX;
+        this.offsetY = offsetY;
+    }
+
+    /**
+     * Limit a scale to the allowed zoom range
+     * @private
+     * @param {number} scale - Requested scale
+     * @returns {number} Clamped scale
+     */
+    _clampScale(scale) {
+        return Math.min(this.maxScale, Math.max(this.minScale, scale));
+    }
+
+    /**
+     * The current transform, in the form renderers' setTransform() accepts
+     * @returns {Object} { scale, offsetX, offsetY }
+     */
+    getTransform() {
+        return { scale: this.scale, offsetX: this.offsetX, offsetY: this.offsetY };
+    }
+
+    /**
+     * Whether world and screen coordinates coincide
+     * @returns {boolean} True for scale 1 and no offset
+     */
+    isIdentity() {
+        return this.scale === 1 && this.offsetX === 0 && this.offsetY === 0;
+    }
+
+    /**
+     * Convert a world point to screen pixels
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {Object} Screen point { x, y }
+     */
+    worldToScreen(x, y) {
+        return { x: x * this.scale + this.offsetX, y: y * this.scale + this.offsetY };
+    }
+
+    /**
+     * Convert a screen point to world coordinates
+     * @param {number} x - Screen x in pixels
+     * @param {number} y - Screen y in pixels
+     * @returns {Object} World point { x, y }
+     */
+    screenToWorld(x, y) {
+        return { x: (x - this.offsetX) / this.scale, y: (y - this.offsetY) / this.scale };
+    }
+
+    /**
+     * Move the view by a distance in screen pixels (e.g. a mouse drag)
+     * @param {number} dx - Horizontal distance
+     * @param {number} dy - Vertical distance
+     */
+    pan(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+    }
+
+    /**
+     * Zoom by a factor, keeping the world point under a screen position in place
+     * @param {number} factor - Scale multiplier (> 1 zooms in)
+     * @param {number} screenX - Screen x to zoom about
+     * @param {number} screenY - Screen y to zoom about
+     */
+    zoomAt(factor, screenX, screenY) {
+        const anchor = this.screenToWorld(screenX, screenY);
+        this.scale = this._clampScale(this.scale * factor);
+        this.offsetX = screenX - anchor.x * this.scale;
+        this.offsetY = screenY - anchor.y * this.scale;
+    }
+
+    /**
+     * Show a world rectangle as large as possible, centred in the viewport
+     * @param {Object} bounds - World bounds { minX, minY, maxX, maxY }
+     * @param {Object} viewport - Screen size { width, height }
+     * @param {number} padding - Screen pixels left free on every side
+     */
+    fitBounds({ minX, minY, maxX, maxY }, { width, height }, padding = 20) {
+        // A single point (or empty bounds) keeps the current zoom and is centred
+        const boundsWidth = maxX - minX;
+        const boundsHeight = maxY - minY;
+        if (boundsWidth > 0 || boundsHeight > 0) {
+            const scaleX = boundsWidth > 0 ? Math.max(1, width - 2 * padding) / boundsWidth : Infinity;
+            const scaleY = boundsHeight > 0 ? Math.max(1, height - 2 * padding) / boundsHeight : Infinity;
+            this.scale = this._clampScale(Math.min(scaleX, scaleY));
+        }
+        this.offsetX = width / 2 - (minX + boundsWidth / 2) * this.scale;
+        this.offsetY = height / 2 - (minY + boundsHeight / 2) * this.scale;
+    }
+
+    /**
+     * Pan so a world point sits at the centre of the viewport, keeping the zoom
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {Object} viewport - Screen size { width, height }
+     */
+    centerOn(x, y, { width, height }) {
+        this.offsetX = width / 2 - x * this.scale;
+        this.offsetY = height / 2 - y * this.scale;
+    }
+
+    /**
+     * Return to the identity view (world units are screen pixels)
+     */
+    reset() {
+        this.scale = this._clampScale(1);
+        this.offsetX = 0;
+        this.offsetY = 0;
+    }
+}
@@ -4,6 +4,10 @@
  */
 
 import { BASE_COLOR_PALETTE } from '../utils/color-palette.js';
+import { AxisLayout } from './axis-layout.js';
+
+// Canvas textAlign for each AxisLayout label anchor
+const TEXT_ALIGN = { start: 'left', middle: 'center', end: 'right' };
 
 export class CanvasRenderer {
     constructor(containerId, options = {}) {
@@ -244,25 +248,13 @@ export class CanvasRenderer {
      * @param {number} position - Position of the axis
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
-     * @param {Object} options - Options (ticks, labels, style, etc.)
+     * @param {Object} options - Options (ticks, labels, style, start/length extent, label title, tickFormat)
      * @returns {string} - Element ID
      */
     addAxis(type, position, min, max, options = {}) {
         const id = `axis-${this.idCounter++}`;
-        const defaultOptions = {
-            ticks: 10,
-            showLabels: true,
-            labelOffset: 10,
-            tickLength: 5,
-            stroke: this.options.foreground,
-            strokeWidth: 1,
-            fontSize: 12,
-            ...options
-        };
-        
-        const isXAxis = type.toLowerCase() === 'x';
-        const length = isXAxis ? this.options.width : this.options.height;
-        const tickSpacing = (max - min) / defaultOptions.ticks;
+        const defaultOptions = AxisLayout.withDefaults(options, this.options.foreground);
+        const { lines, labels } = AxisLayout.layout(type, position, min, max, defaultOptions, this.options);
         
         // Canvas rendering
         this.ctx.save();
@@ -271,51 +263,15 @@ export class CanvasRenderer {
         this.ctx.lineWidth = defaultOptions.strokeWidth;
         this.ctx.font = `${defaultOptions.fontSize}px sans-serif`;
         
-        // Draw main axis line
-        if (isXAxis) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, position);
-            this.ctx.lineTo(length, position);
-            this.ctx.stroke();
-            
-            // Draw ticks and labels
-            for (let i = 0; i <= defaultOptions.ticks; i++) {
-                const x = (i / defaultOptions.ticks) * length;
-                const value = min + (i * tickSpacing);
-                
-                // Tick
-                this.ctx.beginPath();
-                this.ctx.moveTo(x, position);
-                this.ctx.lineTo(x, position + defaultOptions.tickLength);
-                this.ctx.stroke();
-                
-                // Label
-                if (defaultOptions.showLabels) {
-                    this.ctx.fillText(value.toFixed(1), x - 10, position + defaultOptions.labelOffset + defaultOptions.tickLength);
-                }
-            }
-        } else {
+        for (const [x1, y1, x2, y2] of lines) {
             this.ctx.beginPath();
-            this.ctx.moveTo(position, 0);
-            this.ctx.lineTo(position, length);
+            this.ctx.moveTo(x1, y1);
+            this.ctx.lineTo(x2, y2);
             this.ctx.stroke();
-            
-            // Draw ticks and labels
-            for (let i = 0; i <= defaultOptions.ticks; i++) {
-                const y = (i / defaultOptions.ticks) * length;
-                const value = max - (i * tickSpacing); // Inverted for Y axis
-                
-                // Tick
-                this.ctx.beginPath();
-                this.ctx.moveTo(position - defaultOptions.tickLength, y);
-                this.ctx.lineTo(position, y);
-                this.ctx.stroke();
-                
-                // Label
-                if (defaultOptions.showLabels) {
-                    this.ctx.fillText(value.toFixed(1), position - defaultOptions.labelOffset - 30, y + 5);
-                }
-            }
+        }
+        for (const { text, x, y, anchor } of labels) {
+            this.ctx.textAlign = TEXT_ALIGN[anchor];
+            this.ctx.fillText(text, x, y);
         }
         
         this.ctx.restore();
@@ -355,6 +311,7 @@ export class CanvasRenderer {
      * Clear all elements
      */
     clear() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.fillStyle = this.options.background;
         this.ctx.fillRect(0, 0, this.options.width, this.options.height);
         this.elements = [];
@@ -374,6 +331,31 @@ export class CanvasRenderer {
         this.canvas.height = height;
     }
     
+    /**
+     * Size of the drawing surface in screen pixels
+     * @returns {Object} { width, height }
+     */
+    getSize() {
+        return { width: this.options.width, height: this.options.height };
+    }
+    
+    /**
+     * Transform the elements drawn from now on
+     * @param {Object|null} transform - { scale, offsetX, offsetY }, or null for identity
+     */
+    setTransform(transform) {
+        const { scale = 1, offsetX = 0, offsetY = 0 } = transform ?? {};
+        this.ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    }
+    
+    /**
+     * The canvas being drawn on, for screenshots and recording
+     * @returns {HTMLCanvasElement} Canvas element
+     */
+    getCanvas() {
+        return this.canvas;
+    }
+    
     /**
      * Get the color scheme being used
      */
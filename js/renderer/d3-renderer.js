@@ -4,6 +4,7 @@
  */
 
 import { BASE_COLOR_PALETTE } from '../utils/color-palette.js';
+import { AxisLayout } from './axis-layout.js';
 
 export class D3Renderer {
     constructor(containerId, options = {}) {
@@ -49,6 +50,9 @@ export class D3Renderer {
         // Create main group for all elements
         this.mainGroup = this.svg.append('g')
             .attr('class', 'main-group');
+        
+        // Group new elements are added to; setTransform() starts a transformed one
+        this.layer = this.mainGroup;
     }
     
     /**
@@ -77,7 +81,7 @@ export class D3Renderer {
         };
         
         // SVG rendering
-        const circle = this.mainGroup.append('circle')
+        const circle = this.layer.append('circle')
             .attr('id', id)
             .attr('cx', x)
             .attr('cy', y)
@@ -111,7 +115,7 @@ export class D3Renderer {
         };
         
         // SVG rendering
-        const line = this.mainGroup.append('line')
+        const line = this.layer.append('line')
             .attr('id', id)
             .attr('x1', x1)
             .attr('y1', y1)
@@ -146,7 +150,7 @@ export class D3Renderer {
         };
         
         // SVG rendering
-        const rect = this.mainGroup.append('rect')
+        const rect = this.layer.append('rect')
             .attr('id', id)
             .attr('x', x)
             .attr('y', y)
@@ -184,7 +188,7 @@ export class D3Renderer {
             .y(d => d.y)
             .curve(d3.curveCatmullRom.alpha(0.5));
         
-        const path = this.mainGroup.append('path')
+        const path = this.layer.append('path')
             .attr('id', id)
             .attr('d', lineGenerator(points))
             .attr('stroke', defaultStyle.stroke)
@@ -214,7 +218,7 @@ export class D3Renderer {
         };
         
         // SVG rendering
-        const path = this.mainGroup.append('path')
+        const path = this.layer.append('path')
             .attr('id', id)
             .attr('d', pathData)
             .attr('stroke', defaultStyle.stroke)
@@ -233,101 +237,36 @@ export class D3Renderer {
      * @param {number} position - Position of the axis
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
-     * @param {Object} options - Options (ticks, labels, style, etc.)
+     * @param {Object} options - Options (ticks, labels, style, start/length extent, label title, tickFormat)
      * @returns {string} - Element ID
      */
     addAxis(type, position, min, max, options = {}) {
         const id = `axis-${this.idCounter++}`;
-        const defaultOptions = {
-            ticks: 10,
-            showLabels: true,
-            labelOffset: 10,
-            tickLength: 5,
-            stroke: this.options.foreground,
-            strokeWidth: 1,
-            fontSize: 12,
-            ...options
-        };
-        
-        const isXAxis = type.toLowerCase() === 'x';
-        const length = isXAxis ? this.options.width : this.options.height;
-        const tickSpacing = (max - min) / defaultOptions.ticks;
+        const defaultOptions = AxisLayout.withDefaults(options, this.options.foreground);
+        const { lines, labels } = AxisLayout.layout(type, position, min, max, defaultOptions, this.options);
         
         // SVG rendering
-        const axisGroup = this.mainGroup.append('g')
+        const axisGroup = this.layer.append('g')
             .attr('id', id)
             .attr('class', 'axis');
         
-        if (isXAxis) {
-            // X axis line
-            axisGroup.append('line')
-                .attr('x1', 0)
-                .attr('y1', position)
-                .attr('x2', length)
-                .attr('y2', position)
-                .attr('stroke', defaultOptions.stroke)
-                .attr('stroke-width', defaultOptions.strokeWidth);
-            
-            // Ticks and labels
-            for (let i = 0; i <= defaultOptions.ticks; i++) {
-                const x = (i / defaultOptions.ticks) * length;
-                const value = min + (i * tickSpacing);
-                
-                // Tick
-                axisGroup.append('line')
-                    .attr('x1', x)
-                    .attr('y1', position)
-                    .attr('x2', x)
-                    .attr('y2', position + defaultOptions.tickLength)
-                    .attr('stroke', defaultOptions.stroke)
-                    .attr('stroke-width', defaultOptions.strokeWidth);
-                
-                // Label
-                if (defaultOptions.showLabels) {
-                    axisGroup.append('text')
-                        .attr('x', x)
-                        .attr('y', position + defaultOptions.labelOffset + defaultOptions.tickLength)
-                        .attr('text-anchor', 'middle')
-                        .attr('fill', defaultOptions.stroke)
-                        .attr('font-size', defaultOptions.fontSize)
-                        .text(value.toFixed(1));
-                }
-            }
-        } else {
-            // Y axis line
+        for (const [x1, y1, x2, y2] of lines) {
             axisGroup.append('line')
-                .attr('x1', position)
-                .attr('y1', 0)
-                .attr('x2', position)
-                .attr('y2', length)
+                .attr('x1', x1)
+                .attr('y1', y1)
+                .attr('x2', x2)
+                .attr('y2', y2)
                 .attr('stroke', defaultOptions.stroke)
                 .attr('stroke-width', defaultOptions.strokeWidth);
-            
-            // Ticks and labels
-            for (let i = 0; i <= defaultOptions.ticks; i++) {
-                const y = (i / defaultOptions.ticks) * length;
-                const value = max - (i * tickSpacing); // Inverted for Y axis
-                
-                // Tick
-                axisGroup.append('line')
-                    .attr('x1', position - defaultOptions.tickLength)
-                    .attr('y1', y)
-                    .attr('x2', position)
-                    .attr('y2', y)
-                    .attr('stroke', defaultOptions.stroke)
-                    .attr('stroke-width', defaultOptions.strokeWidth);
-                
-                // Label
-                if (defaultOptions.showLabels) {
-                    axisGroup.append('text')
-                        .attr('x', position - defaultOptions.labelOffset)
-                        .attr('y', y + 5)
-                        .attr('text-anchor', 'end')
-                        .attr('fill', defaultOptions.stroke)
-                        .attr('font-size', defaultOptions.fontSize)
-                        .text(value.toFixed(1));
-                }
-            }
+        }
+        for (const { text, x, y, anchor } of labels) {
+            axisGroup.append('text')
+                .attr('x', x)
+                .attr('y', y)
+                .attr('text-anchor', anchor)
+                .attr('fill', defaultOptions.stroke)
+                .attr('font-size', defaultOptions.fontSize)
+                .text(text);
         }
         
         this.elements.push({ id, type: 'axis', element: axisGroup, data: { type, position, min, max, options: defaultOptions } });
@@ -370,6 +309,7 @@ export class D3Renderer {
      */
     clear() {
         this.mainGroup.selectAll('*').remove();
+        this.layer = this.mainGroup;
         this.elements = [];
         this.idCounter = 0;
     }
@@ -388,6 +328,36 @@ export class D3Renderer {
             .attr('height', height);
     }
     
+    /**
+     * Size of the drawing surface in screen pixels
+     * @returns {Object} { width, height }
+     */
+    getSize() {
+        return { width: this.options.width, height: this.options.height };
+    }
+    
+    /**
+     * Transform the elements added from now on, by adding them to a transformed group
+     * @param {Object|null} transform - { scale, offsetX, offsetY }, or null for identity
+     */
+    setTransform(transform) {
+        if (!transform) {
+            this.layer = this.mainGroup;
+            return;
+        }
+        const { scale = 1, offsetX = 0, offsetY = 0 } = transform;
+        this.layer = this.mainGroup.append('g')
+            .attr('transform', `translate(${offsetX},${offsetY}) scale(${scale})`);
+    }
+    
+    /**
+     * The SVG element being built, for screenshots and recording
+     * @returns {SVGSVGElement} SVG element
+     */
+    getSvgElement() {
+        return this.svg.node();
+    }
+    
     /**
      * Get the color scheme being used
      */
@@ -0,0 +1,126 @@
+/**
+ * Display List - Serializable record of renderer calls, and replay onto any renderer
+ *
+ * A display list is a plain JSON-compatible document listing the IRenderer calls that drew
+ * one scene, in order, with their arguments. RecordingRenderer produces them; replay() draws
+ * one onto any backend (BaseRenderer, RasterRenderer, ...). Because the document holds only
+ * data, it can be saved, compared in tests, or posted between windows and workers.
+ *
+ * Each command is { op, args } plus, for calls that create an element, the id the recorder
+ * returned. Replay maps those ids to the target's own ids, so later updateElement and
+ * removeElement commands reach the right elements.
+ */
+
+// Calls that create an element and return its id
+const ADD_OPERATIONS = ['addCircle', 'addLine', 'addRectangle', 'addCurve', 'addPath', 'addAxis'];
+
+// Calls that refer to an earlier element by id (first argument)
+const ELEMENT_OPERATIONS = ['updateElement', 'removeElement'];
+
+export const DisplayList = {
+    /**
+     * Identifies display list documents
+     * @constant {string}
+     */
+    FORMAT: 'rainchart-display-list',
+
+    /**
+     * Current document version; bump when the structure changes incompatibly
+     * @constant {number}
+     */
+    VERSION: 1,
+
+    /**
+     * Renderer methods a display list may call; replay refuses anything else
+     * @constant {Array<string>}
+     */
+    OPERATIONS: [...ADD_OPERATIONS, ...ELEMENT_OPERATIONS, 'resize', 'setTransform'],
+
+    /**
+     * Wrap recorded commands in a display list document
+     * @param {Object} surface - { width, height, background, foreground } of the recording
+     * @param {Array<Object>} commands - Recorded commands { op, args, id }
+     * @returns {Object} Display list document
+     */
+    create({ width, height, background, foreground }, commands) {
+        return {
+            format: DisplayList.FORMAT,
+            version: DisplayList.VERSION,
+            width,
+            height,
+            background,
+            foreground,
+            commands
+        };
+    },
+
+    /**
+     * Check whether a renderer call creates an element
+     * @param {string} op - Renderer method name
+     * @returns {boolean} True for the add* methods
+     */
+    isAddOperation(op) {
+        return ADD_OPERATIONS.includes(op);
+    },
+
+    /**
+     * Validate that a document is a display list this version can replay
+     * @param {Object} list - Parsed display list
+     * @throws {Error} If the document is malformed, from an unsupported version or calls an unknown method
+     */
+    validate(list) {
+        if (!list || typeof list !== 'object') {
+            throw new Error('Display list must be an object');
+        }
+        if (list.format !== DisplayList.FORMAT) {
+            throw new Error(`Display list must have format "${DisplayList.FORMAT}"`);
+        }
+        if (list.version !== DisplayList.VERSION) {
+            throw new Error(`Unsupported display list version: ${list.version} (expected ${DisplayList.VERSION})`);
+        }
+        if (!Array.isArray(list.commands)) {
+            throw new Error('Display list must have a "commands" array');
+        }
+
+        list.commands.forEach((command, index) => {
+            if (!command || !DisplayList.OPERATIONS.includes(command.op)) {
+                throw new Error(`Display list command ${index} has unknown operation: ${command?.op}`);
+            }
+            if (!Array.isArray(command.args)) {
+                throw new Error(`Display list command ${index} (${command.op}) must have an args array`);
+            }
+            if (DisplayList.isAddOperation(command.op) && typeof command.id !== 'string') {
+                throw new Error(`Display list command ${index} (${command.op}) must have a string id`);
+            }
+        });
+    },
+
+    /**
+     * Draw a display list onto a renderer
+     * @param {Object} list - Display list document
+     * @param {Object} renderer - Any IRenderer (e.g. a BaseRenderer)
+     * @param {Object} options - Replay options
+     * @param {boolean} options.clear - Clear the renderer first (default true)
+     * @returns {Map<string, string>} Recorded element ids mapped to the ids the renderer returned
+     * @throws {Error} If the list is invalid
+     */
+    replay(list, renderer, { clear = true } = {}) {
+        DisplayList.validate(list);
+        if (clear) {
+            renderer.clear();
+        }
+
+        const ids = new Map();
+        for (const { op, args, id } of list.commands) {
+            if (DisplayList.isAddOperation(op)) {
+                ids.set(id, renderer[op](...args));
+            } else if (ELEMENT_OPERATIONS.includes(op)) {
+                const [elementId, ...rest] = args;
+                renderer[op](ids.get(elementId) ?? elementId, ...rest);
+            } else {
+                renderer[op](...args);
+            }
+        }
+        return ids;
+    }
+};
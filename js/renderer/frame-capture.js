@@ -0,0 +1,82 @@
+/**
+ * Frame Capture - Copies the active renderer's current frame into a 2D canvas (browser only)
+ *
+ * Canvas and WebGPU modes are copied straight from their canvas; SVG mode is rasterized by
+ * loading the serialized SVG element as an image. Canvases are copied synchronously, before
+ * the browser presents a WebGPU frame and discards its texture, so capture right after
+ * rendering. The background colour is painted first, since the SVG backend sets it with CSS.
+ */
+
+export const FrameCapture = {
+    /**
+     * Size of the frame the renderer shows
+     * @param {BaseRenderer} renderer - Renderer to capture
+     * @returns {Object} { width, height } in pixels
+     * @throws {Error} If the render mode has no canvas or SVG element (e.g. raster, recording)
+     */
+    frameSize(renderer) {
+        const canvas = renderer.getCanvas();
+        if (canvas) {
+            return { width: canvas.width, height: canvas.height };
+        }
+        const svg = renderer.getSvgElement();
+        if (svg) {
+            return { width: svg.width.baseVal.value, height: svg.height.baseVal.value };
+        }
+        throw new Error(`Render mode "${renderer.renderMode}" has no frame to capture`);
+    },
+
+    /**
+     * Copy the current frame into a canvas
+     * @param {BaseRenderer} renderer - Renderer to capture
+     * @param {HTMLCanvasElement} target - Canvas to draw into, scaled to its size; by default a new canvas of the frame's size
+     * @returns {Promise<HTMLCanvasElement>} The target canvas, once the frame is drawn
+     * @throws {Error} If the render mode has no frame, or the SVG cannot be rasterized
+     */
+    async copyFrame(renderer, target = null) {
+        const { width, height } = FrameCapture.frameSize(renderer);
+        const canvas = target ?? Object.assign(document.createElement('canvas'), { width, height });
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = renderer.getColorScheme().background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const source = renderer.getCanvas() ?? await loadSvgImage(renderer.getSvgElement());
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    },
+
+    /**
+     * Capture the current frame as a PNG image
+     * @param {BaseRenderer} renderer - Renderer to capture
+     * @returns {Promise<Blob>} PNG image
+     * @throws {Error} If the render mode has no frame, or the SVG cannot be rasterized
+     */
+    async screenshot(renderer) {
+        const canvas = await FrameCapture.copyFrame(renderer);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the screenshot')), 'image/png');
+        });
+    }
+};
+
+/**
+ * Load an SVG element as an image, for drawing onto a canvas
+ * @param {SVGSVGElement} svg - SVG element
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadSvgImage(svg) {
+    const markup = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.addEventListener('load', () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        });
+        image.addEventListener('error', () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not rasterize the SVG frame'));
+        });
+        image.src = url;
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * Raster Font - Tiny 3×5 bitmap font for text drawn by RasterRenderer
+ *
+ * Covers digits, letters (drawn in upper case) and the punctuation used in axis labels.
+ * Characters without a glyph are drawn as '?'. Glyphs are scaled by whole pixels, so text
+ * looks the same on every platform, which keeps raster output reproducible.
+ */
+
+// Each glyph is 5 rows of 3 columns, top row first, '1' marking a filled cell
+const GLYPHS = {
+    '0': '111101101101111', '1': '010110010010111', '2': '111001111100111', '3': '111001111001111',
+    '4': '101101111001001', '5': '111100111001111', '6': '111100111101111', '7': '111001001001001',
+    '8': '111101111101111', '9': '111101111001111',
+    'A': '010101111101101', 'B': '110101110101110', 'C': '011100100100011', 'D': '110101101101110',
+    'E': '111100110100111', 'F': '111100110100100', 'G': '011100101101011', 'H': '101101111101101',
+    'I': '111010010010111', 'J': '001001001101010', 'K': '101101110101101', 'L': '100100100100111',
+    'M': '101111111101101', 'N': '110101101101101', 'O': '010101101101010', 'P': '110101110100100',
+    'Q': '010101101110011', 'R': '110101110101101', 'S': '011100010001110', 'T': '111010010010010',
+    'U': '101101101101111', 'V': '101101101101010', 'W': '101101111111101', 'X': '101101010101101',
+    'Y': '101101010010010', 'Z': '111001010100111',
+    ' ': '000000000000000', '.': '000000000000010', ',': '000000000010100', '-': '000000111000000',
+    '+': '000010111010000', ':': '000010000010000', '%': '101001010100101', '(': '001010010010001',
+    ')': '100010010010100', '/': '001001010100100', '=': '000111000111000', '_': '000000000000111',
+    '?': '111001010000010'
+};
+
+const GLYPH_WIDTH = 3;
+const GLYPH_HEIGHT = 5;
+
+export const RasterFont = {
+    /**
+     * Pixel size of one glyph cell for a CSS font size
+     * @param {number} fontSize - Font size in pixels
+     * @returns {number} Cell size (at least 1)
+     */
+    scaleFor(fontSize) {
+        return Math.max(1, Math.round(fontSize / 6));
+    },
+
+    /**
+     * Width of a string when drawn
+     * @param {string} text - Text
+     * @param {number} fontSize - Font size in pixels
+     * @returns {number} Width in pixels
+     */
+    measure(text, fontSize) {
+        const scale = RasterFont.scaleFor(fontSize);
+        const length = [...String(text)].length;
+        return length > 0 ? (length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+    },
+
+    /**
+     * Filled cells of a string, as rectangles to draw
+     * @param {string} text - Text
+     * @param {number} x - Left edge
+     * @param {number} baseline - Y of the text baseline (the bottom of the glyphs)
+     * @param {number} fontSize - Font size in pixels
+     * @returns {Array<Array<number>>} Rectangles [x, y, width, height]
+     */
+    layout(text, x, baseline, fontSize) {
+        const scale = RasterFont.scaleFor(fontSize);
+        const top = baseline - GLYPH_HEIGHT * scale;
+        const cells = [];
+        [...String(text).toUpperCase()].forEach((character, index) => {
+            const glyph = GLYPHS[character] ?? GLYPHS['?'];
+            const left = x + index * (GLYPH_WIDTH + 1) * scale;
+            for (let cell = 0; cell < glyph.length; cell++) {
+                if (glyph[cell] === '1') {
+                    const column = cell % GLYPH_WIDTH;
+                    const row = Math.floor(cell / GLYPH_WIDTH);
+                    cells.push([left + column * scale, top + row * scale, scale, scale]);
+                }
+            }
+        });
+        return cells;
+    }
+};
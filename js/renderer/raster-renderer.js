@@ -0,0 +1,448 @@
+/**
+ * Raster Renderer - Pure-JavaScript renderer drawing into an in-memory RGBA buffer
+ * Implements the full IRenderer contract without a DOM, so scenes can be rendered in Node
+ * (headless tests, golden images) and exported as PNG files.
+ *
+ * Elements are drawn as they are added and also kept as data, so unlike CanvasRenderer,
+ * updateElement() and removeElement() work: the buffer is redrawn from the element list.
+ * Text is drawn with a small bitmap font (RasterFont), so output is identical everywhere.
+ * Each element keeps the transform it was added under (see setTransform) and is mapped to
+ * pixels when drawn.
+ */
+
+import { BASE_COLOR_PALETTE } from '../utils/color-palette.js';
+import { AxisLayout } from './axis-layout.js';
+import { parseColor } from '../utils/color-parse.js';
+import { PngEncoder } from '../utils/png-encoder.js';
+import { RasterSurface } from './raster-surface.js';
+import { RasterFont } from './raster-font.js';
+import { SvgPath } from './svg-path.js';
+
+// Fraction of a label's width left of its x, for each AxisLayout label anchor
+const ANCHOR_SHIFT = { start: 0, middle: 0.5, end: 1 };
+
+export class RasterRenderer {
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.elements = [];
+        this.idCounter = 0;
+        this.transform = null;
+
+        // Simple default colors for objects
+        this.defaultColors = BASE_COLOR_PALETTE;
+
+        // Set default options - use provided options or defaults
+        this.options = {
+            width: 800,
+            height: 600,
+            background: '#000000',
+            foreground: '#ffffff',
+            ...options  // Override defaults with provided options
+        };
+
+        this.surface = new RasterSurface(this.options.width, this.options.height);
+        this.surface.fill(parseColor(this.options.background));
+    }
+
+    /**
+     * Get next color from the default colors
+     */
+    _getNextColor() {
+        return this.defaultColors[this.idCounter % this.defaultColors.length];
+    }
+
+    /**
+     * Record an element and draw it
+     * @private
+     * @param {string} type - Element type
+     * @param {Object} data - Geometry and style
+     * @returns {string} Element ID
+     */
+    _add(type, data) {
+        const id = `${type === 'rectangle' ? 'rect' : type}-${this.idCounter++}`;
+        const element = { id, type, data, transform: this.transform };
+        this.elements.push(element);
+        this._draw(element);
+        return id;
+    }
+
+    /**
+     * Add a circle
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} radius - Circle radius
+     * @param {Object} style - Style options (fill, stroke, strokeWidth, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addCircle(x, y, radius, style = {}) {
+        const defaultStyle = {
+            fill: this._getNextColor(),
+            stroke: this.options.foreground,
+            strokeWidth: 1,
+            opacity: 0.8,
+            ...style
+        };
+        return this._add('circle', { x, y, radius, style: defaultStyle });
+    }
+
+    /**
+     * Add a line
+     * @param {number} x1 - Start X coordinate
+     * @param {number} y1 - Start Y coordinate
+     * @param {number} x2 - End X coordinate
+     * @param {number} y2 - End Y coordinate
+     * @param {Object} style - Style options (stroke, strokeWidth, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addLine(x1, y1, x2, y2, style = {}) {
+        const defaultStyle = {
+            stroke: this._getNextColor(),
+            strokeWidth: 2,
+            opacity: 0.8,
+            ...style
+        };
+        return this._add('line', { x1, y1, x2, y2, style: defaultStyle });
+    }
+
+    /**
+     * Add a rectangle
+     * @param {number} x - X coordinate (top-left corner)
+     * @param {number} y - Y coordinate (top-left corner)
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {Object} style - Style options (fill, stroke, strokeWidth, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addRectangle(x, y, width, height, style = {}) {
+        const defaultStyle = {
+            fill: this._getNextColor(),
+            stroke: this.options.foreground,
+            strokeWidth: 1,
+            opacity: 0.6,
+            ...style
+        };
+        return this._add('rectangle', { x, y, width, height, style: defaultStyle });
+    }
+
+    /**
+     * Add a curve through points (straight segments, as CanvasRenderer draws them)
+     * @param {Array} points - Points as {x, y} objects or [x, y] pairs
+     * @param {Object} style - Style options (stroke, strokeWidth, fill, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addCurve(points, style = {}) {
+        const defaultStyle = {
+            stroke: this._getNextColor(),
+            strokeWidth: 2,
+            fill: 'none',
+            opacity: 0.8,
+            ...style
+        };
+        return this._add('curve', { points, style: defaultStyle });
+    }
+
+    /**
+     * Add a custom path
+     * @param {string} pathData - SVG path data string
+     * @param {Object} style - Style options (stroke, strokeWidth, fill, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addPath(pathData, style = {}) {
+        const defaultStyle = {
+            stroke: this._getNextColor(),
+            strokeWidth: 2,
+            fill: 'none',
+            opacity: 0.8,
+            ...style
+        };
+        return this._add('path', { pathData, style: defaultStyle });
+    }
+
+    /**
+     * Add an axis (X or Y), laid out as CanvasRenderer lays it out
+     * @param {string} type - 'x' or 'y'
+     * @param {number} position - Position of the axis
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @param {Object} options - Options (ticks, labels, style, start/length extent, label title, tickFormat)
+     * @returns {string} - Element ID
+     */
+    addAxis(type, position, min, max, options = {}) {
+        const defaultOptions = AxisLayout.withDefaults(options, this.options.foreground);
+        return this._add('axis', { type, position, min, max, options: defaultOptions });
+    }
+
+    /**
+     * Update an element and redraw
+     * Attributes may be geometry (e.g. x, y, radius, points, pathData) or style (fill, stroke, opacity, ...).
+     * @param {string} id - Element ID
+     * @param {Object} attributes - Attributes to update
+     */
+    updateElement(id, attributes) {
+        const element = this.elements.find(e => e.id === id);
+        if (!element) return;
+
+        const { data } = element;
+        for (const [key, value] of Object.entries(attributes)) {
+            if (Object.hasOwn(data, key) && key !== 'style' && key !== 'options') {
+                data[key] = value;
+            } else if (data.options) {
+                data.options[key] = value;
+            } else {
+                data.style[key] = value;
+            }
+        }
+        this._redraw();
+    }
+
+    /**
+     * Remove an element and redraw
+     * @param {string} id - Element ID
+     */
+    removeElement(id) {
+        const index = this.elements.findIndex(e => e.id === id);
+        if (index !== -1) {
+            this.elements.splice(index, 1);
+            this._redraw();
+        }
+    }
+
+    /**
+     * Clear all elements
+     */
+    clear() {
+        this.surface.fill(parseColor(this.options.background));
+        this.elements = [];
+        this.idCounter = 0;
+        this.transform = null;
+    }
+
+    /**
+     * Resize the surface and redraw the elements
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resize(width, height) {
+        this.options.width = width;
+        this.options.height = height;
+
+        this.surface.resize(width, height);
+        this._redraw();
+    }
+
+    /**
+     * Size of the drawing surface in screen pixels
+     * @returns {Object} { width, height }
+     */
+    getSize() {
+        return { width: this.options.width, height: this.options.height };
+    }
+
+    /**
+     * Transform the elements added from now on
+     * @param {Object|null} transform - { scale, offsetX, offsetY }, or null for identity
+     */
+    setTransform(transform) {
+        this.transform = transform ? { scale: 1, offsetX: 0, offsetY: 0, ...transform } : null;
+    }
+
+    /**
+     * Get the color scheme being used
+     */
+    getColorScheme() {
+        return {
+            background: this.options.background,
+            foreground: this.options.foreground,
+            objectColors: this.defaultColors
+        };
+    }
+
+    /**
+     * The rendered pixels, shaped like the browser's ImageData
+     * @returns {Object} { width, height, data } with data as RGBA bytes, row by row from the top
+     */
+    getImageData() {
+        return { width: this.surface.width, height: this.surface.height, data: this.surface.pixels };
+    }
+
+    /**
+     * Read one pixel
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {Array<number>} [r, g, b, a] bytes
+     */
+    getPixel(x, y) {
+        return this.surface.getPixel(x, y);
+    }
+
+    /**
+     * Encode the rendered image as a PNG
+     * @param {Object} options - Passed to PngEncoder.encode (e.g. a deflate function)
+     * @returns {Uint8Array} PNG file contents
+     */
+    toPng(options = {}) {
+        return PngEncoder.encode(this.surface.width, this.surface.height, this.surface.pixels, options);
+    }
+
+    /**
+     * Write the rendered image to a PNG file, compressed with node:zlib (Node only)
+     * @param {string} path - File path
+     * @returns {Promise<void>} Resolves when the file is written
+     */
+    async writePng(path) {
+        const [{ writeFile }, { deflateSync }] = await Promise.all([import('node:fs/promises'), import('node:zlib')]);
+        await writeFile(path, this.toPng({ deflate: deflateSync }));
+    }
+
+    /**
+     * Repaint the background and every element
+     * @private
+     */
+    _redraw() {
+        this.surface.fill(parseColor(this.options.background));
+        this.elements.forEach(element => this._draw(element));
+    }
+
+    /**
+     * Draw one element onto the surface
+     * @private
+     * @param {Object} element - { type, data, transform }
+     */
+    _draw({ type, data: worldData, transform }) {
+        const data = transform ? this._toScreen(type, worldData, transform) : worldData;
+        switch (type) {
+            case 'circle':
+                this._fill(data.style, (color, alpha) => this.surface.fillCircle(data.x, data.y, data.radius, color, alpha));
+                this._stroke(data.style, (color, alpha, width) => this.surface.strokeCircle(data.x, data.y, data.radius, width, color, alpha));
+                break;
+            case 'line':
+                this._stroke(data.style, (color, alpha, width) => this.surface.strokePolyline([data.x1, data.y1, data.x2, data.y2], width, color, alpha));
+                break;
+            case 'rectangle': {
+                const { x, y, width: w, height: h } = data;
+                this._fill(data.style, (color, alpha) => this.surface.fillRect(x, y, w, h, color, alpha));
+                this._stroke(data.style, (color, alpha, width) => this.surface.strokePolyline([x, y, x + w, y, x + w, y + h, x, y + h], width, color, alpha, true));
+                break;
+            }
+            case 'curve': {
+                const points = data.points.flatMap(point => Array.isArray(point) ? point : [point.x, point.y]);
+                if (points.length < 4) break;
+                this._fill(data.style, (color, alpha) => this.surface.fillPolygons([points], color, alpha));
+                this._stroke(data.style, (color, alpha, width) => this.surface.strokePolyline(points, width, color, alpha));
+                break;
+            }
+            case 'path': {
+                const subpaths = SvgPath.flatten(data.pathData).map(subpath =>
+                    transform ? { ...subpath, points: transformPoints(subpath.points, transform) } : subpath);
+                this._fill(data.style, (color, alpha) => this.surface.fillPolygons(subpaths.map(subpath => subpath.points), color, alpha));
+                this._stroke(data.style, (color, alpha, width) => this.surface.strokePolylines(subpaths, width, color, alpha));
+                break;
+            }
+            case 'axis':
+                this._drawAxis(data);
+                break;
+        }
+    }
+
+    /**
+     * Map an element's world geometry and sizes to screen pixels
+     * @private
+     * @param {string} type - Element type
+     * @param {Object} data - Geometry and style (or options, for axes)
+     * @param {Object} transform - { scale, offsetX, offsetY }
+     * @returns {Object} Data to draw (path data stays in world units; its points are mapped once flattened)
+     */
+    _toScreen(type, data, { scale, offsetX, offsetY }) {
+        const sx = x => x * scale + offsetX;
+        const sy = y => y * scale + offsetY;
+        const style = data.style && { ...data.style, strokeWidth: data.style.strokeWidth * scale };
+
+        switch (type) {
+            case 'circle':
+                return { ...data, x: sx(data.x), y: sy(data.y), radius: data.radius * scale, style };
+            case 'line':
+                return { ...data, x1: sx(data.x1), y1: sy(data.y1), x2: sx(data.x2), y2: sy(data.y2), style };
+            case 'rectangle':
+                return { ...data, x: sx(data.x), y: sy(data.y), width: data.width * scale, height: data.height * scale, style };
+            case 'curve':
+                return {
+                    ...data,
+                    points: data.points.map(point => Array.isArray(point) ? [sx(point[0]), sy(point[1])] : { x: sx(point.x), y: sy(point.y) }),
+                    style
+                };
+            case 'path':
+                return { ...data, style };
+            case 'axis': {
+                const { options } = data;
+                const isXAxis = data.type.toLowerCase() === 'x';
+                const length = options.length || (isXAxis ? this.options.width : this.options.height);
+                return {
+                    ...data,
+                    position: isXAxis ? sy(data.position) : sx(data.position),
+                    options: {
+                        ...options,
+                        start: isXAxis ? sx(options.start) : sy(options.start),
+                        length: length * scale,
+                        tickLength: options.tickLength * scale,
+                        labelOffset: options.labelOffset * scale,
+                        fontSize: options.fontSize * scale,
+                        strokeWidth: options.strokeWidth * scale
+                    }
+                };
+            }
+            default:
+                return data;
+        }
+    }
+
+    /**
+     * Fill a shape if its style has a fill colour
+     * @private
+     * @param {Object} style - Element style
+     * @param {Function} draw - (color, alpha) => void
+     */
+    _fill(style, draw) {
+        const color = style.fill === undefined ? null : parseColor(style.fill);
+        if (color) draw(color, style.opacity ?? 1);
+    }
+
+    /**
+     * Stroke a shape if its style has a stroke colour and a positive width
+     * @private
+     * @param {Object} style - Element style
+     * @param {Function} draw - (color, alpha, width) => void
+     */
+    _stroke(style, draw) {
+        const color = style.stroke === undefined ? null : parseColor(style.stroke);
+        if (color && style.strokeWidth > 0) draw(color, style.opacity ?? 1, style.strokeWidth);
+    }
+
+    /**
+     * Draw an axis line with ticks, tick labels and title
+     * @private
+     * @param {Object} data - { type, position, min, max, options }
+     */
+    _drawAxis({ type, position, min, max, options }) {
+        const color = parseColor(options.stroke);
+        const { lines, labels } = AxisLayout.layout(type, position, min, max, options, this.options);
+        for (const line of lines) {
+            this.surface.strokePolyline(line, options.strokeWidth, color);
+        }
+        for (const { text, x, y, anchor } of labels) {
+            const left = x - RasterFont.measure(text, options.fontSize) * ANCHOR_SHIFT[anchor];
+            for (const [cx, cy, w, h] of RasterFont.layout(text, left, y, options.fontSize)) {
+                this.surface.fillRect(cx, cy, w, h, color);
+            }
+        }
+    }
+}
+
+/**
+ * Map flat world coordinates to screen pixels
+ * @param {Array<number>} points - Flat [x0, y0, x1, y1, ...]
+ * @param {Object} transform - { scale, offsetX, offsetY }
+ * @returns {Array<number>} Transformed points
+ */
+function transformPoints(points, { scale, offsetX, offsetY }) {
+    return points.map((value, i) => value * scale + (i % 2 === 0 ? offsetX : offsetY));
+}
@@ -0,0 +1,351 @@
+/**
+ * Raster Surface - In-memory RGBA pixel buffer with anti-aliased shape filling
+ *
+ * Shapes are sampled on a 4×4 grid inside every pixel: each pixel records which of its 16
+ * samples a shape covers, and the shape's colour is blended in (source-over) with its alpha
+ * scaled by the covered fraction. A shape made of several parts (a polyline's segments, a
+ * path's subpaths) is sampled into one coverage mask first, so overlapping parts of the same
+ * shape are not blended twice. The result depends only on the drawing calls, never on the
+ * platform, which makes the buffer suitable for golden-image comparisons.
+ *
+ * Colours are [r, g, b, a] arrays as returned by parseColor (r, g, b in 0–255, a in 0–1).
+ * Strokes have round caps and joins.
+ */
+
+// Samples per pixel along each axis
+const SAMPLES = 4;
+
+export class RasterSurface {
+    /**
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    constructor(width, height) {
+        this.resize(width, height);
+    }
+
+    /**
+     * Replace the buffer with a transparent one of a new size
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    resize(width, height) {
+        this.width = Math.max(1, Math.round(width));
+        this.height = Math.max(1, Math.round(height));
+        this.pixels = new Uint8ClampedArray(this.width * this.height * 4);
+    }
+
+    /**
+     * Set every pixel to one colour, replacing what was drawn
+     * @param {Array<number>} color - [r, g, b, a]
+     */
+    fill(color) {
+        const alpha = Math.round(color[3] * 255);
+        for (let i = 0; i < this.pixels.length; i += 4) {
+            this.pixels[i] = color[0];
+            this.pixels[i + 1] = color[1];
+            this.pixels[i + 2] = color[2];
+            this.pixels[i + 3] = alpha;
+        }
+    }
+
+    /**
+     * Read one pixel
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {Array<number>} [r, g, b, a] bytes
+     */
+    getPixel(x, y) {
+        const i = (y * this.width + x) * 4;
+        return Array.from(this.pixels.subarray(i, i + 4));
+    }
+
+    /**
+     * Fill a disc
+     * @param {number} cx - Centre x
+     * @param {number} cy - Centre y
+     * @param {number} radius - Radius
+     * @param {Array<number>} color - [r, g, b, a]
+     * @param {number} alpha - Extra opacity in [0, 1]
+     */
+    fillCircle(cx, cy, radius, color, alpha = 1) {
+        const mask = this._mask(cx - radius, cy - radius, cx + radius, cy + radius);
+        const radiusSquared = radius * radius;
+        this._sample(mask, cx - radius, cy - radius, cx + radius, cy + radius,
+            (x, y) => (x - cx) * (x - cx) + (y - cy) * (y - cy) <= radiusSquared);
+        this._composite(mask, color, alpha);
+    }
+
+    /**
+     * Stroke the outline of a circle
+     * @param {number} cx - Centre x
+     * @param {number} cy - Centre y
+     * @param {number} radius - Radius of the stroke's centre line
+     * @param {number} lineWidth - Stroke width
+     * @param {Array<number>} color - [r, g, b, a]
+     * @param {number} alpha - Extra opacity in [0, 1]
+     */
+    strokeCircle(cx, cy, radius, lineWidth, color, alpha = 1) {
+        const halfWidth = lineWidth / 2;
+        const outer = radius + halfWidth;
+        const mask = this._mask(cx - outer, cy - outer, cx + outer, cy + outer);
+        this._sample(mask, cx - outer, cy - outer, cx + outer, cy + outer,
+            (x, y) => Math.abs(Math.hypot(x - cx, y - cy) - radius) <= halfWidth);
+        this._composite(mask, color, alpha);
+    }
+
+    /**
+     * Fill an axis-aligned rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width (may be negative)
+     * @param {number} height - Height (may be negative)
+     * @param {Array<number>} color - [r, g, b, a]
+     * @param {number} alpha - Extra opacity in [0, 1]
+     */
+    fillRect(x, y, width, height, color, alpha = 1) {
+        const [x0, x1] = [Math.min(x, x + width), Math.max(x, x + width)];
+        const [y0, y1] = [Math.min(y, y + height), Math.max(y, y + height)];
+        const mask = this._mask(x0, y0, x1, y1);
+        this._sample(mask, x0, y0, x1, y1, (sx, sy) => sx >= x0 && sx < x1 && sy >= y0 && sy < y1);
+        this._composite(mask, color, alpha);
+    }
+
+    /**
+     * Stroke connected line segments as one shape
+     * @param {Array<number>} points - Flat coordinates [x0, y0, x1, y1, ...]
+     * @param {number} lineWidth - Stroke width
+     * @param {Array<number>} color - [r, g, b, a]
+     * @param {number} alpha - Extra opacity in [0, 1]
+     * @param {boolean} closed - Whether to join the last point back to the first
+     */
+    strokePolyline(points, lineWidth, color, alpha = 1, closed = false) {
+        this.strokePolylines([{ points, closed }], lineWidth, color, alpha);
+    }
+
+    /**
+     * Stroke several polylines as one shape (e.g. the subpaths of a path)
+     * @param {Array<Object>} polylines - { points: flat coordinates, closed }
+     * @param {number} lineWidth - Stroke width
+     * @param {Array<number>} color - [r, g, b, a]
+     * @param {number} alpha - Extra opacity in [0, 1]
+     */
+    strokePolylines(polylines, lineWidth, color, alpha = 1) {
+        const segments = [];
+        for (const { points, closed } of polylines) {
+            const count = points.length / 2;
+            for (let i = 0; i < count - 1 + (closed ? 1 : 0); i++) {
+                const j = (i + 1) % count;
+                segments.push([points[2 * i], points[2 * i + 1], points[2 * j], points[2 * j + 1]]);
+            }
+        }
+        if (segments.length === 0) return;
+
+        const halfWidth = lineWidth / 2;
+        const bounds = boundsOf(segments.flat(), halfWidth);
+        const mask = this._mask(...bounds);
+        for (const [x1, y1, x2, y2] of segments) {
+            this._sample(mask,
+                Math.min(x1, x2) - halfWidth, Math.min(y1, y2) - halfWidth,
+                Math.max(x1, x2) + halfWidth, Math.max(y1, y2) + halfWidth,
+                (x, y) => distanceToSegmentSquared(x, y, x1, y1, x2, y2) <= halfWidth * halfWidth);
+        }
+        this._composite(mask, color, alpha);
+    }
+
+    /**
+     * Fill polygons as one shape using the non-zero winding rule
+     * @param {Array<Array<number>>} rings - Flat coordinates of each polygon (implicitly closed)
+     * @param {Array<number>} color - [r, g, b, a]
+     * @param {number} alpha - Extra opacity in [0, 1]
+     */
+    fillPolygons(rings, color, alpha = 1) {
+        const edges = [];
+        for (const ring of rings) {
+            const count = ring.length / 2;
+            for (let i = 0; i < count; i++) {
+                const j = (i + 1) % count;
+                if (ring[2 * i + 1] !== ring[2 * j + 1]) {
+                    edges.push([ring[2 * i], ring[2 * i + 1], ring[2 * j], ring[2 * j + 1]]);
+                }
+            }
+        }
+        if (edges.length === 0) return;
+
+        const mask = this._mask(...boundsOf(edges.flat(), 0));
+        if (!mask) return;
+
+        // Scan each sample row: sort the edge crossings and fill where the winding is non-zero
+        for (let row = 0; row < mask.height * SAMPLES; row++) {
+            const sy = mask.top + (row + 0.5) / SAMPLES;
+            const crossings = [];
+            for (const [x1, y1, x2, y2] of edges) {
+                if ((sy >= y1 && sy < y2) || (sy >= y2 && sy < y1)) {
+                    crossings.push({ x: x1 + (sy - y1) * (x2 - x1) / (y2 - y1), direction: y2 > y1 ? 1 : -1 });
+                }
+            }
+            crossings.sort((a, b) => a.x - b.x);
+
+            let winding = 0;
+            for (let k = 0; k < crossings.length - 1; k++) {
+                winding += crossings[k].direction;
+                if (winding !== 0) {
+                    this._markSpan(mask, row, crossings[k].x, crossings[k + 1].x);
+                }
+            }
+        }
+        this._composite(mask, color, alpha);
+    }
+
+    /**
+     * Create an empty coverage mask for the pixels overlapping a box, clipped to the surface
+     * @private
+     * @param {number} x0 - Left
+     * @param {number} y0 - Top
+     * @param {number} x1 - Right
+     * @param {number} y1 - Bottom
+     * @returns {Object|null} { left, top, width, height, bits } with one 16-bit sample mask per pixel,
+     *                        or null if the box is off the surface
+     */
+    _mask(x0, y0, x1, y1) {
+        const left = Math.max(0, Math.floor(x0));
+        const top = Math.max(0, Math.floor(y0));
+        const right = Math.min(this.width, Math.ceil(x1) + 1);
+        const bottom = Math.min(this.height, Math.ceil(y1) + 1);
+        if (!(right > left && bottom > top)) return null;
+        const width = right - left;
+        const height = bottom - top;
+        return { left, top, width, height, bits: new Uint16Array(width * height) };
+    }
+
+    /**
+     * Mark the samples inside a shape, testing only samples within a box
+     * @private
+     * @param {Object|null} mask - Mask from _mask
+     * @param {number} x0 - Left of the box to test
+     * @param {number} y0 - Top of the box to test
+     * @param {number} x1 - Right of the box to test
+     * @param {number} y1 - Bottom of the box to test
+     * @param {Function} inside - (x, y) => whether the point is inside the shape
+     */
+    _sample(mask, x0, y0, x1, y1, inside) {
+        if (!mask) return;
+        const left = Math.max(mask.left, Math.floor(x0));
+        const top = Math.max(mask.top, Math.floor(y0));
+        const right = Math.min(mask.left + mask.width, Math.ceil(x1) + 1);
+        const bottom = Math.min(mask.top + mask.height, Math.ceil(y1) + 1);
+
+        for (let py = top; py < bottom; py++) {
+            for (let px = left; px < right; px++) {
+                const index = (py - mask.top) * mask.width + (px - mask.left);
+                let bits = mask.bits[index];
+                for (let sj = 0; sj < SAMPLES; sj++) {
+                    const sy = py + (sj + 0.5) / SAMPLES;
+                    for (let si = 0; si < SAMPLES; si++) {
+                        if (inside(px + (si + 0.5) / SAMPLES, sy)) {
+                            bits |= 1 << (sj * SAMPLES + si);
+                        }
+                    }
+                }
+                mask.bits[index] = bits;
+            }
+        }
+    }
+
+    /**
+     * Mark the samples of one sample row whose centres lie in [xStart, xEnd)
+     * @private
+     * @param {Object} mask - Mask from _mask
+     * @param {number} row - Sample row relative to the mask's top
+     * @param {number} xStart - Span start
+     * @param {number} xEnd - Span end
+     */
+    _markSpan(mask, row, xStart, xEnd) {
+        const first = Math.max(mask.left * SAMPLES, Math.ceil(xStart * SAMPLES - 0.5));
+        const last = Math.min((mask.left + mask.width) * SAMPLES, Math.ceil(xEnd * SAMPLES - 0.5));
+        const rowOffset = Math.floor(row / SAMPLES) * mask.width;
+        const bitRow = (row % SAMPLES) * SAMPLES;
+        for (let column = first; column < last; column++) {
+            const px = Math.floor(column / SAMPLES);
+            mask.bits[rowOffset + px - mask.left] |= 1 << (bitRow + column % SAMPLES);
+        }
+    }
+
+    /**
+     * Blend a colour into the pixels by their sample coverage (source-over)
+     * @private
+     * @param {Object|null} mask - Coverage mask
+     * @param {Array<number>} color - [r, g, b, a]
+     * @param {number} alpha - Extra opacity in [0, 1]
+     */
+    _composite(mask, color, alpha) {
+        if (!mask) return;
+        const opacity = color[3] * alpha;
+        for (let row = 0; row < mask.height; row++) {
+            for (let column = 0; column < mask.width; column++) {
+                const bits = mask.bits[row * mask.width + column];
+                if (bits === 0) continue;
+
+                const source = opacity * popCount(bits) / (SAMPLES * SAMPLES);
+                const i = ((mask.top + row) * this.width + mask.left + column) * 4;
+                const destination = this.pixels[i + 3] / 255;
+                const out = source + destination * (1 - source);
+                if (out === 0) continue;
+                for (let c = 0; c < 3; c++) {
+                    this.pixels[i + c] = Math.round((color[c] * source + this.pixels[i + c] * destination * (1 - source)) / out);
+                }
+                this.pixels[i + 3] = Math.round(out * 255);
+            }
+        }
+    }
+}
+
+/**
+ * Bounding box of flat coordinates, grown by a margin
+ * @param {Array<number>} coordinates - Flat [x0, y0, x1, y1, ...]
+ * @param {number} margin - Amount to grow each side by
+ * @returns {Array<number>} [x0, y0, x1, y1]
+ */
+function boundsOf(coordinates, margin) {
+    let [x0, y0, x1, y1] = [Infinity, Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < coordinates.length; i += 2) {
+        x0 = Math.min(x0, coordinates[i]);
+        x1 = Math.max(x1, coordinates[i]);
+        y0 = Math.min(y0, coordinates[i + 1]);
+        y1 = Math.max(y1, coordinates[i + 1]);
+    }
+    return [x0 - margin, y0 - margin, x1 + margin, y1 + margin];
+}
+
+/**
+ * Squared distance from a point to a line segment
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {number} x1 - Segment start x
+ * @param {number} y1 - Segment start y
+ * @param {number} x2 - Segment end x
+ * @param {number} y2 - Segment end y
+ * @returns {number} Squared distance
+ */
+function distanceToSegmentSquared(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.min(1, Math.max(0, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)) : 0;
+    const ex = x - (x1 + t * dx);
+    const ey = y - (y1 + t * dy);
+    return ex * ex + ey * ey;
+}
+
+/**
+ * Number of set bits in a 16-bit mask
+ * @param {number} bits - Mask
+ * @returns {number} Set bits
+ */
+function popCount(bits) {
+    let count = 0;
+    for (let value = bits; value; value &= value - 1) {
+        count++;
+    }
+    return count;
+}
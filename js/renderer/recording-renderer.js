@@ -0,0 +1,220 @@
+/**
+ * Recording Renderer - Records draw calls into a display list instead of drawing
+ * Implements the IRenderer contract without a DOM, so simulation renderers can be tested by
+ * inspecting the calls they make, and scenes can be replayed elsewhere (see display-list.js).
+ *
+ * Arguments are recorded as passed, without filling in style defaults, so a replayed scene
+ * looks the way it would have on the target backend. They are copied when recorded, so
+ * callers may reuse their objects. clear() starts a new scene: the display list always
+ * describes what has been drawn since the last clear.
+ */
+
+import { BASE_COLOR_PALETTE } from '../utils/color-palette.js';
+import { DisplayList } from './display-list.js';
+import { SvgSerializer } from './svg-serializer.js';
+
+// Id prefix of the element each add call creates, matching the drawing backends
+const ID_PREFIXES = {
+    addCircle: 'circle',
+    addLine: 'line',
+    addRectangle: 'rect',
+    addCurve: 'curve',
+    addPath: 'path',
+    addAxis: 'axis'
+};
+
+export class RecordingRenderer {
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.commands = [];
+        this.idCounter = 0;
+
+        // Simple default colors for objects
+        this.defaultColors = BASE_COLOR_PALETTE;
+
+        // Set default options - use provided options or defaults
+        this.options = {
+            width: 800,
+            height: 600,
+            background: '#000000',
+            foreground: '#ffffff',
+            ...options  // Override defaults with provided options
+        };
+    }
+
+    /**
+     * Record one call
+     * @private
+     * @param {string} op - Renderer method name
+     * @param {Array} args - Call arguments (copied)
+     * @returns {string|undefined} New element id for add calls
+     */
+    _record(op, args) {
+        const command = { op, args: structuredClone(args) };
+        if (DisplayList.isAddOperation(op)) {
+            command.id = `${ID_PREFIXES[op]}-${this.idCounter++}`;
+        }
+        this.commands.push(command);
+        return command.id;
+    }
+
+    /**
+     * Record a circle
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} radius - Circle radius
+     * @param {Object} style - Style options (fill, stroke, strokeWidth, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addCircle(x, y, radius, style = {}) {
+        return this._record('addCircle', [x, y, radius, style]);
+    }
+
+    /**
+     * Record a line
+     * @param {number} x1 - Start X coordinate
+     * @param {number} y1 - Start Y coordinate
+     * @param {number} x2 - End X coordinate
+     * @param {number} y2 - End Y coordinate
+     * @param {Object} style - Style options (stroke, strokeWidth, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addLine(x1, y1, x2, y2, style = {}) {
+        return this._record('addLine', [x1, y1, x2, y2, style]);
+    }
+
+    /**
+     * Record a rectangle
+     * @param {number} x - X coordinate (top-left corner)
+     * @param {number} y - Y coordinate (top-left corner)
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {Object} style - Style options (fill, stroke, strokeWidth, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addRectangle(x, y, width, height, style = {}) {
+        return this._record('addRectangle', [x, y, width, height, style]);
+    }
+
+    /**
+     * Record a curve
+     * @param {Array} points - Points as {x, y} objects or [x, y] pairs
+     * @param {Object} style - Style options (stroke, strokeWidth, fill, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addCurve(points, style = {}) {
+        return this._record('addCurve', [points, style]);
+    }
+
+    /**
+     * Record a custom path
+     * @param {string} pathData - SVG path data string
+     * @param {Object} style - Style options (stroke, strokeWidth, fill, opacity, etc.)
+     * @returns {string} - Element ID
+     */
+    addPath(pathData, style = {}) {
+        return this._record('addPath', [pathData, style]);
+    }
+
+    /**
+     * Record an axis
+     * @param {string} type - 'x' or 'y'
+     * @param {number} position - Position of the axis
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @param {Object} options - Options (ticks, labels, style, start/length extent, label title, tickFormat)
+     * @returns {string} - Element ID
+     */
+    addAxis(type, position, min, max, options = {}) {
+        return this._record('addAxis', [type, position, min, max, options]);
+    }
+
+    /**
+     * Record an element update
+     * @param {string} id - Element ID
+     * @param {Object} attributes - Attributes to update
+     */
+    updateElement(id, attributes) {
+        this._record('updateElement', [id, attributes]);
+    }
+
+    /**
+     * Record an element removal
+     * @param {string} id - Element ID
+     */
+    removeElement(id) {
+        this._record('removeElement', [id]);
+    }
+
+    /**
+     * Start a new scene, discarding the recorded commands
+     */
+    clear() {
+        this.commands = [];
+        this.idCounter = 0;
+    }
+
+    /**
+     * Record a resize
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resize(width, height) {
+        this.options.width = width;
+        this.options.height = height;
+        this._record('resize', [width, height]);
+    }
+
+    /**
+     * Size of the drawing surface in screen pixels
+     * @returns {Object} { width, height }
+     */
+    getSize() {
+        return { width: this.options.width, height: this.options.height };
+    }
+
+    /**
+     * Record a transform change
+     * @param {Object|null} transform - { scale, offsetX, offsetY }, or null for identity
+     */
+    setTransform(transform) {
+        this._record('setTransform', [transform ?? null]);
+    }
+
+    /**
+     * Get the color scheme being used
+     */
+    getColorScheme() {
+        return {
+            background: this.options.background,
+            foreground: this.options.foreground,
+            objectColors: this.defaultColors
+        };
+    }
+
+    /**
+     * The scene recorded since the last clear()
+     * @returns {Object} Display list document (a copy; see DisplayList)
+     */
+    getDisplayList() {
+        return DisplayList.create(this.options, structuredClone(this.commands));
+    }
+
+    /**
+     * The scene recorded since the last clear(), as a standalone SVG document
+     * @returns {string} SVG file contents (see SvgSerializer)
+     */
+    toSvg() {
+        return SvgSerializer.serialize(this.getDisplayList());
+    }
+
+    /**
+     * Draw the recorded scene onto another renderer
+     * @param {Object} renderer - Any IRenderer (e.g. a BaseRenderer)
+     * @param {Object} options - See DisplayList.replay
+     * @returns {Map<string, string>} Recorded element ids mapped to the renderer's ids
+     */
+    replay(renderer, options = {}) {
+        return DisplayList.replay(this.getDisplayList(), renderer, options);
+    }
+}
@@ -24,6 +24,8 @@ export class IRenderer {
             'removeElement',
             'clear',
             'resize',
+            'getSize',
+            'setTransform',
             'getColorScheme'
         ];
         
@@ -85,6 +87,9 @@ export class IRenderer {
  *   - @param {number} min - Minimum value
  *   - @param {number} max - Maximum value
  *   - @param {Object} options - Additional options (ticks, labels, etc.)
+ *       - start, length: pixel extent along the axis (defaults to the full surface)
+ *       - label: axis title text
+ *       - tickFormat: 'fixed' (default) or 'auto' tick label formatting
  *   - @returns {string} Element ID
  * 
  * updateElement(id, attributes): void
@@ -97,13 +102,22 @@ export class IRenderer {
  *   - @param {string} id - Element ID
  * 
  * clear(): void
- *   - Clear all elements from the scene
+ *   - Clear all elements from the scene and reset the transform to identity
  * 
  * resize(width, height): void
  *   - Resize the rendering surface
  *   - @param {number} width - New width
  *   - @param {number} height - New height
  * 
+ * getSize(): Object
+ *   - Size of the drawing surface in screen pixels
+ *   - @returns {Object} { width, height }
+ * 
+ * setTransform(transform): void
+ *   - Map the coordinates of elements added from now on to screen pixels (see Camera)
+ *   - screen = point × scale + offset; sizes and stroke widths are scaled too
+ *   - @param {Object|null} transform - { scale, offsetX, offsetY }, or null for identity
+ * 
  * getColorScheme(): Object
  *   - Get the current color scheme
  *   - @returns {Object} Color scheme object with background, foreground, etc.
@@ -0,0 +1,229 @@
+/**
+ * SVG Path - Flatten SVG path data into polylines
+ *
+ * Lets renderers without a native path API (RasterRenderer) draw the same `addPath` data the
+ * SVG and Canvas backends accept. Supports every path command (M, L, H, V, C, S, Q, T, A, Z,
+ * absolute and relative). Curves and arcs are split into a fixed number of straight segments,
+ * so the same data always flattens to the same points.
+ */
+
+const COMMAND_PATTERN = /[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g;
+
+// Numbers taken by each command
+const ARGUMENT_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+// Straight segments per Bézier curve, and per quarter turn of an arc
+const CURVE_SEGMENTS = 16;
+const ARC_SEGMENTS_PER_QUARTER = 8;
+
+export const SvgPath = {
+    /**
+     * Flatten path data
+     * @param {string} pathData - SVG path data, e.g. 'M 0 0 L 10 10 Z'
+     * @returns {Array<Object>} Subpaths { points: flat [x0, y0, x1, y1, ...], closed }
+     * @throws {Error} If the data does not start with a move or a command lacks numbers
+     */
+    flatten(pathData) {
+        const tokens = String(pathData).match(COMMAND_PATTERN) ?? [];
+        const subpaths = [];
+        let current = null;
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        // Reflected control point for S and T, with the command type that produced it
+        let control = null;
+
+        let index = 0;
+        let command = null;
+        while (index < tokens.length) {
+            if (/[a-z]/i.test(tokens[index])) {
+                command = tokens[index++];
+            } else if (command === null) {
+                throw new Error('Path data must start with a move command');
+            }
+
+            const type = command.toLowerCase();
+            const relative = command !== command.toUpperCase();
+            const args = tokens.slice(index, index + ARGUMENT_COUNTS[type]).map(Number);
+            if (args.length < ARGUMENT_COUNTS[type] || args.some(Number.isNaN)) {
+                throw new Error(`Path command ${command} needs ${ARGUMENT_COUNTS[type]} numbers`);
+            }
+            index += args.length;
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+
+            if (type === 'm') {
+                x = ox + args[0];
+                y = oy + args[1];
+                startX = x;
+                startY = y;
+                current = { points: [x, y], closed: false };
+                subpaths.push(current);
+                control = null;
+                // Further coordinate pairs after a move are line-tos
+                command = relative ? 'l' : 'L';
+                continue;
+            }
+            if (!current) {
+                throw new Error('Path data must start with a move command');
+            }
+
+            if (type === 'z') {
+                current.closed = true;
+                x = startX;
+                y = startY;
+                // A command after Z without its own move starts a new subpath at the same point
+                current = { points: [x, y], closed: false };
+                subpaths.push(current);
+                control = null;
+                command = null;
+                continue;
+            }
+
+            let next;
+            if (type === 'l') {
+                next = [ox + args[0], oy + args[1]];
+                current.points.push(...next);
+                control = null;
+            } else if (type === 'h') {
+                next = [ox + args[0], y];
+                current.points.push(...next);
+                control = null;
+            } else if (type === 'v') {
+                next = [x, oy + args[0]];
+                current.points.push(...next);
+                control = null;
+            } else if (type === 'c' || type === 's') {
+                const first = type === 'c'
+                    ? [ox + args[0], oy + args[1]]
+                    : reflect(control, 'c', x, y);
+                const rest = type === 'c' ? args.slice(2) : args;
+                const second = [ox + rest[0], oy + rest[1]];
+                next = [ox + rest[2], oy + rest[3]];
+                pushCubic(current.points, [x, y], first, second, next);
+                control = { type: 'c', point: second };
+            } else if (type === 'q' || type === 't') {
+                const point = type === 'q' ? [ox + args[0], oy + args[1]] : reflect(control, 'q', x, y);
+                next = type === 'q' ? [ox + args[2], oy + args[3]] : [ox + args[0], oy + args[1]];
+                pushQuadratic(current.points, [x, y], point, next);
+                control = { type: 'q', point };
+            } else {
+                next = [ox + args[5], oy + args[6]];
+                pushArc(current.points, [x, y], args[0], args[1], args[2], args[3] !== 0, args[4] !== 0, next);
+                control = null;
+            }
+            [x, y] = next;
+        }
+
+        // Drop lone points (e.g. the one left by a trailing Z); they draw nothing
+        return subpaths.filter(subpath => subpath.points.length > 2);
+    }
+};
+
+/**
+ * First control point of a smooth curve: the previous control point mirrored through the
+ * current point, or the current point itself if the previous command was not the same kind
+ * @param {Object|null} control - { type, point } from the previous command
+ * @param {string} type - 'c' for S, 'q' for T
+ * @param {number} x - Current x
+ * @param {number} y - Current y
+ * @returns {Array<number>} Control point [x, y]
+ */
+function reflect(control, type, x, y) {
+    return control && control.type === type
+        ? [2 * x - control.point[0], 2 * y - control.point[1]]
+        : [x, y];
+}
+
+/**
+ * Append points along a cubic Bézier curve (excluding its start point)
+ * @param {Array<number>} points - Flat coordinates to append to
+ * @param {Array<number>} p0 - Start point
+ * @param {Array<number>} p1 - First control point
+ * @param {Array<number>} p2 - Second control point
+ * @param {Array<number>} p3 - End point
+ */
+function pushCubic(points, p0, p1, p2, p3) {
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+        const t = i / CURVE_SEGMENTS;
+        const u = 1 - t;
+        for (let axis = 0; axis < 2; axis++) {
+            points.push(u * u * u * p0[axis] + 3 * u * u * t * p1[axis] + 3 * u * t * t * p2[axis] + t * t * t * p3[axis]);
+        }
+    }
+}
+
+/**
+ * Append points along a quadratic Bézier curve (excluding its start point)
+ * @param {Array<number>} points - Flat coordinates to append to
+ * @param {Array<number>} p0 - Start point
+ * @param {Array<number>} p1 - Control point
+ * @param {Array<number>} p2 - End point
+ */
+function pushQuadratic(points, p0, p1, p2) {
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+        const t = i / CURVE_SEGMENTS;
+        const u = 1 - t;
+        for (let axis = 0; axis < 2; axis++) {
+            points.push(u * u * p0[axis] + 2 * u * t * p1[axis] + t * t * p2[axis]);
+        }
+    }
+}
+
+/**
+ * Append points along an elliptical arc (excluding its start point)
+ * Converts the SVG endpoint parameterisation to a centre and angle range (SVG 1.1, F.6.5),
+ * scaling the radii up when they are too small to reach the end point.
+ * @param {Array<number>} points - Flat coordinates to append to
+ * @param {Array<number>} start - Start point [x, y]
+ * @param {number} rx - X radius
+ * @param {number} ry - Y radius
+ * @param {number} rotationDegrees - Rotation of the ellipse's x axis
+ * @param {boolean} largeArc - Whether to take the arc longer than 180°
+ * @param {boolean} sweep - Whether to go in the positive-angle direction
+ * @param {Array<number>} end - End point [x, y]
+ */
+function pushArc(points, [x1, y1], rx, ry, rotationDegrees, largeArc, sweep, [x2, y2]) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+        points.push(x2, y2);
+        return;
+    }
+
+    const phi = rotationDegrees * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const xp = cos * dx + sin * dy;
+    const yp = -sin * dx + cos * dy;
+
+    const lambda = (xp * xp) / (rx * rx) + (yp * yp) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * yp * yp - ry * ry * xp * xp;
+    const denominator = rx * rx * yp * yp + ry * ry * xp * xp;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = factor * rx * yp / ry;
+    const cyp = -factor * ry * xp / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const startAngle = Math.atan2((yp - cyp) / ry, (xp - cxp) / rx);
+    let delta = Math.atan2((-yp - cyp) / ry, (-xp - cxp) / rx) - startAngle;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+
+    const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) * ARC_SEGMENTS_PER_QUARTER));
+    for (let i = 1; i <= segments; i++) {
+        const angle = startAngle + delta * i / segments;
+        const ex = rx * Math.cos(angle);
+        const ey = ry * Math.sin(angle);
+        points.push(cos * ex - sin * ey + cx, sin * ex + cos * ey + cy);
+    }
+}
@@ -0,0 +1,261 @@
+/**
+ * SVG Serializer - Turns a display list into a standalone SVG document
+ *
+ * Works from the calls a scene made (see RecordingRenderer and display-list.js) rather than
+ * from any backend's output, so vector export is available whichever render mode is active.
+ * Elements are written the way D3Renderer builds them: the same style defaults, one element
+ * per call and axes as groups of lines and text. Curves are drawn with straight segments, as
+ * CanvasRenderer and RasterRenderer draw them. Elements added under a setTransform() carry it
+ * as a transform attribute. The document needs no DOM to build.
+ */
+
+import { BASE_COLOR_PALETTE } from '../utils/color-palette.js';
+import { AxisLayout } from './axis-layout.js';
+import { DisplayList } from './display-list.js';
+
+// Style defaults for each add call, as D3Renderer applies them; 'palette' takes the next object colour
+const STYLE_DEFAULTS = {
+    addCircle: { fill: 'palette', stroke: 'foreground', strokeWidth: 1, opacity: 0.8 },
+    addLine: { stroke: 'palette', strokeWidth: 2, opacity: 0.8 },
+    addRectangle: { fill: 'palette', stroke: 'foreground', strokeWidth: 1, opacity: 0.6 },
+    addCurve: { stroke: 'palette', strokeWidth: 2, fill: 'none', opacity: 0.8 },
+    addPath: { stroke: 'palette', strokeWidth: 2, fill: 'none', opacity: 0.8 }
+};
+
+// Geometry argument names of each add call, in order; the last argument is the style
+const GEOMETRY = {
+    addCircle: ['x', 'y', 'radius'],
+    addLine: ['x1', 'y1', 'x2', 'y2'],
+    addRectangle: ['x', 'y', 'width', 'height'],
+    addCurve: ['points'],
+    addPath: ['pathData'],
+    addAxis: ['type', 'position', 'min', 'max']
+};
+
+export const SvgSerializer = {
+    /**
+     * Build a standalone SVG document from a display list
+     * The document has the recording's size, a background rectangle and the elements left
+     * after applying every update and removal in the list.
+     * @param {Object} list - Display list document (see DisplayList)
+     * @returns {string} SVG file contents
+     * @throws {Error} If the list is invalid
+     */
+    serialize(list) {
+        DisplayList.validate(list);
+        const surface = {
+            width: list.width ?? 800,
+            height: list.height ?? 600,
+            background: list.background ?? '#000000',
+            foreground: list.foreground ?? '#ffffff'
+        };
+        const elements = buildElements(list.commands, surface);
+
+        const body = elements.map(element => `    ${elementMarkup(element, surface)}`).join('\n');
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${num(surface.width)}" height="${num(surface.height)}" viewBox="0 0 ${num(surface.width)} ${num(surface.height)}">`,
+            `  <rect width="100%" height="100%" fill="${escapeXml(surface.background)}"/>`,
+            '  <g class="main-group">',
+            ...(body ? [body] : []),
+            '  </g>',
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+};
+
+/**
+ * Apply the commands in order, giving the elements that remain
+ * @param {Array<Object>} commands - Display list commands
+ * @param {Object} surface - { width, height, background, foreground }; resize commands update it
+ * @returns {Array<Object>} Elements { id, op, data, transform } in drawing order
+ */
+function buildElements(commands, surface) {
+    const elements = [];
+    let transform = null;
+    for (const { op, args, id } of commands) {
+        if (DisplayList.isAddOperation(op)) {
+            elements.push({ id, op, data: createData(op, args, id, surface), transform });
+        } else if (op === 'setTransform') {
+            transform = args[0] ?? null;
+        } else if (op === 'updateElement') {
+            const element = elements.find(e => e.id === args[0]);
+            if (element) updateData(element.data, args[1] ?? {});
+        } else if (op === 'removeElement') {
+            const index = elements.findIndex(e => e.id === args[0]);
+            if (index !== -1) elements.splice(index, 1);
+        } else if (op === 'resize') {
+            [surface.width, surface.height] = args;
+        }
+    }
+    return elements;
+}
+
+/**
+ * Element data for an add call, with the backend style defaults filled in
+ * @param {string} op - Add method name
+ * @param {Array} args - Call arguments
+ * @param {string} id - Recorded element id; its counter picks the palette colour
+ * @param {Object} surface - { foreground, ... }
+ * @returns {Object} Geometry fields plus style (or options, for axes)
+ */
+function createData(op, args, id, surface) {
+    const names = GEOMETRY[op];
+    const data = Object.fromEntries(names.map((name, i) => [name, args[i]]));
+    const given = args[names.length] ?? {};
+
+    if (op === 'addAxis') {
+        data.options = AxisLayout.withDefaults(given, surface.foreground);
+        return data;
+    }
+
+    const counter = Number(id.slice(id.lastIndexOf('-') + 1)) || 0;
+    const defaults = Object.fromEntries(Object.entries(STYLE_DEFAULTS[op]).map(([key, value]) => [key,
+        value === 'palette' ? BASE_COLOR_PALETTE[counter % BASE_COLOR_PALETTE.length]
+            : value === 'foreground' ? surface.foreground : value]));
+    data.style = { ...defaults, ...given };
+    return data;
+}
+
+/**
+ * Apply updateElement attributes: geometry fields by name, anything else as style
+ * @param {Object} data - Element data
+ * @param {Object} attributes - Attributes to update
+ */
+function updateData(data, attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+        if (Object.hasOwn(data, key) && key !== 'style' && key !== 'options') {
+            data[key] = value;
+        } else if (data.options) {
+            data.options[key] = value;
+        } else {
+            data.style[key] = value;
+        }
+    }
+}
+
+/**
+ * Markup for one element
+ * @param {Object} element - { id, op, data, transform }
+ * @param {Object} surface - { width, height, ... }, for axes without an explicit length
+ * @returns {string} SVG markup
+ */
+function elementMarkup({ id, op, data, transform: elementTransform }, surface) {
+    const transform = transformAttribute(elementTransform);
+    switch (op) {
+        case 'addCircle':
+            return tag('circle', { id, transform, cx: data.x, cy: data.y, r: data.radius, ...styleAttributes(data.style) });
+        case 'addLine':
+            return tag('line', { id, transform, x1: data.x1, y1: data.y1, x2: data.x2, y2: data.y2, ...styleAttributes(data.style) });
+        case 'addRectangle':
+            return tag('rect', { id, transform, x: data.x, y: data.y, width: data.width, height: data.height, ...styleAttributes(data.style) });
+        case 'addCurve':
+            return tag('path', { id, transform, d: curvePathData(data.points), ...styleAttributes(data.style) });
+        case 'addPath':
+            return tag('path', { id, transform, d: data.pathData, ...styleAttributes(data.style) });
+        default:
+            return axisMarkup(id, transform, data, surface);
+    }
+}
+
+/**
+ * Markup for an axis: a group with the axis line, ticks, tick labels and title
+ * @param {string} id - Element id
+ * @param {string|undefined} transform - Transform attribute value
+ * @param {Object} data - { type, position, min, max, options }
+ * @param {Object} surface - { width, height, ... }
+ * @returns {string} SVG markup
+ */
+function axisMarkup(id, transform, { type, position, min, max, options }, surface) {
+    const { lines, labels } = AxisLayout.layout(type, position, min, max, options, surface);
+    const stroke = { stroke: options.stroke, 'stroke-width': options.strokeWidth };
+    const children = [
+        ...lines.map(([x1, y1, x2, y2]) => tag('line', { x1, y1, x2, y2, ...stroke })),
+        ...labels.map(({ text, x, y, anchor }) => tag('text',
+            { x, y, 'text-anchor': anchor, fill: options.stroke, 'font-size': options.fontSize }, text))
+    ];
+
+    return `<g${attributeText({ id, transform, class: 'axis' })}>${children.join('')}</g>`;
+}
+
+/**
+ * SVG transform attribute value for a renderer transform
+ * @param {Object|null} transform - { scale, offsetX, offsetY }, or null for none
+ * @returns {string|undefined} Attribute value, or undefined to leave the attribute out
+ */
+function transformAttribute(transform) {
+    if (!transform) return undefined;
+    const { scale = 1, offsetX = 0, offsetY = 0 } = transform;
+    return `translate(${num(offsetX)},${num(offsetY)}) scale(${num(scale)})`;
+}
+
+/**
+ * SVG presentation attributes for a style
+ * @param {Object} style - { fill, stroke, strokeWidth, opacity }
+ * @returns {Object} Attribute names mapped to values
+ */
+function styleAttributes({ fill, stroke, strokeWidth, opacity }) {
+    return { fill, stroke, 'stroke-width': strokeWidth, opacity };
+}
+
+/**
+ * Path data joining points with straight segments
+ * @param {Array} points - Points as {x, y} objects or [x, y] pairs
+ * @returns {string} SVG path data (empty for no points)
+ */
+function curvePathData(points) {
+    return points
+        .map((point, i) => {
+            const [x, y] = Array.isArray(point) ? point : [point.x, point.y];
+            return `${i === 0 ? 'M' : 'L'}${num(x)},${num(y)}`;
+        })
+        .join('');
+}
+
+/**
+ * Markup for one element; attributes without a value are left out
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Attribute names mapped to values
+ * @param {string} content - Text content; omitted for self-closing tags
+ * @returns {string} SVG markup
+ */
+function tag(name, attributes, content) {
+    return content === undefined
+        ? `<${name}${attributeText(attributes)}/>`
+        : `<${name}${attributeText(attributes)}>${escapeXml(content)}</${name}>`;
+}
+
+/**
+ * Attribute list for an opening tag; attributes without a value are left out
+ * @param {Object} attributes - Attribute names mapped to values
+ * @returns {string} Attributes, each preceded by a space
+ */
+function attributeText(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ` ${key}="${escapeXml(typeof value === 'number' ? num(value) : value)}"`)
+        .join('');
+}
+
+/**
+ * Format a number compactly, to three decimal places
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function num(value) {
+    return String(Math.round(value * 1000) / 1000 + 0);
+}
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,143 @@
+/**
+ * Video Recorder - Encodes rendered frames to WebM with MediaRecorder (browser only)
+ *
+ * Frames are pushed, not sampled: each captureFrame() call copies the current frame (see
+ * FrameCapture) into the recorder's own canvas and hands exactly that frame to the encoder.
+ * Drive the simulation with SimulationLoop.fixedRateScheduler(frameRate, { ready }) using
+ * this recorder's ready(), so every video frame covers the same simulated time and slow
+ * physics delays frames instead of dropping them. Recording stops by itself after `duration`
+ * seconds of video.
+ */
+
+import { FrameCapture } from './frame-capture.js';
+
+export class VideoRecorder {
+    /**
+     * @param {Function} getRenderer - Returns the BaseRenderer to capture (it is replaced when the render mode changes)
+     * @param {Object} options - Recording options
+     * @param {number} options.frameRate - Video frames per second
+     * @param {number} options.duration - Video length in seconds
+     * @param {string} options.mimeType - Container and codec (default: the best supported WebM type)
+     */
+    constructor(getRenderer, { frameRate = 30, duration = 10, mimeType = VideoRecorder.preferredMimeType() } = {}) {
+        this.getRenderer = getRenderer;
+        this.frameRate = frameRate;
+        this.duration = duration;
+        this.mimeType = mimeType;
+
+        this.canvas = null;
+        this.track = null;
+        this.mediaRecorder = null;
+        this.frameCount = 0;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Whether the browser can record canvases
+     * @returns {boolean} True when MediaRecorder and canvas capture streams are available
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined'
+            && typeof HTMLCanvasElement !== 'undefined'
+            && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /**
+     * The best WebM type this browser can encode
+     * @returns {string} MIME type, e.g. 'video/webm;codecs=vp9'
+     */
+    static preferredMimeType() {
+        const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) ?? 'video/webm';
+    }
+
+    /**
+     * Number of frames in a complete recording
+     * @returns {number} frameRate × duration
+     */
+    get totalFrames() {
+        return Math.max(1, Math.round(this.frameRate * this.duration));
+    }
+
+    /**
+     * Whether frames are being recorded
+     * @returns {boolean} True between start() and the end of the recording
+     */
+    get isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state === 'recording';
+    }
+
+    /**
+     * Start recording; frames are added by captureFrame()
+     * @returns {Promise<Blob>} The WebM video, once the recording has stopped
+     * @throws {Error} If the current render mode has no frame to capture
+     */
+    start() {
+        const { width, height } = FrameCapture.frameSize(this.getRenderer());
+        this.canvas = Object.assign(document.createElement('canvas'), { width, height });
+        this.canvas.getContext('2d');
+
+        // A frame rate of 0 makes the stream emit only the frames passed to requestFrame()
+        const stream = this.canvas.captureStream(0);
+        this.track = stream.getVideoTracks()[0];
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType: this.mimeType });
+        this.frameCount = 0;
+        this.pending = Promise.resolve();
+
+        const chunks = [];
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        });
+        const finished = new Promise((resolve) => {
+            this.mediaRecorder.addEventListener('stop', () => {
+                this.track.stop();
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            });
+        });
+
+        this.mediaRecorder.start();
+        return finished;
+    }
+
+    /**
+     * Add the renderer's current frame to the video; call right after each render
+     * Stops the recording once it holds totalFrames frames.
+     */
+    captureFrame() {
+        if (!this.isRecording) return;
+
+        this.pending = FrameCapture.copyFrame(this.getRenderer(), this.canvas)
+            .then(() => {
+                if (!this.isRecording) return;
+                this.track.requestFrame();
+                this.frameCount++;
+                if (this.frameCount >= this.totalFrames) {
+                    this.stop();
+                }
+            })
+            .catch((err) => {
+                console.error('Frame capture failed, stopping the recording:', err);
+                this.stop();
+            });
+    }
+
+    /**
+     * Wait for the last captured frame to reach the encoder
+     * Pass as the `ready` option of SimulationLoop.fixedRateScheduler().
+     * @returns {Promise<void>} Resolves when the frame has been handed over
+     */
+    ready() {
+        return this.pending;
+    }
+
+    /**
+     * Stop recording early; the promise from start() then resolves with what was recorded
+     */
+    stop() {
+        if (this.isRecording) {
+            this.mediaRecorder.stop();
+        }
+    }
+}
@@ -29,6 +29,7 @@ export class WGSLRenderer {
         
         // Rendering state
         this.circles = [];
+        this.transform = null; // Applied to circles as they are added (see setTransform)
         this.maxCircles = options.maxCircles || 100000;
         
         // Color scheme
@@ -262,9 +263,13 @@ export class WGSLRenderer {
         }
         
         const color = this._parseColor(style.fill || '#ffffff');
+        const { scale = 1, offsetX = 0, offsetY = 0 } = this.transform ?? {};
         
         this.circles.push({
-            x, y, radius, color
+            x: x * scale + offsetX,
+            y: y * scale + offsetY,
+            radius: radius * scale,
+            color
         });
         
         return `circle-${this.circles.length - 1}`;
@@ -328,6 +333,7 @@ export class WGSLRenderer {
      * Clear all elements and render
      */
     clear() {
+        this.transform = null;
         if (!this.initialized || !this.device || !this.context) {
             return;
         }
@@ -427,6 +433,30 @@ export class WGSLRenderer {
         }
     }
     
+    /**
+     * Size of the drawing surface in screen pixels
+     * @returns {Object} { width, height }
+     */
+    getSize() {
+        return { width: this.width, height: this.height };
+    }
+    
+    /**
+     * Transform the circles added from now on
+     * @param {Object|null} transform - { scale, offsetX, offsetY }, or null for identity
+     */
+    setTransform(transform) {
+        this.transform = transform;
+    }
+    
+    /**
+     * The canvas being drawn on, for screenshots and recording
+     * @returns {HTMLCanvasElement|null} Canvas element, or null until initialization has created it
+     */
+    getCanvas() {
+        return this.canvas ?? null;
+    }
+    
     /**
      * Get the current color scheme
      */
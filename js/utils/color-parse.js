@@ -0,0 +1,91 @@
+/**
+ * Color Parse - Convert CSS colour strings to RGBA components
+ *
+ * Used by renderers that draw pixels themselves rather than handing colours to the
+ * browser. Supports the forms the simulations use: hex (#rgb, #rgba, #rrggbb, #rrggbbaa),
+ * rgb()/rgba(), hsl()/hsla() and a small set of named colours.
+ */
+
+const NAMED_COLORS = {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    gray: '#808080',
+    grey: '#808080',
+    orange: '#ffa500',
+    purple: '#800080'
+};
+
+/**
+ * Parse a CSS colour
+ * @param {string} color - CSS colour string
+ * @returns {Array<number>|null} [r, g, b, a] with r, g, b in 0–255 and a in 0–1,
+ *                               or null for 'none' and 'transparent' (nothing to draw)
+ * @throws {Error} If the colour is not in a supported form
+ */
+export function parseColor(color) {
+    const text = String(color).trim().toLowerCase();
+    if (text === 'none' || text === 'transparent') {
+        return null;
+    }
+    if (Object.hasOwn(NAMED_COLORS, text)) {
+        return parseColor(NAMED_COLORS[text]);
+    }
+
+    if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(text)) {
+        let hex = text.slice(1);
+        if (hex.length <= 4) {
+            hex = [...hex].map(digit => digit + digit).join('');
+        }
+        const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+        return [r, g, b, a];
+    }
+
+    const functional = text.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (functional) {
+        const parts = functional[2].split(/[\s,/]+/).filter(Boolean);
+        const alpha = parts.length > 3 ? parseComponent(parts[3], 1) : 1;
+        if (functional[1].startsWith('rgb')) {
+            const [r, g, b] = parts.slice(0, 3).map(part => Math.round(parseComponent(part, 255)));
+            return [r, g, b, alpha];
+        }
+        const hue = parseFloat(parts[0]);
+        const saturation = parseComponent(parts[1], 1);
+        const lightness = parseComponent(parts[2], 1);
+        return [...hslToRgb(hue, saturation, lightness), alpha];
+    }
+
+    throw new Error(`Unsupported colour: ${color}`);
+}
+
+/**
+ * Parse a numeric colour component, which may be a percentage
+ * @param {string} part - Component text, e.g. '128', '50%' or '0.5'
+ * @param {number} scale - Value that 100% maps to
+ * @returns {number} Component clamped to [0, scale]
+ */
+function parseComponent(part, scale) {
+    const value = part.endsWith('%') ? parseFloat(part) / 100 * scale : parseFloat(part);
+    return Math.min(Math.max(value, 0), scale);
+}
+
+/**
+ * Convert HSL to RGB
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation in [0, 1]
+ * @param {number} lightness - Lightness in [0, 1]
+ * @returns {Array<number>} [r, g, b] in 0–255
+ */
+function hslToRgb(hue, saturation, lightness) {
+    const h = (((hue % 360) + 360) % 360) / 30;
+    const chroma = saturation * Math.min(lightness, 1 - lightness);
+    return [0, 8, 4].map(offset => {
+        const k = (offset + h) % 12;
+        const value = lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255);
+    });
+}
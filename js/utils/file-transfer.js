@@ -0,0 +1,41 @@
+/**
+ * File Transfer - Browser file downloads and file picking (browser only)
+ *
+ * Used by the application layer for snapshots, exports and recordings.
+ */
+
+export const FileTransfer = {
+    /**
+     * Offer content to the user as a file download
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Let the user pick a file and read it as text
+     * @param {string} accept - Accepted file types for the picker
+     * @returns {Promise<string|null>} File content, or null if no file was chosen
+     */
+    choose(accept) {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.addEventListener('change', async () => {
+                const file = input.files[0];
+                resolve(file ? await file.text() : null);
+            });
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
+};
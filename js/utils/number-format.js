@@ -0,0 +1,23 @@
+/**
+ * Number Format - Shared number formatting for axis tick labels
+ *
+ * Keeps tick labels identical across renderer backends.
+ */
+
+/**
+ * Format an axis tick value
+ * @param {number} value - Value to format
+ * @param {string} format - 'fixed' (one decimal place) or 'auto' (3 significant figures,
+ *                          switching to exponent notation for very large or small magnitudes)
+ * @returns {string} Formatted label
+ */
+export function formatAxisValue(value, format = 'fixed') {
+    if (format === 'auto') {
+        const magnitude = Math.abs(value);
+        if (magnitude !== 0 && (magnitude >= 1e4 || magnitude < 1e-2)) {
+            return value.toExponential(1);
+        }
+        return String(Number(value.toPrecision(3)));
+    }
+    return value.toFixed(1);
+}
@@ -0,0 +1,153 @@
+/**
+ * PNG Encoder - Encode RGBA pixel buffers as PNG files
+ *
+ * Pure JavaScript so it runs in browsers and Node alike. By default the image data is
+ * stored in uncompressed deflate blocks, which every PNG reader accepts; callers with a
+ * zlib implementation (e.g. node:zlib deflateSync) can pass it in for smaller files.
+ */
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Largest payload of a stored (uncompressed) deflate block
+const MAX_STORED_BLOCK = 65535;
+
+// CRC-32 lookup table (polynomial 0xedb88320), as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+export const PngEncoder = {
+    /**
+     * Encode an image
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, 4 bytes per pixel, row by row from the top
+     * @param {Object} options - Encoding options
+     * @param {Function} options.deflate - Returns zlib-wrapped deflate data for a Uint8Array
+     *                                     (defaults to uncompressed stored blocks)
+     * @returns {Uint8Array} PNG file contents
+     * @throws {Error} If the buffer size does not match the dimensions
+     */
+    encode(width, height, rgba, { deflate = PngEncoder.deflateStored } = {}) {
+        if (!(Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0)) {
+            throw new Error(`PNG dimensions must be positive integers, got ${width}x${height}`);
+        }
+        if (rgba.length !== width * height * 4) {
+            throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${rgba.length}`);
+        }
+
+        // Each scanline starts with its filter type (0: none)
+        const rowLength = width * 4;
+        const raw = new Uint8Array((rowLength + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw.set(rgba.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = 8; // bit depth
+        header[9] = 6; // colour type: truecolour with alpha
+
+        return concat([
+            Uint8Array.from(SIGNATURE),
+            chunk('IHDR', header),
+            chunk('IDAT', Uint8Array.from(deflate(raw))),
+            chunk('IEND', new Uint8Array(0))
+        ]);
+    },
+
+    /**
+     * Wrap data in a zlib stream of stored (uncompressed) deflate blocks
+     * @param {Uint8Array} data - Data to wrap
+     * @returns {Uint8Array} zlib stream
+     */
+    deflateStored(data) {
+        const blockCount = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK));
+        const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+        out[0] = 0x78; // deflate, 32K window
+        out[1] = 0x01; // no preset dictionary, fastest compression; header checksum holds
+
+        let offset = 2;
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * MAX_STORED_BLOCK;
+            const length = Math.min(MAX_STORED_BLOCK, data.length - start);
+            out[offset] = block === blockCount - 1 ? 1 : 0;
+            out[offset + 1] = length & 0xff;
+            out[offset + 2] = length >>> 8;
+            out[offset + 3] = ~length & 0xff;
+            out[offset + 4] = (~length >>> 8) & 0xff;
+            out.set(data.subarray(start, start + length), offset + 5);
+            offset += 5 + length;
+        }
+
+        new DataView(out.buffer).setUint32(offset, adler32(data));
+        return out;
+    },
+
+    /**
+     * CRC-32 of a byte sequence, as stored after every PNG chunk
+     * @param {Uint8Array} bytes - Bytes to check
+     * @returns {number} Unsigned CRC
+     */
+    crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};
+
+/**
+ * Build a PNG chunk: length, type, data and CRC of type and data
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        out[4 + i] = type.charCodeAt(i);
+    }
+    out.set(data, 8);
+    view.setUint32(8 + data.length, PngEncoder.crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+/**
+ * Adler-32 checksum that ends a zlib stream
+ * @param {Uint8Array} data - Uncompressed data
+ * @returns {number} Unsigned checksum
+ */
+function adler32(data) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < data.length; i++) {
+        a = (a + data[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Arrays to join
+ * @returns {Uint8Array} Joined bytes
+ */
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
@@ -0,0 +1,51 @@
+/**
+ * Seeded Random - Deterministic pseudo-random number generator
+ *
+ * Any string or number can be used as a seed; it is hashed to 32 bits and drives a
+ * mulberry32 generator. The same seed always produces the same sequence, so runs can
+ * be reproduced and shared.
+ */
+
+export class SeededRandom {
+    /**
+     * @param {string|number} seed - Seed; numbers and their string form give the same sequence
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hash(this.seed);
+    }
+
+    /**
+     * Create a new seed from Math.random(), for runs that were not given one
+     * @returns {string} Seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000).toString(36);
+    }
+
+    /**
+     * Hash a string to an unsigned 32-bit integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} Hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next number in the sequence (mulberry32)
+     * @returns {number} Uniform random number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Time Series - Rolling history of named samples
+ *
+ * Keeps the most recent `capacity` samples so charts can plot quantities over time
+ * without unbounded memory growth.
+ */
+
+export class TimeSeries {
+    /**
+     * @param {number} capacity - Maximum number of samples kept
+     */
+    constructor(capacity = 300) {
+        this.capacity = capacity;
+        this.times = [];
+        this.samples = [];
+    }
+
+    /**
+     * Number of samples currently stored
+     * @returns {number} Sample count
+     */
+    get length() {
+        return this.times.length;
+    }
+
+    /**
+     * Append a sample, discarding the oldest one when full
+     * @param {number} time - Sample time
+     * @param {Object} sample - Named values, e.g. { totalEnergy: -12.3, bodyCount: 3 }
+     */
+    push(time, sample) {
+        this.times.push(time);
+        this.samples.push(sample);
+        while (this.times.length > this.capacity) {
+            this.times.shift();
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Get the history of one named value
+     * Samples where the value is missing or not finite are skipped.
+     * @param {string} name - Value name
+     * @returns {Array<Object>} Points { t, value } in time order
+     */
+    getSeries(name) {
+        const series = [];
+        for (let i = 0; i < this.samples.length; i++) {
+            const value = this.samples[i][name];
+            if (Number.isFinite(value)) {
+                series.push({ t: this.times[i], value });
+            }
+        }
+        return series;
+    }
+
+    /**
+     * Remove all samples
+     */
+    clear() {
+        this.times = [];
+        this.samples = [];
+    }
+}
@@ -68,6 +68,20 @@ describe('Module System', () => {
             assert.ok(D3Renderer, 'D3Renderer should be exported');
             assert.ok(typeof D3Renderer === 'function');
         });
+
+        it('should export RasterRenderer', async () => {
+            const { RasterRenderer } = await import('../../js/renderer/raster-renderer.js');
+            
+            assert.ok(RasterRenderer, 'RasterRenderer should be exported');
+            assert.ok(typeof RasterRenderer === 'function');
+        });
+
+        it('should export RecordingRenderer', async () => {
+            const { RecordingRenderer } = await import('../../js/renderer/recording-renderer.js');
+            
+            assert.ok(RecordingRenderer, 'RecordingRenderer should be exported');
+            assert.ok(typeof RecordingRenderer === 'function');
+        });
     });
 
     describe('Barrel export (rainchart.js)', () => {
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for the axis geometry shared by the renderer backends
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { AxisLayout } from '../../js/renderer/axis-layout.js';
+import { RecordingRenderer } from '../../js/renderer/recording-renderer.js';
+
+const SURFACE = { width: 200, height: 100 };
+
+describe('AxisLayout', () => {
+    it('should fill in the defaults and keep given options', () => {
+        const options = AxisLayout.withDefaults({ ticks: 4, stroke: 'red' }, '#ffffff');
+
+        assert.strictEqual(options.ticks, 4);
+        assert.strictEqual(options.stroke, 'red');
+        assert.strictEqual(options.tickLength, 5);
+        assert.strictEqual(options.tickFormat, 'fixed');
+        assert.strictEqual(AxisLayout.withDefaults({}, '#abcdef').stroke, '#abcdef');
+    });
+
+    it('should span the surface and centre tick labels under an x axis', () => {
+        const options = AxisLayout.withDefaults({ ticks: 2, label: 'time' }, '#ffffff');
+        const { lines, labels } = AxisLayout.layout('x', 80, 0, 1, options, SURFACE);
+
+        assert.deepStrictEqual(lines[0], [0, 80, 200, 80]);
+        assert.deepStrictEqual(lines.slice(1), [[0, 80, 0, 85], [100, 80, 100, 85], [200, 80, 200, 85]]);
+        assert.deepStrictEqual(labels.map(label => label.text), ['0.0', '0.5', '1.0', 'time']);
+        assert.deepStrictEqual(labels[1], { text: '0.5', x: 100, y: 95, anchor: 'middle' });
+        assert.deepStrictEqual(labels[3], { text: 'time', x: 100, y: 109, anchor: 'middle' });
+    });
+
+    it('should count y axis labels down from max and right-align them left of the axis', () => {
+        const options = AxisLayout.withDefaults({ ticks: 2, start: 10, length: 80, showLabels: true }, '#ffffff');
+        const { lines, labels } = AxisLayout.layout('y', 30, 0, 10, options, SURFACE);
+
+        assert.deepStrictEqual(lines[0], [30, 10, 30, 90]);
+        assert.deepStrictEqual(labels.map(label => label.text), ['10.0', '5.0', '0.0']);
+        assert.deepStrictEqual(labels[0], { text: '10.0', x: 20, y: 15, anchor: 'end' });
+    });
+
+    it('should place the SVG export text where the layout puts it', () => {
+        const recorder = new RecordingRenderer('unused', SURFACE);
+        recorder.addAxis('x', 80, 0, 1, { ticks: 2 });
+        const svg = recorder.toSvg();
+
+        assert.ok(svg.includes('<text x="100" y="95" text-anchor="middle" fill="#ffffff" font-size="12">0.5</text>'), svg);
+    });
+});
@@ -36,4 +36,42 @@ describe('BaseRenderer', () => {
             assert.ok(typeof renderer.resize === 'function');
         });
     });
+
+    describe('capture sources', () => {
+        it('should expose the canvas or SVG element of the active renderer', () => {
+            const canvas = { width: 10, height: 10 };
+            const svg = { tagName: 'svg' };
+            const withCanvas = { renderMode: 'canvas', renderer: { getCanvas: () => canvas } };
+            const withSvg = { renderMode: 'svg', renderer: { getSvgElement: () => svg } };
+            Object.setPrototypeOf(withCanvas, BaseRenderer.prototype);
+            Object.setPrototypeOf(withSvg, BaseRenderer.prototype);
+
+            assert.strictEqual(withCanvas.getCanvas(), canvas);
+            assert.strictEqual(withCanvas.getSvgElement(), null);
+            assert.strictEqual(withSvg.getCanvas(), null);
+            assert.strictEqual(withSvg.getSvgElement(), svg);
+        });
+
+        it('should have neither for modes that draw off screen', () => {
+            const renderer = new BaseRenderer('unused', { renderMode: 'raster', width: 20, height: 10 });
+            assert.strictEqual(renderer.getCanvas(), null);
+            assert.strictEqual(renderer.getSvgElement(), null);
+        });
+    });
+
+    describe('toSvg', () => {
+        it('should export the recorded scene in recording mode', () => {
+            const renderer = new BaseRenderer('unused', { renderMode: 'recording', width: 40, height: 30 });
+            renderer.addCircle(5, 6, 2);
+            const svg = renderer.toSvg();
+
+            assert.ok(svg.includes('viewBox="0 0 40 30"'));
+            assert.ok(svg.includes('<circle id="circle-0" cx="5" cy="6" r="2"'));
+        });
+
+        it('should refuse modes that cannot export SVG', () => {
+            const renderer = new BaseRenderer('unused', { renderMode: 'raster', width: 20, height: 10 });
+            assert.throws(() => renderer.toSvg(), /Render mode "raster" cannot export SVG/);
+        });
+    });
 });
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the pan/zoom camera and how renderers apply its transform
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Camera } from '../../js/renderer/camera.js';
+import { BaseRenderer } from '../../js/renderer/base-renderer.js';
+import { RasterRenderer } from '../../js/renderer/raster-renderer.js';
+import { DisplayList } from '../../js/renderer/display-list.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+
+/**
+ * Assert that two points agree to floating-point precision
+ */
+function assertPointClose(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+        `expected (${expected.x}, ${expected.y}), got (${actual.x}, ${actual.y})`);
+}
+
+describe('Camera', () => {
+    it('should convert between world and screen coordinates', () => {
+        const camera = new Camera({ scale: 2, offsetX: 10, offsetY: -5 });
+        assert.deepStrictEqual(camera.worldToScreen(3, 4), { x: 16, y: 3 });
+        assert.deepStrictEqual(camera.screenToWorld(16, 3), { x: 3, y: 4 });
+        assert.ok(!camera.isIdentity());
+        assert.ok(new Camera().isIdentity());
+    });
+
+    it('should pan by screen pixels', () => {
+        const camera = new Camera({ scale: 4 });
+        camera.pan(20, -8);
+        assert.deepStrictEqual(camera.getTransform(), { scale: 4, offsetX: 20, offsetY: -8 });
+    });
+
+    it('should keep the world point under the cursor fixed while zooming', () => {
+        const camera = new Camera({ scale: 1.5, offsetX: 30, offsetY: 12 });
+        const anchor = camera.screenToWorld(200, 150);
+        camera.zoomAt(3, 200, 150);
+
+        assert.strictEqual(camera.scale, 4.5);
+        assertPointClose(camera.worldToScreen(anchor.x, anchor.y), { x: 200, y: 150 });
+    });
+
+    it('should clamp the zoom range', () => {
+        const camera = new Camera({ minScale: 0.5, maxScale: 8 });
+        camera.zoomAt(100, 0, 0);
+        assert.strictEqual(camera.scale, 8);
+        camera.zoomAt(1e-6, 0, 0);
+        assert.strictEqual(camera.scale, 0.5);
+    });
+
+    it('should fit bounds into the viewport, centred, within the padding', () => {
+        const camera = new Camera();
+        camera.fitBounds({ minX: 100, minY: 200, maxX: 140, maxY: 210 }, { width: 800, height: 600 }, 20);
+
+        // Width limits the zoom: (800 - 40) / 40
+        assert.strictEqual(camera.scale, 19);
+        assertPointClose(camera.worldToScreen(120, 205), { x: 400, y: 300 });
+        assertPointClose(camera.worldToScreen(100, 200), { x: 20, y: 205 });
+    });
+
+    it('should centre a single point without changing the zoom', () => {
+        const camera = new Camera({ scale: 3 });
+        camera.fitBounds({ minX: 50, minY: 60, maxX: 50, maxY: 60 }, { width: 400, height: 300 });
+        assert.strictEqual(camera.scale, 3);
+        assertPointClose(camera.worldToScreen(50, 60), { x: 200, y: 150 });
+
+        camera.reset();
+        assert.ok(camera.isIdentity());
+    });
+});
+
+describe('Camera transform in renderers', () => {
+    it('should draw world coordinates where the camera puts them', () => {
+        const renderer = new BaseRenderer('unused', { renderMode: 'raster', width: 60, height: 60, background: '#000000' });
+        renderer.camera.fitBounds({ minX: 0, minY: 0, maxX: 10, maxY: 10 }, { width: 60, height: 60 }, 10);
+        renderer.clear();
+        renderer.addCircle(10, 10, 1, { fill: '#ffffff', stroke: 'none', opacity: 1 });
+
+        // World (10, 10) is screen (50, 50) at 4× zoom, and the radius becomes 4 pixels
+        assert.deepStrictEqual(renderer.renderer.getPixel(50, 50), [255, 255, 255, 255]);
+        assert.deepStrictEqual(renderer.renderer.getPixel(50, 46), [255, 255, 255, 255]);
+        assert.deepStrictEqual(renderer.renderer.getPixel(10, 10), [0, 0, 0, 255]);
+    });
+
+    it('should let scenes switch back to screen pixels for overlays', () => {
+        const renderer = new RasterRenderer('unused', { width: 40, height: 40 });
+        renderer.setTransform({ scale: 10, offsetX: 0, offsetY: 0 });
+        renderer.addRectangle(1, 1, 1, 1, { fill: '#ff0000', stroke: 'none', opacity: 1 });
+        renderer.setTransform(null);
+        renderer.addRectangle(0, 0, 5, 5, { fill: '#00ff00', stroke: 'none', opacity: 1 });
+
+        assert.deepStrictEqual(renderer.getPixel(15, 15), [255, 0, 0, 255]);
+        assert.deepStrictEqual(renderer.getPixel(2, 2), [0, 255, 0, 255]);
+
+        // Redrawing keeps each element's transform
+        renderer.resize(40, 40);
+        assert.deepStrictEqual(renderer.getPixel(15, 15), [255, 0, 0, 255]);
+    });
+
+    it('should record the camera so replays and SVG exports show the same view', () => {
+        const simulation = new GravitySimulation(200, 150, 3, 1, { seed: 'camera' });
+        simulation.setShowDiagnostics(true);
+        simulation.step();
+        const camera = new Camera();
+        camera.zoomAt(2, 100, 75);
+
+        const direct = new BaseRenderer('unused', { renderMode: 'raster', width: 200, height: 150, camera });
+        simulation.render(direct);
+        const recorder = new BaseRenderer('unused', { renderMode: 'recording', width: 200, height: 150, camera });
+        simulation.render(recorder);
+
+        const list = JSON.parse(JSON.stringify(recorder.renderer.getDisplayList()));
+        const transforms = list.commands.filter(command => command.op === 'setTransform').map(command => command.args[0]);
+        assert.deepStrictEqual(transforms, [camera.getTransform(), null], 'camera for the scene, then screen space for diagnostics');
+
+        const replayed = new RasterRenderer('unused', { width: 200, height: 150 });
+        DisplayList.replay(list, replayed);
+        assert.deepStrictEqual(replayed.getImageData().data, direct.renderer.getImageData().data);
+
+        const svg = recorder.renderer.toSvg();
+        assert.ok(svg.includes('<circle id="circle-'));
+        assert.ok(svg.includes('transform="translate(-100,-75) scale(2)"'));
+    });
+
+    it('should report the bounds of the bodies for fit-to-view', () => {
+        const simulation = new GravitySimulation(400, 300, 5, 1, { seed: 'bounds' });
+        const { positions } = simulation.engine.getBodyView();
+        const xs = Array.from({ length: 5 }, (_, i) => positions[2 * i]);
+        const ys = Array.from({ length: 5 }, (_, i) => positions[2 * i + 1]);
+
+        assert.deepStrictEqual(simulation.getBounds(), {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        });
+    });
+});
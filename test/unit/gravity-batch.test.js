@@ -0,0 +1,157 @@
+/**
+ * Unit tests for headless gravity batch runs (the rainchart-gravity command)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync, spawn, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { GravityBatch } from '../../js/cli/gravity-batch.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { GravitySnapshot } from '../../js/physics-sims/Gravity/gravity-snapshot.js';
+import { Integrators } from '../../js/integrators/integrators.js';
+
+const BIN = fileURLToPath(new URL('../../bin/rainchart-gravity.js', import.meta.url));
+
+/**
+ * Parse arguments and run a batch, collecting the output as strings
+ */
+function runBatch(argv, readJson) {
+    let trajectory = '';
+    let diagnostics = '';
+    const result = GravityBatch.run(GravityBatch.parseOptions(argv, readJson), {
+        trajectory: text => { trajectory += text; },
+        diagnostics: text => { diagnostics += text; }
+    });
+    return { ...result, trajectory, diagnostics };
+}
+
+describe('GravityBatch', () => {
+    describe('parseOptions', () => {
+        it('should convert numeric flags and leave unset options undefined', () => {
+            const options = GravityBatch.parseOptions(['-n', '5', '--steps', '10', '--dt', '0.01', '-i', 'yoshida4']);
+            assert.strictEqual(options.bodies, 5);
+            assert.strictEqual(options.steps, 10);
+            assert.strictEqual(options.dt, 0.01);
+            assert.strictEqual(options.integrator, 'yoshida4');
+            assert.strictEqual(options.seed, undefined);
+            assert.strictEqual(options.snapshot, null);
+        });
+
+        it('should let flags override the config file', () => {
+            const config = { bodies: 4, steps: 50, seed: 'file', engine: { boundary: 'reflective' } };
+            const options = GravityBatch.parseOptions(['-c', 'run.json', '--steps', '20'], () => config);
+            assert.strictEqual(options.bodies, 4);
+            assert.strictEqual(options.steps, 20);
+            assert.strictEqual(options.seed, 'file');
+            assert.deepStrictEqual(options.engine, { boundary: 'reflective' });
+        });
+
+        it('should reject invalid values before running', () => {
+            assert.throws(() => GravityBatch.parseOptions(['-i', 'nope']), /Unknown integrator: nope/);
+            assert.throws(() => GravityBatch.parseOptions(['-s', 'nope']), /Unknown scenario: nope/);
+            assert.throws(() => GravityBatch.parseOptions(['-f', 'xml']), /Unknown format: xml/);
+            assert.throws(() => GravityBatch.parseOptions(['--steps', 'ten']), /--steps must be a number/);
+            assert.throws(() => GravityBatch.parseOptions(['--every', '0']), /--every must be a positive integer/);
+            for (const dt of ['0', '-0.01', 'fast', 'Infinity']) {
+                assert.throws(() => GravityBatch.parseOptions([`--dt=${dt}`]), /--dt must be a (positive )?number/, `--dt ${dt}`);
+            }
+            assert.throws(() => GravityBatch.parseOptions(['-c', 'run.json'], () => ({ dt: '0.01' })), /--dt must be a positive number/);
+            assert.throws(() => GravityBatch.parseOptions(['--bogus']), /Unknown option/);
+        });
+    });
+
+    describe('run', () => {
+        it('should write one CSV row per body per recorded step, matching the engine', () => {
+            const { trajectory, diagnostics, records } = runBatch(
+                ['-n', '4', '--seed', 'csv', '--steps', '10', '--every', '4', '-i', 'verlet', '--dt', '0.05']
+            );
+            const rows = trajectory.trim().split('\n');
+            assert.strictEqual(rows[0], 'step,time,id,x,y,vx,vy,mass');
+            // Steps 0, 4, 8 and the final step 10
+            assert.strictEqual(records, 4);
+            assert.strictEqual(rows.length, 1 + 4 * 4);
+            assert.deepStrictEqual([...new Set(rows.slice(1).map(row => row.split(',')[0]))], ['0', '4', '8', '10']);
+
+            const engine = new GravityEngine(800, 600, 4, 1, { seed: 'csv', integrator: Integrators.verlet });
+            engine.timeStep = 0.05;
+            for (let i = 0; i < 10; i++) {
+                engine.step();
+            }
+            const last = rows.at(-1).split(',').map(Number);
+            const body = engine.bodies.at(-1);
+            assert.deepStrictEqual(last, [10, engine.time, body.id, body.x, body.y, body.vx, body.vy, body.mass]);
+
+            const diagnosticRows = diagnostics.trim().split('\n');
+            assert.match(diagnosticRows[0], /^step,time,bodyCount,kineticEnergy,.*,energyDrift,/);
+            assert.strictEqual(diagnosticRows.length, 1 + 4);
+            assert.strictEqual(Number(diagnosticRows.at(-1).split(',')[9]), engine.getDiagnostics().drift.energy);
+        });
+
+        it('should write one JSON line per recorded step in NDJSON format', () => {
+            const { trajectory, diagnostics } = runBatch(['-s', 'plummer', '-n', '6', '--seed', '3', '--steps', '5', '-f', 'ndjson']);
+            const lines = trajectory.trim().split('\n').map(line => JSON.parse(line));
+            assert.strictEqual(lines.length, 6);
+            assert.deepStrictEqual(lines.map(line => line.step), [0, 1, 2, 3, 4, 5]);
+            assert.strictEqual(lines[0].bodies.length, 6);
+            assert.deepStrictEqual(Object.keys(lines[0].bodies[0]), ['id', 'x', 'y', 'vx', 'vy', 'mass']);
+
+            const records = diagnostics.trim().split('\n').map(line => JSON.parse(line));
+            assert.strictEqual(records[0].energyDrift, 0);
+            assert.strictEqual(records[5].bodyCount, 6);
+        });
+
+        it('should reproduce identical output for the same seed', () => {
+            const argv = ['-n', '8', '--seed', 'repeat', '--steps', '20', '-i', 'yoshida4'];
+            const first = runBatch(argv);
+            const second = runBatch(argv);
+            const other = runBatch(['-n', '8', '--seed', 'other', '--steps', '20', '-i', 'yoshida4']);
+            assert.strictEqual(first.seed, 'repeat');
+            assert.strictEqual(first.trajectory, second.trajectory);
+            assert.strictEqual(first.diagnostics, second.diagnostics);
+            assert.notStrictEqual(first.trajectory, other.trajectory);
+        });
+
+        it('should continue from a snapshot given as the config file', () => {
+            const original = new GravityEngine(800, 600, 5, 1, { seed: 'resume', integrator: Integrators.rk4 });
+            for (let i = 0; i < 10; i++) {
+                original.step();
+            }
+            const snapshot = JSON.parse(JSON.stringify(GravitySnapshot.create(original.toSnapshot())));
+
+            const { engine } = runBatch(['-c', 'snapshot.json', '--steps', '10'], () => snapshot);
+            for (let i = 0; i < 10; i++) {
+                original.step();
+            }
+            assert.strictEqual(engine.stepCount, 20);
+            assert.deepStrictEqual(engine.getState().bodies, original.getState().bodies);
+        });
+    });
+
+    describe('rainchart-gravity command', () => {
+        it('should write CSV to stdout and exit cleanly', () => {
+            const stdout = execFileSync(process.execPath, [BIN, '-n', '2', '--seed', '1', '--steps', '2'], { encoding: 'utf8' });
+            assert.strictEqual(stdout.trim().split('\n').length, 1 + 2 * 3);
+        });
+
+        it('should report invalid options on stderr with a failing status', () => {
+            const result = spawnSync(process.execPath, [BIN, '-i', 'nope'], { encoding: 'utf8' });
+            assert.strictEqual(result.status, 1);
+            assert.match(result.stderr, /Unknown integrator: nope/);
+            assert.strictEqual(result.stdout, '');
+        });
+
+        it('should exit cleanly when the reader closes stdout early', async () => {
+            const child = spawn(process.execPath, [BIN, '-n', '20', '--seed', '1', '--steps', '100000'], {
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+            let stderr = '';
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.stdout.once('data', () => child.stdout.destroy());
+            const status = await new Promise(resolve => child.on('close', resolve));
+
+            assert.strictEqual(status, 0);
+            assert.doesNotMatch(stderr, /EPIPE/);
+        });
+    });
+});
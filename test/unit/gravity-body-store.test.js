@@ -0,0 +1,103 @@
+/**
+ * Unit tests for struct-of-arrays body storage
+ * Tests the typed-array layout, live views, and the engine stepping the arrays in place
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityBodyStore } from '../../js/physics-sims/Gravity/gravity-body-store.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+
+const bodies = [
+    { id: 3, x: 10, y: 20, vx: 1, vy: -1, mass: 5 },
+    { id: 7, x: 30, y: 40, vx: -2, vy: 2, mass: 8 }
+];
+
+describe('GravityBodyStore', () => {
+    it('should lay out positions and velocities as one phase-space vector', () => {
+        const store = new GravityBodyStore(bodies);
+
+        assert.ok(store.phase instanceof Float64Array);
+        assert.deepStrictEqual([...store.phase], [10, 20, 30, 40, 1, -1, -2, 2]);
+        assert.strictEqual(store.positions.buffer, store.phase.buffer);
+        assert.strictEqual(store.velocities.buffer, store.phase.buffer);
+        assert.deepStrictEqual([...store.masses], [5, 8]);
+        assert.deepStrictEqual([...store.ids], [3, 7]);
+    });
+
+    it('should round-trip plain body objects', () => {
+        assert.deepStrictEqual(new GravityBodyStore(bodies).toObjects(), bodies);
+    });
+
+    it('should read and write the arrays through body views', () => {
+        const store = new GravityBodyStore(bodies);
+        const [first, second] = store.bodies;
+
+        second.vx = 9;
+        store.positions[0] = 11;
+
+        assert.strictEqual(store.velocities[2], 9);
+        assert.strictEqual(first.x, 11);
+        assert.strictEqual(second.id, 7);
+        assert.strictEqual(store.bodies, store.bodies);
+    });
+
+    it('should load a subset of its own views', () => {
+        const store = new GravityBodyStore(bodies);
+        store.load([store.bodies[1]]);
+
+        assert.deepStrictEqual(store.toObjects(), [bodies[1]]);
+    });
+});
+
+describe('GravityEngine body storage', () => {
+    it('should integrate the typed arrays in place', () => {
+        const engine = new GravityEngine(800, 600, 50, 1.0, { seed: 'soa' });
+        const view = engine.getBodyView();
+        const before = Float64Array.from(view.positions);
+
+        engine.step();
+
+        assert.strictEqual(engine.getBodyView().positions, view.positions);
+        assert.notDeepStrictEqual([...view.positions], [...before]);
+    });
+
+    it('should keep the getState() body shape', () => {
+        const engine = new GravityEngine(800, 600, 4, 1.0, { seed: 'shape' });
+        const { bodies: state } = engine.getState();
+
+        assert.strictEqual(state.length, 4);
+        for (const body of state) {
+            assert.deepStrictEqual(Object.keys(body), ['id', 'x', 'y', 'vx', 'vy', 'mass']);
+        }
+        state[0].x = -1;
+        assert.notStrictEqual(engine.bodies[0].x, -1);
+    });
+
+    it('should notify listeners without copying the bodies', () => {
+        const simulation = new GravitySimulation(800, 600, 6, 1.0, { seed: 'listeners' });
+        simulation.engine.store.toObjects = () => assert.fail('listeners must not copy the bodies');
+        let state = null;
+        simulation.onUpdate(update => { state = update; });
+
+        simulation.step();
+
+        assert.strictEqual(state.bodies, undefined);
+        assert.strictEqual(state.bodyView.positions, simulation.engine.getBodyView().positions);
+        assert.strictEqual(state.stepCount, 1);
+        assert.strictEqual(state.isRunning, false);
+        assert.ok(state.diagnostics.drift);
+    });
+
+    it('should compute the same accelerations as the object-based force sum', () => {
+        const engine = new GravityEngine(800, 600, 30, 1.0, { seed: 'forces' });
+        const forces = engine.computeForces();
+        const accelerations = engine.computeAccelerations(engine.store.positions);
+
+        engine.bodies.forEach((body, i) => {
+            assert.strictEqual(accelerations[2 * i], forces[i].fx / body.mass);
+            assert.strictEqual(accelerations[2 * i + 1], forces[i].fy / body.mass);
+        });
+    });
+});
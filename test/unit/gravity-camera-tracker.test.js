@@ -0,0 +1,129 @@
+/**
+ * Unit tests for GravityCameraTracker
+ * Tests the tracking targets, smoothing and wrap-around handling used to keep the view centred
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityCameraTracker } from '../../js/physics-sims/Gravity/gravity-camera-tracker.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+import { Camera } from '../../js/renderer/camera.js';
+
+/**
+ * Body arrays in the layout of GravityEngine.getBodyView()
+ * @param {Array<Object>} bodies - Bodies { id, x, y, mass }
+ */
+function bodyView(bodies) {
+    return {
+        count: bodies.length,
+        ids: bodies.map(body => body.id),
+        positions: Float64Array.from(bodies.flatMap(body => [body.x, body.y])),
+        masses: Float64Array.from(bodies.map(body => body.mass))
+    };
+}
+
+const WORLD = { width: 100, height: 100 };
+
+describe('GravityCameraTracker', () => {
+    const view = bodyView([
+        { id: 4, x: 10, y: 20, mass: 1 },
+        { id: 9, x: 50, y: 80, mass: 3 }
+    ]);
+
+    it('should target a body by id, the heaviest body or the centre of mass', () => {
+        assert.deepStrictEqual(GravityCameraTracker.target(view, 'body', 4), { x: 10, y: 20 });
+        assert.deepStrictEqual(GravityCameraTracker.target(view, 'heaviest'), { x: 50, y: 80 });
+        assert.deepStrictEqual(GravityCameraTracker.target(view, 'centerOfMass'), { x: 40, y: 65 });
+        assert.strictEqual(GravityCameraTracker.target(view, 'free'), null);
+    });
+
+    it('should have nothing to track when the body is gone or there are no bodies', () => {
+        const tracker = new GravityCameraTracker();
+        assert.strictEqual(tracker.update(view, { mode: 'body', bodyId: 5, smoothing: 1, ...WORLD }), null);
+        assert.strictEqual(tracker.update(bodyView([]), { mode: 'heaviest', smoothing: 1, ...WORLD }), null);
+        assert.strictEqual(tracker.update(bodyView([]), { mode: 'centerOfMass', smoothing: 1, ...WORLD }), null);
+        assert.strictEqual(tracker.update(view, { mode: 'free', smoothing: 1, ...WORLD }), null);
+    });
+
+    it('should reject unknown modes', () => {
+        assert.throws(() => new GravityCameraTracker().update(view, { mode: 'orbit', smoothing: 1, ...WORLD }), /Unknown camera mode: orbit/);
+        assert.deepStrictEqual(GravityCameraTracker.modes(), ['free', 'body', 'heaviest', 'centerOfMass']);
+    });
+
+    it('should start on the target and then close a fixed fraction of the gap each frame', () => {
+        const tracker = new GravityCameraTracker();
+        const options = { mode: 'body', bodyId: 1, smoothing: 0.5, ...WORLD };
+        assert.deepStrictEqual(tracker.update(bodyView([{ id: 1, x: 10, y: 10, mass: 1 }]), options), { x: 10, y: 10 });
+
+        const moved = bodyView([{ id: 1, x: 30, y: 14, mass: 1 }]);
+        assert.deepStrictEqual(tracker.update(moved, options), { x: 20, y: 12 });
+        assert.deepStrictEqual(tracker.update(moved, options), { x: 25, y: 13 });
+
+        let focus;
+        for (let i = 0; i < 60; i++) {
+            focus = tracker.update(moved, options);
+        }
+        assert.ok(Math.abs(focus.x - 30) < 1e-9 && Math.abs(focus.y - 14) < 1e-9, 'converges on a still target');
+    });
+
+    it('should follow a body through a periodic boundary instead of sweeping across the world', () => {
+        const tracker = new GravityCameraTracker();
+        const options = { mode: 'body', bodyId: 1, smoothing: 0.5, ...WORLD };
+        tracker.update(bodyView([{ id: 1, x: 90, y: 50, mass: 1 }]), options);
+        tracker.update(bodyView([{ id: 1, x: 98, y: 50, mass: 1 }]), options);
+
+        // The focus trails the body by 4; the wrap shifts it by the same -98 jump, keeping that lag
+        const focus = tracker.update(bodyView([{ id: 1, x: 2, y: 50, mass: 1 }]), options);
+        assert.deepStrictEqual(focus, { x: -2, y: 50 });
+        assert.deepStrictEqual(tracker.update(bodyView([{ id: 1, x: 2, y: 50, mass: 1 }]), options), { x: 0, y: 50 });
+    });
+});
+
+describe('Camera tracking', () => {
+    it('should centre a world point without changing the zoom', () => {
+        const camera = new Camera({ scale: 2, offsetX: 7, offsetY: -3 });
+        camera.centerOn(40, 25, { width: 400, height: 300 });
+        assert.strictEqual(camera.scale, 2);
+        assert.deepStrictEqual(camera.worldToScreen(40, 25), { x: 200, y: 150 });
+    });
+
+    it('should report the focus of the selected mode from the gravity simulation', () => {
+        const simulation = new GravitySimulation(400, 300, 4, 1, { seed: 'tracking' });
+        assert.strictEqual(simulation.getFocus(), null, 'free by default');
+
+        const { count, ids, positions, masses } = simulation.engine.getBodyView();
+        simulation.setTrackedBody(ids[2]);
+        simulation.setCameraMode('body');
+        assert.deepStrictEqual(simulation.getFocus(), { x: positions[4], y: positions[5] });
+
+        simulation.setCameraMode('centerOfMass');
+        let totalMass = 0;
+        let x = 0;
+        for (let i = 0; i < count; i++) {
+            totalMass += masses[i];
+            x += masses[i] * positions[2 * i];
+        }
+        assert.ok(Math.abs(simulation.getFocus().x - x / totalMass) < 1e-9);
+
+        assert.throws(() => simulation.setCameraMode('orbit'), /Unknown camera mode/);
+        assert.strictEqual(simulation.saveSnapshot().renderer.cameraMode, 'centerOfMass');
+    });
+
+    it('should keep smoothing through display changes and start afresh when the bodies are replaced', () => {
+        const simulation = new GravitySimulation(400, 300, 4, 1, { seed: 'tracking', boundary: 'open' });
+        simulation.setCameraMode('heaviest');
+        simulation.getFocus();
+        simulation.step();
+        simulation.getFocus();
+        assert.ok(simulation.cameraTracker.focus);
+
+        const focus = { ...simulation.cameraTracker.focus };
+        simulation.setShowTrails(true);
+        simulation.setShowTrails(false);
+        simulation.setShowDiagnostics(true);
+        assert.deepStrictEqual(simulation.cameraTracker.focus, focus);
+
+        simulation.setSeed('another');
+        assert.strictEqual(simulation.cameraTracker.focus, null);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for gravity collision detection and resolution
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityCollisions } from '../../js/physics-sims/Gravity/gravity-collisions.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+
+/**
+ * Overlapping pairs found by checking every pair
+ */
+function bruteForceOverlaps(bodies, sizeMultiplier, period) {
+    const pairs = [];
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            let dx = bodies[j].x - bodies[i].x;
+            let dy = bodies[j].y - bodies[i].y;
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
+            const reach = (Math.sqrt(bodies[i].mass) + Math.sqrt(bodies[j].mass)) * sizeMultiplier;
+            if (dx * dx + dy * dy < reach * reach) {
+                pairs.push([i, j]);
+            }
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Deterministic pseudo-random bodies (linear congruential generator)
+ */
+function makeBodies(count, width, height) {
+    let seed = 12345;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    return Array.from({ length: count }, (_, id) => ({
+        id,
+        x: random() * width,
+        y: random() * height,
+        vx: 0,
+        vy: 0,
+        mass: 1 + random() * 20
+    }));
+}
+
+describe('GravityCollisions', () => {
+    describe('findOverlaps', () => {
+        it('should find the same pairs as a brute-force check', () => {
+            const bodies = makeBodies(300, 400, 300);
+            assert.deepStrictEqual(
+                GravityCollisions.findOverlaps(bodies, 2),
+                bruteForceOverlaps(bodies, 2, null)
+            );
+        });
+
+        it('should find pairs across the seam of a periodic domain', () => {
+            const period = { width: 400, height: 300 };
+            const bodies = makeBodies(300, 400, 300);
+            bodies.push(
+                { id: 300, x: 1, y: 150, vx: 0, vy: 0, mass: 4 },
+                { id: 301, x: 398, y: 150, vx: 0, vy: 0, mass: 4 }
+            );
+            const pairs = GravityCollisions.findOverlaps(bodies, 2, period);
+
+            assert.deepStrictEqual(pairs, bruteForceOverlaps(bodies, 2, period));
+            assert.ok(pairs.some(([i, j]) => i === 300 && j === 301));
+        });
+    });
+
+    describe('resolve', () => {
+        it('should merge overlapping bodies conserving mass, momentum and centre of mass', () => {
+            const bodies = [
+                { id: 0, x: 10, y: 10, vx: 1, vy: 0, mass: 1 },
+                { id: 1, x: 12, y: 10, vx: 0, vy: 2, mass: 3 }
+            ];
+            const remaining = GravityCollisions.resolve('merge', bodies, 2);
+
+            assert.strictEqual(remaining.length, 1);
+            const [merged] = remaining;
+            assert.strictEqual(merged.id, 1);
+            assert.strictEqual(merged.mass, 4);
+            assert.strictEqual(merged.x, 11.5);
+            assert.strictEqual(merged.vx, 0.25);
+            assert.strictEqual(merged.vy, 1.5);
+        });
+
+        it('should merge across a periodic seam and wrap the result', () => {
+            const bodies = [
+                { id: 0, x: 1, y: 50, vx: 0, vy: 0, mass: 1 },
+                { id: 1, x: 99, y: 50, vx: 0, vy: 0, mass: 1 }
+            ];
+            const [merged] = GravityCollisions.resolve('merge', bodies, 2, { width: 100, height: 100 });
+
+            assert.strictEqual(merged.id, 0);
+            assert.strictEqual(merged.x, 0);
+        });
+
+        it('should return the same array when nothing collides', () => {
+            const bodies = makeBodies(5, 10000, 10000);
+            assert.strictEqual(GravityCollisions.resolve('merge', bodies, 2), bodies);
+        });
+
+        it('should exchange velocities in a head-on elastic bounce of equal masses', () => {
+            const bodies = [
+                { id: 0, x: 10, y: 10, vx: 3, vy: 0, mass: 1 },
+                { id: 1, x: 12, y: 10, vx: -1, vy: 0, mass: 1 }
+            ];
+            GravityCollisions.resolve('bounce', bodies, 2);
+
+            assert.strictEqual(bodies[0].vx, -1);
+            assert.strictEqual(bodies[1].vx, 3);
+        });
+
+        it('should not bounce bodies that are already separating', () => {
+            const bodies = [
+                { id: 0, x: 10, y: 10, vx: -1, vy: 0, mass: 1 },
+                { id: 1, x: 12, y: 10, vx: 1, vy: 0, mass: 1 }
+            ];
+            GravityCollisions.resolve('bounce', bodies, 2);
+
+            assert.strictEqual(bodies[0].vx, -1);
+            assert.strictEqual(bodies[1].vx, 1);
+        });
+
+        it('should reject unknown collision modes', () => {
+            assert.throws(() => GravityCollisions.resolve('stick', [], 2), /Unknown collision mode/);
+        });
+    });
+
+    describe('in GravityEngine', () => {
+        it('should keep momentum drift at zero when bodies merge', () => {
+            const engine = new GravityEngine(1000, 1000, 0, 1.0, { collisions: 'merge', boundary: 'open' });
+            engine.bodies = [
+                { id: 0, x: 500, y: 500, vx: 5, vy: 0, mass: 100 },
+                { id: 1, x: 530, y: 500, vx: -5, vy: 1, mass: 50 },
+                { id: 2, x: 100, y: 100, vx: 0, vy: 0, mass: 10 }
+            ];
+            engine.resetDiagnostics();
+
+            for (let i = 0; i < 200 && engine.bodies.length === 3; i++) {
+                engine.step();
+            }
+
+            assert.deepStrictEqual(engine.bodies.map(b => b.id), [0, 2]);
+            assert.ok(engine.getDiagnostics().drift.momentum < 1e-9);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the gravity control definitions
+ * The selects list what the simulation modules define, so they cannot fall out of step with them.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityControls } from '../../js/physics-sims/Gravity/gravity-controls.js';
+import { GravityScenarios } from '../../js/physics-sims/Gravity/gravity-scenarios.js';
+import { GravityBoundaries } from '../../js/physics-sims/Gravity/gravity-boundaries.js';
+import { GravityCollisions } from '../../js/physics-sims/Gravity/gravity-collisions.js';
+import { GravityCameraTracker } from '../../js/physics-sims/Gravity/gravity-camera-tracker.js';
+import { ISimulationControls } from '../../js/physics-sims/controls-interface.js';
+
+/**
+ * Options of the control with the given id
+ */
+function optionsOf(id) {
+    return GravityControls.controls.find(control => control.id === id).options;
+}
+
+describe('GravityControls', () => {
+    it('should implement ISimulationControls', () => {
+        assert.ok(ISimulationControls.validate(GravityControls));
+    });
+
+    it('should list every scenario with its label', () => {
+        const options = optionsOf('gravity-scenario');
+        assert.deepStrictEqual(options.map(option => option.value), GravityScenarios.names());
+        assert.ok(options.every(({ value, label }) => label === GravityScenarios.getLabel(value)));
+        assert.deepStrictEqual(options.at(-1), { value: 'figureEight', label: 'Figure-eight (3 bodies)' });
+    });
+
+    it('should list the boundary, collision and camera modes with their labels', () => {
+        for (const [id, modes, getLabel] of [
+            ['gravity-boundary', GravityBoundaries.MODES, GravityBoundaries.getLabel],
+            ['gravity-collisions', GravityCollisions.MODES, GravityCollisions.getLabel],
+            ['gravity-camera-mode', GravityCameraTracker.modes(), GravityCameraTracker.getLabel]
+        ]) {
+            assert.deepStrictEqual(optionsOf(id), modes.map(mode => ({ value: mode, label: getLabel(mode) })), id);
+        }
+        assert.strictEqual(GravityBoundaries.getLabel('periodic'), 'Periodic (wrap)');
+        assert.strictEqual(GravityCollisions.getLabel('bounce'), 'Elastic bounce');
+        assert.strictEqual(GravityCameraTracker.getLabel('centerOfMass'), 'Centre of mass');
+    });
+
+    it('should reject labels for unknown modes', () => {
+        assert.throws(() => GravityBoundaries.getLabel('toroidal'), /Unknown boundary mode/);
+        assert.throws(() => GravityCollisions.getLabel('stick'), /Unknown collision mode/);
+        assert.throws(() => GravityCameraTracker.getLabel('orbit'), /Unknown camera mode/);
+    });
+});
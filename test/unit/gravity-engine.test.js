@@ -0,0 +1,560 @@
+/**
+ * Unit tests for GravityEngine
+ * Tests the force solvers against each other and the convergence order
+ * of whole-system integration on a two-body Kepler orbit, plus conservation diagnostics
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { Integrators } from '../../js/integrators/integrators.js';
+import { GravityDiagnostics } from '../../js/physics-sims/Gravity/gravity-diagnostics.js';
+
+/**
+ * Root-mean-square error of approximate forces relative to the RMS exact force
+ */
+function relativeRmsError(approx, exact) {
+    let errorSum = 0;
+    let magnitudeSum = 0;
+    for (let i = 0; i < exact.length; i++) {
+        const ex = approx[i].fx - exact[i].fx;
+        const ey = approx[i].fy - exact[i].fy;
+        errorSum += ex * ex + ey * ey;
+        magnitudeSum += exact[i].fx * exact[i].fx + exact[i].fy * exact[i].fy;
+    }
+    return Math.sqrt(errorSum / magnitudeSum);
+}
+
+/**
+ * Two equal masses on a circular Kepler orbit about the centre of a large world.
+ * Returns the position error of body 0 after `duration` compared to the exact solution.
+ * If `switchTo` names an integrator, the engine swaps to it halfway through.
+ */
+function keplerOrbitError(integrator, dt, duration, switchTo = null) {
+    const mass = 1000;
+    const separation = 100;
+    const center = 5000;
+    const speed = Math.sqrt(mass / (2 * separation));
+    const omega = speed / (separation / 2);
+
+    const engine = new GravityEngine(2 * center, 2 * center, 0, 1.0, { integrator, softeningFactor: 0 });
+    engine.bodies = [
+        { id: 0, x: center + separation / 2, y: center, vx: 0, vy: speed, mass },
+        { id: 1, x: center - separation / 2, y: center, vx: 0, vy: -speed, mass }
+    ];
+    engine.timeStep = dt;
+
+    const steps = Math.round(duration / dt);
+    for (let i = 0; i < steps; i++) {
+        if (switchTo && i === Math.floor(steps / 2)) {
+            engine.setIntegrator(switchTo);
+        }
+        engine.step();
+    }
+
+    const angle = omega * steps * dt;
+    const expectedX = center + (separation / 2) * Math.cos(angle);
+    const expectedY = center + (separation / 2) * Math.sin(angle);
+    return Math.hypot(engine.bodies[0].x - expectedX, engine.bodies[0].y - expectedY);
+}
+
+/**
+ * Observed order of convergence when halving the time step
+ */
+function observedOrder(integrator, dt, duration) {
+    const coarse = keplerOrbitError(integrator, dt, duration);
+    const fine = keplerOrbitError(integrator, dt / 2, duration);
+    return Math.log2(coarse / fine);
+}
+
+describe('GravityEngine', () => {
+    describe('computeForces', () => {
+        it('should match the direct sum exactly when the opening angle is 0', () => {
+            const engine = new GravityEngine(1000, 800, 200, 1.0, { openingAngle: 0, boundary: 'open' });
+
+            engine.config.forceSolver = 'direct';
+            const direct = engine.computeForces();
+            engine.config.forceSolver = 'barnesHut';
+            const barnesHut = engine.computeForces();
+
+            assert.ok(relativeRmsError(barnesHut, direct) < 1e-10);
+        });
+
+        it('should approximate the direct sum within 2% for θ = 0.5', () => {
+            const engine = new GravityEngine(1000, 800, 1000, 1.0, { openingAngle: 0.5, boundary: 'open' });
+
+            engine.config.forceSolver = 'direct';
+            const direct = engine.computeForces();
+            engine.config.forceSolver = 'barnesHut';
+            const barnesHut = engine.computeForces();
+
+            assert.strictEqual(barnesHut.length, direct.length);
+            assert.ok(relativeRmsError(barnesHut, direct) < 0.02);
+        });
+
+        it('should approximate the periodic direct sum within 2% for θ = 0.5', () => {
+            const engine = new GravityEngine(800, 600, 400, 1.0, { openingAngle: 0.5, boundary: 'periodic', seed: 'periodic-tree' });
+
+            engine.config.forceSolver = 'direct';
+            const direct = engine.computeForces();
+            engine.config.forceSolver = 'barnesHut';
+            const barnesHut = engine.computeForces();
+
+            assert.ok(relativeRmsError(barnesHut, direct) < 0.02);
+        });
+
+        it('should not lump together bodies on both sides of the periodic seam', () => {
+            // The pair at the far edges is 10 apart through the seam; the probe sits half a period away
+            const engine = new GravityEngine(100, 100, 0, 1.0, { openingAngle: 0.9, boundary: 'periodic', softeningFactor: 0 });
+            const bodies = [
+                { id: 0, x: 50, y: 50, vx: 0, vy: 0, mass: 1 },
+                { id: 1, x: 95, y: 50, vx: 0, vy: 0, mass: 100 },
+                { id: 2, x: 5, y: 50, vx: 0, vy: 0, mass: 100 },
+                { id: 3, x: 40, y: 20, vx: 0, vy: 0, mass: 1 }
+            ];
+
+            engine.config.forceSolver = 'direct';
+            const direct = engine.computeForces(bodies);
+            engine.config.forceSolver = 'barnesHut';
+            const barnesHut = engine.computeForces(bodies);
+
+            assert.ok(relativeRmsError(barnesHut, direct) < 1e-9);
+        });
+
+        it('should apply the configured softening in both solvers', () => {
+            // Two coincident bodies feel no force; a close pair is limited by softening
+            const engine = new GravityEngine(100, 100, 0, 1.0, { softeningFactor: 10, openingAngle: 0.5 });
+            const bodies = [
+                { id: 0, x: 50, y: 50, vx: 0, vy: 0, mass: 100 },
+                { id: 1, x: 51, y: 50, vx: 0, vy: 0, mass: 100 }
+            ];
+
+            engine.config.forceSolver = 'direct';
+            const direct = engine.computeForces(bodies);
+            engine.config.forceSolver = 'barnesHut';
+            const barnesHut = engine.computeForces(bodies);
+
+            // F = G m1 m2 r / (r² + ε²)^(3/2) with r = 1, ε = 10
+            const expected = 100 * 100 * 1 / Math.pow(1 + 100, 1.5);
+            assert.ok(Math.abs(direct[0].fx - expected) < 1e-9);
+            assert.ok(Math.abs(barnesHut[0].fx - expected) < 1e-9);
+            assert.ok(Math.abs(barnesHut[1].fx + expected) < 1e-9);
+        });
+
+        it('should handle bodies at identical positions in the quadtree', () => {
+            const engine = new GravityEngine(100, 100, 0, 1.0, { forceSolver: 'barnesHut' });
+            const bodies = [
+                { id: 0, x: 10, y: 10, vx: 0, vy: 0, mass: 5 },
+                { id: 1, x: 10, y: 10, vx: 0, vy: 0, mass: 5 },
+                { id: 2, x: 10, y: 10, vx: 0, vy: 0, mass: 5 }
+            ];
+
+            const forces = engine.computeForces(bodies);
+
+            forces.forEach(force => {
+                assert.strictEqual(force.fx, 0);
+                assert.strictEqual(force.fy, 0);
+            });
+        });
+    });
+
+    describe('step (whole-system integration)', () => {
+        // Quarter of the orbital period (≈ 140 time units)
+        const duration = 35;
+
+        it('should converge at 4th order with RK4', () => {
+            const order = observedOrder(Integrators.rk4, 0.5, duration);
+            assert.ok(order > 3.7 && order < 4.3, `observed order ${order}`);
+        });
+
+        it('should converge at 2nd order with velocity Verlet', () => {
+            const order = observedOrder(Integrators.velocityVerlet, 0.5, duration);
+            assert.ok(order > 1.8 && order < 2.2, `observed order ${order}`);
+        });
+
+        it('should converge at 2nd order with position Verlet', () => {
+            const order = observedOrder(Integrators.verlet, 0.5, duration);
+            assert.ok(order > 1.8 && order < 2.2, `observed order ${order}`);
+        });
+
+        it('should converge at 4th order with Yoshida 4', () => {
+            const order = observedOrder(Integrators.yoshida4, 0.5, duration);
+            assert.ok(order > 3.7 && order < 4.3, `observed order ${order}`);
+        });
+
+        it('should converge at 6th order with Yoshida 6', () => {
+            const order = observedOrder(Integrators.yoshida6, 1, duration);
+            assert.ok(order > 5.7 && order < 6.3, `observed order ${order}`);
+        });
+
+        it('should converge at 1st order with Euler', () => {
+            const order = observedOrder(Integrators.euler, 0.05, duration);
+            assert.ok(order > 0.8 && order < 1.2, `observed order ${order}`);
+        });
+    });
+
+    describe('diagnostics', () => {
+        it('should report the softened potential energy of a static pair', () => {
+            const engine = new GravityEngine(100, 100, 0, 2.0, { softeningFactor: 4 });
+            engine.bodies = [
+                { id: 0, x: 10, y: 10, vx: 0, vy: 0, mass: 3 },
+                { id: 1, x: 13, y: 10, vx: 0, vy: 0, mass: 5 }
+            ];
+            engine.resetDiagnostics();
+
+            const { diagnostics } = engine.getState();
+
+            // U = -G m1 m2 / √(r² + ε²) = -2 * 3 * 5 / 5
+            assert.strictEqual(diagnostics.kineticEnergy, 0);
+            assert.ok(Math.abs(diagnostics.potentialEnergy + 6) < 1e-12);
+            assert.ok(Math.abs(diagnostics.centerOfMass.x - 11.875) < 1e-12);
+            assert.strictEqual(diagnostics.drift.energy, 0);
+        });
+
+        it('should estimate the potential with the tree for the Barnes-Hut solver, without the pairwise sum', () => {
+            for (const boundary of ['open', 'periodic']) {
+                const engine = new GravityEngine(800, 600, 400, 1.0, { boundary, openingAngle: 0.5, seed: 'tree-potential' });
+                const exact = GravityDiagnostics.potentialEnergy(engine.bodies, 1.0, engine.config.softeningFactor, engine._getPeriod());
+
+                const nearlyExact = GravityDiagnostics.treePotentialEnergy(engine.bodies, 1.0, engine.config.softeningFactor, engine._getPeriod(), 1e-9);
+                assert.ok(Math.abs(nearlyExact / exact - 1) < 1e-9, `${boundary}: θ → 0 gives the pairwise sum`);
+
+                engine.config.forceSolver = 'barnesHut';
+                const original = GravityDiagnostics.potentialEnergy;
+                GravityDiagnostics.potentialEnergy = () => assert.fail('O(N²) potential used with barnesHut');
+                try {
+                    engine.resetDiagnostics();
+                    engine.step();
+                } finally {
+                    GravityDiagnostics.potentialEnergy = original;
+                }
+                const { potentialEnergy } = engine.getDiagnostics();
+                assert.ok(Math.abs(potentialEnergy / exact - 1) < 0.02, `${boundary}: tree potential within 2%`);
+            }
+        });
+
+        it('should show small energy and angular momentum drift with velocity Verlet', () => {
+            const engine = new GravityEngine(10000, 10000, 0, 1.0, {
+                integrator: Integrators.velocityVerlet,
+                softeningFactor: 5
+            });
+            engine.bodies = [
+                { id: 0, x: 5050, y: 5000, vx: 0, vy: 2, mass: 1000 },
+                { id: 1, x: 4950, y: 5000, vx: 0, vy: -2, mass: 1000 },
+                { id: 2, x: 5000, y: 5300, vx: 2.5, vy: 0, mass: 10 }
+            ];
+            engine.resetDiagnostics();
+            engine.timeStep = 0.1;
+
+            for (let i = 0; i < 1000; i++) {
+                engine.step();
+            }
+            const { diagnostics, simulationTime, stepCount } = engine.getState();
+
+            assert.strictEqual(stepCount, 1000);
+            assert.ok(Math.abs(simulationTime - 100) < 1e-9);
+            assert.ok(Math.abs(diagnostics.drift.energy) < 1e-3, `energy drift ${diagnostics.drift.energy}`);
+            assert.ok(Math.abs(diagnostics.drift.angularMomentum) < 1e-6);
+            assert.ok(diagnostics.drift.momentum < 1e-9);
+        });
+    });
+
+    describe('adaptive time step', () => {
+        // Highly eccentric two-body orbit whose pericentre passage is too fast for a fixed step
+        const eccentricEngine = (options) => {
+            const engine = new GravityEngine(10000, 10000, 0, 1.0, {
+                boundary: 'open',
+                softeningFactor: 0.5,
+                ...options
+            });
+            engine.bodies = [
+                { id: 0, x: 5000, y: 5000, vx: 0, vy: 0, mass: 10000 },
+                { id: 1, x: 5200, y: 5000, vx: 0, vy: 1, mass: 1 }
+            ];
+            engine.resetDiagnostics();
+            engine.timeStep = 2;
+            return engine;
+        };
+        const runEnergyDrift = (engine) => {
+            let maxSubsteps = 0;
+            for (let i = 0; i < 300; i++) {
+                engine.step();
+                maxSubsteps = Math.max(maxSubsteps, engine.getState().substeps);
+            }
+            return { drift: Math.abs(engine.getDiagnostics().drift.energy), maxSubsteps };
+        };
+
+        it('should conserve energy through a close encounter that breaks fixed-step RK4', () => {
+            const fixed = runEnergyDrift(eccentricEngine({ integrator: Integrators.rk4 }));
+            const adaptive = runEnergyDrift(eccentricEngine({ adaptiveTimeStep: true, tolerance: 1e-8 }));
+
+            assert.ok(fixed.drift > 1e-2, `fixed drift ${fixed.drift}`);
+            assert.ok(adaptive.drift < 1e-4, `adaptive drift ${adaptive.drift}`);
+            assert.ok(adaptive.maxSubsteps > 1);
+        });
+
+        it('should report the step size actually used', () => {
+            const engine = eccentricEngine({ adaptiveTimeStep: true });
+            engine.step();
+            const { dt, substeps } = engine.getState();
+
+            assert.ok(dt > 0 && dt <= engine.timeStep);
+            assert.ok(substeps >= 1);
+
+            engine.setAdaptiveTimeStep(false);
+            engine.step();
+            assert.strictEqual(engine.getState().dt, engine.timeStep);
+            assert.strictEqual(engine.getState().substeps, 1);
+        });
+
+        it('should report whole steps rather than steps cut short at the end of a time step', () => {
+            const engine = eccentricEngine({ adaptiveTimeStep: true, tolerance: 1e-8 });
+            let stepped = 0;
+            for (let i = 0; i < 300; i++) {
+                engine.step();
+                const { dt, substeps } = engine.getState();
+                stepped += dt * substeps;
+            }
+
+            // dt is the largest step of each time step, so the steps taken cover at least the run
+            assert.ok(stepped >= engine.time - engine.lastDt, `stepped ${stepped} of ${engine.time}`);
+        });
+
+        it('should take steps longer than the time step while the system is quiet', () => {
+            const engine = new GravityEngine(10000, 10000, 0, 1.0, { boundary: 'open', adaptiveTimeStep: true });
+            engine.bodies = [
+                { id: 0, x: 5000, y: 5000, vx: 0, vy: 0, mass: 10000 },
+                { id: 1, x: 7000, y: 5000, vx: 0, vy: Math.sqrt(10000 / 2000), mass: 0.001 }
+            ];
+            engine.resetDiagnostics();
+
+            let steps = 0;
+            let largest = 0;
+            for (let i = 0; i < 120; i++) {
+                engine.step();
+                steps += engine.getState().substeps;
+                largest = Math.max(largest, engine.getState().dt);
+            }
+
+            // Dormand-Prince costs 7 evaluations per step against RK4's 4 per time step
+            assert.ok(7 * steps < 4 * 120, `${steps} steps`);
+            assert.ok(largest > engine.timeStep);
+            assert.ok(Math.abs(engine.time - 120 * engine.timeStep) < 1e-9);
+            assert.ok(Math.abs(engine.getDiagnostics().drift.energy) < 1e-9);
+            const radius = Math.hypot(engine.bodies[1].x - engine.bodies[0].x, engine.bodies[1].y - engine.bodies[0].y);
+            assert.ok(Math.abs(radius - 2000) < 1e-3, `radius ${radius}`);
+        });
+
+        it('should drop the rest of a time step once its attempt budget is spent', () => {
+            const engine = eccentricEngine({ adaptiveTimeStep: true, tolerance: 1e-12, maxAdaptiveSteps: 1 });
+            for (let i = 0; i < 10; i++) {
+                engine.step();
+            }
+            const { simulationTime, droppedTime, stepCount } = engine.getState();
+
+            assert.strictEqual(stepCount, 10);
+            assert.ok(simulationTime > 0 && droppedTime > 0);
+            assert.ok(Math.abs(simulationTime + droppedTime - 10 * engine.timeStep) < 1e-9);
+        });
+    });
+
+    describe('reverseTime', () => {
+        const retraceError = (integrator) => {
+            const engine = new GravityEngine(2000, 2000, 8, 1.0, {
+                seed: 'reverse',
+                scenario: 'plummer',
+                boundary: 'open',
+                integrator
+            });
+            engine.timeStep = 0.05;
+            const start = engine.getState().bodies;
+            for (let i = 0; i < 100; i++) {
+                engine.step();
+            }
+            engine.reverseTime();
+            for (let i = 0; i < 100; i++) {
+                engine.step();
+            }
+            return Math.max(...engine.bodies.map((body, i) => Math.hypot(body.x - start[i].x, body.y - start[i].y)));
+        };
+
+        it('should retrace the trajectory with velocity Verlet', () => {
+            const error = retraceError(Integrators.velocityVerlet);
+            assert.ok(error < 1e-6, `error ${error}`);
+        });
+
+        it('should retrace the trajectory with position Verlet', () => {
+            const error = retraceError(Integrators.verlet);
+            assert.ok(error < 1e-6, `error ${error}`);
+        });
+
+        it('should run simulation time backwards without reporting drift', () => {
+            const engine = new GravityEngine(800, 600, 4, 1.0, { seed: 9 });
+            engine.step();
+            engine.reverseTime();
+            engine.step();
+
+            const { simulationTime, reversed, diagnostics } = engine.getState();
+            assert.strictEqual(reversed, true);
+            assert.ok(Math.abs(simulationTime) < 1e-12);
+            assert.ok(diagnostics.drift.momentum < 1e-6, `momentum drift ${diagnostics.drift.momentum}`);
+        });
+    });
+
+    describe('setIntegrator', () => {
+        it('should swap the method on the running engine without a reset', () => {
+            const engine = new GravityEngine(800, 600, 4, 1.0, { seed: 'swap' });
+            for (let i = 0; i < 5; i++) {
+                engine.step();
+            }
+            const before = engine.getState();
+
+            engine.setIntegrator('yoshida4');
+
+            assert.strictEqual(engine.config.integrator, Integrators.yoshida4);
+            assert.deepStrictEqual(engine.getState().bodies, before.bodies);
+            assert.strictEqual(engine.stepCount, 5);
+            assert.strictEqual(engine.time, before.simulationTime);
+        });
+
+        it('should continue the same trajectory when leaving position Verlet for velocity Verlet', () => {
+            const verletOnly = keplerOrbitError(Integrators.verlet, 0.5, 35);
+            const switched = keplerOrbitError(Integrators.verlet, 0.5, 35, 'velocityVerlet');
+            assert.ok(Math.abs(switched - verletOnly) < 1e-8, `errors ${switched} and ${verletOnly}`);
+        });
+
+        it('should keep 2nd order accuracy when entering position Verlet mid-run', () => {
+            const coarse = keplerOrbitError(Integrators.rk4, 0.5, 35, 'verlet');
+            const fine = keplerOrbitError(Integrators.rk4, 0.25, 35, 'verlet');
+            const order = Math.log2(coarse / fine);
+            assert.ok(order > 1.8 && order < 2.2, `observed order ${order}`);
+        });
+
+        it('should reject unknown integrators', () => {
+            const engine = new GravityEngine(800, 600, 2);
+            assert.throws(() => engine.setIntegrator('leapfrog9000'), /Unknown integrator/);
+            assert.throws(() => engine.setIntegrator('toString'), /Unknown integrator/);
+            assert.strictEqual(engine.config.integrator, Integrators.rk4);
+        });
+    });
+
+    describe('seed', () => {
+        it('should reproduce identical trajectories from the same seed', () => {
+            const run = (seed) => {
+                const engine = new GravityEngine(800, 600, 10, 1.0, { seed, scenario: 'plummer' });
+                for (let i = 0; i < 50; i++) {
+                    engine.step();
+                }
+                return engine.getState();
+            };
+            const first = run('shared-run');
+            const second = run('shared-run');
+
+            assert.strictEqual(first.seed, 'shared-run');
+            assert.deepStrictEqual(second.bodies, first.bodies);
+            assert.notDeepStrictEqual(run('other-run').bodies, first.bodies);
+        });
+
+        it('should regenerate the same bodies when the seed is set again', () => {
+            const engine = new GravityEngine(800, 600, 5, 1.0, { seed: 1 });
+            const initial = engine.getState().bodies;
+            engine.step();
+            engine.setSeed(1);
+
+            assert.deepStrictEqual(engine.getState().bodies, initial);
+        });
+
+        it('should pick a fresh seed when none is given', () => {
+            const engine = new GravityEngine(800, 600, 5);
+            engine.setSeed('');
+            assert.ok(engine.getState().seed.length > 0);
+        });
+
+        it('should draw new bodies on reset unless a seed was given', () => {
+            const random = new GravityEngine(800, 600, 5);
+            const { seed, bodies } = random.getState();
+            random.reset();
+            assert.notStrictEqual(random.getState().seed, seed);
+            assert.notDeepStrictEqual(random.getState().bodies, bodies);
+
+            const seeded = new GravityEngine(800, 600, 5, 1.0, { seed: 'kept' });
+            const initial = seeded.getState().bodies;
+            seeded.step();
+            seeded.reset();
+            assert.strictEqual(seeded.getState().seed, 'kept');
+            assert.deepStrictEqual(seeded.getState().bodies, initial);
+
+            seeded.setSeed('');
+            const generated = seeded.getState().seed;
+            seeded.reset();
+            assert.notStrictEqual(seeded.getState().seed, generated, 'clearing the seed makes resets random again');
+        });
+    });
+
+    describe('boundaries', () => {
+        it('should attract across the seam with periodic boundaries', () => {
+            const engine = new GravityEngine(100, 100, 0, 1.0, { boundary: 'periodic', softeningFactor: 1 });
+            const [force] = engine.computeForces([
+                { id: 0, x: 2, y: 50, vx: 0, vy: 0, mass: 10 },
+                { id: 1, x: 98, y: 50, vx: 0, vy: 0, mass: 10 }
+            ]);
+
+            // The nearest image of body 1 is 4 units to the left of body 0: F = -G m² r / (r² + ε²)^{3/2}
+            assert.ok(Math.abs(force.fx + 400 / Math.pow(17, 1.5)) < 1e-9, `fx ${force.fx}`);
+        });
+
+        it('should attract directly with open boundaries', () => {
+            const engine = new GravityEngine(100, 100, 0, 1.0, { boundary: 'open', softeningFactor: 1 });
+            const [force] = engine.computeForces([
+                { id: 0, x: 2, y: 50, vx: 0, vy: 0, mass: 10 },
+                { id: 1, x: 98, y: 50, vx: 0, vy: 0, mass: 10 }
+            ]);
+            assert.ok(force.fx > 0);
+        });
+
+        it('should leave bodies outside the world untouched with open boundaries', () => {
+            const engine = new GravityEngine(100, 100, 0, 1.0, { boundary: 'open', integrator: Integrators.euler });
+            engine.bodies = [{ id: 0, x: 99, y: 50, vx: 20, vy: 0, mass: 1 }];
+            engine.timeStep = 0.5;
+            engine.step();
+
+            assert.strictEqual(engine.bodies.length, 1);
+            assert.strictEqual(engine.bodies[0].x, 109);
+        });
+
+        it('should bounce off reflective walls keeping the restitution fraction of speed', () => {
+            const engine = new GravityEngine(100, 100, 0, 1.0, {
+                boundary: 'reflective',
+                restitution: 0.5,
+                integrator: Integrators.euler
+            });
+            engine.bodies = [{ id: 0, x: 99, y: 50, vx: 20, vy: 0, mass: 1 }];
+            engine.timeStep = 0.5;
+            engine.step();
+
+            assert.strictEqual(engine.bodies[0].x, 91);
+            assert.strictEqual(engine.bodies[0].vx, -10);
+        });
+
+        it('should remove bodies that leave the world with absorbing boundaries', () => {
+            const engine = new GravityEngine(100, 100, 0, 1.0, { boundary: 'absorbing', softeningFactor: 5 });
+            engine.bodies = [
+                { id: 0, x: 99, y: 50, vx: 20, vy: 0, mass: 1 },
+                { id: 1, x: 40, y: 50, vx: 0, vy: 0, mass: 10 },
+                { id: 2, x: 60, y: 50, vx: 0, vy: 0, mass: 10 }
+            ];
+            engine.resetDiagnostics();
+            engine.timeStep = 0.5;
+            engine.step();
+
+            assert.deepStrictEqual(engine.bodies.map(b => b.id), [1, 2]);
+            // Losing a body is not numerical error, so the drift reference follows it
+            assert.ok(Math.abs(engine.getDiagnostics().drift.energy) < 1e-2);
+        });
+
+        it('should reject unknown boundary modes', () => {
+            const engine = new GravityEngine(100, 100, 0);
+            assert.throws(() => engine.setBoundary('toroidal'), /Unknown boundary mode/);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for gravity initial-condition scenarios
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityScenarios } from '../../js/physics-sims/Gravity/gravity-scenarios.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { GravityCollisions } from '../../js/physics-sims/Gravity/gravity-collisions.js';
+import { GravityConfig } from '../../js/physics-sims/Gravity/gravity-config.js';
+import { SeededRandom } from '../../js/utils/seeded-random.js';
+import { Integrators } from '../../js/integrators/integrators.js';
+
+const WIDTH = 1000;
+const HEIGHT = 800;
+
+describe('GravityScenarios', () => {
+    describe('generate', () => {
+        for (const name of GravityScenarios.names()) {
+            it(`should generate valid bodies for "${name}"`, () => {
+                const bodies = GravityScenarios.generate(name, 12, WIDTH, HEIGHT, 1);
+
+                assert.strictEqual(bodies.length, name === 'figureEight' ? 3 : 12);
+                assert.deepStrictEqual(bodies.map(b => b.id), bodies.map((_, i) => i));
+                for (const body of bodies) {
+                    for (const key of ['x', 'y', 'vx', 'vy', 'mass']) {
+                        assert.ok(Number.isFinite(body[key]), `${key} = ${body[key]}`);
+                    }
+                    assert.ok(body.mass > 0);
+                }
+            });
+        }
+
+        it('should centre structured scenarios at rest in the middle of the world', () => {
+            for (const name of GravityScenarios.names().filter(n => n !== 'random')) {
+                const bodies = GravityScenarios.generate(name, 12, WIDTH, HEIGHT, 1);
+                const mass = bodies.reduce((sum, b) => sum + b.mass, 0);
+                const sum = key => bodies.reduce((total, b) => total + b.mass * b[key], 0) / mass;
+
+                assert.ok(Math.abs(sum('x') - WIDTH / 2) < 1e-6, `${name} centre x`);
+                assert.ok(Math.abs(sum('y') - HEIGHT / 2) < 1e-6, `${name} centre y`);
+                assert.ok(Math.abs(sum('vx')) < 1e-9, `${name} momentum x`);
+                assert.ok(Math.abs(sum('vy')) < 1e-9, `${name} momentum y`);
+            }
+        });
+
+        it('should start the preset systems with no overlapping bodies', () => {
+            const sizeMultiplier = GravityConfig.renderer.bodySizeMultiplier;
+            for (const name of ['binaryPlanets', 'solarSystem', 'figureEight']) {
+                for (const [width, height] of [[WIDTH, HEIGHT], [1920, 1080], [400, 300]]) {
+                    for (const count of [3, 8, 20]) {
+                        const random = new SeededRandom(`${name}-${count}`);
+                        const bodies = GravityScenarios.generate(name, count, width, height, 1, () => random.next());
+
+                        assert.deepStrictEqual(GravityCollisions.findOverlaps(bodies, sizeMultiplier), [],
+                            `${name} with ${count} bodies in ${width}×${height}`);
+                    }
+                }
+            }
+        });
+
+        it('should keep the preset systems intact when bodies merge', () => {
+            for (const name of ['binaryPlanets', 'solarSystem']) {
+                const engine = new GravityEngine(1920, 1080, 8, 1.0, { scenario: name, collisions: 'merge', seed: 'intact' });
+                for (let i = 0; i < 5; i++) {
+                    engine.step();
+                }
+                assert.strictEqual(engine.bodies.length, 8, name);
+            }
+        });
+
+        it('should reject unknown scenarios', () => {
+            assert.throws(() => GravityScenarios.generate('galaxy', 3, WIDTH, HEIGHT), /Unknown scenario/);
+        });
+    });
+
+    describe('figureEight', () => {
+        it('should return to its initial configuration after one period', () => {
+            const engine = new GravityEngine(WIDTH, HEIGHT, 3, 1.0, {
+                scenario: 'figureEight',
+                boundary: 'open',
+                softeningFactor: 0,
+                integrator: Integrators.rk4
+            });
+            const start = engine.getState().bodies;
+
+            // Length scale L and mass m as chosen by the scenario
+            const length = Math.min(WIDTH, HEIGHT) * 0.2;
+            const mass = start[0].mass;
+            const period = GravityScenarios.FIGURE_EIGHT_PERIOD * Math.sqrt(length ** 3 / mass);
+            const steps = 2000;
+            engine.timeStep = period / steps;
+            for (let i = 0; i < steps; i++) {
+                engine.step();
+            }
+
+            engine.bodies.forEach((body, i) => {
+                const error = Math.hypot(body.x - start[i].x, body.y - start[i].y);
+                assert.ok(error < 0.01 * length, `body ${i} is ${error} from its start`);
+            });
+        });
+    });
+
+    describe('in GravityEngine', () => {
+        it('should regenerate bodies when the scenario changes', () => {
+            const engine = new GravityEngine(WIDTH, HEIGHT, 5, 1.0);
+            engine.setScenario('solarSystem');
+
+            assert.strictEqual(engine.config.scenario, 'solarSystem');
+            assert.strictEqual(engine.bodies.length, 5);
+            assert.strictEqual(engine.stepCount, 0);
+            assert.ok(engine.bodies[0].mass > engine.bodies[1].mass);
+        });
+    });
+});
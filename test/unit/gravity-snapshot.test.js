@@ -0,0 +1,129 @@
+/**
+ * Unit tests for saving and loading gravity simulation snapshots
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravitySnapshot } from '../../js/physics-sims/Gravity/gravity-snapshot.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+import { GravityControls } from '../../js/physics-sims/Gravity/gravity-controls.js';
+import { ISimulationControls } from '../../js/physics-sims/controls-interface.js';
+import { Integrators } from '../../js/integrators/integrators.js';
+
+/**
+ * Send a snapshot through JSON, as saving to and loading from a file does
+ */
+function throughJson(snapshot) {
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+describe('GravitySnapshot', () => {
+    describe('engine round trip', () => {
+        it('should continue the exact same trajectory after loading', () => {
+            const original = new GravityEngine(800, 600, 6, 1.5, {
+                seed: 'snapshot',
+                integrator: Integrators.verlet,
+                boundary: 'reflective'
+            });
+            original.timeStep = 0.05;
+            for (let i = 0; i < 20; i++) {
+                original.step();
+            }
+
+            const snapshot = throughJson(GravitySnapshot.create(original.toSnapshot()));
+            GravitySnapshot.validate(snapshot);
+            const restored = new GravityEngine(100, 100, 1);
+            restored.loadSnapshot(snapshot.engine);
+
+            for (let i = 0; i < 20; i++) {
+                original.step();
+                restored.step();
+            }
+
+            assert.deepStrictEqual(restored.getState().bodies, original.getState().bodies);
+            assert.strictEqual(restored.config.integrator, Integrators.verlet);
+            assert.strictEqual(restored.config.boundary, 'reflective');
+            assert.strictEqual(restored.G, 1.5);
+            assert.strictEqual(restored.stepCount, 40);
+            assert.strictEqual(restored.seed, 'snapshot');
+        });
+
+        it('should keep measuring drift against the saved reference', () => {
+            const original = new GravityEngine(800, 600, 4, 1.0, { seed: 3 });
+            for (let i = 0; i < 10; i++) {
+                original.step();
+            }
+            const restored = new GravityEngine(800, 600, 1);
+            restored.loadSnapshot(throughJson(original.toSnapshot()));
+
+            assert.deepStrictEqual(restored.getDiagnostics().drift, original.getDiagnostics().drift);
+        });
+    });
+
+    describe('GravitySimulation', () => {
+        it('should save and restore renderer config overrides', () => {
+            const simulation = new GravitySimulation(800, 600, 3, 1.0, { seed: 'sim' });
+            simulation.setShowTrails(true);
+            const snapshot = throughJson(simulation.saveSnapshot());
+
+            const restored = new GravitySimulation(800, 600, 1);
+            restored.loadSnapshot(snapshot);
+
+            assert.strictEqual(restored.rendererConfig.showTrails, true);
+            assert.deepStrictEqual(restored.getState().bodies, simulation.getState().bodies);
+        });
+
+        it('should show the loaded settings in the controls', () => {
+            const simulation = new GravitySimulation(800, 600, 3, 1.0, { seed: 'shown', boundary: 'reflective' });
+            simulation.setIntegrator('yoshida4');
+            simulation.setSpeed(2.5);
+            const snapshot = throughJson(simulation.saveSnapshot());
+
+            const elements = new Map(GravityControls.controls.map(control => [control.id, { value: '', checked: false }]));
+            globalThis.document = { getElementById: (id) => elements.get(id), activeElement: null };
+            try {
+                const restored = new GravitySimulation(800, 600, 1);
+                restored.onUpdate(state => ISimulationControls.syncControlElements(GravityControls, state));
+                restored.loadSnapshot(snapshot);
+            } finally {
+                delete globalThis.document;
+            }
+
+            assert.strictEqual(elements.get('gravity-seed').value, 'shown');
+            assert.strictEqual(elements.get('gravity-integrator').value, 'yoshida4');
+            assert.strictEqual(elements.get('gravity-boundary').value, 'reflective');
+            assert.strictEqual(elements.get('gravity-speed').value, 2.5);
+            assert.strictEqual(elements.get('gravity-reverse').checked, false);
+        });
+    });
+
+    describe('validate', () => {
+        const valid = () => throughJson(GravitySnapshot.create(new GravityEngine(100, 100, 2).toSnapshot()));
+
+        it('should accept a freshly created snapshot', () => {
+            assert.strictEqual(GravitySnapshot.validate(valid()), true);
+        });
+
+        it('should reject other formats and versions', () => {
+            assert.throws(() => GravitySnapshot.validate({ ...valid(), format: 'other' }), /format/);
+            assert.throws(() => GravitySnapshot.validate({ ...valid(), version: 99 }), /Unsupported snapshot version/);
+        });
+
+        it('should reject missing engine properties and malformed bodies', () => {
+            const missingG = valid();
+            delete missingG.engine.G;
+            assert.throws(() => GravitySnapshot.validate(missingG), /number property: G/);
+
+            const badBody = valid();
+            badBody.engine.bodies[0].mass = 'heavy';
+            assert.throws(() => GravitySnapshot.validate(badBody), /Body at index 0 must have numeric property: mass/);
+        });
+
+        it('should reject unknown integrators when loading', () => {
+            const snapshot = valid();
+            snapshot.engine.integrator = 'leapfrog9000';
+            assert.throws(() => new GravityEngine(100, 100, 1).loadSnapshot(snapshot.engine), /Unknown integrator/);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for GravityTrails
+ * Tests the per-body position history used to draw trails
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityTrails } from '../../js/physics-sims/Gravity/gravity-trails.js';
+
+describe('GravityTrails', () => {
+    describe('record', () => {
+        it('should keep at most maxLength points per body', () => {
+            const trails = new GravityTrails(4);
+
+            for (let i = 0; i < 10; i++) {
+                trails.record([{ id: 7, x: i, y: 0 }], 100, 100);
+            }
+
+            const [segment] = trails.getSegments(7);
+            assert.deepStrictEqual(segment.map(p => p.x), [6, 7, 8, 9]);
+            assert.deepStrictEqual(segment.map(p => p.age), [3, 2, 1, 0]);
+        });
+
+        it('should drop the history of bodies that no longer exist', () => {
+            const trails = new GravityTrails();
+            trails.record([{ id: 0, x: 1, y: 1 }, { id: 1, x: 2, y: 2 }], 100, 100);
+
+            trails.record([{ id: 1, x: 3, y: 3 }], 100, 100);
+
+            assert.deepStrictEqual(trails.getSegments(0), []);
+            assert.strictEqual(trails.getSegments(1)[0].length, 2);
+        });
+
+        it('should record from a zero-copy body view like from body objects', () => {
+            const fromView = new GravityTrails();
+            const fromObjects = new GravityTrails();
+            const view = {
+                count: 2,
+                ids: new Float64Array([4, 9]),
+                positions: new Float64Array([1, 2, 95, 3])
+            };
+
+            fromView.record(view, 100, 100);
+            fromObjects.record([{ id: 4, x: 1, y: 2 }, { id: 9, x: 95, y: 3 }], 100, 100);
+
+            assert.deepStrictEqual(fromView.getSegments(4), fromObjects.getSegments(4));
+            assert.deepStrictEqual(fromView.getSegments(9), [[{ x: 95, y: 3, age: 0 }]]);
+        });
+    });
+
+    describe('getSegments', () => {
+        it('should start a new segment when a body wraps around the boundary', () => {
+            const trails = new GravityTrails();
+            const positions = [90, 95, 99, 3, 8];
+
+            positions.forEach(x => trails.record([{ id: 0, x, y: 50 }], 100, 100));
+
+            const segments = trails.getSegments(0);
+            assert.strictEqual(segments.length, 2);
+            assert.deepStrictEqual(segments[0].map(p => p.x), [90, 95, 99]);
+            assert.deepStrictEqual(segments[1].map(p => p.x), [3, 8]);
+        });
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for hosting the gravity engine in a worker
+ * The worker runs in-process: messages are structured-cloned (with transfer) and delivered
+ * asynchronously, as postMessage does between threads.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GravityWorkerHost } from '../../js/physics-sims/Gravity/gravity-worker.js';
+import { GravityWorkerEngine } from '../../js/physics-sims/Gravity/gravity-worker-engine.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+import { Integrators } from '../../js/integrators/integrators.js';
+
+/**
+ * Worker-like object backed by a GravityWorkerHost in the same thread
+ * Records the transfer list of every message the host sends.
+ */
+function createInProcessWorker(transfers = []) {
+    const worker = {
+        onmessage: null,
+        terminated: false,
+        postMessage(message) {
+            const copy = structuredClone(message);
+            setImmediate(() => host.handle(copy));
+        },
+        terminate() {
+            this.terminated = true;
+        }
+    };
+    const host = new GravityWorkerHost((message, transfer = []) => {
+        transfers.push(transfer);
+        const copy = structuredClone(message, { transfer });
+        setImmediate(() => worker.onmessage({ data: copy }));
+    });
+    return worker;
+}
+
+describe('GravityWorkerEngine', () => {
+    it('should follow the same trajectory as an engine on the main thread', async () => {
+        const options = { seed: 'worker', integrator: Integrators.verlet, boundary: 'reflective' };
+        const local = new GravityEngine(800, 600, 6, 1.0, options);
+        const remote = new GravityWorkerEngine(800, 600, 6, 1.0, options, { createWorker: () => createInProcessWorker() });
+
+        for (let batch = 0; batch < 4; batch++) {
+            for (let i = 0; i < 5; i++) {
+                local.step();
+                remote.step();
+            }
+            await remote.whenIdle();
+        }
+
+        assert.deepStrictEqual(remote.getState().bodies, local.getState().bodies);
+        assert.strictEqual(remote.stepCount, 20);
+        assert.strictEqual(remote.config.integrator, Integrators.verlet);
+        assert.deepStrictEqual(remote.getDiagnostics().drift, local.getDiagnostics().drift);
+        assert.deepStrictEqual(remote.toSnapshot(), local.toSnapshot());
+    });
+
+    it('should transfer the body arrays instead of copying them', async () => {
+        const transfers = [];
+        const remote = new GravityWorkerEngine(800, 600, 3, 1.0, {}, { createWorker: () => createInProcessWorker(transfers) });
+        remote.step();
+        await remote.whenIdle();
+
+        assert.ok(transfers.length > 0);
+        for (const transfer of transfers) {
+            assert.strictEqual(transfer.length, 3);
+            assert.ok(transfer.every(buffer => buffer instanceof ArrayBuffer));
+        }
+        assert.ok(remote.getBodyView().positions instanceof Float64Array);
+    });
+
+    it('should send the steps queued in one task as a single batch', async () => {
+        const steps = [];
+        const remote = new GravityWorkerEngine(800, 600, 3, 1.0, { maxSubsteps: 4 }, {
+            createWorker: () => createInProcessWorker(),
+            onUpdate: (count) => steps.push(count)
+        });
+        await remote.whenIdle();
+
+        for (let i = 0; i < 10; i++) {
+            remote.step();
+        }
+        await remote.whenIdle();
+
+        assert.deepStrictEqual(steps, [0, 10]);
+        assert.strictEqual(remote.stepCount, 10);
+    });
+
+    it('should forward commands and mirror the result', async () => {
+        const remote = new GravityWorkerEngine(800, 600, 3, 1.0, { seed: 1 }, { createWorker: () => createInProcessWorker() });
+        remote.setG(2.5);
+        remote.reset(7);
+        remote.reverseTime();
+        assert.strictEqual(remote.timeDirection, -1);
+        await remote.whenIdle();
+
+        assert.strictEqual(remote.G, 2.5);
+        assert.strictEqual(remote.bodies.length, 7);
+        assert.strictEqual(remote.getState().reversed, true);
+    });
+
+    it('should report failing commands without stopping the worker', async () => {
+        const errors = [];
+        const remote = new GravityWorkerEngine(800, 600, 3, 1.0, {}, {
+            createWorker: () => createInProcessWorker(),
+            onError: (err) => errors.push(err.message)
+        });
+        remote.setIntegrator('leapfrog9000');
+        remote.step();
+        await remote.whenIdle();
+
+        assert.deepStrictEqual(errors, ['Unknown integrator: leapfrog9000']);
+        assert.strictEqual(remote.stepCount, 1);
+    });
+
+    it('should refuse to save a snapshot before the first state arrives', async () => {
+        const remote = new GravityWorkerEngine(800, 600, 3, 1.0, {}, { createWorker: () => createInProcessWorker() });
+        assert.throws(() => remote.toSnapshot(), /has not reported its state yet/);
+
+        await remote.whenIdle();
+        assert.strictEqual(remote.toSnapshot().bodies.length, 3);
+    });
+});
+
+describe('GravityWorkerHost', () => {
+    it('should reject commands that are not engine commands', () => {
+        const messages = [];
+        const host = new GravityWorkerHost((message) => messages.push(message));
+        host.handle({ type: 'init', width: 100, height: 100, bodyCount: 2, G: 1, options: {} });
+        host.handle({ type: 'call', method: 'computeForces', args: [] });
+
+        assert.deepStrictEqual(messages.at(-1), { type: 'error', message: 'Unknown engine command: computeForces' });
+    });
+});
+
+describe('GravitySimulation with useWorker', () => {
+    it('should record diagnostics and notify listeners when worker results arrive', async () => {
+        const simulation = new GravitySimulation(800, 600, 4, 1.0, { useWorker: true, seed: 'sim' }, {
+            createWorker: () => createInProcessWorker()
+        });
+        let updates = 0;
+        let lastState = null;
+        simulation.onUpdate(state => {
+            updates++;
+            lastState = state;
+        });
+        await simulation.engine.whenIdle();
+
+        simulation.stepOnce();
+        await simulation.engine.whenIdle();
+
+        assert.ok(simulation.usesWorker);
+        assert.strictEqual(simulation.getState().stepCount, 1);
+        assert.strictEqual(simulation.diagnosticsHistory.length, 1);
+        assert.ok(updates >= 2);
+        assert.strictEqual(lastState.bodies, undefined, 'listeners get the mirrored arrays, not copies');
+        assert.strictEqual(lastState.bodyView.count, 4);
+
+        simulation.destroy();
+        assert.strictEqual(simulation.engine.worker.terminated, true);
+    });
+
+    it('should record results from the mirrored arrays without building body views', async () => {
+        const simulation = new GravitySimulation(800, 600, 5, 1.0, { useWorker: true }, {
+            createWorker: () => createInProcessWorker()
+        });
+        simulation.setShowTrails(true);
+        await simulation.engine.whenIdle();
+
+        simulation.stepOnce();
+        await simulation.engine.whenIdle();
+
+        assert.strictEqual(simulation.engine.store._views, null, 'the mirror gets new arrays every batch');
+        assert.strictEqual(simulation.diagnosticsHistory.samples.at(-1).bodyCount, 5);
+        assert.strictEqual(simulation.trails.getSegments(simulation.engine.store.ids[0])[0].length, 1);
+        simulation.destroy();
+    });
+
+    it('should run every step the loop queues at speeds above 1', async () => {
+        let pending = null;
+        const scheduler = {
+            request: (callback) => (pending = callback),
+            cancel: () => (pending = null)
+        };
+        const simulation = new GravitySimulation(800, 600, 3, 1.0, { useWorker: true, maxSubsteps: 2 }, {
+            createWorker: () => createInProcessWorker()
+        });
+        await simulation.engine.whenIdle();
+        simulation.setFrameScheduler(scheduler);
+        simulation.setSpeed(5);
+        simulation.start();
+
+        // Each 40 ms frame at 5× wants 12.5 steps; the loop's limit of 2 × 5 runs 10 and drops the rest
+        for (let frame = 0; frame <= 5; frame++) {
+            pending(frame * 40);
+            await simulation.engine.whenIdle();
+        }
+
+        assert.strictEqual(simulation.getState().stepCount, 50);
+        assert.ok(simulation.getState().droppedTime > 0);
+        simulation.destroy();
+    });
+});
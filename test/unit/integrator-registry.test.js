@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the integrator registry
+ * Tests built-in metadata, third-party registration and engines adapting to the state layout
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { Integrators, IntegratorRegistry, VerletIntegrator, RK4Integrator } from '../../js/integrators/integrators.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+
+const metadata = {
+    label: 'Custom',
+    order: 2,
+    symplectic: true,
+    stateLayout: 'phaseSpace',
+    derivativeEvaluations: 1
+};
+
+describe('IntegratorRegistry', () => {
+    afterEach(() => {
+        IntegratorRegistry.unregister('custom');
+    });
+
+    describe('built-in integrators', () => {
+        it('should register every Integrators function with metadata', () => {
+            assert.deepStrictEqual(IntegratorRegistry.names(), Object.keys(Integrators));
+            for (const entry of IntegratorRegistry.list()) {
+                assert.strictEqual(entry.integrate, Integrators[entry.name]);
+                assert.ok(entry.order > 0);
+                assert.ok(IntegratorRegistry.STATE_LAYOUTS.includes(entry.stateLayout));
+                assert.ok(entry.derivativeEvaluations > 0);
+            }
+        });
+
+        it('should describe the state layout and cost of each method', () => {
+            const verlet = IntegratorRegistry.get('verlet');
+            assert.strictEqual(verlet.stateLayout, 'positionHistory');
+            assert.strictEqual(verlet.symplectic, true);
+
+            const rk4 = IntegratorRegistry.get('rk4');
+            assert.strictEqual(rk4.stateLayout, 'phaseSpace');
+            assert.strictEqual(rk4.order, 4);
+            assert.strictEqual(rk4.symplectic, false);
+        });
+
+        it('should report the actual number of derivative evaluations per step', () => {
+            for (const entry of IntegratorRegistry.list()) {
+                let calls = 0;
+                const derivative = (s) => {
+                    calls++;
+                    return entry.stateLayout === 'positionHistory'
+                        ? s.slice(0, s.length / 2).map(x => -x)
+                        : [...s.slice(s.length / 2), ...s.slice(0, s.length / 2).map(x => -x)];
+                };
+                entry.integrate([1, 0], derivative, 0.1);
+                assert.strictEqual(calls, entry.derivativeEvaluations, entry.name);
+            }
+        });
+    });
+
+    describe('register', () => {
+        it('should add third-party integrators to the registry and the Integrators object', () => {
+            const integrate = IntegratorRegistry.register('custom', RK4Integrator, metadata);
+
+            assert.strictEqual(Integrators.custom, integrate);
+            assert.strictEqual(IntegratorRegistry.find(integrate).name, 'custom');
+            assert.deepStrictEqual(integrate([1], (y) => y, 0.1), RK4Integrator.integrate([1], (y) => y, 0.1));
+
+            assert.strictEqual(IntegratorRegistry.unregister('custom'), true);
+            assert.strictEqual(Integrators.custom, undefined);
+            assert.strictEqual(IntegratorRegistry.has('custom'), false);
+        });
+
+        it('should reject objects that do not implement IIntegrator', () => {
+            assert.throws(() => IntegratorRegistry.register('custom', {}, metadata), /must implement method: integrate/);
+            assert.strictEqual(IntegratorRegistry.has('custom'), false);
+        });
+
+        it('should reject incomplete metadata and duplicate names', () => {
+            assert.throws(() => IntegratorRegistry.register('custom', RK4Integrator, { ...metadata, order: 0 }), /positive order/);
+            assert.throws(() => IntegratorRegistry.register('custom', RK4Integrator, { ...metadata, stateLayout: 'other' }), /unknown state layout/);
+            assert.throws(() => IntegratorRegistry.register('custom', RK4Integrator, { ...metadata, symplectic: 'yes' }), /symplectic/);
+            assert.throws(() => IntegratorRegistry.register('rk4', RK4Integrator, metadata), /already registered: rk4/);
+        });
+
+        it('should reject unknown names on lookup', () => {
+            assert.throws(() => IntegratorRegistry.get('leapfrog9000'), /Unknown integrator: leapfrog9000/);
+            assert.strictEqual(IntegratorRegistry.find(() => []), null);
+        });
+    });
+
+    describe('engine state packing', () => {
+        it('should drive a third-party integrator with the layout from its metadata', () => {
+            IntegratorRegistry.register('custom', VerletIntegrator, { ...metadata, stateLayout: 'positionHistory' });
+            const run = (name) => {
+                const engine = new GravityEngine(800, 600, 5, 1.0, { seed: 'registry', boundary: 'open' });
+                engine.setIntegrator(name);
+                for (let i = 0; i < 20; i++) {
+                    engine.step();
+                }
+                return engine.getState().bodies;
+            };
+
+            assert.deepStrictEqual(run('custom'), run('verlet'));
+        });
+    });
+});
@@ -5,7 +5,28 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { Integrators } from '../../js/integrators/integrators.js';
+import { Integrators, DormandPrinceIntegrator } from '../../js/integrators/integrators.js';
+
+/**
+ * Error of a harmonic oscillator (x = cos(t), v = -sin(t)) integrated to t = 2
+ */
+function oscillatorError(integrator, dt) {
+    const derivative = (s) => [s[1], -s[0]];
+    const steps = Math.round(2 / dt);
+    let state = [1, 0];
+    for (let i = 0; i < steps; i++) {
+        state = integrator(state, derivative, dt);
+    }
+    const t = steps * dt;
+    return Math.hypot(state[0] - Math.cos(t), state[1] + Math.sin(t));
+}
+
+/**
+ * Observed order of convergence on the harmonic oscillator when halving the time step
+ */
+function oscillatorOrder(integrator, dt) {
+    return Math.log2(oscillatorError(integrator, dt) / oscillatorError(integrator, dt / 2));
+}
 
 describe('Integrators', () => {
     describe('euler', () => {
@@ -186,4 +207,137 @@ describe('Integrators', () => {
             assert.ok(newState[3] < state[3]); // vy decreases (gravity)
         });
     });
+
+    describe('dormandPrince', () => {
+        it('should converge at 5th order with a fixed step', () => {
+            // dy/dt = y, so y(1) = e
+            const errorAt = (dt) => {
+                let y = 1;
+                for (let i = 0; i < Math.round(1 / dt); i++) {
+                    y = Integrators.dormandPrince(y, (s) => s, dt);
+                }
+                return Math.abs(y - Math.E);
+            };
+            const order = Math.log2(errorAt(0.2) / errorAt(0.1));
+
+            assert.ok(order > 4.7 && order < 5.3, `observed order ${order}`);
+        });
+
+        it('should meet the tolerance over an interval with adaptive steps', () => {
+            // Harmonic oscillator: x = cos(t), v = -sin(t)
+            const derivative = (s) => [s[1], -s[0]];
+            const result = DormandPrinceIntegrator.integrateAdaptive([1, 0], derivative, 10, 0, { tolerance: 1e-8 });
+
+            assert.ok(Math.abs(result.state[0] - Math.cos(10)) < 1e-6);
+            assert.ok(Math.abs(result.state[1] + Math.sin(10)) < 1e-6);
+            assert.ok(result.steps > 10 && result.steps < 500, `steps ${result.steps}`);
+        });
+
+        it('should take smaller steps for a tighter tolerance', () => {
+            const derivative = (s) => [s[1], -s[0]];
+            const loose = DormandPrinceIntegrator.integrateAdaptive([1, 0], derivative, 10, 0, { tolerance: 1e-4 });
+            const tight = DormandPrinceIntegrator.integrateAdaptive([1, 0], derivative, 10, 0, { tolerance: 1e-10 });
+
+            assert.ok(tight.steps > loose.steps);
+        });
+
+        it('should reject a step that is too large and retry with a smaller one', () => {
+            const derivative = (s) => [-50 * s[0]];
+            const result = DormandPrinceIntegrator.integrateAdaptive([1], derivative, 1, 0, {
+                tolerance: 1e-6,
+                initialStep: 1
+            });
+
+            assert.ok(result.rejected > 0);
+            assert.ok(Math.abs(result.state[0] - Math.exp(-50)) < 1e-6);
+        });
+
+        it('should interpolate inside a step with its dense output', () => {
+            const derivative = (s) => [s[1], -s[0]];
+            const { state, stages } = DormandPrinceIntegrator.step([1, 0], derivative, 0.2, 0, 1);
+            const middle = DormandPrinceIntegrator.interpolate([1, 0], state, stages, 0.2, 0.5);
+            const end = DormandPrinceIntegrator.interpolate([1, 0], state, stages, 0.2, 1);
+
+            assert.ok(Math.abs(middle[0] - Math.cos(0.1)) < 1e-7);
+            assert.ok(Math.abs(middle[1] + Math.sin(0.1)) < 1e-7);
+            assert.deepStrictEqual(Array.from(end), state);
+        });
+
+        it('should reject an attempt that misses the tolerance and suggest a smaller step', () => {
+            const derivative = (s) => [-50 * s[0]];
+            const options = { tolerance: 1e-6, minStep: 1e-6 };
+            const rejected = DormandPrinceIntegrator.attempt([1], derivative, 1, 0, options);
+            const forced = DormandPrinceIntegrator.attempt([1], derivative, 1, 0, { ...options, minStep: 1 });
+
+            assert.strictEqual(rejected.accepted, false);
+            assert.ok(rejected.nextStep < 1);
+            assert.strictEqual(forced.accepted, true);
+        });
+    });
+
+    describe('symplectic splitting methods', () => {
+        it('should converge at 2nd order with leapfrog', () => {
+            const order = oscillatorOrder(Integrators.leapfrog, 0.1);
+            assert.ok(order > 1.9 && order < 2.1, `observed order ${order}`);
+        });
+
+        it('should converge at 4th order with Forest-Ruth', () => {
+            const order = oscillatorOrder(Integrators.forestRuth, 0.1);
+            assert.ok(order > 3.8 && order < 4.2, `observed order ${order}`);
+        });
+
+        it('should converge at 4th order with Yoshida 4', () => {
+            const order = oscillatorOrder(Integrators.yoshida4, 0.1);
+            assert.ok(order > 3.8 && order < 4.2, `observed order ${order}`);
+        });
+
+        it('should converge at 6th order with Yoshida 6', () => {
+            const order = oscillatorOrder(Integrators.yoshida6, 0.2);
+            assert.ok(order > 5.8 && order < 6.2, `observed order ${order}`);
+        });
+
+        it('should match one velocity Verlet step with leapfrog', () => {
+            const derivative = (s) => [s[1], -s[0] * s[0]];
+            const state = [0.7, -0.2];
+
+            const leapfrog = Integrators.leapfrog(state, derivative, 0.1);
+            const velocityVerlet = Integrators.velocityVerlet(state, derivative, 0.1);
+
+            assert.ok(Math.abs(leapfrog[0] - velocityVerlet[0]) < 1e-12);
+            assert.ok(Math.abs(leapfrog[1] - velocityVerlet[1]) < 1e-12);
+        });
+
+        it('should retrace the trajectory when run backwards', () => {
+            const derivative = (s) => [s[1], -Math.sin(s[0])];
+            for (const name of ['leapfrog', 'forestRuth', 'yoshida4', 'yoshida6']) {
+                let state = [1, 0.5];
+                for (let i = 0; i < 50; i++) {
+                    state = Integrators[name](state, derivative, 0.1);
+                }
+                for (let i = 0; i < 50; i++) {
+                    state = Integrators[name](state, derivative, -0.1);
+                }
+
+                assert.ok(Math.abs(state[0] - 1) < 1e-10, name);
+                assert.ok(Math.abs(state[1] - 0.5) < 1e-10, name);
+            }
+        });
+
+        it('should pass every kick the same working copy of the state', () => {
+            const received = new Set();
+            const derivative = (s) => {
+                received.add(s);
+                return new Float64Array([s[2], s[3], -s[0], -s[1]]);
+            };
+            const state = new Float64Array([1, 0, 0, 1]);
+
+            const next = Integrators.yoshida6(state, derivative, 0.1);
+
+            assert.strictEqual(received.size, 1);
+            assert.ok(!received.has(state), 'the caller\'s state is not modified');
+            assert.deepStrictEqual(state, new Float64Array([1, 0, 0, 1]));
+            assert.ok(next instanceof Float64Array);
+            assert.ok(received.has(next));
+        });
+    });
 });
@@ -0,0 +1,284 @@
+/**
+ * Unit tests for the raster renderer, its PNG output and golden images of the gravity scene
+ *
+ * Golden images live in test/fixtures/. After an intended rendering change, regenerate them with
+ *   UPDATE_GOLDEN=1 node --test test/unit/raster-renderer.test.js
+ * and check the new images before committing them.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { deflateSync, inflateSync } from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+import { BaseRenderer } from '../../js/renderer/base-renderer.js';
+import { RasterRenderer } from '../../js/renderer/raster-renderer.js';
+import { IRenderer } from '../../js/renderer/renderer-interface.js';
+import { SvgPath } from '../../js/renderer/svg-path.js';
+import { PngEncoder } from '../../js/utils/png-encoder.js';
+import { parseColor } from '../../js/utils/color-parse.js';
+import { GravityRenderer } from '../../js/physics-sims/Gravity/gravity-renderer.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { GravityTrails } from '../../js/physics-sims/Gravity/gravity-trails.js';
+import { TimeSeries } from '../../js/utils/time-series.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+/**
+ * Decode a PNG written by PngEncoder (8-bit RGBA, no filtering), checking every chunk's CRC
+ */
+function decodePng(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    assert.deepStrictEqual([...bytes.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+    let offset = 8;
+    let width = 0;
+    let height = 0;
+    const idat = [];
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        assert.strictEqual(view.getUint32(offset + 8 + length), PngEncoder.crc32(bytes.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+        if (type === 'IHDR') {
+            width = view.getUint32(offset + 8);
+            height = view.getUint32(offset + 12);
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        }
+        offset += 12 + length;
+    }
+
+    const raw = inflateSync(Buffer.concat(idat));
+    const pixels = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        assert.strictEqual(raw[y * (width * 4 + 1)], 0, 'filter type');
+        pixels.set(raw.subarray(y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1)), y * width * 4);
+    }
+    return { width, height, pixels };
+}
+
+/**
+ * A renderer with an opaque black background
+ */
+function createRenderer(width = 40, height = 30) {
+    return new RasterRenderer('unused', { width, height, background: '#000000' });
+}
+
+/**
+ * Compare a renderer's pixels with a golden image, or write the image when UPDATE_GOLDEN is set
+ */
+function assertMatchesGolden(renderer, name) {
+    const path = join(FIXTURES, name);
+    if (process.env.UPDATE_GOLDEN) {
+        writeFileSync(path, renderer.toPng({ deflate: deflateSync }));
+    }
+    const golden = decodePng(readFileSync(path));
+    const { width, height, data } = renderer.getImageData();
+    assert.deepStrictEqual([width, height], [golden.width, golden.height]);
+    const differing = data.reduce((count, value, i) => count + (value !== golden.pixels[i] ? 1 : 0), 0);
+    assert.strictEqual(differing, 0, `${differing} bytes differ from ${name} (set UPDATE_GOLDEN=1 to regenerate)`);
+}
+
+describe('RasterRenderer', () => {
+    describe('renderer contract', () => {
+        it('should implement IRenderer and be selectable through BaseRenderer', () => {
+            assert.ok(IRenderer.validate(createRenderer()));
+            const base = new BaseRenderer('unused', { renderMode: 'raster', width: 20, height: 10 });
+            assert.ok(base.renderer instanceof RasterRenderer);
+            assert.ok(base.isReady());
+            assert.strictEqual(base.addCircle(5, 5, 2), 'circle-0');
+            assert.deepStrictEqual(base.getColorScheme().background, '#000000');
+        });
+
+        it('should start with the background colour and restore it on clear()', () => {
+            const renderer = new RasterRenderer('unused', { width: 8, height: 8, background: '#1a2332' });
+            assert.deepStrictEqual(renderer.getPixel(3, 3), [0x1a, 0x23, 0x32, 255]);
+            renderer.addRectangle(0, 0, 8, 8, { fill: '#ffffff', opacity: 1, strokeWidth: 0 });
+            assert.deepStrictEqual(renderer.getPixel(3, 3), [255, 255, 255, 255]);
+            renderer.clear();
+            assert.deepStrictEqual(renderer.getPixel(3, 3), [0x1a, 0x23, 0x32, 255]);
+            assert.strictEqual(renderer.elements.length, 0);
+        });
+    });
+
+    describe('shapes', () => {
+        it('should fill covered pixels and blend partial coverage', () => {
+            const renderer = createRenderer();
+            renderer.addRectangle(10, 10, 5.5, 4, { fill: '#ff0000', opacity: 1, strokeWidth: 0 });
+            assert.deepStrictEqual(renderer.getPixel(12, 12), [255, 0, 0, 255]);
+            assert.deepStrictEqual(renderer.getPixel(15, 12), [128, 0, 0, 255]);
+            assert.deepStrictEqual(renderer.getPixel(16, 12), [0, 0, 0, 255]);
+            assert.deepStrictEqual(renderer.getPixel(12, 14), [0, 0, 0, 255]);
+        });
+
+        it('should apply opacity with source-over blending', () => {
+            const renderer = createRenderer();
+            renderer.addCircle(20, 15, 6, { fill: '#ffffff', opacity: 0.5, strokeWidth: 0 });
+            renderer.addCircle(20, 15, 6, { fill: 'rgb(0, 0, 255)', opacity: 0.5, strokeWidth: 0 });
+            assert.deepStrictEqual(renderer.getPixel(20, 15), [64, 64, 192, 255]);
+        });
+
+        it('should cover a disc of the right area and stroke its outline', () => {
+            const renderer = createRenderer(60, 60);
+            renderer.addCircle(30, 30, 10, { fill: '#ffffff', opacity: 1, strokeWidth: 0 });
+            const { data } = renderer.getImageData();
+            let coverage = 0;
+            for (let i = 0; i < data.length; i += 4) coverage += data[i] / 255;
+            assert.ok(Math.abs(coverage - Math.PI * 100) < 2, `area ${coverage}`);
+
+            renderer.clear();
+            renderer.addCircle(30, 30, 10, { fill: 'none', stroke: '#00ff00', strokeWidth: 2, opacity: 1 });
+            assert.deepStrictEqual(renderer.getPixel(30, 30), [0, 0, 0, 255]);
+            assert.deepStrictEqual(renderer.getPixel(39, 29), [0, 255, 0, 255]);
+        });
+
+        it('should not blend overlapping parts of one curve twice', () => {
+            const renderer = createRenderer();
+            renderer.addCurve([[5, 10], [35, 10], [20, 10], [20, 25]], { stroke: '#ffffff', strokeWidth: 2, opacity: 0.5 });
+            // (25, 10) is covered by two segments, (10, 10) by one
+            assert.deepStrictEqual(renderer.getPixel(25, 10), renderer.getPixel(10, 10));
+            assert.deepStrictEqual(renderer.getPixel(10, 10), [128, 128, 128, 255]);
+        });
+
+        it('should accept curve points as objects or pairs', () => {
+            const objects = createRenderer();
+            const pairs = createRenderer();
+            objects.addCurve([{ x: 2, y: 3 }, { x: 30, y: 20 }], { stroke: '#3498db' });
+            pairs.addCurve([[2, 3], [30, 20]], { stroke: '#3498db' });
+            assert.deepStrictEqual(objects.getImageData().data, pairs.getImageData().data);
+        });
+
+        it('should draw paths like the equivalent primitives', () => {
+            const path = createRenderer();
+            const rectangle = createRenderer();
+            path.addPath('M 5 5 h 20 v 10 H 5 z', { fill: '#2ecc71', stroke: 'none', opacity: 1 });
+            rectangle.addRectangle(5, 5, 20, 10, { fill: '#2ecc71', opacity: 1, strokeWidth: 0 });
+            assert.deepStrictEqual(path.getImageData().data, rectangle.getImageData().data);
+        });
+
+        it('should draw axes with tick labels', () => {
+            const renderer = createRenderer(120, 40);
+            renderer.addAxis('x', 10, 0, 1, { ticks: 2, start: 10, length: 100 });
+            const { data } = renderer.getImageData();
+            // A 1px line on a pixel boundary half-covers the rows either side, as in a browser canvas
+            assert.deepStrictEqual(renderer.getPixel(50, 9), [128, 128, 128, 255]);
+            assert.deepStrictEqual(renderer.getPixel(50, 10), [128, 128, 128, 255]);
+            let labelPixels = 0;
+            for (let y = 17; y < 26; y++) {
+                for (let x = 0; x < 120; x++) labelPixels += data[(y * 120 + x) * 4] > 0 ? 1 : 0;
+            }
+            assert.ok(labelPixels > 20);
+        });
+    });
+
+    describe('updateElement and removeElement', () => {
+        it('should redraw the scene from the remaining elements', () => {
+            const renderer = createRenderer();
+            const background = Array.from(renderer.getImageData().data);
+            const circle = renderer.addCircle(10, 10, 4, { fill: '#e74c3c' });
+            renderer.updateElement(circle, { x: 30, fill: '#3498db' });
+            assert.deepStrictEqual(renderer.getPixel(10, 10), [0, 0, 0, 255]);
+            assert.notDeepStrictEqual(renderer.getPixel(30, 10), [0, 0, 0, 255]);
+
+            renderer.removeElement(circle);
+            assert.deepStrictEqual(Array.from(renderer.getImageData().data), background);
+        });
+
+        it('should keep the elements when resized', () => {
+            const renderer = createRenderer();
+            renderer.addRectangle(2, 2, 4, 4, { fill: '#ffffff', opacity: 1, strokeWidth: 0 });
+            renderer.resize(10, 10);
+            assert.strictEqual(renderer.getImageData().data.length, 10 * 10 * 4);
+            assert.deepStrictEqual(renderer.getPixel(3, 3), [255, 255, 255, 255]);
+        });
+    });
+
+    describe('PNG output', () => {
+        it('should encode a PNG that decodes to the rendered pixels', () => {
+            const renderer = createRenderer(300, 250);
+            renderer.addCircle(150, 120, 80, { fill: '#9b59b6' });
+            const decoded = decodePng(renderer.toPng());
+            assert.deepStrictEqual([decoded.width, decoded.height], [300, 250]);
+            assert.deepStrictEqual(decoded.pixels, new Uint8Array(renderer.getImageData().data));
+        });
+
+        it('should write a compressed PNG file', async () => {
+            const directory = mkdtempSync(join(tmpdir(), 'raster-'));
+            try {
+                const renderer = createRenderer();
+                renderer.addLine(0, 0, 40, 30, { stroke: '#f39c12' });
+                const path = join(directory, 'scene.png');
+                await renderer.writePng(path);
+                const bytes = readFileSync(path);
+                assert.ok(bytes.length < renderer.toPng().length);
+                assert.deepStrictEqual(decodePng(bytes).pixels, new Uint8Array(renderer.getImageData().data));
+            } finally {
+                rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('golden images', () => {
+        it('should render the gravity scene with trails and diagnostics identically', () => {
+            const engine = new GravityEngine(320, 240, 6, 1, { seed: 'golden', boundary: 'reflective' });
+            const trails = new GravityTrails(30);
+            const history = new TimeSeries(100);
+            for (let i = 0; i < 40; i++) {
+                engine.step();
+                trails.record(engine.bodies, engine.width, engine.height);
+                const diagnostics = engine.getDiagnostics();
+                history.push(engine.time, { totalEnergy: diagnostics.totalEnergy, energyDrift: diagnostics.drift.energy });
+            }
+
+            const renderer = new BaseRenderer('unused', { renderMode: 'raster', width: 320, height: 240, background: '#1a2332' });
+            const scene = new GravityRenderer(renderer, {
+                showTrails: true,
+                showDiagnostics: true,
+                diagnosticsSeries: ['totalEnergy', 'energyDrift'],
+                diagnosticsPanelWidth: 200,
+                diagnosticsPanelHeight: 140,
+                gridSize: 40
+            });
+            scene.render({ width: 320, height: 240, bodyView: engine.getBodyView(), trails, diagnosticsHistory: history });
+
+            assertMatchesGolden(renderer.renderer, 'gravity-scene.png');
+        });
+    });
+});
+
+describe('SvgPath', () => {
+    it('should flatten lines, closes and relative commands', () => {
+        assert.deepStrictEqual(SvgPath.flatten('M 1 2 l 3 0 V 6 h -3 Z m 10 0 L 12 1'), [
+            { points: [1, 2, 4, 2, 4, 6, 1, 6], closed: true },
+            { points: [11, 2, 12, 1], closed: false }
+        ]);
+    });
+
+    it('should flatten curves and arcs through their end points', () => {
+        const [curve] = SvgPath.flatten('M 0 0 C 0 10 10 10 10 0 S 20 -10 20 0 Q 25 5 30 0 T 40 0 A 5 5 0 0 1 50 0');
+        assert.deepStrictEqual(curve.points.slice(-2).map(v => Math.round(v * 1e9) / 1e9 + 0), [50, 0]);
+        // The half-circle arc from (40, 0) to (50, 0) bulges to y = -5 (sweep towards positive angles)
+        const arcYs = curve.points.filter((_, i) => i % 2 === 1).slice(-16);
+        assert.ok(Math.abs(Math.min(...arcYs) + 5) < 1e-9);
+    });
+
+    it('should reject data that does not start with a move', () => {
+        assert.throws(() => SvgPath.flatten('L 1 1'), /must start with a move/);
+        assert.throws(() => SvgPath.flatten('M 1'), /needs 2 numbers/);
+    });
+});
+
+describe('parseColor', () => {
+    it('should parse hex, functional and named colours', () => {
+        assert.deepStrictEqual(parseColor('#3498db'), [0x34, 0x98, 0xdb, 1]);
+        assert.deepStrictEqual(parseColor('#f00'), [255, 0, 0, 1]);
+        assert.deepStrictEqual(parseColor('#00000080'), [0, 0, 0, 128 / 255]);
+        assert.deepStrictEqual(parseColor('rgba(10, 20, 30, 0.5)'), [10, 20, 30, 0.5]);
+        assert.deepStrictEqual(parseColor('hsl(120, 100%, 50%)'), [0, 255, 0, 1]);
+        assert.deepStrictEqual(parseColor('white'), [255, 255, 255, 1]);
+        assert.strictEqual(parseColor('none'), null);
+        assert.throws(() => parseColor('chartreuse-ish'), /Unsupported colour/);
+    });
+});
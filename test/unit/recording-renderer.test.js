@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the recording renderer and display list replay
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BaseRenderer } from '../../js/renderer/base-renderer.js';
+import { RecordingRenderer } from '../../js/renderer/recording-renderer.js';
+import { RasterRenderer } from '../../js/renderer/raster-renderer.js';
+import { DisplayList } from '../../js/renderer/display-list.js';
+import { IRenderer } from '../../js/renderer/renderer-interface.js';
+import { GravityRenderer } from '../../js/physics-sims/Gravity/gravity-renderer.js';
+import { GravityDiagnosticsPanel } from '../../js/physics-sims/Gravity/gravity-diagnostics-panel.js';
+import { GravityConfig } from '../../js/physics-sims/Gravity/gravity-config.js';
+import { GravityEngine } from '../../js/physics-sims/Gravity/gravity-engine.js';
+import { GravityTrails } from '../../js/physics-sims/Gravity/gravity-trails.js';
+import { TimeSeries } from '../../js/utils/time-series.js';
+
+/**
+ * Render a gravity scene with trails and the diagnostics panel onto a renderer
+ */
+function renderGravityScene(renderer) {
+    const engine = new GravityEngine(200, 150, 4, 1, { seed: 'display-list' });
+    const trails = new GravityTrails(20);
+    const history = new TimeSeries(50);
+    for (let i = 0; i < 15; i++) {
+        engine.step();
+        trails.record(engine.bodies, engine.width, engine.height);
+        history.push(engine.time, { totalEnergy: engine.getDiagnostics().totalEnergy });
+    }
+
+    const scene = new GravityRenderer(renderer, {
+        showTrails: true,
+        showDiagnostics: true,
+        diagnosticsSeries: ['totalEnergy'],
+        diagnosticsPanelWidth: 120,
+        diagnosticsPanelHeight: 80
+    });
+    scene.render({ width: 200, height: 150, bodyView: engine.getBodyView(), trails, diagnosticsHistory: history });
+    return engine;
+}
+
+describe('RecordingRenderer', () => {
+    it('should implement IRenderer and be selectable through BaseRenderer', () => {
+        assert.ok(IRenderer.validate(new RecordingRenderer('unused')));
+        const base = new BaseRenderer('unused', { renderMode: 'recording', width: 200, height: 150 });
+        assert.ok(base.renderer instanceof RecordingRenderer);
+        assert.ok(base.isReady());
+    });
+
+    it('should record calls with their arguments and return ids like the drawing backends', () => {
+        const recorder = new RecordingRenderer('unused');
+        assert.strictEqual(recorder.addCircle(1, 2, 3, { fill: '#e74c3c' }), 'circle-0');
+        assert.strictEqual(recorder.addRectangle(0, 0, 5, 5), 'rect-1');
+        recorder.updateElement('circle-0', { x: 4 });
+
+        const list = recorder.getDisplayList();
+        assert.strictEqual(list.format, DisplayList.FORMAT);
+        assert.deepStrictEqual(list.commands, [
+            { op: 'addCircle', args: [1, 2, 3, { fill: '#e74c3c' }], id: 'circle-0' },
+            { op: 'addRectangle', args: [0, 0, 5, 5, {}], id: 'rect-1' },
+            { op: 'updateElement', args: ['circle-0', { x: 4 }] }
+        ]);
+    });
+
+    it('should copy arguments so callers can reuse their objects', () => {
+        const recorder = new RecordingRenderer('unused');
+        const style = { stroke: '#3498db' };
+        const points = [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+        recorder.addCurve(points, style);
+        style.stroke = '#000000';
+        points[0].x = 99;
+        assert.deepStrictEqual(recorder.getDisplayList().commands[0].args, [[{ x: 0, y: 0 }, { x: 1, y: 1 }], { stroke: '#3498db' }]);
+    });
+
+    it('should start a new scene on clear()', () => {
+        const recorder = new RecordingRenderer('unused');
+        recorder.addLine(0, 0, 1, 1);
+        recorder.clear();
+        assert.strictEqual(recorder.addLine(0, 0, 2, 2), 'line-0');
+        assert.strictEqual(recorder.getDisplayList().commands.length, 1);
+    });
+
+    it('should capture the calls GravityRenderer makes for a scene', () => {
+        const recorder = new RecordingRenderer('unused', { width: 200, height: 150 });
+        const engine = renderGravityScene(recorder);
+        const { commands } = recorder.getDisplayList();
+        const count = (op) => commands.filter(command => command.op === op).length;
+
+        const circles = commands.filter(command => command.op === 'addCircle');
+        assert.strictEqual(circles.length, engine.bodies.length);
+        assert.deepStrictEqual(circles.map(command => command.args.slice(0, 2)), engine.bodies.map(body => [body.x, body.y]));
+        // Grid lines every 50 pixels: 5 vertical, 4 horizontal
+        assert.strictEqual(count('addLine'), 9);
+        assert.ok(count('addCurve') > engine.bodies.length, 'trails and diagnostics curves');
+        assert.strictEqual(count('addAxis'), 2);
+        assert.strictEqual(count('addRectangle'), 1);
+    });
+
+    it('should draw the diagnostics panel background with the configured opacity, including 0', () => {
+        const history = new TimeSeries(10);
+        history.push(0, { totalEnergy: -1 });
+        for (const [opacity, expected] of [[0, 0], [0.4, 0.4], [undefined, 0.7]]) {
+            const recorder = new RecordingRenderer('unused', { width: 200, height: 150 });
+            new GravityDiagnosticsPanel({ diagnosticsSeries: ['totalEnergy'], diagnosticsOpacity: opacity })
+                .render(recorder, history, 200, 150);
+
+            const background = recorder.getDisplayList().commands.find(command => command.op === 'addRectangle');
+            assert.strictEqual(background.args[4].opacity, expected);
+        }
+    });
+
+    it('should place the diagnostics panel in a corner of the viewport, not of the world', () => {
+        const history = new TimeSeries(10);
+        history.push(0, { totalEnergy: -1 });
+        const base = new BaseRenderer('unused', { renderMode: 'recording', width: 400, height: 300 });
+        assert.deepStrictEqual(base.getSize(), { width: 400, height: 300 });
+        base.camera.zoomAt(0.25, 0, 0);
+
+        new GravityRenderer(base, {
+            showDiagnostics: true,
+            showGrid: false,
+            diagnosticsSeries: ['totalEnergy'],
+            diagnosticsPanelWidth: 120,
+            diagnosticsPanelHeight: 80
+        }).render({ width: 1600, height: 1200, bodies: [], diagnosticsHistory: history });
+
+        const background = base.renderer.getDisplayList().commands.find(command => command.op === 'addRectangle');
+        assert.deepStrictEqual(background.args.slice(0, 4), [400 - 120 - 20, 300 - 80 - 20, 120, 80]);
+    });
+
+    it('should size a diagnostics panel without explicit dimensions from GravityConfig', () => {
+        const history = new TimeSeries(10);
+        history.push(0, { totalEnergy: -1 });
+        const recorder = new RecordingRenderer('unused', { width: 800, height: 600 });
+        new GravityDiagnosticsPanel({ diagnosticsSeries: ['totalEnergy'] }).render(recorder, history, 800, 600);
+
+        const background = recorder.getDisplayList().commands.find(command => command.op === 'addRectangle');
+        const { diagnosticsPanelWidth, diagnosticsPanelHeight } = GravityConfig.renderer;
+        assert.deepStrictEqual(background.args.slice(2, 4), [diagnosticsPanelWidth, diagnosticsPanelHeight]);
+    });
+});
+
+describe('DisplayList', () => {
+    it('should replay a scene to the same pixels as drawing it directly, after a JSON round trip', () => {
+        const direct = new RasterRenderer('unused', { width: 200, height: 150 });
+        renderGravityScene(direct);
+
+        const recorder = new RecordingRenderer('unused', { width: 200, height: 150 });
+        renderGravityScene(recorder);
+        const list = JSON.parse(JSON.stringify(recorder.getDisplayList()));
+        const replayed = new BaseRenderer('unused', { renderMode: 'raster', width: 200, height: 150 });
+        DisplayList.replay(list, replayed);
+
+        assert.deepStrictEqual(replayed.renderer.getImageData().data, direct.getImageData().data);
+    });
+
+    it('should map recorded ids to the target renderer ids for updates and removals', () => {
+        const recorder = new RecordingRenderer('unused');
+        const first = recorder.addCircle(5, 5, 2);
+        const second = recorder.addCircle(10, 10, 2);
+        recorder.removeElement(first);
+        recorder.updateElement(second, { radius: 4 });
+
+        const target = new RecordingRenderer('unused');
+        target.addLine(0, 0, 1, 1);
+        const ids = recorder.replay(target, { clear: false });
+
+        assert.deepStrictEqual([...ids], [['circle-0', 'circle-1'], ['circle-1', 'circle-2']]);
+        assert.deepStrictEqual(target.getDisplayList().commands.slice(3), [
+            { op: 'removeElement', args: ['circle-1'] },
+            { op: 'updateElement', args: ['circle-2', { radius: 4 }] }
+        ]);
+    });
+
+    it('should reject malformed lists and unknown operations', () => {
+        const target = new RecordingRenderer('unused');
+        const list = new RecordingRenderer('unused').getDisplayList();
+        assert.throws(() => DisplayList.replay(null, target), /must be an object/);
+        assert.throws(() => DisplayList.replay({ ...list, format: 'other' }, target), /must have format/);
+        assert.throws(() => DisplayList.replay({ ...list, version: 99 }, target), /Unsupported display list version: 99/);
+        assert.throws(() => DisplayList.replay({ ...list, commands: [{ op: 'getColorScheme', args: [] }] }, target),
+            /unknown operation: getColorScheme/);
+        assert.throws(() => DisplayList.replay({ ...list, commands: [{ op: 'addCircle', args: [1, 1, 1] }] }, target),
+            /must have a string id/);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for recording a simulation to video
+ * A fake recorder stands in for VideoRecorder (MediaRecorder is browser-only) and notes the
+ * step count of every frame it captures.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RecordingSession } from '../../js/recording-session.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+import { GravityWorkerHost } from '../../js/physics-sims/Gravity/gravity-worker.js';
+
+/**
+ * Recorder with VideoRecorder's surface that stops itself after frameRate × duration frames
+ */
+function createFakeRecorder(simulation, frames, onCapture = () => {}) {
+    return (getRenderer, { frameRate, duration }) => {
+        let finish;
+        const recorder = {
+            start: () => new Promise(resolve => (finish = resolve)),
+            captureFrame() {
+                frames.push(simulation.engine.stepCount);
+                onCapture(frames.length);
+                if (frames.length >= Math.round(frameRate * duration)) {
+                    recorder.stop();
+                }
+            },
+            ready: () => Promise.resolve(),
+            stop: () => finish('video')
+        };
+        return recorder;
+    };
+}
+
+/**
+ * Worker-like object backed by a GravityWorkerHost in the same thread, replying asynchronously
+ */
+function createInProcessWorker() {
+    const worker = {
+        onmessage: null,
+        postMessage(message) {
+            const copy = structuredClone(message);
+            setImmediate(() => host.handle(copy));
+        },
+        terminate() {}
+    };
+    const host = new GravityWorkerHost((message) => {
+        const copy = structuredClone(message);
+        setImmediate(() => worker.onmessage({ data: copy }));
+    });
+    return worker;
+}
+
+describe('RecordingSession', () => {
+    it('should capture one frame per scheduled loop frame and ignore command updates', async () => {
+        const simulation = new GravitySimulation(800, 600, 3, 1.0, { seed: 'rec' });
+        const frames = [];
+        const saved = [];
+        const session = new RecordingSession(simulation, () => null, {
+            save: (video) => saved.push(video),
+            realTime: false,
+            // Commands in the middle of a recording notify listeners without drawing a frame
+            createRecorder: createFakeRecorder(simulation, frames, (count) => {
+                if (count === 2) {
+                    simulation.setSpeed(1);
+                    simulation.setReversed(false);
+                }
+            })
+        });
+        session.setFrameRate(10);
+        session.setDuration(1);
+        const button = { textContent: 'Record' };
+
+        const recording = session.toggle(button);
+        assert.strictEqual(session.isRecording, true);
+        assert.strictEqual(button.textContent, 'Stop recording');
+        await recording;
+
+        assert.strictEqual(frames.length, 10);
+        // The first frame starts the clock; each later one covers 0.1 s, i.e. 6.25 steps of 0.016 s
+        assert.strictEqual(frames[0], 0);
+        for (let i = 1; i < frames.length; i++) {
+            assert.ok(frames[i] - frames[i - 1] >= 6 && frames[i] - frames[i - 1] <= 7, `frame ${i}: ${frames}`);
+        }
+        assert.deepStrictEqual(saved, ['video']);
+        assert.strictEqual(button.textContent, 'Record');
+        assert.strictEqual(session.isRecording, false);
+        assert.strictEqual(simulation.isRunning, false, 'a paused simulation is paused again');
+        simulation.destroy();
+    });
+
+    it('should stop early when toggled during a recording', async () => {
+        const simulation = new GravitySimulation(800, 600, 3, 1.0);
+        const frames = [];
+        const session = new RecordingSession(simulation, () => null, {
+            save: () => {},
+            realTime: false,
+            createRecorder: createFakeRecorder(simulation, frames, (count) => {
+                if (count === 3) {
+                    session.toggle(button);
+                }
+            })
+        });
+        const button = { textContent: 'Record' };
+        simulation.start();
+
+        await session.toggle(button);
+
+        assert.strictEqual(frames.length, 3);
+        assert.strictEqual(simulation.isRunning, true, 'a running simulation keeps running');
+        simulation.destroy();
+    });
+
+    it('should capture each frame once the worker has returned its steps', async () => {
+        const simulation = new GravitySimulation(800, 600, 3, 1.0, { useWorker: true }, {
+            createWorker: () => createInProcessWorker()
+        });
+        await simulation.engine.whenIdle();
+        const frames = [];
+        const session = new RecordingSession(simulation, () => null, {
+            save: () => {},
+            realTime: false,
+            createRecorder: createFakeRecorder(simulation, frames)
+        });
+        session.setFrameRate(10);
+        session.setDuration(1);
+
+        await session.toggle({ textContent: 'Record' });
+
+        assert.strictEqual(frames.length, 10);
+        for (let i = 1; i < frames.length; i++) {
+            assert.ok(frames[i] - frames[i - 1] >= 6 && frames[i] - frames[i - 1] <= 7, `frame ${i}: ${frames}`);
+        }
+        simulation.destroy();
+    });
+});
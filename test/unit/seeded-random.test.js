@@ -0,0 +1,35 @@
+/**
+ * Unit tests for the seeded pseudo-random number generator
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SeededRandom } from '../../js/utils/seeded-random.js';
+
+/**
+ * First n numbers of a generator's sequence
+ */
+function take(random, n) {
+    return Array.from({ length: n }, () => random.next());
+}
+
+describe('SeededRandom', () => {
+    it('should produce the same sequence for the same seed', () => {
+        assert.deepStrictEqual(take(new SeededRandom('galaxy'), 100), take(new SeededRandom('galaxy'), 100));
+    });
+
+    it('should produce different sequences for different seeds', () => {
+        assert.notDeepStrictEqual(take(new SeededRandom('a'), 10), take(new SeededRandom('b'), 10));
+    });
+
+    it('should treat a number and its string form as the same seed', () => {
+        assert.deepStrictEqual(take(new SeededRandom(42), 10), take(new SeededRandom('42'), 10));
+    });
+
+    it('should return numbers in [0, 1) with a mean near one half', () => {
+        const values = take(new SeededRandom(7), 10000);
+        assert.ok(values.every(value => value >= 0 && value < 1));
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        assert.ok(Math.abs(mean - 0.5) < 0.02, `mean ${mean}`);
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for the fixed-timestep simulation loop
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SimulationLoop } from '../../js/physics-sims/simulation-loop.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+
+/**
+ * Scheduler that runs frames only when the test asks, at chosen timestamps
+ */
+function createManualScheduler() {
+    let pending = null;
+    let nextHandle = 1;
+    return {
+        request(callback) {
+            pending = { handle: nextHandle++, callback };
+            return pending.handle;
+        },
+        cancel(handle) {
+            if (pending && pending.handle === handle) {
+                pending = null;
+            }
+        },
+        frame(timestamp) {
+            const { callback } = pending;
+            pending = null;
+            callback(timestamp);
+        },
+        get hasPending() {
+            return pending !== null;
+        }
+    };
+}
+
+/**
+ * Loop with counters for steps and renders
+ */
+function createLoop(options = {}) {
+    const scheduler = createManualScheduler();
+    const counts = { steps: 0, renders: 0 };
+    const loop = new SimulationLoop({
+        step: () => counts.steps++,
+        render: () => counts.renders++,
+        timeStep: 0.01,
+        maxSubsteps: 5,
+        scheduler,
+        ...options
+    });
+    return { loop, scheduler, counts };
+}
+
+describe('SimulationLoop', () => {
+    it('should run as many fixed steps as the elapsed time allows and render once per frame', () => {
+        const { loop, scheduler, counts } = createLoop();
+        loop.start();
+        scheduler.frame(1000);
+        scheduler.frame(1025);
+        scheduler.frame(1052);
+
+        // 25 ms gives 2 steps and carries 5 ms over; 5 + 27 ms gives 3 steps and carries 2 ms
+        assert.strictEqual(counts.steps, 5);
+        assert.strictEqual(counts.renders, 3);
+        assert.ok(Math.abs(loop.accumulator - 0.002) < 1e-9);
+    });
+
+    it('should scale elapsed time by the speed multiplier', () => {
+        const { loop, scheduler, counts } = createLoop({ speed: 2.5 });
+        loop.start();
+        scheduler.frame(0);
+        scheduler.frame(17);
+
+        // 17 ms at 2.5× is 42.5 ms of simulation time
+        assert.strictEqual(counts.steps, 4);
+    });
+
+    it('should drop the backlog beyond the substep cap', () => {
+        const { loop, scheduler, counts } = createLoop();
+        loop.start();
+        scheduler.frame(0);
+        scheduler.frame(1000);
+
+        assert.strictEqual(counts.steps, 5);
+        assert.strictEqual(loop.accumulator, 0);
+        assert.ok(Math.abs(loop.droppedTime - 0.95) < 1e-9);
+    });
+
+    it('should raise the substep cap with the speed so fast speeds are not dropped', () => {
+        const { loop, scheduler, counts } = createLoop({ speed: 8, timeStep: 1 / 64 });
+        loop.start();
+        scheduler.frame(0);
+        scheduler.frame(64);
+
+        // 64 ms at 8× is 32.768 steps of 1/64 s, within 5 × 8
+        assert.strictEqual(loop.substepLimit, 40);
+        assert.strictEqual(counts.steps, 32);
+        assert.strictEqual(loop.droppedTime, 0);
+
+        loop.speed = 0.5;
+        assert.strictEqual(loop.substepLimit, 5);
+    });
+
+    it('should report dropped time in the gravity diagnostics', () => {
+        const simulation = new GravitySimulation(400, 300, 3, 1, { seed: 'dropped' });
+        const scheduler = createManualScheduler();
+        simulation.setFrameScheduler(scheduler);
+        simulation.start();
+        scheduler.frame(0);
+        scheduler.frame(1000);
+        scheduler.frame(1020);
+
+        // A one-second frame runs 8 steps of 0.016 and drops the rest
+        const dropped = simulation.getState().droppedTime;
+        assert.ok(Math.abs(dropped - (1 - 8 * 0.016)) < 1e-9, `dropped ${dropped}`);
+        assert.strictEqual(simulation.diagnosticsHistory.getSeries('droppedTime').at(-1).value, dropped);
+        simulation.stop();
+    });
+
+    it('should stop requesting frames when stopped', () => {
+        const { loop, scheduler } = createLoop();
+        loop.start();
+        assert.ok(loop.isRunning);
+        loop.stop();
+
+        assert.ok(!loop.isRunning);
+        assert.ok(!scheduler.hasPending);
+    });
+
+    it('should not render after a step stops the loop', () => {
+        const scheduler = createManualScheduler();
+        let renders = 0;
+        const loop = new SimulationLoop({
+            step: () => loop.stop(),
+            render: () => renders++,
+            timeStep: 0.01,
+            scheduler
+        });
+        loop.start();
+        scheduler.frame(0);
+        scheduler.frame(20);
+
+        assert.strictEqual(renders, 1);
+        assert.ok(!scheduler.hasPending);
+    });
+
+    it('should switch schedulers without stopping', () => {
+        const { loop, scheduler } = createLoop();
+        const replacement = createManualScheduler();
+        loop.start();
+        loop.setScheduler(replacement);
+
+        assert.ok(loop.isRunning);
+        assert.ok(!scheduler.hasPending);
+        assert.ok(replacement.hasPending);
+    });
+});
+
+describe('SimulationLoop.fixedRateScheduler', () => {
+    /**
+     * Run a loop on a fixed-rate scheduler until it has rendered a number of frames
+     * @returns {Promise<Array<number>>} Steps taken before each render
+     */
+    function runFrames(frames, { step = () => {}, ready, speed, maxSubsteps } = {}) {
+        return new Promise((resolve) => {
+            const stepsPerRender = [];
+            let steps = 0;
+            const loop = new SimulationLoop({
+                step: () => {
+                    step();
+                    steps++;
+                },
+                render: () => {
+                    stepsPerRender.push(steps);
+                    if (stepsPerRender.length === frames) {
+                        loop.stop();
+                        resolve(stepsPerRender);
+                    }
+                },
+                // 1/64 s steps and 16 frames per second give exactly 4 steps per frame
+                timeStep: 1 / 64,
+                speed,
+                maxSubsteps,
+                scheduler: SimulationLoop.fixedRateScheduler(16, { realTime: false, ready })
+            });
+            loop.start();
+        });
+    }
+
+    it('should advance the same simulated time every frame', async () => {
+        const stepsPerRender = await runFrames(4);
+        assert.deepStrictEqual(stepsPerRender, [0, 4, 8, 12]);
+    });
+
+    it('should not drop steps when they are slower than real time', async () => {
+        const stepsPerRender = await runFrames(3, {
+            step: () => {
+                const started = performance.now();
+                while (performance.now() - started < 20) { /* a step slower than the 1/64 s it covers */ }
+            }
+        });
+        assert.deepStrictEqual(stepsPerRender, [0, 4, 8]);
+    });
+
+    it('should run every step a frame needs, however low the substep cap', async () => {
+        const stepsPerRender = await runFrames(3, { speed: 5, maxSubsteps: 2 });
+        assert.deepStrictEqual(stepsPerRender, [0, 20, 40]);
+    });
+
+    it('should wait for ready() before each frame', async () => {
+        let readyCalls = 0;
+        let frameAllowed = false;
+        const stepsPerRender = await runFrames(2, {
+            ready: () => {
+                readyCalls++;
+                return new Promise(resolve => setTimeout(() => {
+                    frameAllowed = true;
+                    resolve();
+                }, 10));
+            },
+            step: () => assert.ok(frameAllowed, 'frame ran before ready() resolved')
+        });
+        assert.deepStrictEqual(stepsPerRender, [0, 4]);
+        assert.strictEqual(readyCalls, 2);
+    });
+
+    it('should drive a running simulation one video frame at a time', async () => {
+        const simulation = new GravitySimulation(400, 300, 3, 1, { seed: 'recording' });
+        simulation.engine.timeStep = 1 / 64;
+        const stepCounts = await new Promise((resolve) => {
+            const counts = [];
+            simulation.onUpdate((state) => {
+                if (!state.isRunning) return;
+                counts.push(simulation.engine.stepCount);
+                if (counts.length === 4) {
+                    simulation.stop();
+                    resolve(counts);
+                }
+            });
+            simulation.start();
+            simulation.setFrameScheduler(SimulationLoop.fixedRateScheduler(16, { realTime: false }));
+        });
+
+        // The first notification comes from start(), the next from the first frame, which only sets the clock
+        assert.deepStrictEqual(stepCounts, [0, 0, 4, 8]);
+        simulation.setFrameScheduler(null);
+        assert.strictEqual(simulation.frameScheduler, null);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for SVG export of display lists
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SvgSerializer } from '../../js/renderer/svg-serializer.js';
+import { RecordingRenderer } from '../../js/renderer/recording-renderer.js';
+import { GravitySimulation } from '../../js/physics-sims/Gravity/gravity-simulation.js';
+
+/**
+ * Count the elements with a given tag name in SVG markup
+ */
+function countTags(svg, name) {
+    return (svg.match(new RegExp(`<${name}[ />]`, 'g')) ?? []).length;
+}
+
+describe('SvgSerializer', () => {
+    it('should write a standalone document with the recording size and background', () => {
+        const recorder = new RecordingRenderer('unused', { width: 200, height: 150, background: '#101820' });
+        const svg = recorder.toSvg();
+
+        assert.ok(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="200" height="150" viewBox="0 0 200 150">'));
+        assert.ok(svg.includes('<rect width="100%" height="100%" fill="#101820"/>'));
+        assert.ok(svg.trimEnd().endsWith('</svg>'));
+    });
+
+    it('should write each element with the SVG backend style defaults', () => {
+        const recorder = new RecordingRenderer('unused', { foreground: '#eeeeee' });
+        recorder.addCircle(10, 20, 5);
+        recorder.addLine(0, 0, 30, 40, { stroke: '#3498db', strokeWidth: 0.5 });
+        recorder.addCurve([{ x: 0, y: 0 }, [1.23456, 2], { x: 3, y: 4 }], { stroke: 'red' });
+        recorder.addPath('M 0 0 L 5 5 Z', { fill: '#2ecc71' });
+        const svg = recorder.toSvg();
+
+        assert.ok(svg.includes('<circle id="circle-0" cx="10" cy="20" r="5" fill="#e74c3c" stroke="#eeeeee" stroke-width="1" opacity="0.8"/>'));
+        assert.ok(svg.includes('<line id="line-1" x1="0" y1="0" x2="30" y2="40" stroke="#3498db" stroke-width="0.5" opacity="0.8"/>'));
+        assert.ok(svg.includes('<path id="curve-2" d="M0,0L1.235,2L3,4" fill="none" stroke="red" stroke-width="2" opacity="0.8"/>'));
+        assert.ok(svg.includes('<path id="path-3" d="M 0 0 L 5 5 Z" fill="#2ecc71" stroke="#f39c12" stroke-width="2" opacity="0.8"/>'));
+    });
+
+    it('should write axes as groups of lines and escaped text', () => {
+        const recorder = new RecordingRenderer('unused', { width: 100, height: 100 });
+        recorder.addAxis('x', 90, 0, 1, { ticks: 2, label: 'E < 0 & "bound"' });
+        const svg = recorder.toSvg();
+
+        assert.ok(svg.includes('<g id="axis-0" class="axis">'));
+        assert.strictEqual(countTags(svg, 'line'), 4, 'axis line and three ticks');
+        assert.ok(svg.includes('>0.5</text>'));
+        assert.ok(svg.includes('>E &lt; 0 &amp; &quot;bound&quot;</text>'));
+    });
+
+    it('should apply updates and removals', () => {
+        const recorder = new RecordingRenderer('unused');
+        const moved = recorder.addCircle(0, 0, 2, { fill: 'blue' });
+        const removed = recorder.addRectangle(0, 0, 5, 5);
+        recorder.updateElement(moved, { x: 7, fill: 'green' });
+        recorder.removeElement(removed);
+        recorder.resize(64, 48);
+        const svg = recorder.toSvg();
+
+        assert.ok(svg.includes(`<circle id="${moved}" cx="7" cy="0" r="2" fill="green"`));
+        assert.ok(!svg.includes(removed));
+        assert.ok(svg.includes('viewBox="0 0 64 48"'));
+    });
+
+    it('should export the current simulation frame with grid, trails and bodies', () => {
+        const simulation = new GravitySimulation(200, 150, 4, 1, { seed: 'svg-export' });
+        simulation.setShowTrails(true);
+        for (let i = 0; i < 10; i++) {
+            simulation.step();
+        }
+
+        const recorder = new RecordingRenderer('unused', { width: 200, height: 150, background: '#0a0a0a' });
+        simulation.render(recorder);
+        const svg = recorder.toSvg();
+
+        assert.strictEqual(countTags(svg, 'circle'), simulation.engine.bodies.length);
+        // Grid lines every 50 pixels: 5 vertical, 4 horizontal
+        assert.strictEqual(countTags(svg, 'line'), 9);
+        assert.ok(countTags(svg, 'path') >= simulation.engine.bodies.length, 'trail curves');
+        assert.ok(svg.includes('fill="#0a0a0a"'));
+    });
+
+    it('should reject invalid display lists', () => {
+        assert.throws(() => SvgSerializer.serialize({ format: 'other' }), /must have format/);
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for TimeSeries
+ * Tests the rolling sample history used by diagnostics charts
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { TimeSeries } from '../../js/utils/time-series.js';
+
+describe('TimeSeries', () => {
+    describe('push', () => {
+        it('should keep only the most recent samples up to capacity', () => {
+            const history = new TimeSeries(3);
+
+            for (let i = 0; i < 5; i++) {
+                history.push(i, { value: i * 10 });
+            }
+
+            assert.strictEqual(history.length, 3);
+            assert.deepStrictEqual(history.getSeries('value').map(p => p.t), [2, 3, 4]);
+        });
+    });
+
+    describe('getSeries', () => {
+        it('should return points for one named value and skip missing entries', () => {
+            const history = new TimeSeries();
+            history.push(0, { energy: -1, bodies: 3 });
+            history.push(1, { bodies: 2 });
+            history.push(2, { energy: -1.5, bodies: 2 });
+
+            assert.deepStrictEqual(history.getSeries('energy'), [
+                { t: 0, value: -1 },
+                { t: 2, value: -1.5 }
+            ]);
+            assert.strictEqual(history.getSeries('bodies').length, 3);
+        });
+    });
+
+    describe('clear', () => {
+        it('should remove all samples', () => {
+            const history = new TimeSeries();
+            history.push(0, { value: 1 });
+
+            history.clear();
+
+            assert.strictEqual(history.length, 0);
+            assert.deepStrictEqual(history.getSeries('value'), []);
+        });
+    });
+});